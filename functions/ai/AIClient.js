@@ -0,0 +1,101 @@
+/**
+ * AI Client Interface
+ * Base class for analysis providers, with response helpers shared by all of them
+ */
+
+import { QuoteVerifier } from './QuoteVerifier.js'
+
+// Rough characters per token for English contract text, as GeminiPromptFormatter.estimateTokenCount assumes
+export const CHARS_PER_TOKEN = 4
+
+export class AIClient {
+  async analyzeDocument(text, documentType) {
+    throw new Error('analyzeDocument method must be implemented')
+  }
+
+  async validateConnection() {
+    throw new Error('validateConnection method must be implemented')
+  }
+
+  getModelInfo() {
+    throw new Error('getModelInfo method must be implemented')
+  }
+
+  /**
+   * Longest document text, in characters, the provider takes in one analysis call
+   * Longer documents are split by ChunkedAnalyzer rather than cut short here
+   * Providers set maxInputTokens, the document's share of their token budget
+   */
+  getMaxInputChars() {
+    return this.maxInputTokens ? this.maxInputTokens * CHARS_PER_TOKEN : Infinity
+  }
+
+  /**
+   * Run a free-form prompt and return the JSON object the model replies with
+   * Used for drafting tasks such as redlines; providers that cannot generate text keep this default
+   */
+  async generateJson(instructions, prompt) {
+    throw new Error(`${this.getModelInfo().provider} does not support text generation`)
+  }
+
+  /**
+   * Pull the JSON object out of a model response, ignoring markdown fences and chatter
+   */
+  parseJsonResponse(responseText) {
+    const cleaned = String(responseText || '').replace(/```json\n?/g, '').replace(/```\n?/g, '').trim()
+    const jsonStart = cleaned.indexOf('{')
+    const jsonEnd = cleaned.lastIndexOf('}')
+
+    if (jsonStart === -1 || jsonEnd <= jsonStart) {
+      throw new Error('No valid JSON found in response')
+    }
+
+    return JSON.parse(cleaned.substring(jsonStart, jsonEnd + 1))
+  }
+
+  /**
+   * Check the model's quotes against the analyzed text before trusting them
+   */
+  verifyAnalysis(analysis, documentText) {
+    this.quoteVerifier = this.quoteVerifier || new QuoteVerifier()
+    return this.quoteVerifier.verify(analysis, documentText)
+  }
+
+  /**
+   * POST a JSON payload and return the parsed JSON response
+   * The request is aborted after timeout, or as soon as the caller's signal aborts (e.g. a cancelled job)
+   */
+  async postJson(url, payload, { headers = {}, timeout = 120000, signal = null } = {}) {
+    const fetcher = this.fetcher || fetch
+    const response = await fetcher(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(payload),
+      signal: signal ? AbortSignal.any([signal, AbortSignal.timeout(timeout)]) : AbortSignal.timeout(timeout)
+    })
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '')
+      throw new Error(`${this.getModelInfo().provider} request failed with status ${response.status}${detail ? `: ${detail.substring(0, 200)}` : ''}`)
+    }
+
+    return response.json()
+  }
+
+  /**
+   * Calculate analysis confidence score, scaled down by the share of quotes that could not be verified
+   */
+  calculateAnalysisConfidence(analysis) {
+    let score = 0
+    if (analysis.summary?.documentType) score += 20
+    if (analysis.clauses?.length >= 3) score += 30
+    if (analysis.risks?.length >= 2) score += 25
+    if (analysis.recommendations?.length >= 2) score += 15
+    if (analysis.keyTerms?.length >= 2) score += 10
+
+    const verificationRate = analysis.qualityMetrics?.verification?.verificationRate ?? 1
+    return Math.round(Math.min(score, 100) * verificationRate)
+  }
+}
+
+export default AIClient
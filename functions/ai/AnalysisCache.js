@@ -0,0 +1,126 @@
+/**
+ * Analysis Result Cache
+ * Reuses analyses of documents already seen, keyed by a hash of the normalized text,
+ * document type, models and prompt version, with a TTL, an entry limit and optional file persistence
+ */
+
+import { createHash } from 'crypto'
+import { promises as fs } from 'fs'
+import path from 'path'
+
+export class AnalysisCache {
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? process.env.VITE_ANALYSIS_CACHE !== 'off'
+    this.ttlMs = options.ttlMs ?? (parseInt(process.env.VITE_ANALYSIS_CACHE_TTL_MINUTES) || 24 * 60) * 60 * 1000
+    this.maxEntries = options.maxEntries || parseInt(process.env.VITE_ANALYSIS_CACHE_MAX_ENTRIES) || 100
+    this.file = options.file ?? (process.env.VITE_ANALYSIS_CACHE_FILE || null)
+    this.entries = new Map() // key -> { value, cachedAt }; insertion order is least recently used first
+    this.loaded = null
+    this.writing = Promise.resolve()
+  }
+
+  /**
+   * Collapse formatting differences that don't change what the model reads
+   */
+  normalize(text) {
+    return String(text || '')
+      .normalize('NFC')
+      .replace(/\r\n?/g, '\n')
+      .replace(/[ \t]+/g, ' ')
+      .replace(/ *\n */g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim()
+  }
+
+  key({ text, documentType, model, promptVersion }) {
+    return createHash('sha256')
+      .update(JSON.stringify([this.normalize(text), documentType || null, model || null, promptVersion || null]))
+      .digest('hex')
+  }
+
+  /**
+   * Return { value, cachedAt } for a fresh entry, or null
+   */
+  async get(key) {
+    if (!this.enabled) return null
+    await this.load()
+
+    const entry = this.entries.get(key)
+    if (!entry) return null
+
+    if (this.isExpired(entry)) {
+      this.entries.delete(key)
+      await this.persist()
+      return null
+    }
+
+    // Move to the end so the entry counts as recently used
+    this.entries.delete(key)
+    this.entries.set(key, entry)
+    return { value: structuredClone(entry.value), cachedAt: entry.cachedAt }
+  }
+
+  async set(key, value) {
+    if (!this.enabled) return
+    await this.load()
+
+    this.entries.delete(key)
+    this.entries.set(key, { value: structuredClone(value), cachedAt: new Date().toISOString() })
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value)
+    }
+    await this.persist()
+  }
+
+  async clear() {
+    this.entries.clear()
+    await this.persist()
+  }
+
+  isExpired(entry) {
+    return Date.now() - Date.parse(entry.cachedAt) > this.ttlMs
+  }
+
+  /**
+   * Read persisted entries once, dropping any that expired while the server was down
+   */
+  load() {
+    if (!this.loaded) {
+      this.loaded = this.file ? this.readFile() : Promise.resolve()
+    }
+    return this.loaded
+  }
+
+  async readFile() {
+    try {
+      const stored = JSON.parse(await fs.readFile(this.file, 'utf8'))
+      Object.entries(stored.entries || {}).forEach(([key, entry]) => {
+        if (!this.isExpired(entry)) {
+          this.entries.set(key, entry)
+        }
+      })
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Ignoring unreadable analysis cache ${this.file}: ${error.message}`)
+      }
+    }
+  }
+
+  persist() {
+    if (!this.file) return Promise.resolve()
+
+    // Writes are chained so an older snapshot never lands after a newer one
+    this.writing = this.writing.then(async () => {
+      await fs.mkdir(path.dirname(this.file), { recursive: true })
+      const temporary = `${this.file}.tmp`
+      await fs.writeFile(temporary, JSON.stringify({ entries: Object.fromEntries(this.entries) }))
+      await fs.rename(temporary, this.file)
+    }).catch(error => {
+      console.warn(`⚠️ Could not write analysis cache ${this.file}: ${error.message}`)
+    })
+    return this.writing
+  }
+}
+
+export default AnalysisCache
@@ -0,0 +1,319 @@
+/**
+ * Chunked Analyzer
+ * Splits long contracts on section headings, analyzes each chunk and merges
+ * the results into a single analysis with de-duplicated, renumbered entries
+ */
+
+import { QuoteVerifier } from './QuoteVerifier.js'
+
+// Lines that start a new section: "ARTICLE 5", "Section 12.", "7. Termination", "SCHEDULE A", "## Fees", "LIMITATION OF LIABILITY"
+const HEADING_LINE = /^[ \t]*(?:(?:ARTICLE|Article|SECTION|Section|SCHEDULE|Schedule|EXHIBIT|Exhibit|ANNEX|Annex|APPENDIX|Appendix)\s+[\dA-Z]+\b.*|\d{1,3}(?:\.\d{1,3})*\.?[ \t]+[A-Z].{0,100}|#{1,6}[ \t]+\S.*|[A-Z][A-Z0-9 ,&'()/-]{3,80})[ \t]*$/
+
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3, critical: 4 }
+
+export class ChunkedAnalyzer {
+  constructor(options = {}) {
+    this.maxChunkSize = options.maxChunkSize || 24000
+    // Longest text every configured provider accepts in one call (see ProviderRegistry.getInputLimit)
+    this.inputLimit = options.inputLimit || (() => Infinity)
+    this.duplicateThreshold = options.duplicateThreshold ?? 0.8
+  }
+
+  /**
+   * The configured chunk size, clamped so no provider ever has to cut a chunk short
+   */
+  get chunkSize() {
+    return Math.min(this.maxChunkSize, this.inputLimit())
+  }
+
+  /**
+   * Check whether text is too long for a single analysis call
+   */
+  needsChunking(text) {
+    return typeof text === 'string' && text.length > this.chunkSize
+  }
+
+  /**
+   * Analyze text chunk by chunk and merge the results
+   * @param {string} text - Full document text
+   * @param {Function} analyzeChunk - async (chunk, chunkCount) => { success, analysis, confidence }
+   */
+  async analyze(text, analyzeChunk) {
+    const chunks = this.splitIntoChunks(text)
+    const results = []
+
+    // Sequential so a long contract does not burst the provider's rate limit
+    for (const chunk of chunks) {
+      const result = await analyzeChunk(chunk, chunks.length)
+      if (!result?.success) {
+        return {
+          success: false,
+          error: `Chunk ${chunk.index + 1} of ${chunks.length} failed: ${result?.error || 'analysis failed'}`
+        }
+      }
+      results.push(result)
+    }
+
+    const confidences = results.map(result => result.confidence).filter(Number.isFinite)
+    // A provider fallback mid-document means chunks can come from different models
+    const distinct = field => [...new Set(results.map(result => result[field]).filter(Boolean))].join(', ') || undefined
+
+    return {
+      success: true,
+      analysis: this.mergeAnalyses(results.map(result => result.analysis)),
+      confidence: confidences.length ? Math.round(confidences.reduce((a, b) => a + b, 0) / confidences.length) : undefined,
+      startTime: Math.min(...results.map(result => result.startTime || Date.now())),
+      fallbackUsed: results.some(result => result.fallbackUsed),
+      provider: distinct('provider'),
+      model: distinct('model'),
+      chunking: {
+        chunkCount: chunks.length,
+        chunks: chunks.map(({ index, startOffset, endOffset, heading }) => ({ index, startOffset, endOffset, heading }))
+      }
+    }
+  }
+
+  /**
+   * Split text into chunks no longer than chunkSize, preferring section boundaries
+   * Offsets refer to the original text
+   */
+  splitIntoChunks(text) {
+    if (!this.needsChunking(text)) {
+      return [{ index: 0, text, startOffset: 0, endOffset: text.length, heading: null }]
+    }
+
+    const size = this.chunkSize
+    const pieces = this.findSections(text).flatMap(section =>
+      section.end - section.start > size ? this.splitOversized(text, section, size) : [section]
+    )
+
+    // Pack consecutive sections into chunks
+    const packed = []
+    pieces.forEach(piece => {
+      const current = packed[packed.length - 1]
+      if (current && piece.end - current.start <= size) {
+        current.end = piece.end
+      } else {
+        packed.push({ ...piece })
+      }
+    })
+
+    return packed.map((piece, index) => ({
+      index,
+      text: text.substring(piece.start, piece.end),
+      startOffset: piece.start,
+      endOffset: piece.end,
+      heading: piece.heading
+    }))
+  }
+
+  /**
+   * Find section boundaries from heading lines
+   */
+  findSections(text) {
+    const starts = [0]
+    for (const match of text.matchAll(new RegExp(HEADING_LINE.source, 'gm'))) {
+      if (match.index > 0) starts.push(match.index)
+    }
+
+    return starts.map((start, i) => {
+      const end = i + 1 < starts.length ? starts[i + 1] : text.length
+      const firstLine = text.substring(start, end).split('\n')[0].trim()
+      return { start, end, heading: HEADING_LINE.test(firstLine) ? firstLine : null }
+    })
+  }
+
+  /**
+   * Split a section that is larger than a chunk on paragraph, then sentence, boundaries
+   */
+  splitOversized(text, section, size = this.chunkSize) {
+    const parts = []
+    let start = section.start
+
+    while (section.end - start > size) {
+      const window = text.substring(start, start + size)
+      const minimum = Math.floor(size * 0.5)
+      const paragraph = window.lastIndexOf('\n\n')
+      const sentence = window.lastIndexOf('. ')
+
+      let cut = size
+      if (paragraph >= minimum) {
+        cut = paragraph + 2
+      } else if (sentence >= minimum) {
+        cut = sentence + 2
+      }
+
+      parts.push({ start, end: start + cut, heading: parts.length === 0 ? section.heading : `${section.heading || 'Continued'} (cont.)` })
+      start += cut
+    }
+
+    parts.push({ start, end: section.end, heading: parts.length === 0 ? section.heading : `${section.heading || 'Continued'} (cont.)` })
+    return parts
+  }
+
+  /**
+   * Merge per-chunk analyses, renumbering clause and risk IDs across chunks
+   */
+  mergeAnalyses(analyses) {
+    const clauses = []
+    const risks = []
+    const keyTerms = []
+    const recommendations = []
+    const clauseIds = new Map() // `${chunkIndex}:${originalId}` -> merged clause id
+
+    analyses.forEach((analysis, chunkIndex) => {
+      (analysis?.clauses || []).forEach(clause => {
+        const key = `${chunkIndex}:${clause.id}`
+        const duplicate = clauses.find(existing => this.isDuplicateClause(existing, clause))
+
+        if (duplicate) {
+          duplicate.riskLevel = this.higher(duplicate.riskLevel, clause.riskLevel)
+          clauseIds.set(key, duplicate.id)
+          return
+        }
+
+        const id = `clause_${clauses.length + 1}`
+        clauseIds.set(key, id)
+        clauses.push({ ...clause, id })
+      })
+    })
+
+    analyses.forEach((analysis, chunkIndex) => {
+      const remap = id => clauseIds.get(`${chunkIndex}:${id}`) || id
+
+      for (const risk of analysis?.risks || []) {
+        const duplicate = risks.find(existing =>
+          this.normalize(existing.title) === this.normalize(risk.title) &&
+          this.normalize(existing.category) === this.normalize(risk.category)
+        )
+
+        if (duplicate) {
+          duplicate.severity = this.higher(duplicate.severity, risk.severity)
+          continue
+        }
+
+        risks.push({
+          ...risk,
+          id: `risk_${risks.length + 1}`,
+          ...(risk.clauseReference && { clauseReference: remap(risk.clauseReference) })
+        })
+      }
+
+      for (const term of analysis?.keyTerms || []) {
+        const duplicate = keyTerms.find(existing => this.normalize(existing.term) === this.normalize(term.term))
+        if (duplicate) {
+          duplicate.importance = this.higher(duplicate.importance, term.importance)
+          continue
+        }
+        keyTerms.push({ ...term })
+      }
+
+      for (const recommendation of analysis?.recommendations || []) {
+        const affectedClauses = (recommendation.affectedClauses || []).map(remap)
+        const duplicate = recommendations.find(existing => this.normalize(existing.action) === this.normalize(recommendation.action))
+
+        if (duplicate) {
+          duplicate.priority = this.higher(duplicate.priority, recommendation.priority)
+          duplicate.affectedClauses = [...new Set([...(duplicate.affectedClauses || []), ...affectedClauses])]
+          continue
+        }
+        recommendations.push({ ...recommendation, affectedClauses })
+      }
+    })
+
+    return {
+      ...analyses[0],
+      summary: this.mergeSummaries(analyses.map(analysis => analysis?.summary || {}), clauses.length),
+      clauses,
+      risks,
+      keyTerms,
+      recommendations,
+      qualityMetrics: this.mergeQualityMetrics(analyses.map(analysis => analysis?.qualityMetrics).filter(Boolean))
+    }
+  }
+
+  /**
+   * The opening chunk names the parties and purpose; later chunks only fill gaps
+   */
+  mergeSummaries(summaries, clauseCount) {
+    const [first, ...rest] = summaries
+    const firstValue = field => summaries.map(summary => summary[field]).find(value => value !== undefined && value !== null && value !== '')
+    const scores = summaries.map(summary => summary.completenessScore).filter(Number.isFinite)
+
+    return {
+      ...first,
+      documentType: firstValue('documentType'),
+      keyPurpose: firstValue('keyPurpose'),
+      mainParties: [...new Set([first.mainParties, ...rest.map(summary => summary.mainParties)].flat().filter(Boolean))],
+      effectiveDate: firstValue('effectiveDate') ?? null,
+      expirationDate: firstValue('expirationDate') ?? null,
+      totalClausesIdentified: clauseCount,
+      ...(scores.length && { completenessScore: Math.round(scores.reduce((a, b) => a + b, 0) / scores.length) })
+    }
+  }
+
+  mergeQualityMetrics(metrics) {
+    if (metrics.length === 0) {
+      return undefined
+    }
+
+    const merged = { ...metrics[0] }
+    Object.keys(merged).forEach(field => {
+      const values = metrics.map(metric => metric[field])
+      if (values.every(Number.isFinite)) {
+        merged[field] = Math.round(values.reduce((a, b) => a + b, 0) / values.length)
+      } else if (values.every(Array.isArray)) {
+        merged[field] = [...new Set(values.flat())]
+      }
+    })
+
+    // Chunks covered by the rule-based fallback carry no verification block
+    const verification = QuoteVerifier.merge(metrics.map(metric => metric.verification))
+    if (verification) {
+      merged.verification = verification
+    }
+    return merged
+  }
+
+  /**
+   * Same category and substantially the same wording, as happens when a clause
+   * is restated or a boundary section is seen by two chunks
+   */
+  isDuplicateClause(a, b) {
+    if (this.normalize(a.category) !== this.normalize(b.category)) {
+      return false
+    }
+
+    const contentA = this.normalize(a.content || a.text)
+    const contentB = this.normalize(b.content || b.text)
+    if (!contentA || !contentB) {
+      return false
+    }
+    if (contentA === contentB || contentA.includes(contentB) || contentB.includes(contentA)) {
+      return true
+    }
+
+    return this.jaccard(this.tokenize(contentA), this.tokenize(contentB)) >= this.duplicateThreshold
+  }
+
+  normalize(value) {
+    return String(value || '').toLowerCase().replace(/\s+/g, ' ').trim()
+  }
+
+  tokenize(text) {
+    return new Set(text.split(/[^a-z0-9]+/).filter(word => word.length > 2))
+  }
+
+  jaccard(a, b) {
+    if (a.size === 0 && b.size === 0) return 1
+    let intersection = 0
+    a.forEach(token => { if (b.has(token)) intersection++ })
+    return intersection / (a.size + b.size - intersection)
+  }
+
+  higher(a, b) {
+    return (SEVERITY_RANK[String(b).toLowerCase()] || 0) > (SEVERITY_RANK[String(a).toLowerCase()] || 0) ? b : a
+  }
+}
+
+export default ChunkedAnalyzer
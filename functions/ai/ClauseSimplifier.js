@@ -0,0 +1,245 @@
+/**
+ * Clause Simplifier
+ * Rewrites clauses in plain English at a chosen reading level and measures readability before and after.
+ * The configured AI providers do the rewriting; when none can, a plain-language substitution pass
+ * replaces legalese and breaks up long sentences.
+ */
+
+import { ReadabilityAnalyzer } from './ReadabilityAnalyzer.js'
+
+export const SIMPLIFICATION_LEVELS = {
+  executive: {
+    label: 'Executive',
+    maxSentenceWords: 25,
+    summarySentences: 2,
+    instructions: 'Write a brief for a busy executive: one to three short sentences on what the clause means for the business, who must do what, and any money, deadline or risk involved. Leave out boilerplate.'
+  },
+  layperson: {
+    label: 'Layperson',
+    maxSentenceWords: 20,
+    instructions: 'Rewrite for someone with no legal training. Use everyday words, explain any term of art in passing, and keep every obligation, right, amount and deadline. Keep sentences under 20 words.'
+  },
+  'grade-8': {
+    label: 'Grade 8',
+    maxSentenceWords: 15,
+    vocabulary: [
+      [/\bindemnify\b/gi, 'pay back'],
+      [/\bmitigate\b/gi, 'reduce'],
+      [/\bproceedings\b/gi, 'legal action'],
+      [/\bobligations\b/gi, 'duties'],
+      [/\bliable\b/gi, 'responsible'],
+      [/\bbreach(es|ed)\b/gi, (match, ending) => (ending.toLowerCase() === 'es' ? 'breaks' : 'broke')],
+      [/\bconfidential information\b/gi, 'private information'],
+      [/\bdisclose\b/gi, 'share']
+    ],
+    instructions: 'Rewrite so a 13-year-old could follow it (Flesch-Kincaid grade 8 or lower). Use short, common words and sentences of 15 words or fewer, and keep every obligation, right, amount and deadline.'
+  }
+}
+
+export const DEFAULT_SIMPLIFICATION_LEVEL = 'layperson'
+
+// Longest phrases first so "shall not" is replaced before "shall"
+const PLAIN_LANGUAGE = [
+  [/\bthe party of the (?:first|second) part\b/gi, 'the party'],
+  [/\bshall not\b/gi, 'must not'],
+  [/\bshall be entitled to\b/gi, 'may'],
+  [/\bis entitled to\b/gi, 'may'],
+  [/\bshall be deemed to\b/gi, 'will be treated as'],
+  [/\bshall be deemed\b/gi, 'counts as'],
+  [/\bshall\b/gi, 'must'],
+  [/\bnotwithstanding anything to the contrary(?: herein| in this agreement)?,?\s*/gi, ''],
+  [/\bnotwithstanding\b/gi, 'despite'],
+  [/\bin the event (?:that|of)\b/gi, 'if'],
+  // A proviso becomes its own sentence
+  [/[,;]?\s*provided,? (?:however,? )?that\s+/gi, '. However, '],
+  [/\bpursuant to\b/gi, 'under'],
+  [/\bin accordance with\b/gi, 'under'],
+  [/\bwith respect to\b/gi, 'about'],
+  [/\bin respect of\b/gi, 'for'],
+  [/\bprior to\b/gi, 'before'],
+  [/\bsubsequent to\b/gi, 'after'],
+  [/\bat such time as\b/gi, 'when'],
+  [/\buntil such time as\b/gi, 'until'],
+  [/\bfor the purpose of\b/gi, 'for'],
+  [/\bin order to\b/gi, 'to'],
+  [/\bin lieu of\b/gi, 'instead of'],
+  [/\binter alia\b/gi, 'among other things'],
+  [/\bforthwith\b/gi, 'immediately'],
+  [/\bherein\b/gi, 'in this agreement'],
+  [/\bhereunder\b/gi, 'under this agreement'],
+  [/\bthereof\b/gi, 'of it'],
+  [/\bhereby\s+/gi, ''],
+  [/\bhereinafter\s+/gi, ''],
+  [/\bwhereas,?\s*/gi, ''],
+  [/\baforementioned\b/gi, 'this'],
+  [/\bupon\b/gi, 'on'],
+  [/\bcommenc(e|es|ed|ing)\b/gi, (match, ending) => ({ es: 'starts', ed: 'started', ing: 'starting' }[ending.toLowerCase()] || 'start')],
+  [/\bterminat(e|es|ed|ing)\b/gi, (match, ending) => ({ es: 'ends', ed: 'ended', ing: 'ending' }[ending.toLowerCase()] || 'end')],
+  [/\btermination\b/gi, 'ending'],
+  [/\butiliz(e|es|ed)\b/gi, (match, ending) => `us${ending}`],
+  [/\bremuneration\b/gi, 'pay'],
+  [/\bremit payment\b/gi, 'pay'],
+  [/\bremit\b/gi, 'send'],
+  [/\bsufficient\b/gi, 'enough'],
+  [/\bobtain\b/gi, 'get'],
+  [/\bendeavou?r\b/gi, 'try']
+]
+
+const NUMBER_WORDS = 'one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|fourteen|fifteen|twenty|thirty|forty|forty-five|sixty|ninety|one hundred|one hundred twenty|one hundred eighty'
+
+const SIMPLIFY_INSTRUCTIONS = `You rewrite contract clauses in plain English without changing what they mean.
+Never drop or soften an obligation, right, amount, deadline or condition, and never add advice.
+Reply with one JSON object only:
+{"clauses": [{"clauseId": "the item's clauseId", "simplifiedText": "the rewritten clause"}]}`
+
+export class ClauseSimplifier {
+  constructor(options = {}) {
+    this.registry = options.registry || null
+    this.readability = options.readability || new ReadabilityAnalyzer()
+  }
+
+  /**
+   * Rewrite every clause that has text at the given reading level
+   * Accepts clauses as returned by the analyze action or as shaped for the UI
+   * @returns {Promise<Object>} { level, clauses, skipped, summary: { before, after }, provider, model, attempts }
+   */
+  async simplify({ clauses = [], level = DEFAULT_SIMPLIFICATION_LEVEL, documentType = null } = {}) {
+    const settings = SIMPLIFICATION_LEVELS[level]
+    if (!settings) {
+      throw new Error(`Unknown reading level: ${level}. Use one of ${Object.keys(SIMPLIFICATION_LEVELS).join(', ')}`)
+    }
+
+    const skipped = []
+    const targets = []
+    clauses.forEach((clause, index) => {
+      const originalText = String(clause.content ?? clause.text ?? '').trim()
+      const clauseId = clause.id || `clause_${index + 1}`
+      if (!originalText) {
+        skipped.push({ clauseId, title: clause.title, reason: 'The clause has no text to rewrite' })
+        return
+      }
+      targets.push({ clauseId, title: clause.title || clause.category || 'Contract Clause', originalText, startPosition: clause.startPosition, endPosition: clause.endPosition })
+    })
+
+    let rewrites = new Map()
+    let writer = null
+    let attempts = []
+
+    if (targets.length > 0 && this.registry) {
+      const result = await this.registry.generateJson(`${SIMPLIFY_INSTRUCTIONS}\n\nReading level: ${settings.instructions}`, this.createPrompt(targets, documentType))
+      attempts = result.attempts
+      if (result.success) {
+        rewrites = this.readRewrites(result.data, targets)
+        writer = result
+      } else {
+        console.log(`⚠️ No provider could simplify clauses, using plain-language substitutions: ${result.error}`)
+      }
+    }
+
+    const simplified = targets.map(target => {
+      const rewrite = rewrites.get(target.clauseId)
+      const simplifiedText = rewrite || this.fallbackRewrite(target.originalText, settings)
+      return {
+        clauseId: target.clauseId,
+        title: target.title,
+        originalText: target.originalText,
+        simplifiedText,
+        source: rewrite ? 'ai' : 'rules',
+        before: this.readability.measure(target.originalText),
+        after: this.readability.measure(simplifiedText),
+        startPosition: Number.isInteger(target.startPosition) ? target.startPosition : null,
+        endPosition: Number.isInteger(target.endPosition) ? target.endPosition : null
+      }
+    })
+
+    // The rules are credited when the model's reply held nothing usable
+    const usedModel = writer && rewrites.size > 0
+    return {
+      level,
+      clauses: simplified,
+      skipped,
+      summary: {
+        before: this.readability.measure(simplified.map(clause => clause.originalText).join('\n')),
+        after: this.readability.measure(simplified.map(clause => clause.simplifiedText).join('\n'))
+      },
+      provider: usedModel ? writer.provider : 'rules',
+      model: usedModel ? writer.model : null,
+      attempts
+    }
+  }
+
+  createPrompt(targets, documentType) {
+    const items = targets.map(target => ({ clauseId: target.clauseId, title: target.title, clause: target.originalText }))
+
+    return `Document type: ${documentType || 'Legal Agreement'}
+
+Items:
+${JSON.stringify(items, null, 2)}`
+  }
+
+  /**
+   * Keep the model's rewrites that answer a requested clause
+   */
+  readRewrites(data, targets) {
+    const rewrites = new Map()
+    const ids = new Set(targets.map(target => target.clauseId))
+
+    const items = Array.isArray(data?.clauses) ? data.clauses : []
+    items.forEach(item => {
+      const clauseId = String(item?.clauseId)
+      const text = typeof item?.simplifiedText === 'string' ? item.simplifiedText.trim() : ''
+      if (ids.has(clauseId) && text && !rewrites.has(clauseId)) {
+        rewrites.set(clauseId, text)
+      }
+    })
+
+    return rewrites
+  }
+
+  /**
+   * Plain-language substitutions, then long sentences split at semicolons and conjunctions
+   * The executive level keeps only the opening sentences
+   */
+  fallbackRewrite(text, settings) {
+    let rewritten = text
+      .replace(/\s+/g, ' ')
+      // "thirty (30) days" reads as "30 days"
+      .replace(new RegExp(`\\b(?:${NUMBER_WORDS})\\s+\\((\\d+)\\)`, 'gi'), '$1')
+
+    const substitutions = [...PLAIN_LANGUAGE, ...(settings.vocabulary || [])]
+    substitutions.forEach(([pattern, replacement]) => {
+      rewritten = rewritten.replace(pattern, replacement)
+    })
+
+    let sentences = this.readability.splitSentences(rewritten)
+      .flatMap(sentence => this.splitLongSentence(sentence, settings.maxSentenceWords))
+      .map(sentence => sentence.charAt(0).toUpperCase() + sentence.slice(1))
+
+    if (settings.summarySentences) {
+      sentences = sentences.slice(0, settings.summarySentences)
+    }
+
+    return sentences.join(' ').replace(/\s+([,.;:])/g, '$1').replace(/ {2,}/g, ' ').trim()
+  }
+
+  splitLongSentence(sentence, maxWords) {
+    const wordCount = text => text.split(/\s+/).filter(Boolean).length
+    if (wordCount(sentence) <= maxWords) {
+      return [sentence]
+    }
+
+    const end = /[.!?]$/.test(sentence) ? sentence.slice(-1) : '.'
+    const body = sentence.replace(/[.!?]$/, '')
+    // "but" and "or" stay at the start of the next sentence so the meaning survives; "and" can go
+    const pieces = body.split(/;\s+|,\s+(?=(?:and|but|or)\s+\w+\s+\w+)/i)
+      .map(piece => piece.trim().replace(/^and\s+/i, ''))
+      .filter(Boolean)
+    if (pieces.length < 2) {
+      return [sentence]
+    }
+
+    return pieces.map(piece => `${piece.replace(/[,:]$/, '')}${end}`)
+  }
+}
+
+export default ClauseSimplifier
@@ -0,0 +1,406 @@
+/**
+ * Comparison Engine
+ * Aligns analyzed clauses by category across documents and builds the comparison
+ * payload described by GeminiPromptFormatter.createComparisonPrompt
+ */
+
+// Collapses the category names used by Gemini, the API normalizer and the UI into one vocabulary
+const CATEGORY_ALIASES = {
+  payment_terms: 'payment',
+  fees: 'payment',
+  pricing: 'payment',
+  termination_clause: 'termination',
+  term: 'termination',
+  liability_limitation: 'liability',
+  limitation_of_liability: 'liability',
+  confidentiality_agreement: 'confidentiality',
+  confidential: 'confidentiality',
+  ip: 'intellectual_property',
+  ip_rights: 'intellectual_property',
+  warranties_representations: 'warranty',
+  warranties: 'warranty',
+  governing: 'governing_law',
+  dispute: 'dispute_resolution',
+  indemnity: 'indemnification',
+  assignment_rights: 'assignment',
+  amendment_modification: 'amendment',
+  modification: 'amendment',
+  severability_clause: 'severability',
+  entire: 'entire_agreement',
+  notice_provisions: 'notice'
+}
+
+const CATEGORY_IMPORTANCE = {
+  liability: 'high',
+  indemnification: 'high',
+  termination: 'high',
+  payment: 'high',
+  intellectual_property: 'high',
+  confidentiality: 'high',
+  governing_law: 'medium',
+  dispute_resolution: 'medium',
+  warranty: 'medium',
+  force_majeure: 'medium',
+  assignment: 'medium'
+}
+
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3, critical: 4 }
+
+const STOP_WORDS = new Set(['the', 'and', 'any', 'all', 'for', 'with', 'this', 'that', 'shall', 'will', 'such', 'from', 'are', 'may', 'party', 'parties', 'agreement', 'its', 'other', 'each', 'under', 'which', 'not', 'been', 'has', 'have', 'upon'])
+
+export class ComparisonEngine {
+  constructor(options = {}) {
+    this.similarityThreshold = options.similarityThreshold ?? 0.5
+  }
+
+  /**
+   * Compare analyzed documents
+   * @param {Array} documents - [{ name, analysis }] where analysis follows the analyze action schema
+   */
+  compare(documents) {
+    if (!Array.isArray(documents) || documents.length < 2) {
+      throw new Error('At least 2 analyzed documents are required for comparison')
+    }
+
+    const names = this.uniqueNames(documents)
+    const alignment = this.alignClauses(documents, names)
+    const clauseMatrix = this.buildClauseMatrix(alignment, names)
+    const keyDifferences = this.findKeyDifferences(alignment, clauseMatrix, names)
+    const commonTerms = this.findCommonTerms(alignment, documents, names)
+    const riskAnalysis = this.buildRiskAnalysis(documents, names)
+    const riskMatrix = this.buildRiskMatrix(documents, names)
+
+    return {
+      overview: {
+        totalDocuments: documents.length,
+        documentTypes: [...new Set(documents.map(doc => doc.analysis?.summary?.documentType || 'Legal Agreement'))],
+        comparisonSummary: this.summarize(names, keyDifferences, commonTerms, riskMatrix)
+      },
+      keyDifferences,
+      commonTerms,
+      riskAnalysis,
+      recommendations: this.buildRecommendations(keyDifferences, riskMatrix),
+      clauseMatrix,
+      riskMatrix
+    }
+  }
+
+  /**
+   * Document names key the matrices, so duplicates get a numeric suffix
+   */
+  uniqueNames(documents) {
+    const seen = {}
+    return documents.map((doc, index) => {
+      const base = doc.name || `Document ${index + 1}`
+      seen[base] = (seen[base] || 0) + 1
+      return seen[base] > 1 ? `${base} (${seen[base]})` : base
+    })
+  }
+
+  /**
+   * Map a clause category onto the shared comparison vocabulary
+   */
+  normalizeCategory(category) {
+    const key = String(category || 'general').toLowerCase().trim().replace(/[\s-]+/g, '_')
+    return CATEGORY_ALIASES[key] || key
+  }
+
+  /**
+   * Group each document's clauses by normalized category
+   * Returns Map<category, Array<clauses[] per document>>
+   */
+  alignClauses(documents, names) {
+    const alignment = new Map()
+
+    documents.forEach((doc, docIndex) => {
+      (doc.analysis?.clauses || []).forEach(clause => {
+        const category = this.normalizeCategory(clause.category || clause.type)
+        if (!alignment.has(category)) {
+          alignment.set(category, names.map(() => []))
+        }
+        alignment.get(category)[docIndex].push(clause)
+      })
+    })
+
+    return alignment
+  }
+
+  /**
+   * Build the document-by-category matrix with deviation flags
+   */
+  buildClauseMatrix(alignment, names) {
+    const categories = [...alignment.keys()].sort()
+    const cells = {}
+
+    categories.forEach(category => {
+      const perDocument = alignment.get(category)
+      const presentCount = perDocument.filter(clauses => clauses.length > 0).length
+      const severities = perDocument.map(clauses => this.highestSeverity(clauses.map(c => c.riskLevel)))
+      const typicalSeverity = this.mostCommon(severities.filter(Boolean))
+
+      cells[category] = {}
+      names.forEach((name, docIndex) => {
+        const clauses = perDocument[docIndex]
+        const present = clauses.length > 0
+        const similarity = present ? this.averageSimilarity(clauses, perDocument, docIndex) : null
+        const deviations = []
+
+        // Missing when most documents have it, or present when most documents do not
+        if (present && presentCount * 2 < names.length) deviations.push('unique')
+        if (!present && presentCount * 2 >= names.length) deviations.push('missing')
+        if (present && typicalSeverity && severities[docIndex] !== typicalSeverity) deviations.push('risk-level')
+        if (present && similarity !== null && similarity < this.similarityThreshold) deviations.push('wording')
+
+        cells[category][name] = {
+          present,
+          clauseIds: clauses.map(c => c.id),
+          riskLevel: severities[docIndex],
+          similarity,
+          deviates: deviations.length > 0,
+          deviations
+        }
+      })
+    })
+
+    return { documents: names, categories, cells }
+  }
+
+  /**
+   * Describe categories where documents differ
+   */
+  findKeyDifferences(alignment, clauseMatrix, names) {
+    const differences = []
+
+    clauseMatrix.categories.forEach(category => {
+      const row = clauseMatrix.cells[category]
+      const label = this.formatCategory(category)
+      const importance = CATEGORY_IMPORTANCE[category] || 'low'
+      const missing = names.filter(name => !row[name].present)
+      const present = names.filter(name => row[name].present)
+
+      if (missing.length > 0 && present.length > 0) {
+        differences.push({
+          category,
+          description: `${label} clause appears in ${present.join(', ')} but not in ${missing.join(', ')}`,
+          documents: missing,
+          impact: importance
+        })
+        return
+      }
+
+      const riskLevels = present.map(name => row[name].riskLevel).filter(Boolean)
+      if (new Set(riskLevels).size > 1) {
+        const detail = present.map(name => `${name}: ${row[name].riskLevel}`).join(', ')
+        const spread = Math.max(...riskLevels.map(r => SEVERITY_RANK[r])) - Math.min(...riskLevels.map(r => SEVERITY_RANK[r]))
+        const outliers = present.filter(name => row[name].deviations.includes('risk-level'))
+        differences.push({
+          category,
+          description: `${label} terms carry different risk levels (${detail})`,
+          documents: outliers.length > 0 ? outliers : present,
+          impact: spread >= 2 ? 'high' : 'medium'
+        })
+        return
+      }
+
+      const divergent = present.filter(name => row[name].deviations.includes('wording'))
+      if (divergent.length > 0) {
+        differences.push({
+          category,
+          description: `${label} wording differs materially in ${divergent.join(', ')}`,
+          documents: divergent,
+          impact: importance === 'high' ? 'medium' : 'low'
+        })
+      }
+    })
+
+    const impactRank = { high: 3, medium: 2, low: 1 }
+    return differences.sort((a, b) => impactRank[b.impact] - impactRank[a.impact])
+  }
+
+  /**
+   * Find clause categories and defined terms shared by every document
+   */
+  findCommonTerms(alignment, documents, names) {
+    const common = []
+
+    alignment.forEach((perDocument, category) => {
+      if (perDocument.every(clauses => clauses.length > 0)) {
+        const minSimilarity = Math.min(...perDocument.map((clauses, index) => this.averageSimilarity(clauses, perDocument, index)))
+        common.push({
+          term: this.formatCategory(category),
+          description: minSimilarity >= this.similarityThreshold
+            ? `All documents contain substantially similar ${this.formatCategory(category).toLowerCase()} terms`
+            : `All documents address ${this.formatCategory(category).toLowerCase()}, with differing wording`,
+          documents: [...names]
+        })
+      }
+    })
+
+    // Defined terms that every analysis extracted
+    const termSets = documents.map(doc => new Map(
+      (doc.analysis?.keyTerms || [])
+        .filter(term => term?.term)
+        .map(term => [term.term.toLowerCase().trim(), term])
+    ))
+    termSets[0].forEach((term, key) => {
+      if (termSets.every(set => set.has(key))) {
+        common.push({
+          term: term.term,
+          description: term.definition || `Defined term used in all documents`,
+          documents: [...names]
+        })
+      }
+    })
+
+    return common
+  }
+
+  /**
+   * Group risks across documents by category and title
+   */
+  buildRiskAnalysis(documents, names) {
+    const grouped = new Map()
+
+    documents.forEach((doc, docIndex) => {
+      (doc.analysis?.risks || []).forEach(risk => {
+        const key = `${String(risk.category || 'legal').toLowerCase()}|${String(risk.title || '').toLowerCase().trim()}`
+        if (!grouped.has(key)) {
+          grouped.set(key, { risk: risk.title || 'Identified risk', severities: [], affectedDocuments: [], recommendation: risk.recommendation || '' })
+        }
+        const entry = grouped.get(key)
+        entry.severities.push(String(risk.severity || 'medium').toLowerCase())
+        if (!entry.affectedDocuments.includes(names[docIndex])) {
+          entry.affectedDocuments.push(names[docIndex])
+        }
+      })
+    })
+
+    return [...grouped.values()]
+      .map(entry => ({
+        risk: entry.risk,
+        severity: this.highestSeverity(entry.severities) || 'medium',
+        affectedDocuments: entry.affectedDocuments,
+        recommendation: entry.recommendation
+      }))
+      .sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity])
+  }
+
+  /**
+   * Per-document risk summary: counts by severity and highest severity by category
+   */
+  buildRiskMatrix(documents, names) {
+    return documents.map((doc, docIndex) => {
+      const risks = doc.analysis?.risks || []
+      const severityCounts = { critical: 0, high: 0, medium: 0, low: 0 }
+      const byCategory = {}
+
+      risks.forEach(risk => {
+        const severity = SEVERITY_RANK[String(risk.severity).toLowerCase()] ? String(risk.severity).toLowerCase() : 'medium'
+        severityCounts[severity]++
+        const category = String(risk.category || 'legal').toLowerCase()
+        byCategory[category] = this.highestSeverity([byCategory[category], severity])
+      })
+
+      const weights = { critical: 10, high: 7, medium: 4, low: 1 }
+      const total = Object.entries(severityCounts).reduce((sum, [level, count]) => sum + weights[level] * count, 0)
+
+      return {
+        document: names[docIndex],
+        documentType: doc.analysis?.summary?.documentType || 'Legal Agreement',
+        totalRisks: risks.length,
+        severityCounts,
+        highestSeverity: this.highestSeverity(risks.map(r => String(r.severity).toLowerCase())),
+        riskScore: risks.length ? Math.round((total / risks.length) * 10) / 10 : 0,
+        byCategory
+      }
+    })
+  }
+
+  /**
+   * Turn the strongest differences and riskiest documents into recommendations
+   */
+  buildRecommendations(keyDifferences, riskMatrix) {
+    const recommendations = keyDifferences
+      .filter(diff => diff.impact !== 'low')
+      .slice(0, 5)
+      .map(diff => ({
+        priority: diff.impact,
+        action: diff.description.includes('but not in')
+          ? `Add or negotiate a ${this.formatCategory(diff.category).toLowerCase()} clause in ${diff.documents.join(', ')}`
+          : `Align ${this.formatCategory(diff.category).toLowerCase()} terms across documents`,
+        rationale: diff.description
+      }))
+
+    riskMatrix
+      .filter(row => ['critical', 'high'].includes(row.highestSeverity))
+      .forEach(row => {
+        recommendations.push({
+          priority: row.highestSeverity,
+          action: `Prioritize legal review of ${row.document}`,
+          rationale: `${row.document} contains ${row.severityCounts.critical + row.severityCounts.high} high or critical risk(s)`
+        })
+      })
+
+    return recommendations
+  }
+
+  summarize(names, keyDifferences, commonTerms, riskMatrix) {
+    const riskiest = [...riskMatrix].sort((a, b) => b.riskScore - a.riskScore)[0]
+    const highImpact = keyDifferences.filter(diff => diff.impact === 'high').length
+
+    return `Compared ${names.length} documents: ${keyDifferences.length} key difference(s) (${highImpact} high impact) and ${commonTerms.length} shared term(s).` +
+      (riskiest && riskiest.totalRisks > 0 ? ` ${riskiest.document} carries the highest risk score (${riskiest.riskScore}).` : '')
+  }
+
+  /**
+   * Average token similarity between a document's clauses and the same category in other documents
+   */
+  averageSimilarity(clauses, perDocument, docIndex) {
+    const own = this.tokenize(clauses.map(c => c.content || c.text || '').join(' '))
+    const others = perDocument
+      .filter((otherClauses, index) => index !== docIndex && otherClauses.length > 0)
+      .map(otherClauses => this.tokenize(otherClauses.map(c => c.content || c.text || '').join(' ')))
+
+    if (others.length === 0 || own.size === 0) {
+      return null
+    }
+
+    const scores = others.map(other => this.jaccard(own, other))
+    return Math.round((scores.reduce((a, b) => a + b, 0) / scores.length) * 100) / 100
+  }
+
+  tokenize(text) {
+    return new Set(
+      String(text).toLowerCase().split(/[^a-z0-9]+/)
+        .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+    )
+  }
+
+  jaccard(a, b) {
+    if (a.size === 0 && b.size === 0) return 1
+    let intersection = 0
+    a.forEach(token => { if (b.has(token)) intersection++ })
+    return intersection / (a.size + b.size - intersection)
+  }
+
+  highestSeverity(levels) {
+    return levels
+      .map(level => String(level || '').toLowerCase())
+      .filter(level => SEVERITY_RANK[level])
+      .sort((a, b) => SEVERITY_RANK[b] - SEVERITY_RANK[a])[0] || null
+  }
+
+  mostCommon(values) {
+    const counts = values.reduce((acc, value) => ({ ...acc, [value]: (acc[value] || 0) + 1 }), {})
+    const sorted = Object.entries(counts).sort((a, b) => b[1] - a[1])
+    // No single typical value when the top two are tied
+    if (sorted.length === 0 || (sorted[1] && sorted[1][1] === sorted[0][1])) return null
+    return sorted[0][0]
+  }
+
+  formatCategory(category) {
+    return category.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ')
+  }
+}
+
+export default ComparisonEngine
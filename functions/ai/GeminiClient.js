@@ -4,27 +4,16 @@
  */
 
 import { GoogleGenerativeAI } from '@google/generative-ai'
+import { GeminiPromptFormatter } from './GeminiPromptFormatter.js'
+import { AIClient } from './AIClient.js'
+import { StreamingClauseParser } from './StreamingClauseParser.js'
 import dotenv from 'dotenv'
 
 // Load environment variables
 dotenv.config()
 
-/**
- * AI Client Interface
- */
-export class AIClient {
-  async analyzeDocument(text, documentType) {
-    throw new Error('analyzeDocument method must be implemented')
-  }
-
-  async validateConnection() {
-    throw new Error('validateConnection method must be implemented')
-  }
-
-  getModelInfo() {
-    throw new Error('getModelInfo method must be implemented')
-  }
-}
+// Kept for modules that imported the interface from here before it moved
+export { AIClient }
 
 /**
  * Gemini API Client Implementation
@@ -41,6 +30,9 @@ export class GeminiClient extends AIClient {
       throw new Error('Invalid or missing Google AI API key')
     }
 
+    this.promptFormatter = new GeminiPromptFormatter()
+    this.maxInputTokens = this.promptFormatter.maxTokens
+
     // Initialize Google AI client
     this.genAI = new GoogleGenerativeAI(this.apiKey)
     this.model = this.genAI.getGenerativeModel({ 
@@ -60,8 +52,11 @@ export class GeminiClient extends AIClient {
 
   /**
    * Analyze document using Gemini API
+   * @param {Object} [options]
+   * @param {Function} [options.onPartial] - Called with each clause as it streams in; enables streaming generation
+   * @param {AbortSignal} [options.signal] - Aborts the request, e.g. when the analysis job is cancelled
    */
-  async analyzeDocument(text, documentType) {
+  async analyzeDocument(text, documentType, options = {}) {
     const startTime = Date.now()
     
     try {
@@ -79,13 +74,18 @@ export class GeminiClient extends AIClient {
         responseMimeType: "application/json"
       }
 
-      // Generate content using Gemini
-      const result = await this.model.generateContent({
+      const request = {
         contents: [{
           parts: [{ text: prompt }]
         }],
         generationConfig
-      })
+      }
+
+      // Generate content using Gemini, streaming when the caller wants partial clauses
+      const requestOptions = options.signal ? { signal: options.signal } : {}
+      const result = options.onPartial
+        ? await this.generateStreaming(request, options.onPartial, requestOptions)
+        : await this.model.generateContent(request, requestOptions)
 
       const response = await result.response
       const responseText = response.text()
@@ -97,7 +97,7 @@ export class GeminiClient extends AIClient {
       console.log('Last 500 chars:', responseText.substring(Math.max(0, responseText.length - 500)))
       
       // Parse the response
-      const analysis = this.parseGeminiResponse(responseText, text)
+      const analysis = this.verifyAnalysis(this.parseGeminiResponse(responseText, text), text)
       
       const processingTime = Date.now() - startTime
       console.log(`✅ Gemini analysis completed successfully in ${processingTime}ms!`)
@@ -110,9 +110,9 @@ export class GeminiClient extends AIClient {
         processingTime: processingTime,
         model: this.modelName,
         tokenUsage: {
-          promptTokens: result.response.usageMetadata?.promptTokenCount || 0,
-          completionTokens: result.response.usageMetadata?.candidatesTokenCount || 0,
-          totalTokens: result.response.usageMetadata?.totalTokenCount || 0
+          promptTokens: response.usageMetadata?.promptTokenCount || 0,
+          completionTokens: response.usageMetadata?.candidatesTokenCount || 0,
+          totalTokens: response.usageMetadata?.totalTokenCount || 0
         }
       }
       
@@ -129,6 +129,35 @@ export class GeminiClient extends AIClient {
     }
   }
 
+  /**
+   * Stream generation and report each clause once its JSON object is complete
+   */
+  async generateStreaming(request, onPartial, requestOptions = {}) {
+    const result = await this.model.generateContentStream(request, requestOptions)
+    const parser = new StreamingClauseParser()
+
+    for await (const chunk of result.stream) {
+      parser.push(chunk.text()).forEach(clause => onPartial(clause))
+    }
+
+    return result
+  }
+
+  /**
+   * Run a drafting prompt with JSON output
+   */
+  async generateJson(instructions, prompt) {
+    const result = await this.model.generateContent({
+      contents: [{
+        parts: [{ text: `${instructions}\n\n${prompt}` }]
+      }],
+      generationConfig: this.promptFormatter.getGenerationConfig()
+    })
+
+    const response = await result.response
+    return this.parseJsonResponse(response.text())
+  }
+
   /**
    * Validate connection to Gemini API
    */
@@ -176,16 +205,11 @@ export class GeminiClient extends AIClient {
    * Create analysis prompt optimized for Gemini
    */
   createAnalysisPrompt(documentText, documentType) {
-    // Truncate document if too long (Gemini has context limits)
-    const maxLength = 30000 // Conservative limit for Gemini
-    const truncatedText = documentText.length > maxLength 
-      ? documentText.substring(0, maxLength) + '\n\n[Document truncated due to length...]'
-      : documentText
-
     return `Analyze this legal contract and respond with ONLY a valid JSON object. Be concise but thorough.
+${this.promptFormatter.getDocumentTypeInstructions(documentType)}
 
 Document Text:
-${truncatedText}
+${documentText}
 
 Respond with this JSON structure (keep descriptions brief):
 {
@@ -385,19 +409,6 @@ Keep all text fields concise. Identify major clauses: confidentiality, payment,
       return 'Legal Agreement'
     }
   }
-
-  /**
-   * Calculate analysis confidence score
-   */
-  calculateAnalysisConfidence(analysis) {
-    let score = 0
-    if (analysis.summary?.documentType) score += 20
-    if (analysis.clauses?.length >= 3) score += 30
-    if (analysis.risks?.length >= 2) score += 25
-    if (analysis.recommendations?.length >= 2) score += 15
-    if (analysis.keyTerms?.length >= 2) score += 10
-    return Math.min(score, 100)
-  }
 }
 
 export default GeminiClient
\ No newline at end of file
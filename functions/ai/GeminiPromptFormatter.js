@@ -3,6 +3,9 @@
  * Handles document-type-specific prompt generation and token management
  */
 
+// Bump when the instructions or output format change so cached analyses are not reused
+export const PROMPT_VERSION = '1'
+
 export class GeminiPromptFormatter {
   constructor(options = {}) {
     this.maxTokens = options.maxTokens || 30000 // Conservative limit for Gemini
@@ -122,6 +125,15 @@ FOCUS AREAS for Lease Agreement Analysis:
 - Insurance and indemnification requirements
 - Default remedies and termination rights`,
 
+      'Spreadsheet Schedule': `
+FOCUS AREAS for Spreadsheet Schedule Analysis (rate cards, pricing and SLA schedules):
+- The document was converted from a spreadsheet: each "Row" lists column header and cell value pairs
+- Unit prices, rates, fees, discounts and currency
+- Volume commitments, minimums, tiers and true-up obligations
+- Service levels, targets, measurement periods and service credits
+- Price escalation, indexation and validity periods
+- Treat each materially distinct pricing or service term as a clause and cite its sheet and row in sourceLocation`,
+
       'Legal Agreement': `
 FOCUS AREAS for General Legal Agreement Analysis:
 - Parties' rights and obligations
@@ -110,6 +110,58 @@ export class GeminiResponseParser {
     }
   }
 
+  /**
+   * Validate a comparison against the schema described by GeminiPromptFormatter.createComparisonPrompt
+   * Throws with every violation listed; returns the comparison when valid
+   */
+  validateComparisonStructure(comparison) {
+    const errors = []
+    const severities = ['low', 'medium', 'high', 'critical']
+    const isStringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string')
+
+    const checkItems = (field, requiredStrings, arrayFields, enumField, allowed) => {
+      if (!Array.isArray(comparison[field])) {
+        errors.push(`${field} must be an array`)
+        return
+      }
+      comparison[field].forEach((item, index) => {
+        requiredStrings.forEach(key => {
+          if (typeof item?.[key] !== 'string') errors.push(`${field}[${index}].${key} must be a string`)
+        })
+        arrayFields.forEach(key => {
+          if (!isStringArray(item?.[key])) errors.push(`${field}[${index}].${key} must be an array of strings`)
+        })
+        if (enumField && !allowed.includes(item?.[enumField])) {
+          errors.push(`${field}[${index}].${enumField} must be one of ${allowed.join('|')}`)
+        }
+      })
+    }
+
+    if (!comparison || typeof comparison !== 'object') {
+      throw new Error('Comparison must be an object')
+    }
+
+    const overview = comparison.overview
+    if (!overview || typeof overview !== 'object') {
+      errors.push('overview is required')
+    } else {
+      if (typeof overview.totalDocuments !== 'number') errors.push('overview.totalDocuments must be a number')
+      if (!isStringArray(overview.documentTypes)) errors.push('overview.documentTypes must be an array of strings')
+      if (typeof overview.comparisonSummary !== 'string') errors.push('overview.comparisonSummary must be a string')
+    }
+
+    checkItems('keyDifferences', ['category', 'description'], ['documents'], 'impact', ['low', 'medium', 'high'])
+    checkItems('commonTerms', ['term', 'description'], ['documents'])
+    checkItems('riskAnalysis', ['risk', 'recommendation'], ['affectedDocuments'], 'severity', severities)
+    checkItems('recommendations', ['action', 'rationale'], [], 'priority', severities)
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid comparison structure: ${errors.join('; ')}`)
+    }
+
+    return comparison
+  }
+
   /**
    * Parse structured text response (fallback for non-JSON responses)
    */
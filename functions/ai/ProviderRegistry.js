@@ -0,0 +1,197 @@
+/**
+ * AI Provider Registry
+ * Selects analysis providers from config and tries them in order until one succeeds
+ */
+
+import { GeminiClient } from './GeminiClient.js'
+import { BedrockClient } from './providers/BedrockClient.js'
+import { OpenAICompatibleClient } from './providers/OpenAICompatibleClient.js'
+import { OllamaClient } from './providers/OllamaClient.js'
+import { RuleBasedAnalyzer } from './RuleBasedAnalyzer.js'
+
+const DEFAULT_PROVIDERS = {
+  gemini: () => new GeminiClient(),
+  bedrock: () => new BedrockClient(),
+  openai: () => new OpenAICompatibleClient(),
+  ollama: () => new OllamaClient(),
+  rules: () => new RuleBasedAnalyzer()
+}
+
+/**
+ * Parse a comma-separated provider list such as "gemini,bedrock,ollama"
+ */
+export function parseProviderChain(value) {
+  const chain = String(value || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean)
+
+  return [...new Set(chain)]
+}
+
+export class ProviderRegistry {
+  constructor(options = {}) {
+    this.factories = { ...DEFAULT_PROVIDERS, ...options.factories }
+    this.chain = options.chain || parseProviderChain(process.env.VITE_AI_PROVIDERS)
+    if (this.chain.length === 0) {
+      this.chain = ['gemini']
+    }
+
+    this.clients = new Map()
+    this.unavailable = new Map() // provider name -> reason it could not be created
+  }
+
+  /**
+   * Register or replace a provider factory
+   */
+  register(name, factory) {
+    this.factories[name] = factory
+    this.clients.delete(name)
+    this.unavailable.delete(name)
+  }
+
+  /**
+   * Replace the provider chain, e.g. from the model settings; throws for unknown provider names
+   */
+  setChain(chain) {
+    const names = parseProviderChain(chain.join(','))
+    const unknown = names.filter(name => !Object.hasOwn(this.factories, name))
+    if (names.length === 0 || unknown.length > 0) {
+      throw new Error(`Unknown AI provider: ${unknown.join(', ') || '(none)'}`)
+    }
+
+    this.chain = names
+    return this.chain
+  }
+
+  /**
+   * Get a provider client, creating it on first use
+   * Returns null when the provider is unknown or not configured
+   */
+  getClient(name) {
+    if (this.clients.has(name)) {
+      return this.clients.get(name)
+    }
+    if (this.unavailable.has(name)) {
+      return null
+    }
+
+    const factory = this.factories[name]
+    if (!factory) {
+      this.unavailable.set(name, `Unknown AI provider: ${name}`)
+      return null
+    }
+
+    try {
+      const client = factory()
+      this.clients.set(name, client)
+      return client
+    } catch (error) {
+      console.error(`Failed to initialize ${name} provider:`, error.message)
+      this.unavailable.set(name, error.message)
+      return null
+    }
+  }
+
+  /**
+   * Analyze a document with the first provider in the chain that succeeds
+   * Every attempt is recorded so callers can report why earlier providers were skipped
+   * Options (such as onPartial for streamed clauses, or an abort signal) are passed to providers that support them
+   * Once the signal aborts no further provider is tried
+   */
+  async analyzeDocument(text, documentType, options = {}) {
+    const attempts = []
+
+    for (const name of this.chain) {
+      if (options.signal?.aborted) {
+        attempts.push({ provider: name, success: false, error: 'Analysis cancelled' })
+        break
+      }
+
+      const client = this.getClient(name)
+      if (!client) {
+        attempts.push({ provider: name, success: false, error: this.unavailable.get(name) })
+        continue
+      }
+
+      const result = await client.analyzeDocument(text, documentType, options)
+      attempts.push({ provider: name, success: result.success, ...(!result.success && { error: result.error }) })
+
+      if (result.success) {
+        return {
+          ...result,
+          provider: name,
+          model: result.model || client.getModelInfo().model,
+          attempts
+        }
+      }
+
+      console.log(`⚠️ ${name} provider failed, trying next provider: ${result.error}`)
+    }
+
+    return {
+      success: false,
+      error: attempts.map(attempt => `${attempt.provider}: ${attempt.error}`).join('; '),
+      attempts
+    }
+  }
+
+  /**
+   * Run a drafting prompt with the first provider in the chain that returns JSON
+   * Providers that cannot generate free text (such as the rules) are recorded as failed attempts
+   */
+  async generateJson(instructions, prompt) {
+    const attempts = []
+
+    for (const name of this.chain) {
+      const client = this.getClient(name)
+      if (!client) {
+        attempts.push({ provider: name, success: false, error: this.unavailable.get(name) })
+        continue
+      }
+
+      try {
+        const data = await client.generateJson(instructions, prompt)
+        attempts.push({ provider: name, success: true })
+        return { success: true, data, provider: name, model: client.getModelInfo().model, attempts }
+      } catch (error) {
+        attempts.push({ provider: name, success: false, error: error.message })
+      }
+    }
+
+    return {
+      success: false,
+      error: attempts.map(attempt => `${attempt.provider}: ${attempt.error}`).join('; '),
+      attempts
+    }
+  }
+
+  /**
+   * Longest document text, in characters, that every available provider in the chain takes in one call
+   */
+  getInputLimit() {
+    const limits = this.chain
+      .map(name => this.getClient(name))
+      .filter(Boolean)
+      .map(client => client.getMaxInputChars?.() ?? Infinity)
+
+    return Math.min(Infinity, ...limits)
+  }
+
+  /**
+   * Describe the configured chain and which providers could be created
+   */
+  getStatus() {
+    return this.chain.map(name => {
+      const client = this.getClient(name)
+      if (!client) {
+        return { provider: name, available: false, error: this.unavailable.get(name) }
+      }
+
+      const info = client.getModelInfo()
+      return { provider: name, available: true, label: info.provider, model: info.model }
+    })
+  }
+}
+
+export default ProviderRegistry
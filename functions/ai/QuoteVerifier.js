@@ -0,0 +1,137 @@
+/**
+ * Quote Verifier
+ * Hallucination guard for model output: checks that quoted clause content and risk supporting text
+ * appear in the document, then flags or drops unverifiable items and records the outcome
+ * in qualityMetrics.verification
+ */
+
+import { SourceAnchor } from './SourceAnchor.js'
+
+const MODES = ['flag', 'drop', 'off']
+
+export class QuoteVerifier {
+  constructor(options = {}) {
+    this.mode = options.mode || process.env.VITE_QUOTE_VERIFICATION || 'flag'
+    if (!MODES.includes(this.mode)) {
+      throw new Error(`Invalid quote verification mode: ${this.mode} (expected ${MODES.join(', ')})`)
+    }
+
+    this.anchor = new SourceAnchor({ minScore: options.threshold })
+    this.threshold = this.anchor.minScore
+  }
+
+  /**
+   * Verify every quote in an analysis against the document text
+   * Returns a new analysis; the input is not modified
+   */
+  verify(analysis, documentText) {
+    if (this.mode === 'off' || !analysis || typeof documentText !== 'string' || !documentText) {
+      return analysis
+    }
+
+    const anchored = this.anchor.anchorAnalysis(analysis, documentText)
+    const checkedRisks = anchored.risks.filter(risk => risk.supportingText && risk.supportingText.trim())
+    const unverifiedClauses = anchored.clauses.filter(clause => !clause.sourceAnchor.verified)
+    const unverifiedRisks = checkedRisks.filter(risk => !risk.sourceAnchor.verified)
+
+    const checked = anchored.clauses.length + checkedRisks.length
+    const verified = checked - unverifiedClauses.length - unverifiedRisks.length
+    const verificationRate = checked ? Math.round((verified / checked) * 100) / 100 : 1
+
+    const result = this.mode === 'drop'
+      ? this.dropUnverified(anchored, unverifiedClauses, unverifiedRisks)
+      : anchored
+
+    const qualityMetrics = { ...analysis.qualityMetrics }
+    if (Number.isFinite(qualityMetrics.clauseDetectionConfidence)) {
+      qualityMetrics.clauseDetectionConfidence = Math.round(qualityMetrics.clauseDetectionConfidence * verificationRate)
+    }
+
+    qualityMetrics.verification = {
+      mode: this.mode,
+      threshold: this.threshold,
+      clausesChecked: anchored.clauses.length,
+      clausesVerified: anchored.clauses.length - unverifiedClauses.length,
+      risksChecked: checkedRisks.length,
+      risksVerified: checkedRisks.length - unverifiedRisks.length,
+      verificationRate,
+      dropped: this.mode === 'drop'
+        ? (anchored.clauses.length - result.clauses.length) + (anchored.risks.length - result.risks.length)
+        : 0,
+      unverified: [
+        ...unverifiedClauses.map(clause => this.describe('clause', clause.title, clause.content || clause.text, clause.sourceAnchor)),
+        ...unverifiedRisks.map(risk => this.describe('risk', risk.title, risk.supportingText, risk.sourceAnchor))
+      ]
+    }
+
+    if (unverifiedClauses.length || unverifiedRisks.length) {
+      console.log(`⚠️ ${unverifiedClauses.length + unverifiedRisks.length} quote(s) not found in the document (${this.mode})`)
+    }
+
+    return { ...result, qualityMetrics }
+  }
+
+  /**
+   * Remove unverifiable clauses and risks, along with risks that only pointed at a removed clause
+   */
+  dropUnverified(analysis, unverifiedClauses, unverifiedRisks) {
+    const droppedClauses = new Set(unverifiedClauses.map(clause => clause.id))
+    const droppedRisks = new Set(unverifiedRisks.map(risk => risk.id))
+
+    const clauses = analysis.clauses.filter(clause => !droppedClauses.has(clause.id))
+    const risks = analysis.risks.filter(risk =>
+      !droppedRisks.has(risk.id) &&
+      !(droppedClauses.has(risk.clauseReference) && !risk.sourceAnchor?.verified)
+    )
+
+    return {
+      ...analysis,
+      ...(analysis.summary && { summary: { ...analysis.summary, totalClausesIdentified: clauses.length } }),
+      clauses,
+      risks,
+      recommendations: (analysis.recommendations || []).map(recommendation => ({
+        ...recommendation,
+        ...(Array.isArray(recommendation.affectedClauses) && {
+          affectedClauses: recommendation.affectedClauses.filter(id => !droppedClauses.has(id))
+        })
+      }))
+    }
+  }
+
+  describe(type, title, quote, anchor) {
+    return {
+      type,
+      title: title || null,
+      quote: String(quote || '').substring(0, 200),
+      score: anchor.score
+    }
+  }
+
+  /**
+   * Combine verification blocks from separately verified parts of one document
+   */
+  static merge(blocks) {
+    const present = blocks.filter(Boolean)
+    if (present.length === 0) {
+      return undefined
+    }
+
+    const sum = field => present.reduce((total, block) => total + (block[field] || 0), 0)
+    const checked = sum('clausesChecked') + sum('risksChecked')
+    const verified = sum('clausesVerified') + sum('risksVerified')
+
+    return {
+      mode: present[0].mode,
+      threshold: present[0].threshold,
+      clausesChecked: sum('clausesChecked'),
+      clausesVerified: sum('clausesVerified'),
+      risksChecked: sum('risksChecked'),
+      risksVerified: sum('risksVerified'),
+      verificationRate: checked ? Math.round((verified / checked) * 100) / 100 : 1,
+      dropped: sum('dropped'),
+      unverified: present.flatMap(block => block.unverified || [])
+    }
+  }
+}
+
+export default QuoteVerifier
@@ -0,0 +1,76 @@
+/**
+ * Readability Analyzer
+ * Flesch-Kincaid grade level, Flesch reading ease and sentence length for plain text,
+ * used to show how much a plain-English rewrite improves on the original clause
+ */
+
+const WORD = /[A-Za-z0-9][A-Za-z0-9'’-]*/g
+
+// Abbreviations common in contracts whose full stop does not end a sentence
+const ABBREVIATION = /\b(?:e\.g|i\.e|etc|vs|no|sec|art|cl|para|inc|ltd|co|corp|mr|mrs|ms|dr|st)\.$/i
+
+export class ReadabilityAnalyzer {
+  /**
+   * Split text into sentences on terminal punctuation and line breaks
+   */
+  splitSentences(text) {
+    const sentences = []
+    let current = ''
+
+    String(text || '').split(/(?<=[.!?])\s+|\n+/).forEach(piece => {
+      current = current ? `${current} ${piece}` : piece
+      if (!ABBREVIATION.test(current.trim())) {
+        if (current.trim()) sentences.push(current.trim())
+        current = ''
+      }
+    })
+    if (current.trim()) sentences.push(current.trim())
+
+    return sentences.filter(sentence => /[A-Za-z0-9]/.test(sentence))
+  }
+
+  /**
+   * Estimate syllables from vowel groups, dropping a silent final e
+   */
+  countSyllables(word) {
+    const letters = word.toLowerCase().replace(/[^a-z]/g, '')
+    if (!letters) return 1
+    if (letters.length <= 3) return 1
+
+    const trimmed = letters
+      .replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, match => match.charAt(0))
+      .replace(/^y/, '')
+    const groups = trimmed.match(/[aeiouy]+/g)
+    return Math.max(groups ? groups.length : 1, 1)
+  }
+
+  /**
+   * @returns {Object} { words, sentences, syllables, averageSentenceLength, longestSentence, fleschKincaidGrade, fleschReadingEase }
+   */
+  measure(text) {
+    const sentences = this.splitSentences(text)
+    const sentenceWords = sentences.map(sentence => sentence.match(WORD) || [])
+    const words = sentenceWords.flat()
+
+    if (words.length === 0) {
+      return { words: 0, sentences: 0, syllables: 0, averageSentenceLength: 0, longestSentence: 0, fleschKincaidGrade: 0, fleschReadingEase: 0 }
+    }
+
+    const syllables = words.reduce((total, word) => total + this.countSyllables(word), 0)
+    const wordsPerSentence = words.length / sentences.length
+    const syllablesPerWord = syllables / words.length
+    const round = value => Math.round(value * 10) / 10
+
+    return {
+      words: words.length,
+      sentences: sentences.length,
+      syllables,
+      averageSentenceLength: round(wordsPerSentence),
+      longestSentence: Math.max(...sentenceWords.map(list => list.length)),
+      fleschKincaidGrade: round(Math.max(0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59, 0)),
+      fleschReadingEase: round(Math.min(Math.max(206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord, 0), 100))
+    }
+  }
+}
+
+export default ReadabilityAnalyzer
@@ -0,0 +1,323 @@
+/**
+ * Redline Generator
+ * Proposes replacement language for clauses carrying a medium or higher risk.
+ * The configured AI providers draft the language; when none can, curated fallback
+ * rewrites cover the risks the rule-based analyzer reports.
+ */
+
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3, critical: 4 }
+
+export const REDLINE_MIN_SEVERITY = 'medium'
+
+const NUMBER_WORD = '(?:one|two|three|five|seven|ten|fourteen|fifteen|twenty|twenty-one)'
+
+const LIABILITY_CAP = 'Except for liability arising from fraud or wilful misconduct, each party\'s aggregate liability under this Agreement shall not exceed the fees paid or payable in the twelve (12) months preceding the event giving rise to the claim.'
+
+/**
+ * Replace the first sentence matching a pattern, keeping the surrounding text
+ */
+function replaceSentence(text, pattern, replacement) {
+  const match = pattern.exec(text)
+  if (!match) {
+    return null
+  }
+
+  const before = text.substring(0, match.index)
+  let start = Math.max(before.lastIndexOf('. ') + 1, before.lastIndexOf('\n') + 1)
+  while (start < match.index && /\s/.test(text[start])) start++
+  const after = /[.!?](?:\s|$)/.exec(text.substring(match.index))
+  const end = after ? match.index + after.index + 1 : text.length
+
+  return `${text.substring(0, start)}${replacement}${text.substring(end)}`
+}
+
+function appendSentence(text, sentence) {
+  const trimmed = text.trimEnd()
+  return `${trimmed}${/[.!?]$/.test(trimmed) ? '' : '.'} ${sentence}`
+}
+
+/**
+ * Fallback rewrites, matched to a risk by the analyzer's rule id or by its title and description
+ * `rewrite` returns the proposed clause text, or null when the clause does not contain the language to change
+ */
+const FALLBACK_REWRITES = [
+  {
+    ruleIds: ['unlimited-liability', 'uncapped-liability'],
+    matches: /unlimited liability|liability[^.]*(?:no cap|not capped|uncapped|unlimited)/i,
+    rationale: 'Caps exposure at a predictable amount tied to the contract value while keeping fraud and wilful misconduct uncapped.',
+    rewrite: text => replaceSentence(text, /\bunlimited liability\b|\bliability\s+(?:is\s+|shall\s+be\s+|will\s+be\s+)?unlimited\b|\bwithout\s+(?:any\s+)?limit(?:ation)?\s+(?:of|on|to)\s+(?:its\s+)?liability\b/i, LIABILITY_CAP) ||
+      (/\b(?:cap|capped|exceed|limited to|maximum|aggregate)\b/i.test(text) ? null : appendSentence(text, LIABILITY_CAP))
+  },
+  {
+    ruleIds: ['broad-indemnity'],
+    matches: /indemn/i,
+    rationale: 'Limits the indemnity to third-party claims the indemnifying party actually caused and brings it under the liability cap.',
+    rewrite: text => /\bany and all\b/i.test(text)
+      ? appendSentence(text.replace(/\bany and all\b/gi, 'third-party'), 'This indemnity applies only to the extent the claim is caused by the indemnifying party\'s breach or negligence and is subject to the limitation of liability in this Agreement.')
+      : null
+  },
+  {
+    ruleIds: ['one-sided-termination'],
+    matches: /terminat[^.]*(?:one-sided|not mutual|convenience|without cause)|one-sided termination/i,
+    rationale: 'Makes the termination right mutual and gives the other party time to transition.',
+    rewrite: text => {
+      const match = /\b(?:the\s+)?[A-Z][\w-]*(?:\s+[A-Z][\w-]*)?\s+may terminate\b/.exec(text)
+      if (!match || /^either party\b/i.test(match[0])) {
+        return null
+      }
+      const mutual = `${text.substring(0, match.index)}${match.index === 0 || /[.\n]\s*$/.test(text.substring(0, match.index)) ? 'Either' : 'either'} party may terminate${text.substring(match.index + match[0].length)}`
+      return /\bnotice\b/i.test(mutual)
+        ? mutual
+        : mutual.replace(/\bat any time\b/i, 'at any time upon thirty (30) days\' prior written notice')
+    }
+  },
+  {
+    ruleIds: ['short-notice-period'],
+    matches: /notice period/i,
+    rationale: 'A thirty-day notice period leaves enough time to find a replacement or wind down.',
+    rewrite: text => {
+      const pattern = new RegExp(`(?:\\b${NUMBER_WORD}\\s+)?\\(?(\\d{1,3})\\)?(\\s*(?:calendar\\s+|business\\s+)?days'?\\s*(?:prior\\s+)?(?:written\\s+)?notice)`, 'gi')
+      const rewritten = text.replace(pattern, (match, days, rest) => Number(days) < 30 ? `thirty (30)${rest}` : match)
+      return rewritten === text ? null : rewritten
+    }
+  },
+  {
+    ruleIds: ['automatic-renewal'],
+    matches: /automatic(?:ally)? renew|auto-renew/i,
+    rationale: 'Keeps the renewal but gives both parties a clear window to opt out.',
+    rewrite: text => /\bnot to renew\b|\bnon-renewal\b/i.test(text)
+      ? null
+      : appendSentence(text, 'Either party may elect not to renew by giving written notice at least sixty (60) days before the end of the then-current term.')
+  },
+  {
+    ruleIds: ['high-late-fee'],
+    matches: /late payment interest|late fee/i,
+    rationale: 'Brings late payment interest in line with market and statutory rates.',
+    rewrite: text => {
+      let changed = false
+      const rewritten = text.replace(/(\d+(?:\.\d+)?)\s*%\s*(per month|a month|monthly|per annum|a year|per year|annually)/gi, (match, rate, period) => {
+        const monthly = /month/i.test(period) ? Number(rate) : Number(rate) / 12
+        if (monthly <= 1.5) return match
+        changed = true
+        return '1% per month (or the maximum rate permitted by law, if lower)'
+      })
+      return changed ? rewritten : null
+    }
+  },
+  {
+    ruleIds: ['unilateral-amendment'],
+    matches: /unilateral amendment|amend[^.]*without[^.]*agreement/i,
+    rationale: 'Stops either party from changing the deal without the other\'s signature.',
+    rewrite: text => replaceSentence(text, /\bmay\s+(?:amend|modify|change|update)\b[^.]*\b(?:at any time|(?:in its )?sole discretion|without (?:prior )?notice)\b/i, 'This Agreement may be amended only by a written instrument signed by both parties.')
+  },
+  {
+    ruleIds: ['sole-discretion'],
+    matches: /sole discretion/i,
+    rationale: 'Replaces an unreviewable decision with an objective standard the other party can rely on.',
+    rewrite: text => /\bsole(?: and absolute)? discretion\b/i.test(text)
+      ? text.replace(/\bsole(?: and absolute)? discretion\b/gi, 'reasonable and good-faith discretion')
+      : null
+  },
+  {
+    ruleIds: ['broad-ip-assignment'],
+    matches: /intellectual property assignment|pre-existing ip/i,
+    rationale: 'Keeps each party\'s background IP out of the assignment so only the deliverables change hands.',
+    rewrite: text => appendSentence(text, 'This assignment excludes each party\'s pre-existing intellectual property and any improvements to it not developed specifically under this Agreement.')
+  },
+  {
+    ruleIds: ['warranty-disclaimer'],
+    matches: /warrant(?:y|ies)[^.]*disclaim|disclaim[^.]*warrant|as is/i,
+    rationale: 'Keeps the general disclaimer but restores a performance warranty with a remedy.',
+    rewrite: text => appendSentence(text, 'Notwithstanding the foregoing, the provider warrants that the services will perform materially in accordance with the documentation and will, as the customer\'s remedy, re-perform or refund any non-conforming services.')
+  },
+  {
+    ruleIds: ['non-compete'],
+    matches: /non-?compet/i,
+    rationale: 'Narrows the restriction to a scope and duration courts are more likely to enforce.',
+    rewrite: text => appendSentence(text, 'This restriction applies only to services that directly compete with the services provided under this Agreement, within the territory where they were provided, for twelve (12) months after termination.')
+  }
+]
+
+const REDLINE_INSTRUCTIONS = `You are a contracts lawyer drafting fallback language for a negotiation.
+For each item, rewrite the clause so it resolves the risk described. Keep the parties, defined terms, numbering and tone of the original, and change only what the risk requires.
+Reply with one JSON object only:
+{"redlines": [{"riskId": "the item's riskId", "proposedText": "the full replacement clause text", "rationale": "one or two sentences on why the change protects the client"}]}`
+
+export class RedlineGenerator {
+  constructor(options = {}) {
+    this.registry = options.registry || null
+    this.minSeverity = options.minSeverity || REDLINE_MIN_SEVERITY
+  }
+
+  /**
+   * Propose a redline for every medium or higher risk that is tied to clause text
+   * Accepts clauses and risks as returned by the analyze action or as shaped for the UI
+   * @returns {Promise<Object>} { redlines, skipped, provider, model, attempts }
+   */
+  async generate({ clauses = [], risks = [], documentType = null } = {}) {
+    const { targets, skipped } = this.selectTargets(clauses, risks)
+
+    let drafts = new Map()
+    let drafter = null
+    let attempts = []
+
+    if (targets.length > 0 && this.registry) {
+      const result = await this.registry.generateJson(REDLINE_INSTRUCTIONS, this.createPrompt(targets, documentType))
+      attempts = result.attempts
+      if (result.success) {
+        drafts = this.readDrafts(result.data, targets)
+        drafter = result
+      } else {
+        console.log(`⚠️ No provider could draft redlines, using fallback language: ${result.error}`)
+      }
+    }
+
+    const redlines = []
+    targets.forEach(target => {
+      const draft = drafts.get(target.riskId) || this.fallbackDraft(target)
+      if (!draft) {
+        skipped.push({ riskId: target.riskId, title: target.title, reason: 'No fallback language is available for this risk; an AI provider is needed to draft it' })
+        return
+      }
+
+      redlines.push({
+        id: `redline_${redlines.length + 1}`,
+        riskId: target.riskId,
+        clauseId: target.clauseId,
+        clauseTitle: target.clauseTitle,
+        title: target.title,
+        severity: target.severity,
+        recommendation: target.recommendation,
+        originalText: target.originalText,
+        proposedText: draft.proposedText,
+        rationale: draft.rationale,
+        startPosition: target.startPosition,
+        endPosition: target.endPosition,
+        source: draft.source,
+        status: 'pending'
+      })
+    })
+
+    // The rules are credited when the model's reply held nothing usable
+    const usedModel = drafter && drafts.size > 0
+    return {
+      redlines,
+      skipped,
+      provider: usedModel ? drafter.provider : 'rules',
+      model: usedModel ? drafter.model : null,
+      attempts
+    }
+  }
+
+  /**
+   * Pair each qualifying risk with the clause it refers to, by clause reference or by overlapping offsets
+   */
+  selectTargets(clauses, risks) {
+    const targets = []
+    const skipped = []
+
+    risks.forEach((risk, index) => {
+      const severity = risk.severity || risk.level || 'low'
+      if ((SEVERITY_RANK[severity] || 0) < SEVERITY_RANK[this.minSeverity]) {
+        return
+      }
+
+      const riskId = risk.id || `risk_${index + 1}`
+      const clause = this.findClause(clauses, risk)
+      const originalText = clause && (clause.content ?? clause.text)
+      if (!originalText || !String(originalText).trim()) {
+        skipped.push({ riskId, title: risk.title, reason: 'The risk is not tied to clause text in the document' })
+        return
+      }
+
+      targets.push({
+        riskId,
+        clauseId: clause.id,
+        clauseTitle: clause.title,
+        title: risk.title,
+        description: risk.description,
+        recommendation: risk.recommendation,
+        ruleId: risk.ruleId,
+        severity,
+        originalText: String(originalText),
+        startPosition: Number.isInteger(clause.startPosition) ? clause.startPosition : null,
+        endPosition: Number.isInteger(clause.endPosition) ? clause.endPosition : null
+      })
+    })
+
+    return { targets, skipped }
+  }
+
+  findClause(clauses, risk) {
+    if (risk.clauseReference) {
+      const referenced = clauses.find(clause => clause.id === risk.clauseReference)
+      if (referenced) return referenced
+    }
+
+    if (Number.isInteger(risk.startPosition)) {
+      return clauses.find(clause => Number.isInteger(clause.startPosition) &&
+        clause.startPosition <= risk.startPosition && risk.startPosition < clause.endPosition) || null
+    }
+
+    return null
+  }
+
+  createPrompt(targets, documentType) {
+    const items = targets.map(target => ({
+      riskId: target.riskId,
+      risk: target.title,
+      description: target.description,
+      recommendation: target.recommendation,
+      severity: target.severity,
+      clause: target.originalText
+    }))
+
+    return `Document type: ${documentType || 'Legal Agreement'}
+
+Items:
+${JSON.stringify(items, null, 2)}`
+  }
+
+  /**
+   * Keep the model's drafts that answer a requested risk and actually change the clause
+   */
+  readDrafts(data, targets) {
+    const drafts = new Map()
+    const byId = new Map(targets.map(target => [target.riskId, target]))
+
+    const items = Array.isArray(data?.redlines) ? data.redlines : []
+    items.forEach(item => {
+      const target = byId.get(String(item?.riskId))
+      const proposedText = typeof item?.proposedText === 'string' ? item.proposedText.trim() : ''
+      if (!target || !proposedText || proposedText === target.originalText.trim() || drafts.has(target.riskId)) {
+        return
+      }
+
+      drafts.set(target.riskId, {
+        proposedText,
+        rationale: typeof item.rationale === 'string' && item.rationale.trim() ? item.rationale.trim() : target.recommendation || '',
+        source: 'ai'
+      })
+    })
+
+    return drafts
+  }
+
+  fallbackDraft(target) {
+    const signature = `${target.title || ''} ${target.description || ''}`
+    const candidates = FALLBACK_REWRITES.filter(rewrite => target.ruleId
+      ? rewrite.ruleIds.includes(target.ruleId)
+      : rewrite.matches.test(signature))
+
+    for (const candidate of candidates) {
+      const proposedText = candidate.rewrite(target.originalText)
+      if (proposedText && proposedText !== target.originalText) {
+        return { proposedText, rationale: candidate.rationale, source: 'rules' }
+      }
+    }
+
+    return null
+  }
+}
+
+export default RedlineGenerator
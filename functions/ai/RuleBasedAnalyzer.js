@@ -0,0 +1,665 @@
+/**
+ * Rule-Based Analyzer
+ * Deterministic offline contract analysis: segments the contract into numbered sections,
+ * classifies them with curated patterns and scores risk with named, explainable rules.
+ * Produces the same schema as the AI providers.
+ */
+
+import { AIClient } from './AIClient.js'
+
+export const RULE_BASED_MODEL = 'rule-based-v1'
+
+// Categories follow ResponseNormalizer.clauseTypeMapping
+const CLAUSE_PATTERNS = {
+  payment_terms: {
+    title: 'Payment Terms',
+    heading: /payment|fees|compensation|pricing|invoic|charges/i,
+    body: [/\bpay(?:s|able|ment)?\b/i, /\binvoic\w*/i, /\bfees?\b/i, /\bnet \d+\b/i, /\blate (?:payment|charge|fee)/i, /\bcompensation\b/i]
+  },
+  termination_clause: {
+    title: 'Termination',
+    heading: /terminat|term and|duration|term of agreement/i,
+    body: [/\bterminat\w*/i, /\bexpir\w*/i, /\brenew\w*/i, /\bfor convenience\b/i, /\bmaterial breach\b/i]
+  },
+  liability_limitation: {
+    title: 'Limitation of Liability',
+    heading: /liabilit/i,
+    body: [/\bliabilit\w*/i, /\bconsequential\b/i, /\bindirect (?:or|and) (?:special|incidental|consequential)/i, /\baggregate\b/i, /\blost profits\b/i]
+  },
+  confidentiality_agreement: {
+    title: 'Confidentiality',
+    heading: /confidential|non-disclosure/i,
+    body: [/\bconfidential\w*/i, /\bproprietary information\b/i, /\bdisclos\w*/i, /\btrade secrets?\b/i]
+  },
+  ip_rights: {
+    title: 'Intellectual Property',
+    heading: /intellectual property|ownership|proprietary rights|licen[cs]e grant/i,
+    body: [/\bintellectual property\b/i, /\bcopyright\w*/i, /\bpatents?\b/i, /\btrademarks?\b/i, /\bwork product\b/i, /\blicen[cs]e\w*/i]
+  },
+  force_majeure: {
+    title: 'Force Majeure',
+    heading: /force majeure/i,
+    body: [/\bforce majeure\b/i, /\bacts? of god\b/i, /\bbeyond (?:its|their|the party's) reasonable control\b/i, /\bpandemic|epidemic|natural disaster/i]
+  },
+  governing_law: {
+    title: 'Governing Law',
+    heading: /governing law|applicable law|choice of law/i,
+    body: [/\bgoverned by\b/i, /\blaws of (?:the )?(?:state|commonwealth|province)?/i, /\bconstrued in accordance\b/i]
+  },
+  dispute_resolution: {
+    title: 'Dispute Resolution',
+    heading: /dispute|arbitration|jurisdiction|venue/i,
+    body: [/\barbitrat\w*/i, /\bmediat\w*/i, /\bdisputes?\b/i, /\bexclusive jurisdiction\b/i, /\bvenue\b/i]
+  },
+  warranties_representations: {
+    title: 'Warranties and Representations',
+    heading: /warrant|representation/i,
+    body: [/\bwarrant\w*/i, /\brepresents?\b/i, /\bas is\b/i, /\bmerchantability\b/i, /\bfitness for a particular purpose\b/i]
+  },
+  indemnification: {
+    title: 'Indemnification',
+    heading: /indemn/i,
+    body: [/\bindemnif\w*/i, /\bhold harmless\b/i, /\bdefend\b/i, /\bthird[- ]party claims?\b/i]
+  },
+  assignment_rights: {
+    title: 'Assignment',
+    heading: /assignment/i,
+    body: [/\bassign\w*/i, /\bsuccessors and (?:permitted )?assigns\b/i, /\bchange of control\b/i]
+  },
+  amendment_modification: {
+    title: 'Amendments',
+    heading: /amendment|modification|changes to (?:this )?agreement/i,
+    body: [/\bamend\w*/i, /\bmodif\w*/i, /\bin writing (?:and )?signed by\b/i]
+  },
+  severability_clause: {
+    title: 'Severability',
+    heading: /severab/i,
+    body: [/\bsever\w*/i, /\binvalid\b/i, /\bunenforceable\b/i]
+  },
+  entire_agreement: {
+    title: 'Entire Agreement',
+    heading: /entire agreement|integration/i,
+    body: [/\bentire agreement\b/i, /\bsupersedes?\b/i, /\bprior (?:agreements|understandings|negotiations)\b/i]
+  },
+  notice_provisions: {
+    title: 'Notices',
+    heading: /^notices?\b/i,
+    body: [/\bnotices? (?:shall|must|will) be\b/i, /\bcertified mail\b/i, /\bdeemed (?:given|received)\b/i, /\baddress(?:es)? (?:set forth|listed)\b/i]
+  }
+}
+
+// A heading match outweighs incidental keywords in the body
+const HEADING_WEIGHT = 5
+const MIN_CLASSIFICATION_SCORE = 2
+
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3, critical: 4 }
+
+// Clauses every commercial contract is expected to have
+const CORE_CATEGORIES = {
+  liability_limitation: 'medium',
+  termination_clause: 'medium',
+  governing_law: 'low',
+  dispute_resolution: 'low'
+}
+
+/**
+ * Risk rules run against each classified section
+ * `match` returns the index of the triggering text in the section, or -1
+ */
+const RISK_RULES = [
+  {
+    id: 'unlimited-liability',
+    severity: 'critical',
+    category: 'financial',
+    title: 'Unlimited liability',
+    description: 'The contract states that liability is unlimited or not capped.',
+    recommendation: 'Negotiate a liability cap, typically tied to fees paid in the preceding 12 months',
+    match: section => section.text.search(/\bunlimited liability\b|\bliability\s+(?:shall\s+)?(?:be\s+)?unlimited\b|\bwithout\s+(?:any\s+)?limit(?:ation)?\s+(?:of|on|to)\s+(?:its\s+)?liability\b/i)
+  },
+  {
+    id: 'uncapped-liability',
+    categories: ['liability_limitation'],
+    severity: 'high',
+    category: 'financial',
+    title: 'Liability clause has no cap',
+    description: 'The liability clause does not state a maximum amount or cap.',
+    recommendation: 'Add an aggregate liability cap and carve-outs only for fraud and wilful misconduct',
+    match: section => /\b(?:cap|capped|exceed|limited to|maximum|aggregate|in no event)\b/i.test(section.text) ? -1 : 0
+  },
+  {
+    id: 'broad-indemnity',
+    categories: ['indemnification'],
+    severity: 'high',
+    category: 'financial',
+    title: 'Broad, uncapped indemnity',
+    description: 'The indemnity covers "any and all" claims without a limit.',
+    recommendation: 'Limit the indemnity to third-party claims caused by the indemnifying party and subject it to the liability cap',
+    match: section => /\b(?:cap|limited to|exceed)\b/i.test(section.text) ? -1 : section.text.search(/\bany and all\b/i)
+  },
+  {
+    id: 'one-sided-termination',
+    categories: ['termination_clause'],
+    severity: 'high',
+    category: 'legal',
+    title: 'One-sided termination right',
+    description: 'One party may terminate for convenience or without cause, and the right is not mutual.',
+    recommendation: 'Make termination for convenience mutual or add a termination fee',
+    match: section => {
+      const sentence = findSentence(section.text, /\bmay terminate\b[^.]*\b(?:for convenience|at any time|without cause|for any reason)\b/i)
+      return sentence && !/\beither party\b/i.test(sentence.text) ? sentence.index : -1
+    }
+  },
+  {
+    id: 'short-notice-period',
+    categories: ['termination_clause', 'notice_provisions'],
+    severity: 'medium',
+    category: 'operational',
+    title: 'Short notice period',
+    description: 'A notice period of less than 30 days leaves little time to transition.',
+    recommendation: 'Extend the notice period to at least 30 days',
+    match: section => {
+      for (const match of section.text.matchAll(/\(?(\d{1,3})\)?\s*(?:calendar\s+|business\s+)?days'?\s*(?:prior\s+)?(?:written\s+)?notice/gi)) {
+        if (Number(match[1]) < 30) return match.index
+      }
+      return -1
+    }
+  },
+  {
+    id: 'automatic-renewal',
+    severity: 'medium',
+    category: 'financial',
+    title: 'Automatic renewal',
+    description: 'The contract renews automatically unless cancelled in time.',
+    recommendation: 'Diarise the cancellation window or require affirmative renewal',
+    match: section => section.text.search(/\bautomatic(?:ally)?\s+renew|\bauto-renew|\bshall renew for (?:successive|additional)\b/i)
+  },
+  {
+    id: 'high-late-fee',
+    categories: ['payment_terms'],
+    severity: 'medium',
+    category: 'financial',
+    title: 'High late payment interest',
+    description: 'Late payment interest exceeds 1.5% per month (18% per year).',
+    recommendation: 'Reduce late payment interest to a statutory or market rate',
+    match: section => {
+      for (const match of section.text.matchAll(/(\d+(?:\.\d+)?)\s*%\s*(per month|a month|monthly|per annum|a year|per year|annually)/gi)) {
+        const monthly = /month/i.test(match[2]) ? Number(match[1]) : Number(match[1]) / 12
+        if (monthly > 1.5) return match.index
+      }
+      return -1
+    }
+  },
+  {
+    id: 'extended-payment-terms',
+    categories: ['payment_terms'],
+    severity: 'low',
+    category: 'financial',
+    title: 'Extended payment period',
+    description: 'Invoices are payable more than 60 days after receipt, which affects cash flow.',
+    recommendation: 'Negotiate payment within 30 to 45 days',
+    match: section => {
+      for (const match of section.text.matchAll(/\b(?:net|within)\s+\(?(\d{1,3})\)?\s*(?:calendar\s+)?(?:days)?/gi)) {
+        if (Number(match[1]) > 60) return match.index
+      }
+      return -1
+    }
+  },
+  {
+    id: 'unilateral-amendment',
+    severity: 'high',
+    category: 'legal',
+    title: 'Unilateral amendment right',
+    description: 'One party may change the terms without the other party\'s agreement.',
+    recommendation: 'Require amendments to be in writing and signed by both parties',
+    match: section => section.text.search(/\bmay\s+(?:amend|modify|change|update)\b[^.]*\b(?:at any time|(?:in its )?sole discretion|without (?:prior )?notice)\b/i)
+  },
+  {
+    id: 'sole-discretion',
+    severity: 'medium',
+    category: 'legal',
+    title: 'Sole discretion language',
+    description: 'A decision is left to one party\'s sole discretion, with no objective standard.',
+    recommendation: 'Replace "sole discretion" with a reasonableness standard',
+    match: section => section.text.search(/\bsole(?: and absolute)? discretion\b/i)
+  },
+  {
+    id: 'broad-ip-assignment',
+    categories: ['ip_rights'],
+    severity: 'medium',
+    category: 'legal',
+    title: 'Broad intellectual property assignment',
+    description: 'All right, title and interest is assigned, which may include pre-existing IP.',
+    recommendation: 'Exclude pre-existing and background IP from the assignment',
+    match: section => section.text.search(/\bassigns?\b[^.]*\ball (?:of its )?rights?,? title,? and interest\b/i)
+  },
+  {
+    id: 'warranty-disclaimer',
+    categories: ['warranties_representations'],
+    severity: 'medium',
+    category: 'legal',
+    title: 'Warranties disclaimed',
+    description: 'The services or deliverables are provided "as is" or all warranties are disclaimed.',
+    recommendation: 'Require at least a performance warranty and a remedy for defects',
+    match: section => section.text.search(/\bas is\b|\bdisclaims? (?:any and )?all (?:other )?warranties\b/i)
+  },
+  {
+    id: 'jury-or-class-waiver',
+    categories: ['dispute_resolution'],
+    severity: 'medium',
+    category: 'legal',
+    title: 'Waiver of jury trial or class action',
+    description: 'A party waives the right to a jury trial or to join a class action.',
+    recommendation: 'Confirm the waiver is acceptable and enforceable in the governing jurisdiction',
+    match: section => section.text.search(/\bwaive[sd]?\b[^.]*\b(?:jury trial|trial by jury|class action)\b/i)
+  },
+  {
+    id: 'perpetual-obligation',
+    categories: ['confidentiality_agreement'],
+    severity: 'low',
+    category: 'operational',
+    title: 'Perpetual confidentiality obligation',
+    description: 'Confidentiality obligations never expire.',
+    recommendation: 'Limit the obligation to a fixed term, except for trade secrets',
+    match: section => section.text.search(/\bperpetual\w*|\bin perpetuity\b|\bindefinitely\b/i)
+  },
+  {
+    id: 'non-compete',
+    severity: 'medium',
+    category: 'legal',
+    title: 'Non-compete restriction',
+    description: 'A party is restricted from competing or working with competitors.',
+    recommendation: 'Limit the restriction in scope, territory and duration',
+    match: section => section.text.search(/\bnon-?compet\w*|\bshall not[^.]*\bcompet\w*/i)
+  }
+]
+
+/**
+ * Find the first sentence matching a pattern, with its index in the text
+ */
+function findSentence(text, pattern) {
+  const match = pattern.exec(text)
+  if (!match) {
+    return null
+  }
+
+  const before = text.substring(0, match.index)
+  const start = Math.max(before.lastIndexOf('. '), before.lastIndexOf('\n')) + 1
+  const endMatch = /[.!?](?:\s|$)/.exec(text.substring(match.index + match[0].length))
+  const end = endMatch ? match.index + match[0].length + endMatch.index + 1 : text.length
+
+  return { index: match.index, text: text.substring(start, end).trim() }
+}
+
+export class RuleBasedAnalyzer extends AIClient {
+  constructor(options = {}) {
+    super()
+    this.maxClauseLength = options.maxClauseLength || 1000
+  }
+
+  /**
+   * Analyze document with the offline rules (same result shape as the AI providers)
+   */
+  async analyzeDocument(text, documentType) {
+    const startTime = Date.now()
+
+    try {
+      const analysis = this.analyze(text, documentType)
+      return {
+        success: true,
+        analysis,
+        confidence: analysis.qualityMetrics.clauseDetectionConfidence,
+        startTime,
+        processingTime: Date.now() - startTime,
+        model: RULE_BASED_MODEL
+      }
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        startTime,
+        processingTime: Date.now() - startTime
+      }
+    }
+  }
+
+  async validateConnection() {
+    return true
+  }
+
+  getModelInfo() {
+    return {
+      provider: 'Rule-based',
+      model: RULE_BASED_MODEL,
+      capabilities: [
+        'document_analysis',
+        'offline',
+        'deterministic'
+      ]
+    }
+  }
+
+  /**
+   * Run the full analysis synchronously
+   */
+  analyze(text, documentType = null) {
+    const documentText = String(text || '')
+    const sections = this.segmentSections(documentText)
+    const clauses = []
+    const risks = []
+
+    sections.forEach(section => {
+      const classification = this.classifySection(section)
+      if (!classification) {
+        return
+      }
+
+      const id = `clause_${clauses.length + 1}`
+      const triggered = this.evaluateRules(section, classification.category)
+
+      triggered.forEach(({ rule, supportingText }) => {
+        risks.push({
+          id: `risk_${risks.length + 1}`,
+          title: rule.title,
+          description: rule.description,
+          severity: rule.severity,
+          category: rule.category,
+          recommendation: rule.recommendation,
+          clauseReference: id,
+          supportingText,
+          ruleId: rule.id
+        })
+      })
+
+      clauses.push({
+        id,
+        title: section.heading || CLAUSE_PATTERNS[classification.category]?.title || 'General Provisions',
+        content: section.text.trim().substring(0, this.maxClauseLength),
+        category: classification.category,
+        riskLevel: this.highestSeverity(triggered.map(({ rule }) => rule.severity)) || 'low',
+        explanation: classification.explanation,
+        sourceLocation: section.number ? `Section ${section.number}` : 'Document body',
+        keyTerms: classification.keywords
+      })
+    })
+
+    const presentCategories = new Set(clauses.map(clause => clause.category))
+    const missingCategories = Object.keys(CORE_CATEGORIES).filter(category => !presentCategories.has(category))
+
+    missingCategories.forEach(category => {
+      risks.push({
+        id: `risk_${risks.length + 1}`,
+        title: `Missing ${CLAUSE_PATTERNS[category].title.toLowerCase()} clause`,
+        description: `No ${CLAUSE_PATTERNS[category].title.toLowerCase()} clause was found in the document.`,
+        severity: CORE_CATEGORIES[category],
+        category: 'legal',
+        recommendation: `Add a ${CLAUSE_PATTERNS[category].title.toLowerCase()} clause`,
+        clauseReference: null,
+        supportingText: '',
+        ruleId: 'missing-core-clause'
+      })
+    })
+
+    const classified = clauses.filter(clause => clause.category !== 'general').length
+    const coreCount = Object.keys(CORE_CATEGORIES).length
+    const completenessScore = Math.round(((coreCount - missingCategories.length) / coreCount) * 100)
+
+    return {
+      summary: {
+        documentType: documentType || this.detectDocumentType(documentText),
+        keyPurpose: this.findPurpose(documentText),
+        mainParties: this.findParties(documentText),
+        effectiveDate: this.findDate(documentText, /\b(?:effective|dated|entered into)\b/i),
+        expirationDate: this.findDate(documentText, /\b(?:expire[sd]?|expiration|until)\b/i),
+        totalClausesIdentified: clauses.length,
+        completenessScore
+      },
+      clauses,
+      risks,
+      keyTerms: this.findDefinedTerms(documentText),
+      recommendations: this.buildRecommendations(risks),
+      qualityMetrics: {
+        clauseDetectionConfidence: clauses.length ? Math.round(40 + (classified / clauses.length) * 45) : 20,
+        analysisCompleteness: completenessScore,
+        potentialMissedClauses: missingCategories.map(category => CLAUSE_PATTERNS[category].title)
+      }
+    }
+  }
+
+  /**
+   * Split the contract into top-level sections
+   * Prefers numbered headings ("1.", "Section 2", "ARTICLE 3"), then capitalised headings, then paragraphs
+   */
+  segmentSections(text) {
+    const numbered = this.findNumberedSections(text)
+    if (numbered.length >= 2) {
+      return numbered
+    }
+
+    const capitalised = [...text.matchAll(/^[ \t]*([A-Z][A-Z0-9 ,&'()/-]{3,80})[ \t]*$/gm)]
+    if (capitalised.length >= 2) {
+      return this.sectionsFromStarts(text, capitalised.map(match => ({ index: match.index, number: null, heading: this.titleCase(match[1].trim()) })))
+    }
+
+    let offset = 0
+    return text.split(/\n\s*\n/).map(paragraph => {
+      const start = text.indexOf(paragraph, offset)
+      offset = start + paragraph.length
+      return { number: null, heading: null, text: paragraph, startOffset: start, endOffset: start + paragraph.length }
+    }).filter(section => section.text.trim().length >= 40)
+  }
+
+  findNumberedSections(text) {
+    const starts = []
+    let expected = 1
+
+    // Only accept the next number in sequence so "30 days" at a line start is not mistaken for a heading
+    for (const match of text.matchAll(/^[ \t]*(?:(?:ARTICLE|Article|SECTION|Section)\s+)?(\d{1,3})(?:\.(?!\d))?[.):]?[ \t]+(.{0,200})$/gm)) {
+      const number = Number(match[1])
+      if (number !== expected) {
+        continue
+      }
+      starts.push({ index: match.index, number, heading: this.headingFromLine(match[2]) })
+      expected++
+    }
+
+    return this.sectionsFromStarts(text, starts)
+  }
+
+  sectionsFromStarts(text, starts) {
+    return starts.map((start, i) => {
+      const endOffset = i + 1 < starts.length ? starts[i + 1].index : text.length
+      return {
+        number: start.number,
+        heading: start.heading,
+        text: text.substring(start.index, endOffset),
+        startOffset: start.index,
+        endOffset
+      }
+    })
+  }
+
+  /**
+   * A heading line may be a short title ("Payment Terms") or the first sentence of the clause
+   */
+  headingFromLine(line) {
+    const trimmed = line.trim()
+    const title = trimmed.split(/[.:]\s|\.$/)[0].trim()
+    if (!title || title.split(/\s+/).length > 8) {
+      return null
+    }
+    return title
+  }
+
+  titleCase(text) {
+    return text.toLowerCase().replace(/\b\w/g, char => char.toUpperCase())
+  }
+
+  /**
+   * Score each category by heading and body pattern matches
+   * Returns { category, score, keywords, explanation } or null for empty sections
+   */
+  classifySection(section) {
+    if (section.text.trim().length === 0) {
+      return null
+    }
+
+    let best = null
+
+    Object.entries(CLAUSE_PATTERNS).forEach(([category, patterns]) => {
+      const headingMatch = section.heading && patterns.heading.test(section.heading)
+      const keywords = patterns.body
+        .map(pattern => section.text.match(pattern)?.[0].toLowerCase())
+        .filter(Boolean)
+      const score = (headingMatch ? HEADING_WEIGHT : 0) + keywords.length
+
+      if (score >= MIN_CLASSIFICATION_SCORE && (!best || score > best.score)) {
+        best = { category, score, keywords: [...new Set(keywords)], headingMatch }
+      }
+    })
+
+    if (!best) {
+      return {
+        category: 'general',
+        score: 0,
+        keywords: [],
+        explanation: 'No clause pattern matched; kept as a general provision'
+      }
+    }
+
+    const reasons = []
+    if (best.headingMatch) reasons.push(`heading "${section.heading}"`)
+    if (best.keywords.length) reasons.push(`terms: ${best.keywords.join(', ')}`)
+
+    return {
+      ...best,
+      explanation: `Classified as ${CLAUSE_PATTERNS[best.category].title.toLowerCase()} from ${reasons.join('; ')}`
+    }
+  }
+
+  /**
+   * Apply risk rules that are scoped to the section's category (or to every category)
+   */
+  evaluateRules(section, category) {
+    return RISK_RULES
+      .filter(rule => !rule.categories || rule.categories.includes(category))
+      .map(rule => ({ rule, index: rule.match(section) }))
+      .filter(({ index }) => index >= 0)
+      .map(({ rule, index }) => ({ rule, supportingText: this.sentenceAt(section.text, index) }))
+  }
+
+  sentenceAt(text, index) {
+    const before = text.substring(0, index)
+    const start = Math.max(before.lastIndexOf('. '), before.lastIndexOf('\n')) + 1
+    const after = /[.!?](?:\s|$)/.exec(text.substring(index))
+    const end = after ? index + after.index + 1 : text.length
+    return text.substring(start, end).trim().substring(0, 300)
+  }
+
+  /**
+   * One recommendation per triggered rule, ordered by severity
+   */
+  buildRecommendations(risks) {
+    const byRule = new Map()
+
+    risks.forEach(risk => {
+      const key = risk.ruleId === 'missing-core-clause' ? risk.title : risk.ruleId
+      if (!byRule.has(key)) {
+        byRule.set(key, {
+          priority: risk.severity,
+          action: risk.recommendation,
+          rationale: risk.description,
+          affectedClauses: []
+        })
+      }
+      if (risk.clauseReference) {
+        byRule.get(key).affectedClauses.push(risk.clauseReference)
+      }
+    })
+
+    return [...byRule.values()].sort((a, b) => SEVERITY_RANK[b.priority] - SEVERITY_RANK[a.priority])
+  }
+
+  /**
+   * Defined terms: "Term" means ..., or (the "Term")
+   */
+  findDefinedTerms(text) {
+    const terms = new Map()
+    const patterns = [
+      /["“]([A-Z][\w\s-]{1,40}?)["”]\s+(?:shall\s+)?means?\s+([^.]+)/g,
+      /\((?:the\s+|each\s+a\s+|a\s+)?["“]([A-Z][\w\s-]{1,40}?)["”]\)/g
+    ]
+
+    patterns.forEach(pattern => {
+      for (const match of text.matchAll(pattern)) {
+        const term = match[1].trim()
+        if (terms.has(term.toLowerCase())) continue
+
+        const occurrences = text.split(term).length - 1
+        terms.set(term.toLowerCase(), {
+          term,
+          definition: match[2] ? match[2].trim().substring(0, 200) : this.sentenceAt(text, match.index),
+          importance: occurrences > 5 ? 'high' : occurrences > 2 ? 'medium' : 'low',
+          context: `Used ${occurrences} time${occurrences === 1 ? '' : 's'} in the document`
+        })
+      }
+    })
+
+    return [...terms.values()]
+  }
+
+  /**
+   * Parties from "between X and Y"
+   */
+  findParties(text) {
+    const match = text.match(/\bbetween\s+(.{2,120}?)\s*(?:\([^)]*\)\s*)?,?\s+and\s+(.{2,120}?)\s*(?:\([^)]*\))?\s*[,.;\n]/i)
+    if (!match) {
+      return []
+    }
+    return [match[1], match[2]].map(party => party.replace(/^the\s+/i, '').replace(/[,\s]+$/, '').trim())
+  }
+
+  findPurpose(text) {
+    const sentence = findSentence(text, /\b(?:purpose|agrees? to (?:provide|supply|deliver|license)|desires? to (?:engage|obtain|purchase))\b/i)
+    return sentence ? sentence.text.substring(0, 200) : 'Purpose not stated'
+  }
+
+  /**
+   * First date near a cue word, as YYYY-MM-DD
+   */
+  findDate(text, cue) {
+    const datePattern = /\b(\d{4}-\d{2}-\d{2}|(?:January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2},?\s+\d{4}|\d{1,2}\s+(?:January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{4})\b/g
+
+    for (const match of text.matchAll(datePattern)) {
+      const context = text.substring(Math.max(0, match.index - 80), match.index)
+      if (cue.test(context)) {
+        const parsed = new Date(`${match[1]} UTC`)
+        if (!isNaN(parsed)) {
+          return parsed.toISOString().split('T')[0]
+        }
+        if (/^\d{4}-\d{2}-\d{2}$/.test(match[1])) {
+          return match[1]
+        }
+      }
+    }
+    return null
+  }
+
+  detectDocumentType(text) {
+    const lower = text.toLowerCase()
+
+    if (lower.includes('non-disclosure') || lower.includes('nda')) return 'Non-Disclosure Agreement'
+    if (lower.includes('employment') || lower.includes('employee')) return 'Employment Agreement'
+    if (lower.includes('lease') || lower.includes('landlord') || lower.includes('tenant')) return 'Lease Agreement'
+    if (lower.includes('license') || lower.includes('licence')) return 'License Agreement'
+    if (lower.includes('service') || lower.includes('consulting')) return 'Service Agreement'
+    return 'Legal Agreement'
+  }
+
+  highestSeverity(levels) {
+    return levels.reduce((highest, level) =>
+      !highest || SEVERITY_RANK[level] > SEVERITY_RANK[highest] ? level : highest
+    , null)
+  }
+}
+
+export default RuleBasedAnalyzer
@@ -0,0 +1,238 @@
+/**
+ * Source Anchor
+ * Locates quoted clause and risk text in the analyzed document and records character offsets,
+ * so every quote can be traced back to the source and unlocatable (possibly hallucinated) quotes are flagged
+ */
+
+const ELLIPSIS = /\s*(?:\.\.\.|…)\s*/
+const WORD = /[a-z0-9]+/g
+
+export class SourceAnchor {
+  constructor(options = {}) {
+    // Share of the quote's word trigrams that must be found, in order, near each other
+    this.minScore = options.minScore ?? (parseFloat(process.env.VITE_QUOTE_MATCH_THRESHOLD) || 0.7)
+    this.minQuoteLength = options.minQuoteLength || 12
+  }
+
+  /**
+   * Add startPosition/endPosition and a sourceAnchor block to every clause and risk
+   * Offsets index into sourceText; unlocated quotes get null offsets and verified: false
+   */
+  anchorAnalysis(analysis, sourceText) {
+    if (!analysis || typeof sourceText !== 'string' || !sourceText) {
+      return analysis
+    }
+
+    const source = this.prepare(sourceText)
+
+    const clauses = (analysis.clauses || []).map(clause =>
+      this.withAnchor(clause, this.locate(clause.content || clause.text, source))
+    )
+    const clausesById = new Map(clauses.map(clause => [clause.id, clause]))
+
+    const risks = (analysis.risks || []).map(risk => {
+      if (risk.supportingText && risk.supportingText.trim()) {
+        return this.withAnchor(risk, this.locate(risk.supportingText, source))
+      }
+
+      // No quote of its own: point at the clause the risk refers to
+      const clause = clausesById.get(risk.clauseReference)
+      if (clause?.sourceAnchor?.verified) {
+        return {
+          ...risk,
+          startPosition: clause.startPosition,
+          endPosition: clause.endPosition,
+          sourceAnchor: { ...clause.sourceAnchor, method: 'clause' }
+        }
+      }
+      return risk
+    })
+
+    return { ...analysis, clauses, risks }
+  }
+
+  withAnchor(item, match) {
+    return {
+      ...item,
+      startPosition: match.verified ? match.start : null,
+      endPosition: match.verified ? match.end : null,
+      sourceAnchor: {
+        verified: match.verified,
+        method: match.method,
+        score: match.score
+      }
+    }
+  }
+
+  /**
+   * Find a quote in prepared source text
+   * Tries an exact match (ignoring case, whitespace and quote styles), then quotes shortened with
+   * an ellipsis, then a fuzzy word-trigram match for lightly paraphrased quotes
+   * @returns {{ verified: boolean, start?: number, end?: number, method: string, score: number }}
+   */
+  locate(quote, source) {
+    const prepared = typeof source === 'string' ? this.prepare(source) : source
+    const needle = this.normalize(String(quote || '')).text
+      .trim()
+      .replace(/^["'\s]+|["'\s]+$/g, '')
+      .replace(/\s*(?:\.\.\.|…)$/, '')
+
+    if (needle.length < this.minQuoteLength) {
+      return { verified: false, method: 'none', score: 0 }
+    }
+
+    const exact = prepared.text.indexOf(needle)
+    if (exact >= 0) {
+      return { verified: true, ...this.toOriginal(prepared, exact, exact + needle.length), method: 'exact', score: 1 }
+    }
+
+    const fragments = needle.split(ELLIPSIS).filter(fragment => fragment.length >= 3)
+    if (fragments.length > 1) {
+      const span = this.locateFragments(fragments, prepared)
+      if (span) {
+        return { verified: true, ...span, method: 'fragments', score: 1 }
+      }
+    }
+
+    return this.locateFuzzy(needle, prepared)
+  }
+
+  /**
+   * Each fragment must appear after the previous one
+   */
+  locateFragments(fragments, prepared) {
+    let from = 0
+    let first = -1
+
+    for (const fragment of fragments) {
+      const index = prepared.text.indexOf(fragment, from)
+      if (index < 0) {
+        return null
+      }
+      if (first < 0) first = index
+      from = index + fragment.length
+    }
+
+    return this.toOriginal(prepared, first, from)
+  }
+
+  /**
+   * Vote for the source position where the quote's word trigrams line up,
+   * then score by the share of trigrams found around that position
+   */
+  locateFuzzy(needle, prepared) {
+    const words = this.words(needle)
+    if (words.length < 3) {
+      return { verified: false, method: 'none', score: 0 }
+    }
+
+    const trigrams = []
+    for (let i = 0; i + 2 < words.length; i++) {
+      trigrams.push(`${words[i].word} ${words[i + 1].word} ${words[i + 2].word}`)
+    }
+
+    const votes = new Map()
+    trigrams.forEach((trigram, i) => {
+      for (const position of prepared.trigrams.get(trigram) || []) {
+        const offset = position - i
+        votes.set(offset, (votes.get(offset) || 0) + 1)
+      }
+    })
+
+    if (votes.size === 0) {
+      return { verified: false, method: 'none', score: 0 }
+    }
+
+    const [bestOffset] = [...votes.entries()].reduce((best, entry) => (entry[1] > best[1] || (entry[1] === best[1] && entry[0] < best[0]) ? entry : best))
+
+    // Allow for a few inserted or dropped words between the quote and the source
+    const slack = Math.max(3, Math.ceil(words.length * 0.1))
+    let matched = 0
+    let firstWord = Infinity
+    let lastWord = -1
+
+    trigrams.forEach((trigram, i) => {
+      const positions = (prepared.trigrams.get(trigram) || []).filter(position => Math.abs(position - i - bestOffset) <= slack)
+      if (positions.length > 0) {
+        matched++
+        firstWord = Math.min(firstWord, positions[0])
+        lastWord = Math.max(lastWord, positions[positions.length - 1] + 2)
+      }
+    })
+
+    const score = Math.round((matched / trigrams.length) * 100) / 100
+    if (score < this.minScore) {
+      return { verified: false, method: 'none', score }
+    }
+
+    return {
+      verified: true,
+      start: prepared.words[firstWord].start,
+      end: prepared.words[lastWord].end,
+      method: 'fuzzy',
+      score
+    }
+  }
+
+  /**
+   * Normalize the source once and index its word trigrams
+   */
+  prepare(sourceText) {
+    const normalized = this.normalize(sourceText)
+    const words = this.words(normalized.text).map(word => ({
+      word: word.word,
+      start: normalized.map[word.start],
+      end: normalized.map[word.end - 1] + 1
+    }))
+
+    const trigrams = new Map()
+    for (let i = 0; i + 2 < words.length; i++) {
+      const key = `${words[i].word} ${words[i + 1].word} ${words[i + 2].word}`
+      if (!trigrams.has(key)) trigrams.set(key, [])
+      trigrams.get(key).push(i)
+    }
+
+    return { ...normalized, words, trigrams }
+  }
+
+  /**
+   * Lowercase, unify quotes and dashes and collapse whitespace,
+   * keeping a map from each normalized character back to its original offset
+   */
+  normalize(text) {
+    let result = ''
+    const map = []
+    let lastWasSpace = false
+
+    for (let i = 0; i < text.length; i++) {
+      let char = text[i]
+
+      if (/\s/.test(char)) {
+        if (lastWasSpace) continue
+        char = ' '
+        lastWasSpace = true
+      } else {
+        lastWasSpace = false
+        if (/[‘’‚′]/.test(char)) char = '\''
+        else if (/[“”„″]/.test(char)) char = '"'
+        else if (/[‐-―−]/.test(char)) char = '-'
+        else if (char.toLowerCase().length === 1) char = char.toLowerCase()
+      }
+
+      result += char
+      map.push(i)
+    }
+
+    return { text: result, map }
+  }
+
+  words(text) {
+    return [...text.matchAll(WORD)].map(match => ({ word: match[0], start: match.index, end: match.index + match[0].length }))
+  }
+
+  toOriginal(prepared, start, end) {
+    return { start: prepared.map[start], end: prepared.map[end - 1] + 1 }
+  }
+}
+
+export default SourceAnchor
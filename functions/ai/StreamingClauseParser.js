@@ -0,0 +1,86 @@
+/**
+ * Streaming Clause Parser
+ * Pulls complete items out of a JSON array while the model response is still streaming,
+ * so clauses can be shown before the whole analysis has been generated
+ */
+
+export class StreamingClauseParser {
+  constructor(key = 'clauses') {
+    this.keyPattern = new RegExp(`"${key}"\\s*:\\s*\\[`)
+    this.reset()
+  }
+
+  reset() {
+    this.buffer = ''
+    this.position = -1 // -1 until the array has been found
+    this.depth = 0
+    this.inString = false
+    this.escaped = false
+    this.itemStart = -1
+    this.done = false
+    this.count = 0
+  }
+
+  /**
+   * Add streamed text and return the array items completed by it
+   */
+  push(text) {
+    this.buffer += text
+    const items = []
+
+    if (this.done) {
+      return items
+    }
+
+    if (this.position < 0) {
+      const match = this.keyPattern.exec(this.buffer)
+      if (!match) {
+        return items
+      }
+      this.position = match.index + match[0].length
+    }
+
+    for (; this.position < this.buffer.length; this.position++) {
+      const char = this.buffer[this.position]
+
+      if (this.inString) {
+        if (this.escaped) this.escaped = false
+        else if (char === '\\') this.escaped = true
+        else if (char === '"') this.inString = false
+        continue
+      }
+
+      if (char === '"') {
+        this.inString = true
+      } else if (char === '{') {
+        if (this.depth === 0) this.itemStart = this.position
+        this.depth++
+      } else if (char === '}') {
+        this.depth--
+        if (this.depth === 0) {
+          const item = this.parseItem(this.buffer.substring(this.itemStart, this.position + 1))
+          if (item) {
+            items.push(item)
+            this.count++
+          }
+        }
+      } else if (char === ']' && this.depth === 0) {
+        this.done = true
+        break
+      }
+    }
+
+    return items
+  }
+
+  parseItem(json) {
+    try {
+      return JSON.parse(json)
+    } catch (error) {
+      // Malformed items are left for the full-response parser to repair or drop
+      return null
+    }
+  }
+}
+
+export default StreamingClauseParser
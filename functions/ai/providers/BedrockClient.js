@@ -0,0 +1,217 @@
+/**
+ * Amazon Bedrock Client Implementation
+ * Runs document analysis on Bedrock-hosted Claude or Titan models
+ */
+
+import { BedrockRuntimeClient, InvokeModelCommand } from '@aws-sdk/client-bedrock-runtime'
+import { AIClient } from '../AIClient.js'
+import { GeminiPromptFormatter } from '../GeminiPromptFormatter.js'
+
+export class BedrockClient extends AIClient {
+  constructor(options = {}) {
+    super()
+
+    this.modelName = options.modelName || process.env.VITE_BEDROCK_MODEL || 'anthropic.claude-3-sonnet-20240229-v1:0'
+    this.region = options.region || process.env.VITE_BEDROCK_REGION || process.env.VITE_AWS_REGION
+    this.maxOutputTokens = options.maxOutputTokens || 8000
+
+    if (!options.client && !this.region) {
+      throw new Error('Missing AWS region for Bedrock (VITE_BEDROCK_REGION or VITE_AWS_REGION)')
+    }
+
+    if (!this.isClaude() && !this.isTitan()) {
+      throw new Error(`Unsupported Bedrock model: ${this.modelName}`)
+    }
+
+    const accessKeyId = process.env.VITE_AWS_ACCESS_KEY_ID
+    const secretAccessKey = process.env.VITE_AWS_SECRET_ACCESS_KEY
+
+    this.client = options.client || new BedrockRuntimeClient({
+      region: this.region,
+      // Without explicit keys the SDK's default credential chain (instance role, profile) applies
+      ...(accessKeyId && secretAccessKey && { credentials: { accessKeyId, secretAccessKey } }),
+      maxAttempts: 3
+    })
+    this.promptFormatter = new GeminiPromptFormatter()
+    this.maxInputTokens = this.promptFormatter.maxTokens
+  }
+
+  isClaude() {
+    return this.modelName.includes('anthropic.claude')
+  }
+
+  isTitan() {
+    return this.modelName.includes('amazon.titan')
+  }
+
+  /**
+   * Analyze document using Bedrock
+   */
+  async analyzeDocument(text, documentType, { signal } = {}) {
+    const startTime = Date.now()
+
+    try {
+      console.log(`🤖 Invoking Bedrock model: ${this.modelName}`)
+
+      const result = await this.client.send(new InvokeModelCommand({
+        modelId: this.modelName,
+        contentType: 'application/json',
+        accept: 'application/json',
+        body: JSON.stringify(this.createRequestBody(text, documentType))
+      }), signal ? { abortSignal: signal } : undefined)
+
+      const responseBody = JSON.parse(new TextDecoder().decode(result.body))
+      const analysis = this.verifyAnalysis(this.parseJsonResponse(this.readResponseText(responseBody)), text)
+
+      return {
+        success: true,
+        analysis,
+        confidence: this.calculateAnalysisConfidence(analysis),
+        startTime,
+        processingTime: Date.now() - startTime,
+        model: this.modelName,
+        tokenUsage: {
+          promptTokens: responseBody.usage?.input_tokens || responseBody.inputTextTokenCount || 0,
+          completionTokens: responseBody.usage?.output_tokens || responseBody.results?.[0]?.tokenCount || 0,
+          totalTokens: (responseBody.usage?.input_tokens || 0) + (responseBody.usage?.output_tokens || 0)
+        }
+      }
+    } catch (error) {
+      console.error('Bedrock analysis error:', error)
+
+      return {
+        success: false,
+        error: error.message,
+        startTime,
+        processingTime: Date.now() - startTime
+      }
+    }
+  }
+
+  /**
+   * Claude gets the schema as a system prompt, the contract inside document tags,
+   * and a prefilled "{" so it answers with JSON straight away.
+   * Titan has no system role, so everything goes in one prompt.
+   */
+  createRequestBody(text, documentType) {
+    const instructions = `${this.promptFormatter.getSystemInstructions()}
+
+${this.promptFormatter.getDocumentTypeInstructions(documentType)}
+
+${this.promptFormatter.getOutputFormatInstructions()}`
+
+    if (this.isClaude()) {
+      return {
+        anthropic_version: 'bedrock-2023-05-31',
+        max_tokens: this.maxOutputTokens,
+        temperature: 0.2,
+        system: instructions,
+        messages: [
+          { role: 'user', content: `<document>\n${text}\n</document>\n\nAnalyze the contract in the document tags.` },
+          { role: 'assistant', content: '{' }
+        ]
+      }
+    }
+
+    return {
+      inputText: `${instructions}\n\nDocument Text:\n${text}\n\nJSON:`,
+      textGenerationConfig: {
+        maxTokenCount: Math.min(this.maxOutputTokens, 4096),
+        temperature: 0.2,
+        topP: 0.9,
+        stopSequences: []
+      }
+    }
+  }
+
+  readResponseText(responseBody) {
+    if (this.isClaude()) {
+      const text = responseBody.content?.[0]?.text
+      if (typeof text !== 'string') {
+        throw new Error('Invalid response structure from Claude on Bedrock')
+      }
+      return `{${text}`
+    }
+
+    const text = responseBody.results?.[0]?.outputText
+    if (typeof text !== 'string') {
+      throw new Error('Invalid response structure from Titan on Bedrock')
+    }
+    return text
+  }
+
+  /**
+   * Run a drafting prompt, prefilling "{" for Claude as analyzeDocument does
+   */
+  async generateJson(instructions, prompt) {
+    const body = this.isClaude()
+      ? {
+          anthropic_version: 'bedrock-2023-05-31',
+          max_tokens: this.maxOutputTokens,
+          temperature: 0.2,
+          system: instructions,
+          messages: [
+            { role: 'user', content: prompt },
+            { role: 'assistant', content: '{' }
+          ]
+        }
+      : {
+          inputText: `${instructions}\n\n${prompt}\n\nJSON:`,
+          textGenerationConfig: {
+            maxTokenCount: Math.min(this.maxOutputTokens, 4096),
+            temperature: 0.2,
+            topP: 0.9,
+            stopSequences: []
+          }
+        }
+
+    const result = await this.client.send(new InvokeModelCommand({
+      modelId: this.modelName,
+      contentType: 'application/json',
+      accept: 'application/json',
+      body: JSON.stringify(body)
+    }))
+
+    return this.parseJsonResponse(this.readResponseText(JSON.parse(new TextDecoder().decode(result.body))))
+  }
+
+  /**
+   * Validate connection to Bedrock
+   */
+  async validateConnection() {
+    try {
+      const body = this.isClaude()
+        ? { anthropic_version: 'bedrock-2023-05-31', max_tokens: 10, messages: [{ role: 'user', content: 'Reply with OK' }] }
+        : { inputText: 'Reply with OK', textGenerationConfig: { maxTokenCount: 10 } }
+
+      await this.client.send(new InvokeModelCommand({
+        modelId: this.modelName,
+        contentType: 'application/json',
+        accept: 'application/json',
+        body: JSON.stringify(body)
+      }))
+      return true
+    } catch (error) {
+      console.error('Bedrock connection validation failed:', error)
+      return false
+    }
+  }
+
+  /**
+   * Get model information
+   */
+  getModelInfo() {
+    return {
+      provider: 'Amazon Bedrock',
+      model: this.modelName,
+      region: this.region,
+      capabilities: [
+        'document_analysis',
+        'structured_output',
+        'large_context'
+      ]
+    }
+  }
+}
+
+export default BedrockClient
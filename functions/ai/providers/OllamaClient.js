@@ -0,0 +1,165 @@
+/**
+ * Ollama Client Implementation
+ * Runs document analysis on a local Ollama server over its HTTP API
+ */
+
+import { AIClient } from '../AIClient.js'
+import { GeminiPromptFormatter } from '../GeminiPromptFormatter.js'
+
+export class OllamaClient extends AIClient {
+  constructor(options = {}) {
+    super()
+
+    this.baseUrl = (options.baseUrl || process.env.VITE_OLLAMA_URL || 'http://localhost:11434').replace(/\/+$/, '')
+    this.modelName = options.modelName || process.env.VITE_OLLAMA_MODEL || 'llama3.1'
+    this.contextWindow = options.contextWindow || parseInt(process.env.VITE_OLLAMA_CONTEXT) || 16384
+    this.timeout = options.timeout || 300000 // Local models on CPU are slow
+    this.fetcher = options.fetcher
+
+    this.promptFormatter = new GeminiPromptFormatter()
+    // Half the context window for the document, leaving room for the schema and the answer
+    this.maxInputTokens = Math.floor(this.contextWindow / 2)
+  }
+
+  /**
+   * Analyze document using the Ollama chat API
+   */
+  async analyzeDocument(text, documentType, { signal } = {}) {
+    const startTime = Date.now()
+
+    try {
+      console.log(`🤖 Invoking Ollama model: ${this.modelName}`)
+
+      const response = await this.postJson(`${this.baseUrl}/api/chat`, this.createRequestBody(text, documentType), {
+        timeout: this.timeout,
+        signal
+      })
+
+      const content = response.message?.content
+      if (typeof content !== 'string') {
+        throw new Error('Invalid response structure from Ollama')
+      }
+
+      const analysis = this.verifyAnalysis(this.parseJsonResponse(content), text)
+
+      return {
+        success: true,
+        analysis,
+        confidence: this.calculateAnalysisConfidence(analysis),
+        startTime,
+        processingTime: Date.now() - startTime,
+        model: this.modelName,
+        tokenUsage: {
+          promptTokens: response.prompt_eval_count || 0,
+          completionTokens: response.eval_count || 0,
+          totalTokens: (response.prompt_eval_count || 0) + (response.eval_count || 0)
+        }
+      }
+    } catch (error) {
+      console.error('Ollama analysis error:', error)
+
+      return {
+        success: false,
+        error: error.message,
+        startTime,
+        processingTime: Date.now() - startTime
+      }
+    }
+  }
+
+  /**
+   * Smaller local models follow short, direct instructions better than long ones,
+   * so the schema comes last and the rules are restated as a checklist
+   */
+  createRequestBody(text, documentType) {
+    return {
+      model: this.modelName,
+      stream: false,
+      format: 'json',
+      options: {
+        temperature: 0.1,
+        num_ctx: this.contextWindow
+      },
+      messages: [
+        {
+          role: 'system',
+          content: `You analyze legal contracts and reply with one JSON object only.
+Rules:
+- Quote clause content from the document; do not invent text
+- Use the category, riskLevel and severity values listed in the schema
+- Number clauses clause_1, clause_2, ... and risks risk_1, risk_2, ...
+${this.promptFormatter.getDocumentTypeInstructions(documentType)}`
+        },
+        {
+          role: 'user',
+          content: `Document Text:
+${text}
+
+${this.promptFormatter.getOutputFormatInstructions()}`
+        }
+      ]
+    }
+  }
+
+  /**
+   * Run a drafting prompt with Ollama's JSON output format
+   */
+  async generateJson(instructions, prompt) {
+    const response = await this.postJson(`${this.baseUrl}/api/chat`, {
+      model: this.modelName,
+      stream: false,
+      format: 'json',
+      options: {
+        temperature: 0.1,
+        num_ctx: this.contextWindow
+      },
+      messages: [
+        { role: 'system', content: instructions },
+        { role: 'user', content: prompt }
+      ]
+    }, { timeout: this.timeout })
+
+    const content = response.message?.content
+    if (typeof content !== 'string') {
+      throw new Error('Invalid response structure from Ollama')
+    }
+    return this.parseJsonResponse(content)
+  }
+
+  /**
+   * Validate connection by checking the model is pulled
+   */
+  async validateConnection() {
+    try {
+      const fetcher = this.fetcher || fetch
+      const response = await fetcher(`${this.baseUrl}/api/tags`, { signal: AbortSignal.timeout(5000) })
+      if (!response.ok) {
+        return false
+      }
+
+      const { models = [] } = await response.json()
+      return models.some(model => model.name === this.modelName || model.name.startsWith(`${this.modelName}:`))
+    } catch (error) {
+      console.error('Ollama connection validation failed:', error)
+      return false
+    }
+  }
+
+  /**
+   * Get model information
+   */
+  getModelInfo() {
+    return {
+      provider: 'Ollama',
+      model: this.modelName,
+      endpoint: this.baseUrl,
+      capabilities: [
+        'document_analysis',
+        'json_mode',
+        'local_inference'
+      ]
+    }
+  }
+}
+
+export default OllamaClient
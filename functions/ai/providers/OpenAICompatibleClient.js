@@ -0,0 +1,161 @@
+/**
+ * OpenAI-Compatible Client Implementation
+ * Talks to any /chat/completions endpoint (OpenAI, Azure OpenAI proxies, vLLM, LM Studio, OpenRouter)
+ */
+
+import { AIClient } from '../AIClient.js'
+import { GeminiPromptFormatter } from '../GeminiPromptFormatter.js'
+
+export class OpenAICompatibleClient extends AIClient {
+  constructor(options = {}) {
+    super()
+
+    this.baseUrl = (options.baseUrl || process.env.VITE_OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '')
+    this.apiKey = options.apiKey ?? process.env.VITE_OPENAI_API_KEY
+    if (this.apiKey === 'your_openai_api_key_here') {
+      this.apiKey = null
+    }
+    this.modelName = options.modelName || process.env.VITE_OPENAI_MODEL || 'gpt-4o-mini'
+    this.timeout = options.timeout || 120000
+    this.fetcher = options.fetcher
+
+    // Self-hosted servers often run without a key; the public API never does
+    if (!this.apiKey && this.baseUrl.includes('api.openai.com')) {
+      throw new Error('Missing OpenAI API key (VITE_OPENAI_API_KEY)')
+    }
+
+    this.promptFormatter = new GeminiPromptFormatter()
+    this.maxInputTokens = this.promptFormatter.maxTokens
+  }
+
+  /**
+   * Analyze document using the chat completions API
+   */
+  async analyzeDocument(text, documentType, { signal } = {}) {
+    const startTime = Date.now()
+
+    try {
+      console.log(`🤖 Invoking OpenAI-compatible model: ${this.modelName}`)
+
+      const response = await this.postJson(`${this.baseUrl}/chat/completions`, this.createRequestBody(text, documentType), {
+        headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+        timeout: this.timeout,
+        signal
+      })
+
+      const content = response.choices?.[0]?.message?.content
+      if (typeof content !== 'string') {
+        throw new Error('Invalid response structure from chat completions endpoint')
+      }
+
+      const analysis = this.verifyAnalysis(this.parseJsonResponse(content), text)
+
+      return {
+        success: true,
+        analysis,
+        confidence: this.calculateAnalysisConfidence(analysis),
+        startTime,
+        processingTime: Date.now() - startTime,
+        model: response.model || this.modelName,
+        tokenUsage: {
+          promptTokens: response.usage?.prompt_tokens || 0,
+          completionTokens: response.usage?.completion_tokens || 0,
+          totalTokens: response.usage?.total_tokens || 0
+        }
+      }
+    } catch (error) {
+      console.error('OpenAI-compatible analysis error:', error)
+
+      return {
+        success: false,
+        error: error.message,
+        startTime,
+        processingTime: Date.now() - startTime
+      }
+    }
+  }
+
+  /**
+   * Instructions and schema go in the system message; JSON mode keeps the reply parseable
+   */
+  createRequestBody(text, documentType) {
+    return {
+      model: this.modelName,
+      temperature: 0.2,
+      response_format: { type: 'json_object' },
+      messages: [
+        {
+          role: 'system',
+          content: `${this.promptFormatter.getSystemInstructions()}
+
+${this.promptFormatter.getDocumentTypeInstructions(documentType)}
+
+${this.promptFormatter.getOutputFormatInstructions()}`
+        },
+        {
+          role: 'user',
+          content: `Document Text:\n${text}`
+        }
+      ]
+    }
+  }
+
+  /**
+   * Run a drafting prompt in JSON mode
+   */
+  async generateJson(instructions, prompt) {
+    const response = await this.postJson(`${this.baseUrl}/chat/completions`, {
+      model: this.modelName,
+      temperature: 0.2,
+      response_format: { type: 'json_object' },
+      messages: [
+        { role: 'system', content: instructions },
+        { role: 'user', content: prompt }
+      ]
+    }, {
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+      timeout: this.timeout
+    })
+
+    const content = response.choices?.[0]?.message?.content
+    if (typeof content !== 'string') {
+      throw new Error('Invalid response structure from chat completions endpoint')
+    }
+    return this.parseJsonResponse(content)
+  }
+
+  /**
+   * Validate connection by listing models
+   */
+  async validateConnection() {
+    try {
+      const fetcher = this.fetcher || fetch
+      const response = await fetcher(`${this.baseUrl}/models`, {
+        headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+        signal: AbortSignal.timeout(10000)
+      })
+      return response.ok
+    } catch (error) {
+      console.error('OpenAI-compatible connection validation failed:', error)
+      return false
+    }
+  }
+
+  /**
+   * Get model information
+   */
+  getModelInfo() {
+    return {
+      provider: 'OpenAI-compatible',
+      model: this.modelName,
+      endpoint: this.baseUrl,
+      capabilities: [
+        'document_analysis',
+        'structured_output',
+        'json_mode'
+      ]
+    }
+  }
+}
+
+export default OpenAICompatibleClient
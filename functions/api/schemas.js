@@ -0,0 +1,226 @@
+/**
+ * JSON Schemas for /api/v1 request bodies
+ */
+
+import { ROLES } from '../auth/roles.js';
+import { SHARE_ACCESS } from '../history/HistorySharing.js';
+import { SIMPLIFICATION_LEVELS } from '../ai/ClauseSimplifier.js';
+
+const documentSourceProperties = {
+    documentText: { type: 'string', minLength: 1 },
+    fileData: { type: 'string', minLength: 1, description: 'Base64 file contents, optionally as a data URL' },
+    filename: { type: 'string', minLength: 1 },
+    documentType: { type: 'string' },
+    s3Key: { type: 'string', minLength: 1 }
+};
+
+const documentSourceRequired = {
+    anyOf: [
+        { required: ['documentText'] },
+        { required: ['fileData'] },
+        { required: ['s3Key'] }
+    ],
+    anyOfMessage: 'must include documentText, fileData or s3Key'
+};
+
+export const analysisRequestSchema = {
+    type: 'object',
+    properties: {
+        ...documentSourceProperties,
+        sourceUrl: { type: 'string', minLength: 1, description: 'Page the documentText was fetched from' },
+        bypassCache: { type: 'boolean' }
+    },
+    additionalProperties: false,
+    ...documentSourceRequired
+};
+
+export const comparisonRequestSchema = {
+    type: 'object',
+    required: ['documents'],
+    properties: {
+        documents: {
+            type: 'array',
+            minItems: 2,
+            maxItems: 5,
+            items: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    ...documentSourceProperties
+                },
+                additionalProperties: false,
+                ...documentSourceRequired
+            }
+        },
+        bypassCache: { type: 'boolean' }
+    },
+    additionalProperties: false
+};
+
+// Digits with an optional leading + and common separators
+const PHONE_PATTERN = '^\\+?[\\d\\s().-]{7,20}$';
+const EMAIL_PATTERN = '^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$';
+
+export const signupRequestSchema = {
+    type: 'object',
+    required: ['email', 'password', 'name'],
+    properties: {
+        email: { type: 'string', maxLength: 254, pattern: EMAIL_PATTERN, patternMessage: 'must be an email address' },
+        password: { type: 'string', minLength: 8, maxLength: 256 },
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        company: { type: 'string', maxLength: 100 },
+        phone: { type: 'string', pattern: PHONE_PATTERN, patternMessage: 'must be a phone number' }
+    },
+    additionalProperties: false
+};
+
+export const loginRequestSchema = {
+    type: 'object',
+    required: ['email', 'password'],
+    properties: {
+        email: { type: 'string', minLength: 1 },
+        password: { type: 'string', minLength: 1 }
+    },
+    additionalProperties: false
+};
+
+export const verifyEmailRequestSchema = {
+    type: 'object',
+    required: ['token'],
+    properties: {
+        token: { type: 'string', minLength: 1 }
+    },
+    additionalProperties: false
+};
+
+export const refreshRequestSchema = {
+    type: 'object',
+    required: ['refreshToken'],
+    properties: {
+        refreshToken: { type: 'string', minLength: 1 }
+    },
+    additionalProperties: false
+};
+
+export const otpRequestSchema = {
+    type: 'object',
+    required: ['channel', 'contact'],
+    properties: {
+        channel: { type: 'string', enum: ['email', 'phone'] },
+        contact: {
+            type: 'string',
+            maxLength: 254,
+            anyOf: [{ pattern: EMAIL_PATTERN }, { pattern: PHONE_PATTERN }],
+            anyOfMessage: 'must be an email address or phone number'
+        }
+    },
+    additionalProperties: false
+};
+
+export const otpVerifyRequestSchema = {
+    type: 'object',
+    required: ['channel', 'contact', 'code'],
+    properties: {
+        ...otpRequestSchema.properties,
+        code: { type: 'string', pattern: '^\\d{6}$', patternMessage: 'must be 6 digits' }
+    },
+    additionalProperties: false
+};
+
+export const modelConfigurationSchema = {
+    type: 'object',
+    required: ['providers'],
+    properties: {
+        providers: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 10,
+            items: { type: 'string', minLength: 1 },
+            description: 'Provider names in the order they are tried, e.g. ["gemini", "ollama"]'
+        }
+    },
+    additionalProperties: false
+};
+
+export const roleUpdateSchema = {
+    type: 'object',
+    required: ['role'],
+    properties: {
+        role: { type: 'string', enum: Object.keys(ROLES) }
+    },
+    additionalProperties: false
+};
+
+export const inviteRequestSchema = {
+    type: 'object',
+    required: ['email'],
+    properties: {
+        email: { type: 'string', maxLength: 254, pattern: EMAIL_PATTERN, patternMessage: 'must be an email address' },
+        role: { type: 'string', enum: Object.keys(ROLES) }
+    },
+    additionalProperties: false
+};
+
+export const shareRequestSchema = {
+    type: 'object',
+    required: ['email', 'access'],
+    properties: {
+        email: { type: 'string', minLength: 1, maxLength: 254 },
+        access: { type: 'string', enum: SHARE_ACCESS }
+    },
+    additionalProperties: false
+};
+
+export const shareLinkRequestSchema = {
+    type: 'object',
+    required: ['access'],
+    properties: {
+        access: { type: 'string', enum: SHARE_ACCESS }
+    },
+    additionalProperties: false
+};
+
+export const commentRequestSchema = {
+    type: 'object',
+    required: ['text'],
+    properties: {
+        text: { type: 'string', minLength: 1, maxLength: 2000, pattern: '\\S', patternMessage: 'must not be blank' }
+    },
+    additionalProperties: false
+};
+
+export const redlineRequestSchema = {
+    type: 'object',
+    required: ['analysis'],
+    properties: {
+        analysis: {
+            type: 'object',
+            required: ['clauses', 'risks'],
+            properties: {
+                clauses: { type: 'array', maxItems: 500, items: { type: 'object' } },
+                risks: { type: 'array', maxItems: 500, items: { type: 'object' } },
+                summary: { type: 'object' }
+            }
+        },
+        documentType: { type: 'string' }
+    },
+    additionalProperties: false
+};
+
+export const simplificationRequestSchema = {
+    type: 'object',
+    required: ['analysis'],
+    properties: {
+        analysis: {
+            type: 'object',
+            required: ['clauses'],
+            properties: {
+                clauses: { type: 'array', maxItems: 500, items: { type: 'object' } },
+                summary: { type: 'object' }
+            }
+        },
+        level: { type: 'string', enum: Object.keys(SIMPLIFICATION_LEVELS) },
+        documentType: { type: 'string' }
+    },
+    additionalProperties: false
+};
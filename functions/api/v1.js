@@ -0,0 +1,492 @@
+/**
+ * ClearClause AI REST API, version 1
+ * Resource routes over the analysis pipeline. Analyses and comparisons run as background jobs:
+ *
+ *   POST   /analyses          Start an analysis (202, Location header points at the resource)
+ *   GET    /analyses/:id      Analysis status, with the result once completed
+ *   DELETE /analyses/:id      Cancel if still running, then delete
+ *   POST   /comparisons       Start a comparison of 2-5 documents
+ *   GET    /comparisons/:id   Comparison status and result
+ *   DELETE /comparisons/:id   Cancel if still running, then delete
+ *   POST   /redlines          Suggested replacement language for an analysis's medium and higher risks
+ *   POST   /simplifications   Plain-English rewrites of an analysis's clauses at a reading level, with readability metrics
+ *   GET    /models            Configured AI providers and models
+ *   PUT    /models            Change the provider chain (models:configure)
+ *   GET    /history           Saved analyses and comparisons (scope=mine|shared, search, kind, risk, documentType, from, to, limit, offset)
+ *   GET    /history/:id       A saved result with its source text, sharing and comments
+ *   DELETE /history/:id       Delete a saved result
+ *   POST   /history/:id/shares           Share with a teammate by email at view or comment level (owner only)
+ *   DELETE /history/:id/shares/:userId   Stop sharing with a teammate
+ *   POST   /history/:id/link             Create a share link (replaces the previous one)
+ *   DELETE /history/:id/link             Revoke the share link
+ *   POST   /history/:id/comments         Comment on a result (owner or comment access)
+ *   GET    /shared/:token     Open a share link; adds the result to "shared with me"
+ *   GET    /users             Accounts in your workspace (users:manage)
+ *   PATCH  /users/:id         Change an account's role (users:manage)
+ *   GET    /invites           Pending invites to your workspace (users:manage)
+ *   POST   /invites           Invite an email address to your workspace with a role (users:manage)
+ *   DELETE /invites/:id       Withdraw an invite (users:manage)
+ *
+ *   POST   /auth/signup       Create an account and email a verification link
+ *   POST   /auth/verify       Verify an email address with the token from the link
+ *   POST   /auth/login        Sign in; returns access and refresh tokens
+ *   POST   /auth/refresh      Exchange a refresh token for new tokens
+ *   POST   /auth/logout       End the session
+ *   POST   /auth/otp          Send a one-time sign-in code by email or SMS
+ *   POST   /auth/otp/verify   Sign in with a one-time code
+ *   GET    /auth/me           The signed-in user
+ *
+ * Every route except /auth requires an Authorization: Bearer access token unless VITE_AUTH_REQUIRED=off.
+ * What a signed-in user may do depends on their role (see auth/roles.js): analyses and history entries
+ * belong to the user who ran them, and others only see them with company-wide permissions in the same workspace.
+ * The action-based POST /api/process route remains for existing clients.
+ */
+
+import { jobQueue, providerRegistry, analysisHistory, historySharing, authService, authorizeRequest, processRedlineRequest, processSimplifyRequest, JOB_WORKERS, createSuccessResponse, createErrorResponse } from '../process.js';
+import { AuthError, getBearerToken } from '../auth/AuthService.js';
+import { PERMISSIONS, canDelete, canView, hasPermission, ownerOf } from '../auth/roles.js';
+import { validateSchema } from './validateSchema.js';
+import {
+    analysisRequestSchema,
+    comparisonRequestSchema,
+    signupRequestSchema,
+    loginRequestSchema,
+    verifyEmailRequestSchema,
+    refreshRequestSchema,
+    otpRequestSchema,
+    otpVerifyRequestSchema,
+    modelConfigurationSchema,
+    roleUpdateSchema,
+    inviteRequestSchema,
+    shareRequestSchema,
+    shareLinkRequestSchema,
+    commentRequestSchema,
+    redlineRequestSchema,
+    simplificationRequestSchema
+} from './schemas.js';
+
+export const API_V1_PREFIX = '/api/v1';
+
+const RESOURCES = {
+    analyses: { jobType: 'analyze', schema: analysisRequestSchema },
+    comparisons: { jobType: 'compare', schema: comparisonRequestSchema }
+};
+
+/**
+ * Handle a request to the v1 API
+ * @param {Object} request - { method, path, headers, body } with path relative to /api/v1
+ * @returns {Promise<Object>} Serverless response { statusCode, headers, body }
+ */
+export async function handler(request) {
+    try {
+        const { method, path = '/', headers = {}, body, query = {} } = request;
+        const [resourceName, id, ...rest] = path.split('/').filter(Boolean);
+
+        if (resourceName === 'auth') {
+            return await handleAuth(method, [id, ...rest].filter(Boolean).join('/'), headers, body);
+        }
+
+        const auth = await authorizeRequest(headers);
+        if (!auth.authorized) {
+            return auth.response;
+        }
+
+        const { user } = auth;
+
+        if (resourceName === 'models' && !id) {
+            switch (method) {
+                case 'GET':
+                    return listModels();
+                case 'PUT':
+                    return configureModels(user, body);
+                default:
+                    return methodNotAllowed(method, ['GET', 'PUT']);
+            }
+        }
+
+        if (resourceName === 'redlines' && !id) {
+            return method === 'POST' ? await createRedlines(user, body) : methodNotAllowed(method, ['POST']);
+        }
+
+        if (resourceName === 'simplifications' && !id) {
+            return method === 'POST' ? await createSimplification(user, body) : methodNotAllowed(method, ['POST']);
+        }
+
+        if (resourceName === 'history') {
+            return await handleHistory(method, id, rest, { query, body, user });
+        }
+
+        if (resourceName === 'shared' && id && rest.length === 0) {
+            return method === 'GET'
+                ? createSuccessResponse(200, await historySharing.openLink(user, id))
+                : methodNotAllowed(method, ['GET']);
+        }
+
+        if (resourceName === 'users' && rest.length === 0) {
+            return await handleUsers(method, id, body, user);
+        }
+
+        if (resourceName === 'invites' && rest.length === 0) {
+            return await handleInvites(method, id, body, user);
+        }
+
+        const resource = RESOURCES[resourceName];
+        if (!resource || rest.length > 0) {
+            return createErrorResponse(404, 'Not Found', `No route for ${API_V1_PREFIX}${path}`);
+        }
+
+        if (!id) {
+            return method === 'POST' ? await createResource(resourceName, resource, body, user) : methodNotAllowed(method, ['POST']);
+        }
+
+        switch (method) {
+            case 'GET':
+                return await getResource(resourceName, resource, id, user);
+            case 'DELETE':
+                return await deleteResource(resourceName, resource, id, user);
+            default:
+                return methodNotAllowed(method, ['GET', 'DELETE']);
+        }
+    } catch (error) {
+        if (error instanceof AuthError) {
+            const response = createErrorResponse(error.statusCode, error.error, error.message, error.details);
+            if (error.details?.retryAfter) {
+                response.headers['Retry-After'] = String(error.details.retryAfter);
+            }
+            return response;
+        }
+        console.error('API v1 error:', error);
+        return createErrorResponse(500, 'Internal Server Error', 'An unexpected error occurred');
+    }
+}
+
+/**
+ * Validate the body and queue the analysis or comparison
+ */
+async function createResource(resourceName, resource, body, user) {
+    if (!hasPermission(user, PERMISSIONS.RUN_ANALYSES)) {
+        return forbidden('Your role does not allow running analyses');
+    }
+
+    const invalid = validateBody(body, resource.schema);
+    if (invalid) {
+        return invalid;
+    }
+
+    const job = await jobQueue.submit(resource.jobType, { action: resource.jobType, ...body }, JOB_WORKERS[resource.jobType], { owner: ownerOf(user) });
+    const response = createSuccessResponse(202, toResource(resourceName, job));
+    response.headers.Location = resourceUrl(resourceName, job.id);
+    return response;
+}
+
+/**
+ * Draft redlines for an analysis the client already has; runs a model, so it needs analyses:run
+ */
+async function createRedlines(user, body) {
+    if (!hasPermission(user, PERMISSIONS.RUN_ANALYSES)) {
+        return forbidden('Your role does not allow running analyses');
+    }
+
+    const invalid = validateBody(body, redlineRequestSchema);
+    if (invalid) {
+        return invalid;
+    }
+
+    return processRedlineRequest({ action: 'redline', ...body });
+}
+
+/**
+ * Rewrite an analysis's clauses in plain English; runs a model, so it needs analyses:run
+ */
+async function createSimplification(user, body) {
+    if (!hasPermission(user, PERMISSIONS.RUN_ANALYSES)) {
+        return forbidden('Your role does not allow running analyses');
+    }
+
+    const invalid = validateBody(body, simplificationRequestSchema);
+    if (invalid) {
+        return invalid;
+    }
+
+    return processSimplifyRequest({ action: 'simplify', ...body });
+}
+
+// Jobs the user may not view are reported as missing rather than forbidden
+async function getResource(resourceName, resource, id, user) {
+    const job = await jobQueue.get(id);
+    if (!job || job.type !== resource.jobType || !canView(user, job.owner)) {
+        return notFound(resourceName, id);
+    }
+    return createSuccessResponse(200, toResource(resourceName, job));
+}
+
+async function deleteResource(resourceName, resource, id, user) {
+    const job = await jobQueue.get(id);
+    if (!job || job.type !== resource.jobType || !canView(user, job.owner)) {
+        return notFound(resourceName, id);
+    }
+    if (!canDelete(user, job.owner)) {
+        return forbidden(`Your role does not allow deleting this ${resourceName === 'analyses' ? 'analysis' : 'comparison'}`);
+    }
+
+    await jobQueue.remove(id);
+    return { ...createSuccessResponse(204, null), body: '' };
+}
+
+/**
+ * Saved analyses and comparisons
+ */
+async function handleHistory(method, id, rest, { query, body, user }) {
+    if (!id) {
+        if (method !== 'GET') return methodNotAllowed(method, ['GET']);
+        const { scope, ...filters } = query;
+        return createSuccessResponse(200, await analysisHistory.list(filters, { visible: historySharing.visibleTo(user, scope) }));
+    }
+
+    if (rest.length > 0) {
+        return handleHistorySharing(method, id, rest, body, user);
+    }
+
+    if (method !== 'GET' && method !== 'DELETE') {
+        return methodNotAllowed(method, ['GET', 'DELETE']);
+    }
+
+    const entry = await historySharing.getEntry(user, id);
+    if (!entry) {
+        return createErrorResponse(404, 'Not Found', `History entry ${id} does not exist`);
+    }
+    if (method === 'GET') {
+        return createSuccessResponse(200, entry);
+    }
+
+    if (!canDelete(user, entry.owner)) {
+        return forbidden('Your role does not allow deleting this entry');
+    }
+    return await analysisHistory.delete(id)
+        ? { ...createSuccessResponse(204, null), body: '' }
+        : createErrorResponse(404, 'Not Found', `History entry ${id} does not exist`);
+}
+
+/**
+ * Shares, the share link and comments of a saved result
+ */
+async function handleHistorySharing(method, id, [subresource, memberId, ...extra], body, user) {
+    if (subresource === 'shares' && !memberId && extra.length === 0) {
+        if (method !== 'POST') return methodNotAllowed(method, ['POST']);
+        const invalid = validateBody(body, shareRequestSchema);
+        return invalid || createSuccessResponse(200, { sharing: await historySharing.share(user, id, body) });
+    }
+
+    if (subresource === 'shares' && memberId && extra.length === 0) {
+        if (method !== 'DELETE') return methodNotAllowed(method, ['DELETE']);
+        return createSuccessResponse(200, { sharing: await historySharing.unshare(user, id, memberId) });
+    }
+
+    if (subresource === 'link' && !memberId) {
+        switch (method) {
+            case 'POST': {
+                const invalid = validateBody(body, shareLinkRequestSchema);
+                return invalid || createSuccessResponse(201, { sharing: await historySharing.createLink(user, id, body) });
+            }
+            case 'DELETE':
+                return createSuccessResponse(200, { sharing: await historySharing.revokeLink(user, id) });
+            default:
+                return methodNotAllowed(method, ['POST', 'DELETE']);
+        }
+    }
+
+    if (subresource === 'comments' && !memberId) {
+        if (method !== 'POST') return methodNotAllowed(method, ['POST']);
+        const invalid = validateBody(body, commentRequestSchema);
+        return invalid || createSuccessResponse(201, { comment: await historySharing.addComment(user, id, body.text) });
+    }
+
+    return createErrorResponse(404, 'Not Found', `No route for ${API_V1_PREFIX}/history/${[id, subresource, memberId, ...extra].filter(Boolean).join('/')}`);
+}
+
+/**
+ * Accounts in the signed-in user's workspace and their roles
+ */
+async function handleUsers(method, id, body, user) {
+    if (!user) {
+        return forbidden('Sign in to manage users');
+    }
+
+    if (!id) {
+        if (method !== 'GET') return methodNotAllowed(method, ['GET']);
+        return createSuccessResponse(200, { data: await authService.listWorkspaceUsers(user) });
+    }
+
+    if (method !== 'PATCH') {
+        return methodNotAllowed(method, ['PATCH']);
+    }
+    const invalid = validateBody(body, roleUpdateSchema);
+    if (invalid) {
+        return invalid;
+    }
+    return createSuccessResponse(200, { user: await authService.setRole(user, id, body.role) });
+}
+
+/**
+ * Invites to the signed-in user's workspace
+ */
+async function handleInvites(method, id, body, user) {
+    if (!user) {
+        return forbidden('Sign in to manage users');
+    }
+
+    if (id) {
+        if (method !== 'DELETE') return methodNotAllowed(method, ['DELETE']);
+        await authService.revokeInvite(user, id);
+        return { ...createSuccessResponse(204, null), body: '' };
+    }
+
+    switch (method) {
+        case 'GET':
+            return createSuccessResponse(200, { data: await authService.listInvites(user) });
+        case 'POST': {
+            const invalid = validateBody(body, inviteRequestSchema);
+            return invalid || createSuccessResponse(201, { invite: await authService.invite(user, body) });
+        }
+        default:
+            return methodNotAllowed(method, ['GET', 'POST']);
+    }
+}
+
+const AUTH_SCHEMAS = {
+    signup: signupRequestSchema,
+    verify: verifyEmailRequestSchema,
+    login: loginRequestSchema,
+    refresh: refreshRequestSchema,
+    logout: null,
+    otp: otpRequestSchema,
+    'otp/verify': otpVerifyRequestSchema
+};
+
+/**
+ * Account routes; these are reachable without a token
+ */
+async function handleAuth(method, action, headers, body) {
+    if (action === 'me') {
+        if (method !== 'GET') return methodNotAllowed(method, ['GET']);
+        const auth = await authService.authenticate(headers);
+        return auth
+            ? createSuccessResponse(200, { user: auth.user })
+            : createErrorResponse(401, 'Unauthorized', 'Not signed in');
+    }
+
+    if (!Object.hasOwn(AUTH_SCHEMAS, action ?? '')) {
+        return createErrorResponse(404, 'Not Found', `No route for ${API_V1_PREFIX}/auth${action ? `/${action}` : ''}`);
+    }
+    if (method !== 'POST') {
+        return methodNotAllowed(method, ['POST']);
+    }
+
+    const invalid = AUTH_SCHEMAS[action] && validateBody(body, AUTH_SCHEMAS[action]);
+    if (invalid) {
+        return invalid;
+    }
+
+    switch (action) {
+        case 'signup':
+            return createSuccessResponse(201, {
+                user: await authService.signup(body),
+                message: 'Check your email for a link to verify your account'
+            });
+        case 'verify':
+            return createSuccessResponse(200, { user: await authService.verifyEmail(body.token) });
+        case 'login':
+            return createSuccessResponse(200, await authService.login(body));
+        case 'refresh':
+            return createSuccessResponse(200, await authService.refresh(body.refreshToken));
+        case 'otp':
+            return createSuccessResponse(202, await authService.requestOtp(body));
+        case 'otp/verify':
+            return createSuccessResponse(200, await authService.loginWithOtp(body));
+        case 'logout':
+            await authService.logout({ refreshToken: body?.refreshToken, accessToken: getBearerToken(headers) });
+            return { ...createSuccessResponse(204, null), body: '' };
+    }
+}
+
+/**
+ * Check a JSON body against a schema
+ * @returns {Object|null} A 415 or 400 response, or null when the body is valid
+ */
+function validateBody(body, schema) {
+    if (Buffer.isBuffer(body) || typeof body === 'string') {
+        return createErrorResponse(415, 'Unsupported Media Type', 'Request body must be JSON; send file contents as base64 fileData');
+    }
+
+    const errors = validateSchema(body ?? {}, schema);
+    if (errors.length > 0) {
+        return createErrorResponse(400, 'Validation Failed', 'Request body does not match the schema', errors);
+    }
+    return null;
+}
+
+/**
+ * Change which providers are tried, and in what order, until the server restarts
+ */
+function configureModels(user, body) {
+    if (!hasPermission(user, PERMISSIONS.CONFIGURE_MODELS)) {
+        return forbidden('Your role does not allow changing the model configuration');
+    }
+
+    const invalid = validateBody(body, modelConfigurationSchema);
+    if (invalid) {
+        return invalid;
+    }
+
+    try {
+        providerRegistry.setChain(body.providers);
+    } catch (error) {
+        return createErrorResponse(400, 'Validation Failed', error.message, [{ path: '/providers', message: `must be some of: ${Object.keys(providerRegistry.factories).join(', ')}` }]);
+    }
+    return listModels();
+}
+
+function listModels() {
+    return createSuccessResponse(200, {
+        data: providerRegistry.getStatus(),
+        // Used when every provider in the chain fails
+        fallback: 'rules'
+    });
+}
+
+/**
+ * Public representation of an analysis or comparison job
+ */
+function toResource(resourceName, job) {
+    return {
+        id: job.id,
+        status: job.status,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        completedAt: job.completedAt,
+        progress: job.progress,
+        result: job.result,
+        error: job.error,
+        links: { self: resourceUrl(resourceName, job.id) }
+    };
+}
+
+function resourceUrl(resourceName, id) {
+    return `${API_V1_PREFIX}/${resourceName}/${id}`;
+}
+
+function notFound(resourceName, id) {
+    return createErrorResponse(404, 'Not Found', `${resourceName === 'analyses' ? 'Analysis' : 'Comparison'} ${id} does not exist`);
+}
+
+function forbidden(message) {
+    return createErrorResponse(403, 'Forbidden', message);
+}
+
+function methodNotAllowed(method, allowed) {
+    const response = createErrorResponse(405, 'Method Not Allowed', `Method ${method} is not supported`);
+    response.headers.Allow = allowed.join(', ');
+    return response;
+}
+
+export default handler;
@@ -0,0 +1,98 @@
+/**
+ * JSON Schema validation for ClearClause AI request bodies
+ * Supports the subset of JSON Schema the API schemas use: type, properties, required,
+ * additionalProperties, items, enum, anyOf, pattern and length/size bounds
+ */
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema
+ * @param {string} path - JSON Pointer of the value, used in error messages
+ * @returns {Array<{path: string, message: string}>} Validation errors (empty when valid)
+ */
+export function validateSchema(value, schema, path = '') {
+    const errors = [];
+    const at = path || '/';
+
+    if (schema.type && !matchesType(value, schema.type)) {
+        const expected = [].concat(schema.type).join(' or ');
+        return [{ path: at, message: `must be ${expected}` }];
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path: at, message: `must be one of: ${schema.enum.join(', ')}` });
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path: at, message: `must be at least ${schema.minLength} characters` });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ path: at, message: `must be at most ${schema.maxLength} characters` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ path: at, message: schema.patternMessage || `must match ${schema.pattern}` });
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path: at, message: `must have at least ${schema.minItems} items` });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ path: at, message: `must have at most ${schema.maxItems} items` });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validateSchema(item, schema.items, `${path}/${index}`));
+            });
+        }
+    }
+
+    if (isPlainObject(value)) {
+        (schema.required || []).forEach(name => {
+            if (value[name] === undefined) {
+                errors.push({ path: `${path}/${name}`, message: 'is required' });
+            }
+        });
+
+        Object.entries(value).forEach(([name, propertyValue]) => {
+            const propertySchema = schema.properties?.[name];
+            if (propertySchema) {
+                errors.push(...validateSchema(propertyValue, propertySchema, `${path}/${name}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: `${path}/${name}`, message: 'is not allowed' });
+            }
+        });
+    }
+
+    if (schema.anyOf && !schema.anyOf.some(option => validateSchema(value, option, path).length === 0)) {
+        errors.push({ path: at, message: schema.anyOfMessage || 'does not match any allowed form' });
+    }
+
+    return errors;
+}
+
+function matchesType(value, type) {
+    return [].concat(type).some(expected => {
+        switch (expected) {
+            case 'object':
+                return isPlainObject(value);
+            case 'array':
+                return Array.isArray(value);
+            case 'integer':
+                return Number.isInteger(value);
+            case 'null':
+                return value === null;
+            default:
+                return typeof value === expected;
+        }
+    });
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !Buffer.isBuffer(value);
+}
+
+export default validateSchema;
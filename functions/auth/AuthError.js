@@ -0,0 +1,14 @@
+/**
+ * Error carrying the HTTP status, error name and optional details to respond with
+ */
+export class AuthError extends Error {
+  constructor(statusCode, error, message, details = null) {
+    super(message)
+    this.name = 'AuthError'
+    this.statusCode = statusCode
+    this.error = error
+    this.details = details
+  }
+}
+
+export default AuthError
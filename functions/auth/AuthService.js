@@ -0,0 +1,471 @@
+/**
+ * Auth Service
+ * Email/password accounts with scrypt-hashed passwords, email verification and signed session tokens.
+ * A sign-in creates a session; its access token authorizes API requests and its refresh token
+ * (rotated on every use) issues new access tokens until the user signs out or the session expires.
+ * Accounts can also sign in with a one-time code sent to their email address or phone number.
+ * Each account has a role (see roles.js). New accounts get VITE_AUTH_DEFAULT_ROLE and no workspace.
+ * Verified accounts join a workspace by accepting an invite sent to their address. Addresses listed in
+ * VITE_AUTH_ADMIN_EMAILS start their own workspace as legal counsel, so someone can send the first invites.
+ */
+
+import { createHash, randomBytes, randomUUID, scrypt, timingSafeEqual } from 'crypto'
+import { promisify } from 'util'
+import { UserStore } from './UserStore.js'
+import { SessionTokens } from './SessionTokens.js'
+import { createMailer } from './Mailer.js'
+import { AuthError } from './AuthError.js'
+import { OtpService } from './OtpService.js'
+import { DEFAULT_ROLE, PERMISSIONS, ROLES, isRole, permissionsFor, requirePermission, sameWorkspace } from './roles.js'
+
+const scryptAsync = promisify(scrypt)
+const KEY_LENGTH = 64
+const VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000
+
+export { AuthError }
+
+export class AuthService {
+  constructor(options = {}) {
+    this.store = options.store || new UserStore()
+    this.tokens = options.tokens || new SessionTokens()
+    this.mailer = options.mailer || createMailer()
+    this.otp = options.otp || new OtpService()
+    this.required = options.required ?? process.env.VITE_AUTH_REQUIRED !== 'off'
+    this.defaultRole = options.defaultRole || (isRole(process.env.VITE_AUTH_DEFAULT_ROLE) ? process.env.VITE_AUTH_DEFAULT_ROLE : DEFAULT_ROLE)
+    this.adminEmails = (options.adminEmails || String(process.env.VITE_AUTH_ADMIN_EMAILS || '').split(','))
+      .map(normalizeEmail)
+      .filter(Boolean)
+    this.appUrl = (options.appUrl || process.env.VITE_APP_URL || 'http://localhost:3001').replace(/\/+$/, '')
+  }
+
+  /**
+   * Create an unverified account and email its verification link
+   * @returns {Promise<Object>} The public user
+   */
+  async signup({ email, password, name, company = '', phone = '' }) {
+    const normalizedEmail = normalizeEmail(email)
+    const normalizedPhone = phone ? normalizePhone(phone) : null
+    if (await this.store.findUserByEmail(normalizedEmail)) {
+      throw new AuthError(409, 'Conflict', 'An account with this email already exists')
+    }
+    if (normalizedPhone && await this.store.findUser(user => user.phone === normalizedPhone)) {
+      throw new AuthError(409, 'Conflict', 'An account with this phone number already exists')
+    }
+
+    const verificationToken = randomBytes(32).toString('hex')
+    const user = {
+      id: randomUUID(),
+      email: normalizedEmail,
+      name: name.trim(),
+      company: company.trim(),
+      phone: normalizedPhone,
+      role: this.defaultRole,
+      workspaceId: null,
+      passwordHash: await hashPassword(password),
+      verified: false,
+      verification: {
+        tokenHash: hashToken(verificationToken),
+        expiresAt: new Date(Date.now() + VERIFICATION_TTL_MS).toISOString()
+      },
+      createdAt: new Date().toISOString()
+    }
+
+    try {
+      await this.store.createUser(user)
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        throw new AuthError(409, 'Conflict', 'An account with this email already exists')
+      }
+      throw error
+    }
+
+    await this.sendVerificationEmail(user, verificationToken)
+    return publicUser(user)
+  }
+
+  async sendVerificationEmail(user, token) {
+    const link = `${this.appUrl}/clearclause?verify=${token}`
+    await this.mailer.send({
+      to: user.email,
+      subject: 'Verify your ClearClause AI account',
+      text: `Hi ${user.name},\n\nConfirm your email address to finish creating your account:\n${link}\n\nThis link expires in 24 hours.`
+    })
+  }
+
+  /**
+   * Mark the account holding this verification token as verified
+   */
+  async verifyEmail(token) {
+    const tokenHash = hashToken(String(token || ''))
+    const user = await this.store.findUser(candidate => candidate.verification?.tokenHash === tokenHash)
+
+    if (!user || Date.parse(user.verification.expiresAt) <= Date.now()) {
+      throw new AuthError(400, 'Bad Request', 'Verification link is invalid or has expired')
+    }
+
+    const verified = await this.store.updateUser(user.id, { verified: true, verification: null })
+    return publicUser(await this.joinWorkspace(verified))
+  }
+
+  /**
+   * Check the password and start a session
+   * @returns {Promise<Object>} { user, tokenType, accessToken, accessTokenExpiresAt, refreshToken, refreshTokenExpiresAt }
+   */
+  async login({ email, password }) {
+    const user = await this.store.findUserByEmail(normalizeEmail(email))
+    // Hash against a throwaway value for unknown emails so response time doesn't reveal which accounts exist
+    const matches = await verifyPassword(password, user?.passwordHash || DUMMY_HASH)
+
+    if (!user || !matches) {
+      throw new AuthError(401, 'Unauthorized', 'Invalid email or password')
+    }
+    if (!user.verified) {
+      throw new AuthError(403, 'Forbidden', 'Verify your email address before signing in')
+    }
+
+    return this.startSession(user)
+  }
+
+  /**
+   * Send a one-time sign-in code to an account's email address or phone number
+   * A contact with no account gets the same reply and rate limits but nothing is sent, so the
+   * response doesn't reveal which addresses have accounts
+   * @returns {Promise<Object>} { channel, sentTo, expiresAt, resendAvailableAt, attemptsRemaining }
+   */
+  async requestOtp({ channel, contact }) {
+    const normalized = normalizeContact(channel, contact)
+    const user = await this.findUserByContact(channel, normalized)
+
+    const delivery = await this.otp.issue({ channel, contact: normalized, deliver: Boolean(user) })
+    return { channel, sentTo: maskContact(channel, normalized), ...delivery }
+  }
+
+  /**
+   * Check a one-time code and start a session
+   * An email code also proves the address, so it verifies the account
+   */
+  async loginWithOtp({ channel, contact, code }) {
+    const normalized = normalizeContact(channel, contact)
+    const user = await this.findUserByContact(channel, normalized)
+
+    // Checked for unknown contacts too so wrong guesses count the same way
+    await this.otp.verify({ channel, contact: normalized, code })
+    if (!user) {
+      throw new AuthError(401, 'Unauthorized', 'Incorrect code')
+    }
+
+    if (!user.verified) {
+      if (channel !== 'email') {
+        throw new AuthError(403, 'Forbidden', 'Verify your email address before signing in')
+      }
+      Object.assign(user, await this.store.updateUser(user.id, { verified: true, verification: null }))
+    }
+    return this.startSession(user)
+  }
+
+  async findUserByContact(channel, contact) {
+    const normalized = normalizeContact(channel, contact)
+    if (channel === 'phone') {
+      return this.store.findUser(user => user.phone === normalized)
+    }
+    return this.store.findUserByEmail(normalized)
+  }
+
+  async startSession(account) {
+    const user = await this.joinWorkspace(account)
+    const now = Date.now()
+    const session = {
+      id: randomUUID(),
+      userId: user.id,
+      refreshTokenId: null,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.tokens.refreshTtlMs).toISOString()
+    }
+    return this.issueSession(user, session)
+  }
+
+  /**
+   * Exchange a refresh token for new tokens; the old refresh token stops working
+   */
+  async refresh(refreshToken) {
+    const claims = this.tokens.verify(refreshToken, 'refresh')
+    const session = claims && await this.store.getSession(claims.sid)
+
+    if (!session || Date.parse(session.expiresAt) <= Date.now()) {
+      throw new AuthError(401, 'Unauthorized', 'Session has expired, please sign in again')
+    }
+    if (session.refreshTokenId !== claims.jti) {
+      // An already-rotated token is being replayed; end the session rather than trust either copy
+      await this.store.deleteSession(session.id)
+      throw new AuthError(401, 'Unauthorized', 'Session has expired, please sign in again')
+    }
+
+    const user = await this.store.getUser(session.userId)
+    if (!user) {
+      await this.store.deleteSession(session.id)
+      throw new AuthError(401, 'Unauthorized', 'Session has expired, please sign in again')
+    }
+    return this.issueSession(user, session)
+  }
+
+  /**
+   * End the session the refresh or access token belongs to
+   */
+  async logout({ refreshToken, accessToken } = {}) {
+    const claims = this.tokens.verify(refreshToken, 'refresh') || this.tokens.verify(accessToken, 'access')
+    if (claims) {
+      await this.store.deleteSession(claims.sid)
+    }
+  }
+
+  /**
+   * Resolve the signed-in user from an Authorization: Bearer header
+   * @returns {Promise<{user: Object, sessionId: string}|null>}
+   */
+  async authenticate(headers = {}) {
+    const claims = this.tokens.verify(getBearerToken(headers), 'access')
+    if (!claims) return null
+
+    // Signed-out sessions are rejected even while their access tokens haven't expired
+    const session = await this.store.getSession(claims.sid)
+    if (!session || session.userId !== claims.sub) return null
+
+    const user = await this.store.getUser(claims.sub)
+    return user ? { user: publicUser(user), sessionId: session.id } : null
+  }
+
+  /**
+   * Put a verified account that has no workspace into one: the oldest live invite for its address,
+   * or a new workspace named after its company when the address is in VITE_AUTH_ADMIN_EMAILS.
+   * Members' company becomes the workspace name
+   * @returns {Promise<Object>} The stored account, updated when it joined a workspace
+   */
+  async joinWorkspace(user) {
+    if (!user.verified || user.workspaceId) return user
+
+    const now = Date.now()
+    const [invite] = await this.store.listInvites(candidate => candidate.email === user.email && Date.parse(candidate.expiresAt) > now)
+    const invitedTo = invite && await this.store.getWorkspace(invite.workspaceId)
+    if (invitedTo) {
+      await this.store.deleteInvite(invite.id)
+      return this.store.updateUser(user.id, { workspaceId: invitedTo.id, company: invitedTo.name, role: invite.role })
+    }
+
+    if (this.adminEmails.includes(user.email)) {
+      const workspace = await this.store.createWorkspace({
+        id: randomUUID(),
+        name: user.company || user.email.split('@')[1],
+        createdBy: user.id,
+        createdAt: new Date(now).toISOString()
+      })
+      return this.store.updateUser(user.id, { workspaceId: workspace.id, company: workspace.name, role: 'legal-counsel' })
+    }
+    return user
+  }
+
+  /**
+   * Invite an email address to the actor's workspace with a role; the invite is accepted when an
+   * account with that address next signs in (or verifies its email)
+   * @returns {Promise<Object>} The public invite
+   */
+  async invite(actor, { email, role = this.defaultRole }) {
+    requirePermission(actor, PERMISSIONS.MANAGE_USERS)
+    if (!actor.workspaceId) {
+      throw new AuthError(409, 'Conflict', 'You are not a member of a workspace')
+    }
+    if (!isRole(role)) {
+      throw new AuthError(400, 'Bad Request', `Unknown role: ${role}`)
+    }
+
+    const normalizedEmail = normalizeEmail(email)
+    const existing = await this.store.findUserByEmail(normalizedEmail)
+    if (existing && sameWorkspace(actor, existing)) {
+      throw new AuthError(409, 'Conflict', 'This account is already in your workspace')
+    }
+
+    const now = Date.now()
+    const invite = await this.store.saveInvite({
+      id: randomUUID(),
+      workspaceId: actor.workspaceId,
+      email: normalizedEmail,
+      role,
+      invitedBy: actor.id,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + INVITE_TTL_MS).toISOString()
+    })
+
+    const workspace = await this.store.getWorkspace(actor.workspaceId)
+    await this.mailer.send({
+      to: normalizedEmail,
+      subject: `Join ${workspace.name} on ClearClause AI`,
+      text: `${actor.name} invited you to the ${workspace.name} workspace on ClearClause AI.\n\nSign in, or create an account, with this email address to join:\n${this.appUrl}/clearclause\n\nThis invite expires in 7 days.`
+    })
+    return publicInvite(invite)
+  }
+
+  /**
+   * Pending invites to the actor's workspace
+   */
+  async listInvites(actor) {
+    requirePermission(actor, PERMISSIONS.MANAGE_USERS)
+    const now = Date.now()
+    const invites = await this.store.listInvites(invite => sameWorkspace(actor, invite) && Date.parse(invite.expiresAt) > now)
+    return invites.map(publicInvite)
+  }
+
+  async revokeInvite(actor, inviteId) {
+    requirePermission(actor, PERMISSIONS.MANAGE_USERS)
+    const [invite] = await this.store.listInvites(candidate => candidate.id === inviteId && sameWorkspace(actor, candidate))
+    if (!invite) {
+      throw new AuthError(404, 'Not Found', `Invite ${inviteId} does not exist`)
+    }
+    await this.store.deleteInvite(inviteId)
+  }
+
+  /**
+   * Whether the account with this id is in the user's workspace, read from the stored accounts
+   * rather than from anything the caller or an old record says
+   */
+  async isTeammate(user, userId) {
+    const [current, other] = await Promise.all([this.store.getUser(user?.id), this.store.getUser(userId)])
+    return Boolean(current && other) && sameWorkspace(current, other)
+  }
+
+  /**
+   * Accounts in the actor's workspace
+   */
+  async listWorkspaceUsers(actor) {
+    requirePermission(actor, PERMISSIONS.MANAGE_USERS)
+    const users = await this.store.listUsers()
+    return users.filter(user => sameWorkspace(actor, user)).map(publicUser)
+  }
+
+  /**
+   * Change the role of an account in the actor's workspace
+   */
+  async setRole(actor, userId, role) {
+    requirePermission(actor, PERMISSIONS.MANAGE_USERS)
+    if (!isRole(role)) {
+      throw new AuthError(400, 'Bad Request', `Unknown role: ${role}`)
+    }
+    if (actor.id === userId) {
+      throw new AuthError(409, 'Conflict', 'You cannot change your own role')
+    }
+
+    const user = await this.store.getUser(userId)
+    if (!user || !sameWorkspace(actor, user)) {
+      throw new AuthError(404, 'Not Found', `User ${userId} does not exist`)
+    }
+    return publicUser(await this.store.updateUser(userId, { role }))
+  }
+
+  async issueSession(user, session) {
+    const refreshTokenId = randomUUID()
+    await this.store.saveSession({ ...session, refreshTokenId })
+
+    const access = this.tokens.issue('access', { sub: user.id, sid: session.id })
+    const refresh = this.tokens.issue('refresh', { sub: user.id, sid: session.id, jti: refreshTokenId })
+    return {
+      user: publicUser(user),
+      tokenType: 'Bearer',
+      accessToken: access.token,
+      accessTokenExpiresAt: access.expiresAt,
+      refreshToken: refresh.token,
+      refreshTokenExpiresAt: refresh.expiresAt
+    }
+  }
+}
+
+/**
+ * Hash a password as scrypt:<salt>:<key>, both hex
+ */
+export async function hashPassword(password) {
+  const salt = randomBytes(16).toString('hex')
+  const key = await scryptAsync(String(password), salt, KEY_LENGTH)
+  return `scrypt:${salt}:${key.toString('hex')}`
+}
+
+export async function verifyPassword(password, storedHash) {
+  const [scheme, salt, keyHex] = String(storedHash || '').split(':')
+  if (scheme !== 'scrypt' || !salt || !keyHex) return false
+
+  const expected = Buffer.from(keyHex, 'hex')
+  const actual = await scryptAsync(String(password), salt, expected.length)
+  return timingSafeEqual(expected, actual)
+}
+
+const DUMMY_HASH = `scrypt:${'0'.repeat(32)}:${'0'.repeat(KEY_LENGTH * 2)}`
+
+/**
+ * Read the token from an Authorization: Bearer header (header names in any case)
+ */
+export function getBearerToken(headers = {}) {
+  const name = Object.keys(headers || {}).find(key => key.toLowerCase() === 'authorization')
+  const match = /^Bearer\s+(\S+)$/i.exec(name ? String(headers[name]) : '')
+  return match ? match[1] : null
+}
+
+/**
+ * Account fields that are safe to return to clients
+ * The client reads the role's label and permissions from here rather than keeping its own copy of roles.js
+ */
+export function publicUser(user) {
+  // Accounts created before roles existed get the default role
+  const role = isRole(user.role) ? user.role : DEFAULT_ROLE
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    company: user.company,
+    workspaceId: user.workspaceId || null,
+    phone: user.phone || null,
+    role,
+    roleLabel: ROLES[role].label,
+    permissions: permissionsFor(role),
+    verified: user.verified,
+    createdAt: user.createdAt
+  }
+}
+
+function publicInvite(invite) {
+  return {
+    id: invite.id,
+    email: invite.email,
+    role: invite.role,
+    invitedBy: invite.invitedBy,
+    createdAt: invite.createdAt,
+    expiresAt: invite.expiresAt
+  }
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase()
+}
+
+// Digits with an optional leading +, so "+1 (555) 123-4567" and "+15551234567" match
+function normalizePhone(phone) {
+  return String(phone || '').trim().replace(/[\s().-]/g, '')
+}
+
+function normalizeContact(channel, contact) {
+  return channel === 'phone' ? normalizePhone(contact) : normalizeEmail(contact)
+}
+
+/**
+ * Show enough of the contact to recognise it: a•••@example.com, •••••••4567
+ */
+function maskContact(channel, contact) {
+  if (channel === 'phone') {
+    return `${'•'.repeat(Math.max(contact.length - 4, 0))}${contact.slice(-4)}`
+  }
+  const [name, domain] = contact.split('@')
+  return `${name[0]}•••@${domain}`
+}
+
+// Verification tokens are stored hashed so a leaked accounts file can't be used to verify accounts
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex')
+}
+
+export default AuthService
@@ -0,0 +1,90 @@
+/**
+ * Mailers
+ * Deliver account emails (verification links). Every mailer has the same send(message) method,
+ * so a real provider can be plugged in without touching the auth service.
+ */
+
+/**
+ * Logs messages to the console; the default for local development
+ */
+export class ConsoleMailer {
+  async send(message) {
+    console.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text}`)
+    return { delivered: true }
+  }
+}
+
+/**
+ * Keeps messages in memory, for tests
+ */
+export class MemoryMailer {
+  constructor() {
+    this.messages = []
+  }
+
+  async send(message) {
+    this.messages.push(structuredClone(message))
+    return { delivered: true }
+  }
+
+  lastMessageTo(address) {
+    return [...this.messages].reverse().find(message => message.to === address) || null
+  }
+}
+
+/**
+ * POSTs each message as JSON ({ from, to, subject, text }) to a webhook, e.g. an email relay
+ */
+export class WebhookMailer {
+  constructor(options = {}) {
+    this.url = options.url || process.env.VITE_MAILER_WEBHOOK_URL
+    this.from = options.from || process.env.VITE_MAILER_FROM || 'ClearClause AI <no-reply@clearclause.ai>'
+    this.fetch = options.fetch || globalThis.fetch
+
+    if (!this.url) {
+      throw new Error('VITE_MAILER_WEBHOOK_URL is required for the webhook mailer')
+    }
+  }
+
+  async send(message) {
+    const response = await this.fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ from: this.from, ...message })
+    })
+
+    if (!response.ok) {
+      throw new Error(`Mail webhook responded with ${response.status}`)
+    }
+    return { delivered: true }
+  }
+}
+
+// Keep messages on this machine instead of delivering them
+const DEVELOPMENT_MAILERS = ['console', 'memory']
+
+/**
+ * Create the mailer named by VITE_MAILER (console, memory or webhook)
+ * Defaults to console outside production. With NODE_ENV=production only a mailer that delivers
+ * is accepted; startServer creates the mailer before listening, so a missing setting stops the server
+ * at startup instead of logging verification links
+ */
+export function createMailer(type = process.env.VITE_MAILER, options = {}) {
+  const production = process.env.NODE_ENV === 'production'
+  if (production && (!type || DEVELOPMENT_MAILERS.includes(type))) {
+    throw new Error(`VITE_MAILER must be webhook in production${type ? ` (${type} does not deliver email)` : ''}`)
+  }
+
+  switch (type || 'console') {
+    case 'memory':
+      return new MemoryMailer()
+    case 'webhook':
+      return new WebhookMailer(options)
+    case 'console':
+      return new ConsoleMailer()
+    default:
+      throw new Error(`Unknown mailer: ${type}`)
+  }
+}
+
+export default createMailer
@@ -0,0 +1,148 @@
+/**
+ * OTP Service
+ * Issues one-time sign-in codes and checks them. Codes are random, stored only as hashes, expire after
+ * ttlMs and work once. Sending is rate limited per contact (a resend interval plus an hourly cap), and
+ * too many wrong guesses lock the contact out for lockoutMs. Wrong guesses add up across codes, so
+ * requesting a new code doesn't buy more guesses; they reset on a correct code or a lockout.
+ */
+
+import { createHash, randomInt, timingSafeEqual } from 'crypto'
+import { AuthError } from './AuthError.js'
+import { createOtpTransport } from './OtpTransport.js'
+
+const HOUR_MS = 60 * 60 * 1000
+
+export class OtpService {
+  constructor(options = {}) {
+    this.transport = options.transport || createOtpTransport()
+    this.codeLength = options.codeLength || 6
+    this.ttlMs = options.ttlMs ?? (parseInt(process.env.VITE_OTP_TTL_SECONDS) || 300) * 1000
+    this.resendIntervalMs = options.resendIntervalMs ?? (parseInt(process.env.VITE_OTP_RESEND_SECONDS) || 60) * 1000
+    this.maxSendsPerHour = options.maxSendsPerHour || parseInt(process.env.VITE_OTP_MAX_SENDS_PER_HOUR) || 5
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.VITE_OTP_MAX_ATTEMPTS) || 5
+    this.lockoutMs = options.lockoutMs ?? (parseInt(process.env.VITE_OTP_LOCKOUT_MINUTES) || 15) * 60 * 1000
+    this.now = options.now || Date.now
+    // channel:contact -> { codeHash, expiresAt, attempts, sentAt: [], lockedUntil }
+    this.records = new Map()
+  }
+
+  /**
+   * Generate a code for the contact and send it
+   * @param {Object} request - { channel: 'email'|'phone', contact, deliver } with contact already normalized;
+   *   deliver: false applies the same limits and stores the code without sending it
+   * @returns {Promise<Object>} { expiresAt, resendAvailableAt, attemptsRemaining }
+   */
+  async issue({ channel, contact, deliver = true }) {
+    const now = this.now()
+    this.prune(now)
+    const record = this.getRecord(channel, contact, now)
+    this.assertNotLocked(record, now)
+
+    const lastSent = record.sentAt[record.sentAt.length - 1]
+    if (lastSent && now < lastSent + this.resendIntervalMs) {
+      throw tooManyRequests('Wait before requesting another code', lastSent + this.resendIntervalMs - now)
+    }
+    if (record.sentAt.length >= this.maxSendsPerHour) {
+      throw tooManyRequests('Too many codes requested, try again later', record.sentAt[0] + HOUR_MS - now)
+    }
+
+    const code = String(randomInt(0, 10 ** this.codeLength)).padStart(this.codeLength, '0')
+    const expiresAt = now + this.ttlMs
+    // Count the send before delivery so overlapping requests can't slip past the resend interval
+    record.sentAt.push(now)
+
+    try {
+      if (deliver) {
+        await this.transport.send({
+          channel,
+          to: contact,
+          code,
+          expiresAt: new Date(expiresAt).toISOString(),
+          text: `Your ClearClause AI sign-in code is ${code}. It expires in ${Math.round(this.ttlMs / 60000)} minutes.`
+        })
+      }
+    } catch (error) {
+      record.sentAt.splice(record.sentAt.indexOf(now), 1)
+      console.error('OTP delivery failed:', error.message)
+      throw new AuthError(502, 'Bad Gateway', `Could not send a code to this ${channel === 'phone' ? 'phone number' : 'email address'}`)
+    }
+
+    Object.assign(record, { codeHash: hashCode(channel, contact, code), expiresAt })
+
+    return {
+      expiresAt: new Date(expiresAt).toISOString(),
+      resendAvailableAt: new Date(now + this.resendIntervalMs).toISOString(),
+      attemptsRemaining: this.maxAttempts - record.attempts
+    }
+  }
+
+  /**
+   * Check a code; a correct code is used up, wrong ones count towards the lockout
+   * @throws {AuthError} 400 without a live code, 401 for a wrong code, 429 while locked out
+   */
+  async verify({ channel, contact, code }) {
+    const now = this.now()
+    const record = this.getRecord(channel, contact, now)
+    this.assertNotLocked(record, now)
+
+    if (!record.codeHash || now >= record.expiresAt) {
+      record.codeHash = null
+      throw new AuthError(400, 'Bad Request', 'This code has expired, request a new one')
+    }
+
+    const expected = Buffer.from(record.codeHash, 'hex')
+    const actual = Buffer.from(hashCode(channel, contact, String(code)), 'hex')
+    if (timingSafeEqual(expected, actual)) {
+      Object.assign(record, { codeHash: null, attempts: 0 })
+      return true
+    }
+
+    record.attempts += 1
+    const attemptsRemaining = this.maxAttempts - record.attempts
+    if (attemptsRemaining <= 0) {
+      Object.assign(record, { codeHash: null, attempts: 0, lockedUntil: now + this.lockoutMs })
+      throw tooManyRequests('Too many incorrect codes, try again later', this.lockoutMs)
+    }
+    throw new AuthError(401, 'Unauthorized', 'Incorrect code', { attemptsRemaining })
+  }
+
+  /**
+   * The record for a contact, with send timestamps older than an hour dropped
+   */
+  getRecord(channel, contact, now) {
+    const key = `${channel}:${contact}`
+    const record = this.records.get(key) || { codeHash: null, expiresAt: 0, attempts: 0, sentAt: [], lockedUntil: 0 }
+    record.sentAt = record.sentAt.filter(sentAt => now - sentAt < HOUR_MS)
+    this.records.set(key, record)
+    return record
+  }
+
+  /**
+   * Forget contacts with no live code, no lockout and no sends in the last hour
+   * (their wrong guesses go with them)
+   */
+  prune(now) {
+    for (const [key, record] of this.records) {
+      const active = (record.codeHash && record.expiresAt > now) || record.lockedUntil > now ||
+        record.sentAt.some(sentAt => now - sentAt < HOUR_MS)
+      if (!active) this.records.delete(key)
+    }
+  }
+
+  assertNotLocked(record, now) {
+    if (record.lockedUntil > now) {
+      throw tooManyRequests('Too many incorrect codes, try again later', record.lockedUntil - now)
+    }
+  }
+}
+
+function tooManyRequests(message, retryAfterMs) {
+  return new AuthError(429, 'Too Many Requests', message, { retryAfter: Math.ceil(retryAfterMs / 1000) })
+}
+
+// Bound to the contact so a code can't be replayed for a different address
+function hashCode(channel, contact, code) {
+  return createHash('sha256').update(`${channel}:${contact}:${code}`).digest('hex')
+}
+
+export default OtpService
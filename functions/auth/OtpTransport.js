@@ -0,0 +1,109 @@
+/**
+ * OTP Transports
+ * Deliver sign-in codes by email or SMS. Every transport has the same send(message) method, where
+ * message is { channel: 'email'|'phone', to, code, expiresAt, text }, so a real gateway can be plugged in.
+ */
+
+import { promises as fs } from 'fs'
+import path from 'path'
+
+/**
+ * Logs codes to the server console; the default for local development
+ */
+export class ConsoleOtpTransport {
+  async send(message) {
+    console.log(`🔑 Sign-in code for ${message.to} (${message.channel}): ${message.code}`)
+    return { delivered: true }
+  }
+}
+
+/**
+ * Appends each message as a JSON line to an outbox file, for development and manual testing
+ */
+export class FileOtpTransport {
+  constructor(options = {}) {
+    this.file = options.file || process.env.VITE_OTP_OUTBOX_FILE || path.join('data', 'otp-outbox.jsonl')
+  }
+
+  async send(message) {
+    await fs.mkdir(path.dirname(this.file), { recursive: true })
+    await fs.appendFile(this.file, `${JSON.stringify({ ...message, sentAt: new Date().toISOString() })}\n`)
+    return { delivered: true }
+  }
+}
+
+/**
+ * Keeps messages in memory, for tests
+ */
+export class MemoryOtpTransport {
+  constructor() {
+    this.messages = []
+  }
+
+  async send(message) {
+    this.messages.push(structuredClone(message))
+    return { delivered: true }
+  }
+
+  lastCodeFor(to) {
+    return [...this.messages].reverse().find(message => message.to === to)?.code || null
+  }
+}
+
+/**
+ * POSTs each message as JSON to a webhook, e.g. an SMS or email gateway
+ */
+export class WebhookOtpTransport {
+  constructor(options = {}) {
+    this.url = options.url || process.env.VITE_OTP_WEBHOOK_URL
+    this.fetch = options.fetch || globalThis.fetch
+
+    if (!this.url) {
+      throw new Error('VITE_OTP_WEBHOOK_URL is required for the webhook OTP transport')
+    }
+  }
+
+  async send(message) {
+    const response = await this.fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(message)
+    })
+
+    if (!response.ok) {
+      throw new Error(`OTP webhook responded with ${response.status}`)
+    }
+    return { delivered: true }
+  }
+}
+
+// Keep codes on this machine instead of delivering them
+const DEVELOPMENT_TRANSPORTS = ['console', 'file', 'memory']
+
+/**
+ * Create the transport named by VITE_OTP_TRANSPORT (console, file, memory or webhook)
+ * Defaults to console outside production. With NODE_ENV=production only a transport that delivers
+ * codes is accepted; startServer creates the transport before listening, so a missing setting stops
+ * the server at startup instead of logging codes
+ */
+export function createOtpTransport(type = process.env.VITE_OTP_TRANSPORT, options = {}) {
+  const production = process.env.NODE_ENV === 'production'
+  if (production && (!type || DEVELOPMENT_TRANSPORTS.includes(type))) {
+    throw new Error(`VITE_OTP_TRANSPORT must be webhook in production${type ? ` (${type} does not deliver codes)` : ''}`)
+  }
+
+  switch (type || 'console') {
+    case 'file':
+      return new FileOtpTransport(options)
+    case 'memory':
+      return new MemoryOtpTransport()
+    case 'webhook':
+      return new WebhookOtpTransport(options)
+    case 'console':
+      return new ConsoleOtpTransport()
+    default:
+      throw new Error(`Unknown OTP transport: ${type}`)
+  }
+}
+
+export default createOtpTransport
@@ -0,0 +1,83 @@
+/**
+ * Session Tokens
+ * Compact HMAC-SHA256 signed tokens (header.payload.signature, base64url) carrying the user and session IDs.
+ * Access tokens are short-lived; refresh tokens last the session and are rotated on every refresh.
+ */
+
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto'
+
+const HEADER = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))
+
+export class SessionTokens {
+  /**
+   * Signs with VITE_AUTH_SECRET. Outside production a missing secret falls back to a random one;
+   * in production it throws, which stops startServer before it listens
+   */
+  constructor(options = {}) {
+    this.secret = options.secret || process.env.VITE_AUTH_SECRET
+    this.accessTtlMs = options.accessTtlMs ?? (parseInt(process.env.VITE_AUTH_ACCESS_TTL_MINUTES) || 15) * 60 * 1000
+    this.refreshTtlMs = options.refreshTtlMs ?? (parseInt(process.env.VITE_AUTH_REFRESH_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000
+
+    if (!this.secret) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('VITE_AUTH_SECRET must be set in production')
+      }
+      // Tokens signed with a per-process secret stop working when the server restarts
+      console.warn('⚠️ VITE_AUTH_SECRET is not set; using a random secret for this process')
+      this.secret = randomBytes(32).toString('hex')
+    }
+  }
+
+  /**
+   * Sign a token of the given type ('access' or 'refresh')
+   * @returns {{token: string, expiresAt: string}}
+   */
+  issue(type, claims, now = Date.now()) {
+    const ttl = type === 'refresh' ? this.refreshTtlMs : this.accessTtlMs
+    const payload = {
+      ...claims,
+      type,
+      iat: Math.floor(now / 1000),
+      exp: Math.floor((now + ttl) / 1000)
+    }
+
+    const body = `${HEADER}.${base64url(JSON.stringify(payload))}`
+    return {
+      token: `${body}.${this.sign(body)}`,
+      expiresAt: new Date(payload.exp * 1000).toISOString()
+    }
+  }
+
+  /**
+   * Verify the signature, type and expiry of a token
+   * @returns {Object|null} The token claims, or null when the token is not valid
+   */
+  verify(token, type, now = Date.now()) {
+    const parts = String(token || '').split('.')
+    if (parts.length !== 3 || parts[0] !== HEADER) return null
+
+    const expected = Buffer.from(this.sign(`${parts[0]}.${parts[1]}`))
+    const actual = Buffer.from(parts[2])
+    if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) return null
+
+    let payload
+    try {
+      payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'))
+    } catch (error) {
+      return null
+    }
+
+    if (payload.type !== type || !(payload.exp * 1000 > now)) return null
+    return payload
+  }
+
+  sign(body) {
+    return createHmac('sha256', this.secret).update(body).digest('base64url')
+  }
+}
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64url')
+}
+
+export default SessionTokens
@@ -0,0 +1,163 @@
+/**
+ * User Store
+ * Accounts, sign-in sessions, workspaces and pending workspace invites, kept in a single JSON file
+ * (accounts.json) so they survive a restart
+ */
+
+import { promises as fs } from 'fs'
+import path from 'path'
+
+export class UserStore {
+  constructor(options = {}) {
+    this.directory = options.directory || process.env.VITE_AUTH_DIR || path.join('data', 'auth')
+    this.state = null
+    this.writing = Promise.resolve()
+  }
+
+  async findUserByEmail(email) {
+    return this.findUser(user => user.email === email)
+  }
+
+  async findUser(predicate) {
+    const state = await this.load()
+    const user = state.users.find(predicate)
+    return user ? structuredClone(user) : null
+  }
+
+  async listUsers() {
+    const state = await this.load()
+    return structuredClone(state.users)
+  }
+
+  async getUser(id) {
+    return this.findUser(user => user.id === id)
+  }
+
+  async createUser(user) {
+    await this.write(state => {
+      if (state.users.some(existing => existing.email === user.email)) {
+        throw Object.assign(new Error(`An account already exists for ${user.email}`), { code: 'EEXIST' })
+      }
+      state.users.push(structuredClone(user))
+    })
+    return user
+  }
+
+  async updateUser(id, changes) {
+    let updated = null
+    await this.write(state => {
+      const user = state.users.find(candidate => candidate.id === id)
+      if (!user) return
+      Object.assign(user, changes)
+      updated = structuredClone(user)
+    })
+    return updated
+  }
+
+  async getWorkspace(id) {
+    const state = await this.load()
+    const workspace = state.workspaces.find(candidate => candidate.id === id)
+    return workspace ? structuredClone(workspace) : null
+  }
+
+  async createWorkspace(workspace) {
+    await this.write(state => {
+      state.workspaces.push(structuredClone(workspace))
+    })
+    return workspace
+  }
+
+  async listInvites(predicate = () => true) {
+    const state = await this.load()
+    return structuredClone(state.invites.filter(predicate))
+  }
+
+  /**
+   * Save an invite, replacing the workspace's earlier invite for the same address
+   */
+  async saveInvite(invite) {
+    await this.write(state => {
+      const now = Date.now()
+      // Drop expired invites while we're rewriting the file anyway
+      state.invites = state.invites.filter(existing => Date.parse(existing.expiresAt) > now &&
+        !(existing.workspaceId === invite.workspaceId && existing.email === invite.email))
+      state.invites.push(structuredClone(invite))
+    })
+    return invite
+  }
+
+  async deleteInvite(id) {
+    let removed = false
+    await this.write(state => {
+      const count = state.invites.length
+      state.invites = state.invites.filter(invite => invite.id !== id)
+      removed = state.invites.length < count
+    })
+    return removed
+  }
+
+  async getSession(id) {
+    const state = await this.load()
+    const session = state.sessions.find(candidate => candidate.id === id)
+    return session ? structuredClone(session) : null
+  }
+
+  async saveSession(session) {
+    await this.write(state => {
+      const now = Date.now()
+      // Drop expired sessions while we're rewriting the file anyway
+      state.sessions = state.sessions.filter(existing => existing.id !== session.id && Date.parse(existing.expiresAt) > now)
+      state.sessions.push(structuredClone(session))
+    })
+    return session
+  }
+
+  async deleteSession(id) {
+    let removed = false
+    await this.write(state => {
+      const count = state.sessions.length
+      state.sessions = state.sessions.filter(session => session.id !== id)
+      removed = state.sessions.length < count
+    })
+    return removed
+  }
+
+  async load() {
+    if (!this.state) {
+      try {
+        // Files written before workspaces existed have no workspaces or invites
+        this.state = { workspaces: [], invites: [], ...JSON.parse(await fs.readFile(this.filePath(), 'utf8')) }
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error
+        this.state = { users: [], sessions: [], workspaces: [], invites: [] }
+      }
+    }
+    return this.state
+  }
+
+  /**
+   * Apply a change to the state and persist it, one change at a time
+   */
+  write(update) {
+    const run = this.writing.then(async () => {
+      const state = await this.load()
+      const next = structuredClone(state)
+      await update(next)
+
+      await fs.mkdir(this.directory, { recursive: true })
+      const target = this.filePath()
+      const temporary = `${target}.tmp`
+      await fs.writeFile(temporary, JSON.stringify(next, null, 2), { mode: 0o600 })
+      await fs.rename(temporary, target)
+      this.state = next
+    })
+    this.writing = run.catch(() => {})
+    return run
+  }
+
+  filePath() {
+    return path.join(this.directory, 'accounts.json')
+  }
+}
+
+export default UserStore
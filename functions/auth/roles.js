@@ -0,0 +1,91 @@
+/**
+ * Roles and permissions
+ * Everyone can view their own analyses; roles add the rest. Company-wide permissions apply to
+ * analyses owned by members of the same workspace. Workspace membership comes from an accepted invite
+ * or the admin list (see AuthService), never from the company name an account signs up with.
+ */
+
+import { AuthError } from './AuthError.js'
+
+export const PERMISSIONS = {
+  RUN_ANALYSES: 'analyses:run',
+  VIEW_COMPANY_ANALYSES: 'analyses:view-company',
+  DELETE_OWN_ANALYSES: 'analyses:delete-own',
+  DELETE_COMPANY_ANALYSES: 'analyses:delete-company',
+  CONFIGURE_MODELS: 'models:configure',
+  MANAGE_USERS: 'users:manage'
+}
+
+export const ROLES = {
+  viewer: {
+    label: 'Viewer',
+    permissions: [PERMISSIONS.VIEW_COMPANY_ANALYSES]
+  },
+  'contract-manager': {
+    label: 'Contract Manager',
+    permissions: [PERMISSIONS.RUN_ANALYSES, PERMISSIONS.DELETE_OWN_ANALYSES]
+  },
+  lawyer: {
+    label: 'Lawyer',
+    permissions: [PERMISSIONS.RUN_ANALYSES, PERMISSIONS.VIEW_COMPANY_ANALYSES, PERMISSIONS.DELETE_OWN_ANALYSES]
+  },
+  'legal-counsel': {
+    label: 'Legal Counsel',
+    permissions: Object.values(PERMISSIONS)
+  }
+}
+
+// New accounts can run and see their own analyses until a workspace invite gives them a role
+export const DEFAULT_ROLE = 'contract-manager'
+
+export function isRole(role) {
+  return Object.hasOwn(ROLES, role ?? '')
+}
+
+export function permissionsFor(role) {
+  return isRole(role) ? [...ROLES[role].permissions] : []
+}
+
+/**
+ * Check a permission for a signed-in user; a null user (auth disabled, no token) is not restricted
+ */
+export function hasPermission(user, permission) {
+  return !user || permissionsFor(user.role).includes(permission)
+}
+
+/**
+ * Owner recorded on analyses, jobs and history entries
+ */
+export function ownerOf(user) {
+  return user ? { userId: user.id, name: user.name, company: user.company || '', workspaceId: user.workspaceId || null } : null
+}
+
+/**
+ * Whether a user and an account or owner record belong to the same workspace
+ */
+export function sameWorkspace(user, other) {
+  return Boolean(user?.workspaceId) && user.workspaceId === other?.workspaceId
+}
+
+/**
+ * Results saved without an owner (before sign-in was required) are visible to everyone
+ */
+export function canView(user, owner) {
+  if (!user || !owner || owner.userId === user.id) return true
+  return hasPermission(user, PERMISSIONS.VIEW_COMPANY_ANALYSES) && sameWorkspace(user, owner)
+}
+
+export function canDelete(user, owner) {
+  if (!user) return true
+  if (owner?.userId === user.id && hasPermission(user, PERMISSIONS.DELETE_OWN_ANALYSES)) return true
+  return hasPermission(user, PERMISSIONS.DELETE_COMPANY_ANALYSES) && (!owner || sameWorkspace(user, owner))
+}
+
+/**
+ * Throw a 403 unless the user has the permission
+ */
+export function requirePermission(user, permission) {
+  if (!hasPermission(user, permission)) {
+    throw new AuthError(403, 'Forbidden', `Your role does not allow ${permission}`)
+  }
+}
@@ -0,0 +1,233 @@
+/**
+ * Document Text Extractor
+ * Extracts plain text from uploaded PDF and DOCX files while keeping page boundaries
+ */
+
+import { PDFParse } from 'pdf-parse'
+import mammoth from 'mammoth'
+
+const PAGE_SEPARATOR = '\n\n'
+
+// Word only knows about explicit page breaks; rendered pagination is not stored in the file
+const PAGE_BREAK_MARKER = '\f'
+
+export class DocumentTextExtractor {
+  constructor(options = {}) {
+    this.maxFileSize = options.maxFileSize || 25 * 1024 * 1024 // 25MB
+  }
+
+  /**
+   * Detect the extraction format from filename and MIME type
+   */
+  detectFormat(filename = '', mimeType = '') {
+    const extension = filename.split('.').pop().toLowerCase()
+    const type = mimeType.toLowerCase()
+
+    if (extension === 'pdf' || type === 'application/pdf') {
+      return 'pdf'
+    }
+    if (extension === 'docx' || type === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
+      return 'docx'
+    }
+    if (extension === 'doc' || type === 'application/msword') {
+      return 'doc'
+    }
+    if (['txt', 'md', 'text'].includes(extension) || type.startsWith('text/plain')) {
+      return 'text'
+    }
+    return null
+  }
+
+  /**
+   * Check whether a file can be extracted by this extractor
+   */
+  supports(filename, mimeType) {
+    return ['pdf', 'docx', 'text'].includes(this.detectFormat(filename, mimeType))
+  }
+
+  /**
+   * Extract text from a file buffer
+   * Returns the full text plus page records with character offsets into that text
+   */
+  async extract({ buffer, filename = '', mimeType = '' }) {
+    if (!buffer || buffer.length === 0) {
+      throw new Error('Uploaded file is empty')
+    }
+
+    if (buffer.length > this.maxFileSize) {
+      throw new Error(`File exceeds maximum size of ${Math.round(this.maxFileSize / (1024 * 1024))}MB`)
+    }
+
+    const format = this.detectFormat(filename, mimeType)
+
+    switch (format) {
+      case 'pdf':
+        return this.extractPdf(buffer)
+      case 'docx':
+        return this.extractDocx(buffer)
+      case 'text':
+        return this.buildResult([buffer.toString('utf8')], 'plain-text')
+      case 'doc':
+        throw new Error('Legacy .doc files are not supported. Please save the document as .docx or PDF')
+      default:
+        throw new Error(`Unsupported file type: ${filename || mimeType || 'unknown'}`)
+    }
+  }
+
+  /**
+   * Extract text from a PDF, one entry per page
+   */
+  async extractPdf(buffer) {
+    const parser = new PDFParse({ data: new Uint8Array(buffer) })
+
+    try {
+      const result = await parser.getText()
+      const pageTexts = result.pages
+        .sort((a, b) => a.num - b.num)
+        .map(page => this.normalizeWhitespace(page.text))
+
+      return this.buildResult(pageTexts, 'pdf-parse')
+    } finally {
+      await parser.destroy()
+    }
+  }
+
+  /**
+   * Extract text from a DOCX, splitting pages on explicit page breaks
+   */
+  async extractDocx(buffer) {
+    const result = await mammoth.convertToHtml({ buffer }, {
+      transformDocument: mammoth.transforms.run(run => ({
+        ...run,
+        children: run.children.map(child =>
+          child.type === 'break' && child.breakType === 'page'
+            ? { type: 'text', value: PAGE_BREAK_MARKER }
+            : child
+        )
+      }))
+    })
+
+    const text = this.htmlToText(result.value)
+    const pageTexts = text.split(PAGE_BREAK_MARKER).map(page => this.normalizeWhitespace(page))
+
+    return this.buildResult(pageTexts, 'mammoth')
+  }
+
+  /**
+   * Join page texts and record where each page starts and ends
+   */
+  buildResult(pageTexts, method) {
+    const pages = []
+    let text = ''
+
+    pageTexts.forEach((pageText, index) => {
+      if (index > 0) {
+        text += PAGE_SEPARATOR
+      }
+
+      const startOffset = text.length
+      text += pageText
+      pages.push({
+        pageNumber: index + 1,
+        startOffset,
+        endOffset: text.length
+      })
+    })
+
+    return {
+      text,
+      pages,
+      pageCount: pages.length,
+      method
+    }
+  }
+
+  /**
+   * Convert mammoth HTML output into paragraph-separated plain text
+   */
+  htmlToText(html) {
+    return html
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(p|h[1-6]|li|tr|table)>/gi, '\n\n')
+      .replace(/<\/t[dh]>/gi, '\t')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&amp;/g, '&')
+  }
+
+  /**
+   * Collapse runs of blank lines and trailing spaces
+   */
+  normalizeWhitespace(text) {
+    return text
+      .replace(/\r\n?/g, '\n')
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim()
+  }
+
+  /**
+   * Render text with page headers so the model can cite page numbers
+   */
+  formatWithPageMarkers(extraction) {
+    if (!extraction.pages || extraction.pages.length <= 1) {
+      return extraction.text
+    }
+
+    return extraction.pages
+      .map(page => `[Page ${page.pageNumber}]\n${extraction.text.substring(page.startOffset, page.endOffset)}`)
+      .join(PAGE_SEPARATOR)
+  }
+
+  /**
+   * Find the page number containing a character offset
+   */
+  findPageForOffset(pages, offset) {
+    if (!pages || pages.length === 0 || offset < 0) {
+      return null
+    }
+
+    const page = pages.find(p => offset >= p.startOffset && offset <= p.endOffset)
+    return page ? page.pageNumber : null
+  }
+
+  /**
+   * Attach page numbers to clauses, using their anchored offsets when available
+   * and otherwise locating their content in the extracted text
+   */
+  assignClausePages(clauses, extraction) {
+    if (!Array.isArray(clauses) || !extraction?.pages?.length) {
+      return clauses
+    }
+
+    const haystack = extraction.text.toLowerCase()
+
+    return clauses.map(clause => {
+      const content = (clause.content || clause.text || '').trim().toLowerCase()
+      let pageNumber = null
+
+      if (Number.isInteger(clause.startPosition)) {
+        pageNumber = this.findPageForOffset(extraction.pages, clause.startPosition)
+      } else if (content) {
+        // Quotes may be shortened by the model, so match on a leading snippet
+        const snippet = content.substring(0, 80)
+        const offset = haystack.indexOf(snippet)
+        pageNumber = this.findPageForOffset(extraction.pages, offset)
+      }
+
+      if (!pageNumber) {
+        const cited = String(clause.sourceLocation || '').match(/page\s+(\d+)/i)
+        if (cited && Number(cited[1]) <= extraction.pageCount) {
+          pageNumber = Number(cited[1])
+        }
+      }
+
+      return pageNumber ? { ...clause, pageNumber } : clause
+    })
+  }
+}
+
+export default DocumentTextExtractor
@@ -0,0 +1,166 @@
+/**
+ * Spreadsheet Parser
+ * Converts XLSX, XLS and CSV workbooks into table-aware text for contract analysis
+ */
+
+import * as XLSX from 'xlsx'
+
+export const SPREADSHEET_DOCUMENT_TYPE = 'Spreadsheet Schedule'
+
+const SHEET_SEPARATOR = '\n\n'
+
+export class SpreadsheetParser {
+  constructor(options = {}) {
+    this.maxRowsPerSheet = options.maxRowsPerSheet || 500
+    this.maxSheets = options.maxSheets || 20
+  }
+
+  /**
+   * Check whether a filename is a supported spreadsheet
+   */
+  isSpreadsheet(filename = '') {
+    return ['xlsx', 'xls', 'csv'].includes(filename.split('.').pop().toLowerCase())
+  }
+
+  /**
+   * Parse a workbook into text with one "page" record per sheet
+   * The result has the same shape as DocumentTextExtractor output
+   */
+  parse({ buffer, filename = '' }) {
+    if (!buffer || buffer.length === 0) {
+      throw new Error('Uploaded spreadsheet is empty')
+    }
+
+    const workbook = this.readWorkbook(buffer, filename)
+    const sheetNames = workbook.SheetNames.slice(0, this.maxSheets)
+    const sheets = []
+    const pages = []
+    let text = ''
+
+    sheetNames.forEach(name => {
+      const table = this.readTable(workbook.Sheets[name])
+      if (table.rows.length === 0 && table.headers.length === 0) {
+        return
+      }
+
+      if (text.length > 0) {
+        text += SHEET_SEPARATOR
+      }
+
+      const startOffset = text.length
+      text += this.formatSheet(name, table)
+
+      sheets.push({
+        name,
+        headers: table.headers,
+        rowCount: table.totalRows,
+        columnCount: table.headers.length,
+        truncated: table.totalRows > table.rows.length
+      })
+      pages.push({
+        pageNumber: pages.length + 1,
+        sheetName: name,
+        startOffset,
+        endOffset: text.length
+      })
+    })
+
+    return {
+      text,
+      pages,
+      pageCount: pages.length,
+      sheets,
+      method: 'xlsx'
+    }
+  }
+
+  /**
+   * Read the workbook, decoding CSV as UTF-8 text
+   */
+  readWorkbook(buffer, filename) {
+    if (filename.toLowerCase().endsWith('.csv')) {
+      return XLSX.read(buffer.toString('utf8'), { type: 'string', raw: true })
+    }
+    return XLSX.read(buffer, { type: 'buffer', cellDates: true })
+  }
+
+  /**
+   * Read a sheet into a header row and data rows of formatted cell text
+   */
+  readTable(sheet) {
+    const grid = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '', blankrows: false })
+      .map(row => row.map(cell => String(cell).trim()))
+      .filter(row => row.some(cell => cell !== ''))
+
+    if (grid.length === 0) {
+      return { headers: [], rows: [], totalRows: 0 }
+    }
+
+    const headerIndex = this.findHeaderRow(grid)
+    const width = Math.max(...grid.map(row => row.length))
+    const headers = headerIndex === -1
+      ? Array.from({ length: width }, (_, i) => `Column ${XLSX.utils.encode_col(i)}`)
+      : Array.from({ length: width }, (_, i) => grid[headerIndex][i] || `Column ${XLSX.utils.encode_col(i)}`)
+
+    // Rows above the header (titles, notes) are kept as rows so nothing is lost
+    const dataRows = grid.filter((_, index) => index !== headerIndex)
+
+    return {
+      headers,
+      rows: dataRows.slice(0, this.maxRowsPerSheet),
+      totalRows: dataRows.length
+    }
+  }
+
+  /**
+   * Find the header row: the first row that is mostly non-numeric labels
+   */
+  findHeaderRow(grid) {
+    const candidates = grid.slice(0, 10)
+
+    return candidates.findIndex((row, index) => {
+      const filled = row.filter(cell => cell !== '')
+      const labels = filled.filter(cell => !this.isNumeric(cell))
+      const nextRow = grid[index + 1]
+
+      return filled.length >= 2 &&
+        labels.length === filled.length &&
+        // A title row above a wider table is not a header
+        (!nextRow || filled.length >= nextRow.filter(cell => cell !== '').length)
+    })
+  }
+
+  isNumeric(value) {
+    return /^[-+]?[$€£¥]?\s?[\d,]+(\.\d+)?%?$/.test(value)
+  }
+
+  /**
+   * Render a sheet as labelled rows so each value keeps its column context
+   */
+  formatSheet(name, table) {
+    const lines = [
+      `=== Sheet: ${name} ===`,
+      `Columns: ${table.headers.join(' | ')}`,
+      `Rows: ${table.totalRows}`
+    ]
+
+    table.rows.forEach((row, index) => {
+      const cells = table.headers
+        .map((header, column) => [header, row[column] || ''])
+        .filter(([, value]) => value !== '')
+        .map(([header, value]) => `${header}: ${value}`)
+
+      if (cells.length > 0) {
+        lines.push(`Row ${index + 1}: ${cells.join('; ')}`)
+      }
+    })
+
+    if (table.totalRows > table.rows.length) {
+      lines.push(`[${table.totalRows - table.rows.length} additional rows omitted]`)
+    }
+
+    return lines.join('\n')
+  }
+}
+
+export default SpreadsheetParser
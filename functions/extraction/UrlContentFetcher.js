@@ -0,0 +1,445 @@
+/**
+ * URL Content Fetcher
+ * Downloads a web page or linked document and extracts the main legal text,
+ * with SSRF protections (address filtering, redirect and size caps)
+ */
+
+import http from 'node:http'
+import https from 'node:https'
+import dns from 'node:dns'
+import net from 'node:net'
+import { DocumentTextExtractor } from './DocumentTextExtractor.js'
+
+// IPv4 ranges that must never be fetched: private, loopback, link-local, CGNAT, multicast, reserved
+const BLOCKED_IPV4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+]
+
+// Elements that never contain the main document text
+const BOILERPLATE_ELEMENTS = ['script', 'style', 'noscript', 'template', 'svg', 'iframe', 'canvas', 'nav', 'header', 'footer', 'aside', 'form', 'button', 'select']
+
+const HTML_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  hellip: '…', copy: '©', reg: '®', trade: '™', sect: '§', para: '¶'
+}
+
+export class UrlFetchError extends Error {
+  constructor(message, code, status = 400) {
+    super(message)
+    this.name = 'UrlFetchError'
+    this.code = code
+    this.status = status
+  }
+}
+
+export class UrlContentFetcher {
+  constructor(options = {}) {
+    this.fetcher = options.fetcher || nodeHttpFetcher
+    this.resolver = options.resolver || resolveHostAddresses
+    this.maxRedirects = options.maxRedirects ?? 5
+    this.maxBytes = options.maxBytes || 5 * 1024 * 1024 // 5MB
+    this.timeout = options.timeout || 15000
+    this.allowPrivateAddresses = options.allowPrivateAddresses || false
+    this.documentExtractor = options.documentExtractor || new DocumentTextExtractor()
+  }
+
+  /**
+   * Fetch a URL, following redirects safely, and return its main text
+   */
+  async fetchContent(rawUrl) {
+    let url = this.validateUrl(rawUrl)
+    const redirects = []
+
+    for (let hop = 0; hop <= this.maxRedirects; hop++) {
+      const address = await this.resolveSafeAddress(url)
+
+      const response = await this.fetcher(url.href, {
+        address,
+        timeout: this.timeout,
+        maxBytes: this.maxBytes,
+        headers: {
+          'User-Agent': 'ClearClause-AI/1.0.0 (+contract analysis)',
+          'Accept': 'text/html,application/xhtml+xml,text/plain,application/pdf;q=0.9,*/*;q=0.5'
+        }
+      })
+
+      if (response.status >= 300 && response.status < 400 && response.headers.location) {
+        if (hop === this.maxRedirects) {
+          throw new UrlFetchError(`Too many redirects (maximum ${this.maxRedirects})`, 'TOO_MANY_REDIRECTS')
+        }
+        const nextUrl = this.validateUrl(new URL(response.headers.location, url).href)
+        redirects.push({ from: url.href, to: nextUrl.href, status: response.status })
+        url = nextUrl
+        continue
+      }
+
+      if (response.status < 200 || response.status >= 300) {
+        throw new UrlFetchError(`Remote server responded with status ${response.status}`, 'UPSTREAM_ERROR', 502)
+      }
+
+      if (response.body.length > this.maxBytes) {
+        throw new UrlFetchError(`Response exceeds maximum size of ${this.maxBytes} bytes`, 'RESPONSE_TOO_LARGE', 413)
+      }
+
+      const content = await this.extractContent(response, url)
+      return {
+        url: rawUrl,
+        finalUrl: url.href,
+        redirects,
+        contentType: response.headers['content-type'] || '',
+        fetchedAt: new Date().toISOString(),
+        ...content
+      }
+    }
+
+    throw new UrlFetchError(`Too many redirects (maximum ${this.maxRedirects})`, 'TOO_MANY_REDIRECTS')
+  }
+
+  /**
+   * Validate scheme, credentials and host of a URL
+   */
+  validateUrl(rawUrl) {
+    let url
+    try {
+      url = new URL(String(rawUrl || '').trim())
+    } catch {
+      throw new UrlFetchError('A valid absolute URL is required', 'INVALID_URL')
+    }
+
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new UrlFetchError(`Protocol ${url.protocol} is not allowed`, 'INVALID_PROTOCOL')
+    }
+
+    if (url.username || url.password) {
+      throw new UrlFetchError('URLs with embedded credentials are not allowed', 'INVALID_URL')
+    }
+
+    if (!url.hostname) {
+      throw new UrlFetchError('URL must include a host name', 'INVALID_URL')
+    }
+
+    return url
+  }
+
+  /**
+   * Resolve the host and reject private or reserved addresses
+   * Returns the address to connect to so DNS cannot change between check and use
+   */
+  async resolveSafeAddress(url) {
+    const hostname = url.hostname.replace(/^\[|\]$/g, '')
+    const addresses = net.isIP(hostname) ? [hostname] : await this.resolver(hostname)
+
+    if (!addresses || addresses.length === 0) {
+      throw new UrlFetchError(`Could not resolve host ${hostname}`, 'DNS_FAILURE', 502)
+    }
+
+    if (!this.allowPrivateAddresses) {
+      const blocked = addresses.find(address => isBlockedAddress(address))
+      if (blocked) {
+        throw new UrlFetchError(`Access to private or reserved address ${blocked} is blocked`, 'BLOCKED_ADDRESS', 403)
+      }
+    }
+
+    return addresses[0]
+  }
+
+  /**
+   * Turn the response body into text based on its content type
+   */
+  async extractContent(response, url) {
+    const contentType = (response.headers['content-type'] || '').toLowerCase()
+    const filename = url.pathname.split('/').pop() || ''
+
+    if (contentType.includes('application/pdf') || filename.toLowerCase().endsWith('.pdf')) {
+      const extraction = await this.documentExtractor.extract({ buffer: response.body, filename: filename || 'document.pdf', mimeType: 'application/pdf' })
+      return { title: filename, text: extraction.text, pages: extraction.pages, method: extraction.method }
+    }
+
+    const charset = contentType.match(/charset=([\w-]+)/)?.[1] || 'utf-8'
+    const decoded = decodeBody(response.body, charset)
+
+    if (contentType.includes('text/plain')) {
+      return { title: filename, text: this.normalizeText(decoded), method: 'plain-text' }
+    }
+
+    if (!contentType || contentType.includes('html') || contentType.includes('xml')) {
+      return { ...this.extractMainText(decoded), method: 'html-extraction' }
+    }
+
+    throw new UrlFetchError(`Unsupported content type: ${contentType}`, 'UNSUPPORTED_CONTENT', 415)
+  }
+
+  /**
+   * Extract the main readable text from an HTML page
+   */
+  extractMainText(html) {
+    const title = decodeEntities((html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] || '').trim())
+
+    let cleaned = html
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<head[\s\S]*?<\/head>/gi, '')
+
+    BOILERPLATE_ELEMENTS.forEach(tag => {
+      cleaned = cleaned.replace(new RegExp(`<${tag}\\b[\\s\\S]*?<\\/${tag}>`, 'gi'), '')
+    })
+
+    // Drop elements marked as navigation, banners or cookie notices
+    cleaned = cleaned.replace(
+      /<(div|section|ul|p)\b[^>]*(role="(navigation|banner|contentinfo)"|(id|class)="[^"]*\b(cookie|consent|breadcrumb|menu|navbar|sidebar|share|social)\b[^"]*")[^>]*>[\s\S]*?<\/\1>/gi,
+      ''
+    )
+
+    const main = this.findMainRegion(cleaned)
+
+    const text = main
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<li\b[^>]*>/gi, '\n- ')
+      .replace(/<\/(p|div|section|article|main|h[1-6]|li|tr|table|blockquote|pre|dd|dt)>/gi, '\n\n')
+      .replace(/<\/t[dh]>/gi, '\t')
+      .replace(/<[^>]+>/g, '')
+
+    return { title, text: this.normalizeText(decodeEntities(text)) }
+  }
+
+  /**
+   * Prefer <main> or the element with role="main", then the longest <article>, then the body
+   */
+  findMainRegion(html) {
+    const main = html.match(/<main\b[^>]*>([\s\S]*?)<\/main>/i)?.[1] ??
+      this.elementContent(html, /<([a-z][a-z0-9]*)\b[^>]*role="main"[^>]*>/i)
+    if (main && main.replace(/<[^>]+>/g, '').trim().length > 200) {
+      return main
+    }
+
+    const articles = [...html.matchAll(/<article\b[^>]*>([\s\S]*?)<\/article>/gi)].map(m => m[1])
+    if (articles.length > 0) {
+      return articles.sort((a, b) => b.length - a.length)[0]
+    }
+
+    return html.match(/<body\b[^>]*>([\s\S]*)<\/body>/i)?.[1] || html
+  }
+
+  /**
+   * Content of the first element whose opening tag matches, up to its own closing tag
+   * Nested elements with the same tag name are counted, so an inner closing tag does not end it early
+   * @returns {string|null} Null when there is no such element or it is never closed
+   */
+  elementContent(html, openingTag) {
+    const opening = openingTag.exec(html)
+    if (!opening) {
+      return null
+    }
+
+    const start = opening.index + opening[0].length
+    const tags = new RegExp(`<(/?)${opening[1]}\\b[^>]*>`, 'gi')
+    tags.lastIndex = start
+
+    let depth = 1
+    let tag
+    while ((tag = tags.exec(html))) {
+      depth += tag[1] ? -1 : 1
+      if (depth === 0) {
+        return html.slice(start, tag.index)
+      }
+    }
+    return null
+  }
+
+  /**
+   * Collapse whitespace and drop trivial leftover lines
+   */
+  normalizeText(text) {
+    return text
+      .replace(/\r\n?/g, '\n')
+      .split('\n')
+      .map(line => line.replace(/[ \t ]+/g, ' ').trim())
+      .filter(line => !/^(-\s*)?(skip to (main )?content|back to top|share|print|menu)$/i.test(line))
+      .join('\n')
+      .replace(/\n(- \n)+/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim()
+  }
+}
+
+/**
+ * Check whether an IP address falls in a private or reserved range
+ */
+export function isBlockedAddress(address) {
+  const version = net.isIP(address)
+
+  if (version === 4) {
+    const value = ipv4ToInt(address)
+    return BLOCKED_IPV4_RANGES.some(([base, bits]) => {
+      const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0
+      return (value & mask) >>> 0 === (ipv4ToInt(base) & mask) >>> 0
+    })
+  }
+
+  if (version === 6) {
+    const bytes = ipv6ToBytes(address)
+    const prefix = (values) => values.every((value, index) => bytes[index] === value)
+    const zeros = (count) => new Array(count).fill(0)
+
+    // IPv4 carried inside IPv6 is judged by the IPv4 list:
+    // mapped ::ffff:0:0/96, compatible ::/96, NAT64 64:ff9b::/96 and 6to4 2002::/16
+    const embedded =
+      prefix([...zeros(10), 0xff, 0xff]) ? bytes.slice(12) :
+      prefix(zeros(12)) && !prefix(zeros(15)) ? bytes.slice(12) :
+      prefix([0x00, 0x64, 0xff, 0x9b, ...zeros(8)]) ? bytes.slice(12) :
+      prefix([0x20, 0x02]) ? bytes.slice(2, 6) :
+      null
+    if (embedded) {
+      return isBlockedAddress(embedded.join('.'))
+    }
+
+    return prefix(zeros(15)) || // unspecified :: and loopback ::1
+      (bytes[0] & 0xfe) === 0xfc || // unique local fc00::/7
+      (bytes[0] === 0xfe && (bytes[1] & 0xc0) !== 0) || // link-local fe80::/10 and site-local fec0::/10
+      bytes[0] === 0xff || // multicast ff00::/8
+      prefix([0x20, 0x01, 0x0d, 0xb8]) || // documentation 2001:db8::/32
+      prefix([0x00, 0x64, 0xff, 0x9b, 0x00, 0x01]) // local-use NAT64 64:ff9b:1::/48
+  }
+
+  return true
+}
+
+function ipv4ToInt(address) {
+  return address.split('.').reduce((acc, octet) => ((acc << 8) + Number(octet)) >>> 0, 0)
+}
+
+/**
+ * Expand an IPv6 address (any notation, including a trailing dotted IPv4 and a zone id) to 16 bytes
+ */
+function ipv6ToBytes(address) {
+  let text = address.toLowerCase().replace(/%.*$/, '')
+
+  const dotted = text.match(/(\d+\.\d+\.\d+\.\d+)$/)
+  if (dotted) {
+    const value = ipv4ToInt(dotted[1])
+    text = text.slice(0, -dotted[1].length) + `${(value >>> 16).toString(16)}:${(value & 0xffff).toString(16)}`
+  }
+
+  const [head, tail] = text.split('::')
+  const headGroups = head ? head.split(':') : []
+  const tailGroups = tail ? tail.split(':') : []
+  const groups = tail === undefined
+    ? headGroups
+    : [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups]
+
+  return groups.flatMap(group => {
+    const value = parseInt(group, 16)
+    return [value >> 8, value & 0xff]
+  })
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10)
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match
+    }
+    return HTML_ENTITIES[entity.toLowerCase()] ?? match
+  })
+}
+
+function decodeBody(buffer, charset) {
+  try {
+    return new TextDecoder(charset).decode(buffer)
+  } catch {
+    return buffer.toString('utf8')
+  }
+}
+
+/**
+ * Default DNS resolver returning every address for a host
+ */
+async function resolveHostAddresses(hostname) {
+  const results = await dns.promises.lookup(hostname, { all: true })
+  return results.map(result => result.address)
+}
+
+/**
+ * Default fetcher using node http/https
+ * Connects to the pre-validated address, never follows redirects itself and
+ * aborts as soon as the body exceeds maxBytes or the whole request takes longer than timeout
+ */
+export function nodeHttpFetcher(url, { address, timeout, maxBytes, headers }) {
+  const target = new URL(url)
+  const transport = target.protocol === 'https:' ? https : http
+
+  return new Promise((resolveRequest, rejectRequest) => {
+    // The socket timeout only catches a stalled connection; the deadline also stops a server that drips bytes
+    const deadline = setTimeout(() => {
+      reject(new UrlFetchError(`Request timed out after ${timeout}ms`, 'TIMEOUT', 504))
+      request.destroy()
+    }, timeout)
+    const resolve = (value) => {
+      clearTimeout(deadline)
+      resolveRequest(value)
+    }
+    const reject = (error) => {
+      clearTimeout(deadline)
+      rejectRequest(error)
+    }
+
+    const request = transport.request(target, {
+      method: 'GET',
+      headers,
+      timeout,
+      // Pin the connection to the address that passed the SSRF check
+      lookup: address
+        ? (hostname, options, callback) => options?.all
+          ? callback(null, [{ address, family: net.isIP(address) }])
+          : callback(null, address, net.isIP(address))
+        : undefined
+    }, response => {
+      const declaredLength = Number(response.headers['content-length'] || 0)
+      if (declaredLength > maxBytes) {
+        response.destroy()
+        reject(new UrlFetchError(`Response exceeds maximum size of ${maxBytes} bytes`, 'RESPONSE_TOO_LARGE', 413))
+        return
+      }
+
+      const chunks = []
+      let received = 0
+
+      response.on('data', chunk => {
+        received += chunk.length
+        if (received > maxBytes) {
+          response.destroy()
+          reject(new UrlFetchError(`Response exceeds maximum size of ${maxBytes} bytes`, 'RESPONSE_TOO_LARGE', 413))
+          return
+        }
+        chunks.push(chunk)
+      })
+      response.on('end', () => resolve({
+        status: response.statusCode,
+        headers: response.headers,
+        body: Buffer.concat(chunks)
+      }))
+      response.on('error', reject)
+    })
+
+    request.on('timeout', () => {
+      request.destroy(new UrlFetchError(`Request timed out after ${timeout}ms`, 'TIMEOUT', 504))
+    })
+    request.on('error', reject)
+    request.end()
+  })
+}
+
+export default UrlContentFetcher
@@ -0,0 +1,234 @@
+/**
+ * Analysis History
+ * Persists full analysis and comparison results as JSON files so past results can be listed and reopened.
+ * Each record is stored in its own file; index.json keeps the summaries used for listing and search.
+ */
+
+import { promises as fs } from 'fs'
+import path from 'path'
+import { randomUUID } from 'crypto'
+
+const SEVERITY_ORDER = ['none', 'low', 'medium', 'high', 'critical']
+
+export class AnalysisHistory {
+  constructor(options = {}) {
+    this.directory = options.directory || process.env.VITE_ANALYSIS_HISTORY_DIR || path.join('data', 'analyses')
+    this.enabled = options.enabled ?? process.env.VITE_ANALYSIS_HISTORY !== 'off'
+    this.index = null
+    this.writing = Promise.resolve()
+  }
+
+  /**
+   * Store an analysis or comparison
+   * @param {Object} entry - { kind: 'analysis'|'comparison', document, response, sourceText, owner }
+   * @returns {Promise<Object|null>} The record summary, or null when history is disabled
+   */
+  async save({ kind, document = {}, response, sourceText = null, owner = null }) {
+    if (!this.enabled) return null
+
+    const record = {
+      id: randomUUID(),
+      kind,
+      createdAt: new Date().toISOString(),
+      owner,
+      document,
+      sourceText,
+      response
+    }
+    const summary = this.summarize(record)
+
+    await this.write(async () => {
+      await fs.mkdir(this.directory, { recursive: true })
+      await this.writeJson(this.filePath(record.id), { ...record, summary })
+      const index = await this.loadIndex()
+      index.unshift(summary)
+      await this.writeJson(this.indexPath(), index)
+    })
+    return summary
+  }
+
+  async get(id) {
+    if (!this.isValidId(id)) return null
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(id), 'utf8'))
+    } catch (error) {
+      if (error.code === 'ENOENT') return null
+      throw error
+    }
+  }
+
+  /**
+   * List record summaries, newest first
+   * Filters: search (title, document names, type), kind, risk (highest severity), documentType,
+   * from/to (ISO dates), limit and offset. visible(summary) narrows the list to the records a user may
+   * see before paging, so totals stay right
+   */
+  async list(filters = {}, { visible = null } = {}) {
+    const index = await this.loadIndex()
+    const search = String(filters.search || '').trim().toLowerCase()
+    const from = filters.from ? Date.parse(filters.from) : null
+    const to = filters.to ? Date.parse(filters.to) : null
+
+    const matches = index.filter(summary => {
+      if (visible && !visible(summary)) return false
+      if (filters.kind && summary.kind !== filters.kind) return false
+      if (filters.risk && summary.highestRisk !== filters.risk) return false
+      if (filters.documentType && summary.documentType !== filters.documentType) return false
+      if (from && Date.parse(summary.createdAt) < from) return false
+      if (to && Date.parse(summary.createdAt) > to) return false
+      if (search) {
+        const haystack = [summary.title, summary.documentType, ...summary.documentNames].join(' ').toLowerCase()
+        if (!haystack.includes(search)) return false
+      }
+      return true
+    })
+
+    const offset = Math.max(parseInt(filters.offset) || 0, 0)
+    const limit = Math.max(parseInt(filters.limit) || 50, 1)
+    return { items: matches.slice(offset, offset + limit), total: matches.length }
+  }
+
+  /**
+   * Change a stored record; change(record) edits it in place and the summary is rebuilt from it
+   * @returns {Promise<Object|null>} The updated record, or null when it does not exist
+   */
+  async update(id, change) {
+    if (!this.isValidId(id)) return null
+
+    let updated = null
+    await this.write(async () => {
+      const stored = await this.get(id)
+      if (!stored) return
+
+      const { summary: _summary, ...record } = stored
+      change(record)
+      const summary = this.summarize(record)
+      await this.writeJson(this.filePath(id), { ...record, summary })
+
+      const index = await this.loadIndex()
+      const position = index.findIndex(entry => entry.id === id)
+      if (position !== -1) index[position] = summary
+      await this.writeJson(this.indexPath(), index)
+      updated = { ...record, summary }
+    })
+    return updated
+  }
+
+  async delete(id) {
+    if (!this.isValidId(id)) return false
+
+    let removed = false
+    await this.write(async () => {
+      const index = await this.loadIndex()
+      const position = index.findIndex(summary => summary.id === id)
+      if (position === -1) return
+
+      index.splice(position, 1)
+      await fs.rm(this.filePath(id), { force: true })
+      await this.writeJson(this.indexPath(), index)
+      removed = true
+    })
+    return removed
+  }
+
+  /**
+   * Fields shown in the history list and used by the filters
+   */
+  summarize(record) {
+    const { response = {}, document = {} } = record
+
+    if (record.kind === 'comparison') {
+      const documents = response.documents || []
+      return {
+        id: record.id,
+        kind: record.kind,
+        createdAt: record.createdAt,
+        title: `Comparison – ${documents.map(doc => doc.name).join(' vs ')}`,
+        documentNames: documents.map(doc => doc.name),
+        documentType: response.comparison?.overview?.documentTypes?.[0] || null,
+        highestRisk: this.highestRisk(documents.flatMap(doc => doc.highestRisk ? [{ severity: doc.highestRisk }] : [])),
+        clauseCount: documents.reduce((sum, doc) => sum + (doc.clauseCount || 0), 0),
+        riskCount: documents.reduce((sum, doc) => sum + (doc.riskCount || 0), 0),
+        model: response.model || null,
+        usingRealAI: Boolean(response.usingRealAI),
+        ...this.summarizeSharing(record)
+      }
+    }
+
+    const analysis = response.analysis || {}
+    return {
+      id: record.id,
+      kind: record.kind,
+      createdAt: record.createdAt,
+      title: document.name || analysis.summary?.documentType || 'Analysis',
+      documentNames: document.name ? [document.name] : [],
+      documentType: analysis.summary?.documentType || null,
+      highestRisk: this.highestRisk(analysis.risks),
+      clauseCount: analysis.clauses?.length || 0,
+      riskCount: analysis.risks?.length || 0,
+      model: response.model || null,
+      usingRealAI: Boolean(response.usingRealAI),
+      ...this.summarizeSharing(record)
+    }
+  }
+
+  /**
+   * Who owns the record and who it is shared with, for access checks on the list
+   */
+  summarizeSharing(record) {
+    return {
+      owner: record.owner || null,
+      sharedWith: (record.sharing?.members || []).map(({ userId, access }) => ({ userId, access })),
+      commentCount: record.comments?.length || 0
+    }
+  }
+
+  highestRisk(risks = []) {
+    return (risks || []).reduce((highest, risk) => {
+      const severity = String(risk.severity || 'low').toLowerCase()
+      return SEVERITY_ORDER.indexOf(severity) > SEVERITY_ORDER.indexOf(highest) ? severity : highest
+    }, 'none')
+  }
+
+  async loadIndex() {
+    if (!this.index) {
+      try {
+        this.index = JSON.parse(await fs.readFile(this.indexPath(), 'utf8'))
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error
+        this.index = []
+      }
+    }
+    return this.index
+  }
+
+  /**
+   * Run index updates one at a time so concurrent saves don't drop each other's entries
+   */
+  write(task) {
+    const run = this.writing.then(task)
+    this.writing = run.catch(() => {})
+    return run
+  }
+
+  async writeJson(target, data) {
+    const temporary = `${target}.tmp`
+    await fs.writeFile(temporary, JSON.stringify(data))
+    await fs.rename(temporary, target)
+  }
+
+  // Record IDs are UUIDs; anything else could reach index.json or escape the directory
+  isValidId(id) {
+    return /^[0-9a-f]{8}(-[0-9a-f]{4}){3}-[0-9a-f]{12}$/i.test(String(id || ''))
+  }
+
+  filePath(id) {
+    return path.join(this.directory, `${id}.json`)
+  }
+
+  indexPath() {
+    return path.join(this.directory, 'index.json')
+  }
+}
+
+export default AnalysisHistory
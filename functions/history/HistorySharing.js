@@ -0,0 +1,239 @@
+/**
+ * History Sharing
+ * Shares saved analyses inside the owner's workspace (see AuthService for how accounts join one),
+ * checked against the stored accounts each time. Owners share with a teammate by email or create a link, at view or comment
+ * level; opening a link adds the entry to the teammate's "shared with me" list until the link is
+ * revoked or replaced. Comments are kept on the history record.
+ */
+
+import { randomBytes, randomUUID, timingSafeEqual } from 'crypto'
+import { AuthError } from '../auth/AuthError.js'
+import { canView } from '../auth/roles.js'
+
+export const SHARE_ACCESS = ['view', 'comment']
+
+/**
+ * A user's access to a saved entry (record or summary): 'owner', 'comment', 'view' or null
+ * Without a signed-in user (VITE_AUTH_REQUIRED=off) everything is open; entries saved without an owner
+ * can be viewed by anyone but not shared or commented on
+ */
+export function accessFor(user, entry) {
+  if (!entry) return null
+  const owner = entry.owner || null
+  if (!user) return 'owner'
+  if (!owner) return 'view'
+  if (owner.userId === user.id) return 'owner'
+
+  const share = entry.sharedWith?.find(member => member.userId === user.id) ||
+    entry.sharing?.members?.find(member => member.userId === user.id)
+  if (share?.access === 'comment') return 'comment'
+  return share || canView(user, owner) ? 'view' : null
+}
+
+export class HistorySharing {
+  /**
+   * @param {Object} options - { history: AnalysisHistory, auth: AuthService }
+   */
+  constructor({ history, auth }) {
+    this.history = history
+    this.auth = auth
+  }
+
+  /**
+   * History list filter for a user; scope 'mine' keeps their own entries, 'shared' the ones shared with them
+   */
+  visibleTo(user, scope = null) {
+    return summary => {
+      if (!accessFor(user, summary)) return false
+      if (scope === 'mine') return !user || summary.owner?.userId === user.id
+      if (scope === 'shared') return Boolean(user) && Boolean(summary.sharedWith?.some(member => member.userId === user.id))
+      return true
+    }
+  }
+
+  /**
+   * A saved entry as the user may see it, or null when they can't
+   * Only the owner sees the share link
+   */
+  async getEntry(user, id) {
+    const record = await this.history.get(id)
+    return record && accessFor(user, record) ? this.describe(record, user) : null
+  }
+
+  async share(actor, id, { email, access }) {
+    const record = await this.getOwnedRecord(actor, id)
+    const teammate = await this.auth.findUserByContact('email', email)
+    if (!teammate || !(await this.auth.isTeammate(actor, teammate.id))) {
+      throw new AuthError(404, 'Not Found', 'No one in your workspace has that email address')
+    }
+    if (teammate.id === record.owner.userId) {
+      throw new AuthError(400, 'Bad Request', 'You already own this analysis')
+    }
+
+    return this.updateSharing(id, actor, sharing => {
+      sharing.members = sharing.members.filter(member => member.userId !== teammate.id)
+      sharing.members.push({
+        userId: teammate.id,
+        name: teammate.name,
+        email: teammate.email,
+        access,
+        sharedBy: actor.id,
+        sharedAt: new Date().toISOString()
+      })
+    })
+  }
+
+  async unshare(actor, id, userId) {
+    await this.getOwnedRecord(actor, id)
+    return this.updateSharing(id, actor, sharing => {
+      sharing.members = sharing.members.filter(member => member.userId !== userId)
+    })
+  }
+
+  /**
+   * Create (or replace) the entry's share link; people who opened the old link lose access
+   */
+  async createLink(actor, id, { access }) {
+    await this.getOwnedRecord(actor, id)
+    const token = `${id}.${randomBytes(24).toString('base64url')}`
+    return this.updateSharing(id, actor, sharing => {
+      sharing.members = sharing.members.filter(member => member.via !== 'link')
+      sharing.link = { token, access, createdAt: new Date().toISOString() }
+    })
+  }
+
+  async revokeLink(actor, id) {
+    await this.getOwnedRecord(actor, id)
+    return this.updateSharing(id, actor, sharing => {
+      sharing.members = sharing.members.filter(member => member.via !== 'link')
+      sharing.link = null
+    })
+  }
+
+  /**
+   * Open a share link; teammates are added to the entry's members with the link's access while the
+   * link lasts. Members the owner shared with directly keep the access they were given.
+   * Invalid links and links from another workspace are reported the same way
+   */
+  async openLink(actor, token) {
+    if (!actor) {
+      throw new AuthError(403, 'Forbidden', 'Sign in to open shared analyses')
+    }
+
+    const id = String(token || '').split('.')[0]
+    const record = await this.history.get(id)
+    const link = record?.sharing?.link
+    if (!link || !tokensMatch(link.token, token) || !(await this.auth.isTeammate(actor, record.owner?.userId))) {
+      throw new AuthError(404, 'Not Found', 'This share link is invalid or has been revoked')
+    }
+
+    // Nothing to add for the owner, a direct share or a member who already has the link's access
+    const share = record.sharing.members?.find(member => member.userId === actor.id)
+    if (accessFor(actor, record) === 'owner' || (share && (share.via !== 'link' || share.access === link.access))) {
+      return this.describe(record, actor)
+    }
+
+    const updated = await this.history.update(id, next => {
+      const sharing = normalizeSharing(next.sharing)
+      sharing.members = sharing.members.filter(member => member.userId !== actor.id)
+      sharing.members.push({
+        userId: actor.id,
+        name: actor.name,
+        email: actor.email,
+        access: link.access,
+        via: 'link',
+        sharedBy: record.owner.userId,
+        sharedAt: new Date().toISOString()
+      })
+      next.sharing = sharing
+    })
+    return this.describe(updated, actor)
+  }
+
+  async addComment(actor, id, text) {
+    if (!actor) {
+      throw new AuthError(403, 'Forbidden', 'Sign in to comment')
+    }
+
+    const record = await this.history.get(id)
+    const access = accessFor(actor, record)
+    if (!access) {
+      throw notFound(id)
+    }
+    if (access === 'view') {
+      throw new AuthError(403, 'Forbidden', 'You can view this analysis but not comment on it')
+    }
+
+    const comment = {
+      id: randomUUID(),
+      userId: actor.id,
+      name: actor.name,
+      text: text.trim(),
+      createdAt: new Date().toISOString()
+    }
+    await this.history.update(id, next => {
+      next.comments = [...(next.comments || []), comment]
+    })
+    return comment
+  }
+
+  async getOwnedRecord(actor, id) {
+    if (!actor) {
+      throw new AuthError(403, 'Forbidden', 'Sign in to share analyses')
+    }
+
+    const record = await this.history.get(id)
+    const access = accessFor(actor, record)
+    if (!access) {
+      throw notFound(id)
+    }
+    if (access !== 'owner') {
+      throw new AuthError(403, 'Forbidden', 'Only the owner can change how this analysis is shared')
+    }
+    return record
+  }
+
+  async updateSharing(id, actor, change) {
+    const updated = await this.history.update(id, record => {
+      const sharing = normalizeSharing(record.sharing)
+      change(sharing)
+      record.sharing = sharing
+    })
+    if (!updated) {
+      throw notFound(id)
+    }
+    return this.describe(updated, actor).sharing
+  }
+
+  describe(record, user) {
+    const access = accessFor(user, record)
+    const { members, link } = normalizeSharing(record.sharing)
+    return {
+      ...record,
+      access,
+      sharing: {
+        members,
+        link: access === 'owner' && link
+          ? { access: link.access, createdAt: link.createdAt, url: `${this.auth.appUrl}/clearclause?share=${encodeURIComponent(link.token)}` }
+          : null
+      },
+      comments: record.comments || []
+    }
+  }
+}
+
+function normalizeSharing(sharing) {
+  return { members: [...(sharing?.members || [])], link: sharing?.link || null }
+}
+
+function tokensMatch(expected, actual) {
+  const a = Buffer.from(String(expected))
+  const b = Buffer.from(String(actual))
+  return a.length === b.length && timingSafeEqual(a, b)
+}
+
+function notFound(id) {
+  return new AuthError(404, 'Not Found', `History entry ${id} does not exist`)
+}
+
+export default HistorySharing
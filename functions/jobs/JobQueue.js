@@ -0,0 +1,191 @@
+/**
+ * Job Queue
+ * Runs analysis requests in the background with bounded concurrency so large documents
+ * and batch uploads don't hold a request open or block each other
+ */
+
+import Bottleneck from 'bottleneck'
+import { randomUUID } from 'crypto'
+import { createJobStore } from './JobStore.js'
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+}
+
+const FINISHED = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED]
+
+export class JobQueue {
+  constructor(options = {}) {
+    this.store = options.store || createJobStore()
+    this.concurrency = options.concurrency || parseInt(process.env.VITE_JOB_CONCURRENCY) || 2
+    this.ttlMs = options.ttlMs ?? (parseInt(process.env.VITE_JOB_TTL_MINUTES) || 60) * 60 * 1000
+    this.limiter = new Bottleneck({ maxConcurrent: this.concurrency })
+    this.controllers = new Map()
+    this.pending = new Map()
+    this.writes = new Map()
+    this.recovered = null
+  }
+
+  /**
+   * Queue a job; worker(payload, { onEvent, signal, owner }) resolves with the job result
+   * Returns the stored job record immediately. owner ({ userId, name, company }) is kept on the record
+   * so access to the job can be checked later
+   */
+  async submit(type, payload, worker, { owner = null } = {}) {
+    await this.recover()
+    await this.prune()
+
+    const job = {
+      id: randomUUID(),
+      type,
+      owner,
+      status: JOB_STATUS.QUEUED,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null,
+      progress: null,
+      result: null,
+      error: null
+    }
+    await this.store.save(job)
+
+    const run = this.limiter.schedule(() => this.run(job.id, payload, worker))
+    this.pending.set(job.id, run)
+    run.finally(() => this.pending.delete(job.id)).catch(() => {})
+
+    return job
+  }
+
+  async run(id, payload, worker) {
+    const job = await this.store.get(id)
+    // Cancelled while waiting for a slot
+    if (!job || job.status !== JOB_STATUS.QUEUED) {
+      return
+    }
+
+    const controller = new AbortController()
+    this.controllers.set(id, controller)
+    await this.update(id, { status: JOB_STATUS.RUNNING, startedAt: new Date().toISOString() })
+
+    const onEvent = (event, data) => {
+      if (event === 'stage' && !controller.signal.aborted) {
+        this.update(id, { progress: data }).catch(() => {})
+      }
+    }
+
+    try {
+      const result = await worker(payload, { onEvent, signal: controller.signal, owner: job.owner || null })
+      if (!controller.signal.aborted) {
+        await this.update(id, { status: JOB_STATUS.COMPLETED, result, completedAt: new Date().toISOString() })
+      }
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        await this.update(id, {
+          status: JOB_STATUS.FAILED,
+          error: error.details || { message: error.message },
+          completedAt: new Date().toISOString()
+        })
+      }
+    } finally {
+      this.controllers.delete(id)
+    }
+  }
+
+  async get(id) {
+    await this.recover()
+    return this.store.get(id)
+  }
+
+  /**
+   * Cancel a queued or running job; a running worker sees its signal aborted and its result is discarded
+   * Returns the updated job, or null when the job does not exist
+   */
+  async cancel(id) {
+    const job = await this.get(id)
+    if (!job || FINISHED.includes(job.status)) {
+      return job
+    }
+
+    this.controllers.get(id)?.abort()
+    return this.update(id, { status: JOB_STATUS.CANCELLED, completedAt: new Date().toISOString() })
+  }
+
+  /**
+   * Delete a job record, cancelling it first if it has not finished
+   * Returns the job as it was before removal, or null when it does not exist
+   */
+  async remove(id) {
+    const job = await this.cancel(id)
+    if (!job) return null
+
+    await this.writes.get(id)
+    await this.store.delete(id)
+    return job
+  }
+
+  /**
+   * Wait for a job to leave the queue (used by tests and shutdown)
+   */
+  async wait(id) {
+    await this.pending.get(id)
+    await this.writes.get(id)
+    return this.store.get(id)
+  }
+
+  /**
+   * Apply changes to a stored job; writes to one job are serialized so a late progress
+   * event can't overwrite the final status
+   */
+  update(id, changes) {
+    const previous = this.writes.get(id) || Promise.resolve()
+    const write = previous.catch(() => {}).then(async () => {
+      const job = await this.store.get(id)
+      if (!job) return null
+      // Nothing overwrites a cancellation
+      if (job.status === JOB_STATUS.CANCELLED) {
+        return job
+      }
+      return this.store.save({ ...job, ...changes })
+    })
+
+    this.writes.set(id, write)
+    write.finally(() => {
+      if (this.writes.get(id) === write) this.writes.delete(id)
+    }).catch(() => {})
+    return write
+  }
+
+  /**
+   * Jobs left queued or running by a previous process can never finish; mark them failed once
+   */
+  recover() {
+    if (!this.recovered) {
+      this.recovered = this.store.list().then(jobs => Promise.all(jobs
+        .filter(job => !FINISHED.includes(job.status) && !this.pending.has(job.id))
+        .map(job => this.store.save({
+          ...job,
+          status: JOB_STATUS.FAILED,
+          error: { message: 'Job was interrupted by a server restart' },
+          completedAt: new Date().toISOString()
+        }))))
+    }
+    return this.recovered
+  }
+
+  /**
+   * Remove finished jobs older than the TTL
+   */
+  async prune() {
+    const cutoff = Date.now() - this.ttlMs
+    const jobs = await this.store.list()
+    await Promise.all(jobs
+      .filter(job => FINISHED.includes(job.status) && Date.parse(job.completedAt) < cutoff)
+      .map(job => this.store.delete(job.id)))
+  }
+}
+
+export default JobQueue
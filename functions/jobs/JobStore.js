@@ -0,0 +1,107 @@
+/**
+ * Job Stores
+ * Keep analysis job records in memory or as JSON files so they survive a server restart
+ */
+
+import { promises as fs } from 'fs'
+import path from 'path'
+
+/**
+ * In-memory store; jobs are lost when the process exits
+ */
+export class MemoryJobStore {
+  constructor() {
+    this.jobs = new Map()
+  }
+
+  async save(job) {
+    this.jobs.set(job.id, structuredClone(job))
+    return job
+  }
+
+  async get(id) {
+    const job = this.jobs.get(id)
+    return job ? structuredClone(job) : null
+  }
+
+  async list() {
+    return [...this.jobs.values()].map(job => structuredClone(job))
+  }
+
+  async delete(id) {
+    this.jobs.delete(id)
+  }
+}
+
+/**
+ * File-backed store: one JSON file per job in a directory
+ */
+export class FileJobStore {
+  constructor(options = {}) {
+    this.directory = options.directory || process.env.VITE_JOB_STORE_DIR || path.join('data', 'jobs')
+  }
+
+  filePath(id) {
+    // Job IDs are generated UUIDs; reject anything that could escape the directory
+    if (!/^[\w-]+$/.test(id)) {
+      throw new Error(`Invalid job ID: ${id}`)
+    }
+    return path.join(this.directory, `${id}.json`)
+  }
+
+  async save(job) {
+    await fs.mkdir(this.directory, { recursive: true })
+    const target = this.filePath(job.id)
+    const temporary = `${target}.tmp`
+
+    // Write then rename so a crash never leaves a half-written job file
+    await fs.writeFile(temporary, JSON.stringify(job, null, 2))
+    await fs.rename(temporary, target)
+    return job
+  }
+
+  async get(id) {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(id), 'utf8'))
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.message.startsWith('Invalid job ID')) {
+        return null
+      }
+      throw error
+    }
+  }
+
+  async list() {
+    let files
+    try {
+      files = await fs.readdir(this.directory)
+    } catch (error) {
+      if (error.code === 'ENOENT') return []
+      throw error
+    }
+
+    const jobs = await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .map(file => this.get(file.slice(0, -'.json'.length))))
+    return jobs.filter(Boolean)
+  }
+
+  async delete(id) {
+    await fs.rm(this.filePath(id), { force: true })
+  }
+}
+
+/**
+ * Create the store selected by VITE_JOB_STORE (memory or file)
+ */
+export function createJobStore(type = process.env.VITE_JOB_STORE || 'memory') {
+  if (type === 'file') {
+    return new FileJobStore()
+  }
+  if (type !== 'memory') {
+    throw new Error(`Unknown job store: ${type} (expected memory or file)`)
+  }
+  return new MemoryJobStore()
+}
+
+export default createJobStore
@@ -0,0 +1,100 @@
+/**
+ * Multipart Form Parser for ClearClause AI
+ * Parses multipart/form-data request bodies into fields and file parts
+ */
+
+/**
+ * Check whether request headers describe a multipart body
+ * @param {Object} headers - Request headers
+ * @returns {boolean} True if the body is multipart/form-data
+ */
+export function isMultipartRequest(headers = {}) {
+    const contentType = getHeader(headers, 'content-type');
+    return contentType.toLowerCase().startsWith('multipart/form-data');
+}
+
+/**
+ * Parse a multipart/form-data body
+ * @param {Buffer|string} body - Raw request body
+ * @param {Object} headers - Request headers (must include the boundary)
+ * @returns {Object} Text fields keyed by name; file parts as { filename, contentType, data }
+ */
+export function parseMultipartBody(body, headers = {}) {
+    const contentType = getHeader(headers, 'content-type');
+    const boundaryMatch = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+
+    if (!boundaryMatch) {
+        throw new Error('Multipart request is missing a boundary');
+    }
+
+    const boundary = Buffer.from(`--${boundaryMatch[1] || boundaryMatch[2]}`);
+    const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body || '', 'binary');
+    const fields = {};
+
+    let position = buffer.indexOf(boundary);
+    while (position !== -1) {
+        const partStart = position + boundary.length;
+
+        // Closing boundary is followed by "--"
+        if (buffer.slice(partStart, partStart + 2).toString() === '--') {
+            break;
+        }
+
+        const nextBoundary = buffer.indexOf(boundary, partStart);
+        if (nextBoundary === -1) {
+            break;
+        }
+
+        // Part content sits between the boundary line's CRLF and the CRLF before the next boundary
+        const part = buffer.slice(partStart + 2, nextBoundary - 2);
+        const headerEnd = part.indexOf('\r\n\r\n');
+
+        if (headerEnd !== -1) {
+            const partHeaders = parsePartHeaders(part.slice(0, headerEnd).toString('utf8'));
+            const data = part.slice(headerEnd + 4);
+            const disposition = partHeaders['content-disposition'] || '';
+            const name = disposition.match(/\bname="([^"]*)"/i)?.[1];
+            const filename = disposition.match(/\bfilename="([^"]*)"/i)?.[1];
+
+            if (name) {
+                fields[name] = filename !== undefined
+                    ? {
+                        filename,
+                        contentType: partHeaders['content-type'] || 'application/octet-stream',
+                        data
+                    }
+                    : data.toString('utf8');
+            }
+        }
+
+        position = nextBoundary;
+    }
+
+    return fields;
+}
+
+/**
+ * Parse the header block of a single part
+ * @param {string} headerText - Raw header lines
+ * @returns {Object} Lower-cased header names mapped to values
+ */
+function parsePartHeaders(headerText) {
+    return headerText.split('\r\n').reduce((acc, line) => {
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+            acc[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+        }
+        return acc;
+    }, {});
+}
+
+/**
+ * Read a header case-insensitively
+ * @param {Object} headers - Request headers
+ * @param {string} name - Header name
+ * @returns {string} Header value or empty string
+ */
+function getHeader(headers, name) {
+    const key = Object.keys(headers || {}).find(k => k.toLowerCase() === name);
+    return key ? String(headers[key]) : '';
+}
@@ -5,9 +5,27 @@
 
 import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3'
 import { TextractClient, DetectDocumentTextCommand } from '@aws-sdk/client-textract'
-import { GeminiClient } from './ai/GeminiClient.js'
+import { ProviderRegistry } from './ai/ProviderRegistry.js'
 import { GeminiErrorHandler } from './ai/GeminiErrorHandler.js'
 import { GeminiResponseParser } from './ai/GeminiResponseParser.js'
+import { ComparisonEngine } from './ai/ComparisonEngine.js'
+import { ChunkedAnalyzer } from './ai/ChunkedAnalyzer.js'
+import { RedlineGenerator } from './ai/RedlineGenerator.js'
+import { ClauseSimplifier, SIMPLIFICATION_LEVELS } from './ai/ClauseSimplifier.js'
+import { RuleBasedAnalyzer } from './ai/RuleBasedAnalyzer.js'
+import { SourceAnchor } from './ai/SourceAnchor.js'
+import { AnalysisCache } from './ai/AnalysisCache.js'
+import { PROMPT_VERSION } from './ai/GeminiPromptFormatter.js'
+import { DocumentTextExtractor } from './extraction/DocumentTextExtractor.js'
+import { SpreadsheetParser, SPREADSHEET_DOCUMENT_TYPE } from './extraction/SpreadsheetParser.js'
+import { UrlContentFetcher, UrlFetchError } from './extraction/UrlContentFetcher.js'
+import { isMultipartRequest, parseMultipartBody } from './multipartParser.js'
+import { JobQueue } from './jobs/JobQueue.js'
+import { AnalysisHistory } from './history/AnalysisHistory.js'
+import { HistorySharing } from './history/HistorySharing.js'
+import { AuthService } from './auth/AuthService.js'
+import { PERMISSIONS, canDelete, canView, hasPermission, ownerOf } from './auth/roles.js'
+import { comparisonRequestSchema } from './api/schemas.js'
 import dotenv from 'dotenv'
 
 // Load environment variables
@@ -28,22 +46,33 @@ const AWS_CONFIG = {
 const s3Client = new S3Client(AWS_CONFIG)
 const textractClient = new TextractClient(AWS_CONFIG)
 
-// Initialize Gemini client and utilities
-let geminiClient = null
+// Initialize AI providers and utilities
+const providerRegistry = new ProviderRegistry()
 const geminiErrorHandler = new GeminiErrorHandler()
+const ruleBasedAnalyzer = new RuleBasedAnalyzer()
+const sourceAnchor = new SourceAnchor()
+const analysisCache = new AnalysisCache()
 const geminiResponseParser = new GeminiResponseParser()
-
-function createGeminiClient() {
-    if (!geminiClient) {
-        try {
-            geminiClient = new GeminiClient()
-        } catch (error) {
-            console.error('Failed to initialize Gemini client:', error.message)
-            geminiClient = null
-        }
-    }
-    return geminiClient
-}
+const comparisonEngine = new ComparisonEngine()
+const redlineGenerator = new RedlineGenerator({ registry: providerRegistry })
+const clauseSimplifier = new ClauseSimplifier({ registry: providerRegistry })
+// The configured chunk size is clamped to the smallest input limit in the current provider chain
+const chunkedAnalyzer = new ChunkedAnalyzer({
+    maxChunkSize: parseInt(process.env.VITE_ANALYSIS_CHUNK_SIZE) || undefined,
+    inputLimit: () => providerRegistry.getInputLimit()
+})
+const documentExtractor = new DocumentTextExtractor()
+const jobQueue = new JobQueue()
+const analysisHistory = new AnalysisHistory()
+const authService = new AuthService()
+const historySharing = new HistorySharing({ history: analysisHistory, auth: authService })
+const spreadsheetParser = new SpreadsheetParser()
+const urlContentFetcher = new UrlContentFetcher({
+    maxBytes: parseInt(process.env.VITE_URL_FETCH_MAX_BYTES) || undefined,
+    maxRedirects: process.env.VITE_URL_FETCH_MAX_REDIRECTS ? parseInt(process.env.VITE_URL_FETCH_MAX_REDIRECTS) : undefined,
+    timeout: parseInt(process.env.VITE_URL_FETCH_TIMEOUT) || undefined,
+    documentExtractor
+})
 
 // Configuration constants
 const S3_BUCKET = process.env.VITE_S3_BUCKET
@@ -51,7 +80,7 @@ const GEMINI_MODEL = process.env.VITE_GEMINI_MODEL || 'gemini-pro'
 
 console.log('🔧 Current Configuration:')
 console.log('- S3 Bucket:', S3_BUCKET)
-console.log('- AI Model:', GEMINI_MODEL, '(Gemini)')
+console.log('- AI Providers:', providerRegistry.chain.join(' → '))
 
 
 /**
@@ -62,15 +91,20 @@ export async function handler(request) {
         const { method, headers, body, query } = request;
         console.log(`Processing ${method} request for ClearClause AI`);
 
+        const auth = await authorizeRequest(headers);
+        if (!auth.authorized) {
+            return auth.response;
+        }
+
         switch (method) {
             case 'GET':
-                return handleGet(query);
+                return handleGet(query, auth.user);
             case 'POST':
-                return handlePost(body, headers);
+                return handlePost(body, headers, auth.user);
             case 'PUT':
                 return handlePut(body, headers);
             case 'DELETE':
-                return handleDelete(query);
+                return handleDelete(query, auth.user);
             default:
                 return createErrorResponse(405, 'Method Not Allowed', `Method ${method} is not supported`);
         }
@@ -80,10 +114,83 @@ export async function handler(request) {
     }
 }
 
+/**
+ * Streaming handler for document analysis
+ * Reports progress through send(event, data) while the analysis runs: stage events for extraction,
+ * chunking, model calls and parsing, clause events as clauses are generated, then a result event
+ * with the same payload as the analyze action (or an error event)
+ */
+export async function streamHandler(request, send) {
+    try {
+        const { method, headers } = request;
+        let { body } = request;
+
+        if (method !== 'POST') {
+            send('error', { statusCode: 405, error: 'Method Not Allowed', message: `Method ${method} is not supported` });
+            return;
+        }
+
+        const auth = await authorizeRequest(headers);
+        if (!auth.authorized) {
+            send('error', { statusCode: auth.response.statusCode, ...JSON.parse(auth.response.body) });
+            return;
+        }
+        if (!hasPermission(auth.user, PERMISSIONS.RUN_ANALYSES)) {
+            send('error', { statusCode: 403, ...JSON.parse(forbiddenResponse().body) });
+            return;
+        }
+
+        if (isMultipartRequest(headers)) {
+            body = multipartToRequestBody(parseMultipartBody(body, headers));
+        }
+
+        const response = await processDocumentAnalysis(body || {}, send, { owner: ownerOf(auth.user) });
+        const payload = JSON.parse(response.body);
+
+        if (response.statusCode >= 400) {
+            send('error', { statusCode: response.statusCode, ...payload });
+        } else {
+            send('result', payload);
+        }
+    } catch (error) {
+        console.error('Streaming analysis error:', error);
+        send('error', { statusCode: 500, error: 'Internal Server Error', message: error.message });
+    }
+}
+
+/**
+ * Check the request's bearer token when authentication is required (VITE_AUTH_REQUIRED)
+ * @returns {Promise<{authorized: boolean, user?: Object, response?: Object}>}
+ */
+export async function authorizeRequest(headers) {
+    const auth = await authService.authenticate(headers);
+    if (auth) {
+        return { authorized: true, user: auth.user };
+    }
+    if (!authService.required) {
+        return { authorized: true, user: null };
+    }
+
+    const response = createErrorResponse(401, 'Unauthorized', 'Sign in to use this API');
+    response.headers['WWW-Authenticate'] = 'Bearer';
+    return { authorized: false, response };
+}
+
+/**
+ * 403 response for signed-in users whose role cannot run analyses
+ */
+function forbiddenResponse() {
+    return createErrorResponse(403, 'Forbidden', 'Your role does not allow running analyses');
+}
+
 /**
  * Handle GET requests
  */
-function handleGet(query) {
+function handleGet(query, user = null) {
+    if (query?.jobId) {
+        return getJobStatus(query.jobId, user);
+    }
+
     return createSuccessResponse(200, {
         message: 'GET request processed successfully',
         timestamp: new Date().toISOString(),
@@ -94,8 +201,13 @@ function handleGet(query) {
 /**
  * Handle POST requests - Document Analysis
  */
-async function handlePost(body, headers) {
+async function handlePost(body, headers, user = null) {
     try {
+        // File uploads may arrive as multipart/form-data instead of JSON
+        if (isMultipartRequest(headers)) {
+            body = multipartToRequestBody(parseMultipartBody(body, headers));
+        }
+
         // Check if this is a connectivity test request
         if (body && body.test === 'hello backend') {
             return createSuccessResponse(200, {
@@ -109,21 +221,47 @@ async function handlePost(body, headers) {
             });
         }
 
+        // Every action below runs a model or fetches content, which the user's role must allow
+        if (body && ['analyze', 'compare', 'fetch-url', 'redline', 'simplify'].includes(body.action) && !hasPermission(user, PERMISSIONS.RUN_ANALYSES)) {
+            return forbiddenResponse();
+        }
+        const owner = ownerOf(user);
+
+        // Analyze and compare can run as background jobs; the client polls GET ?jobId=
+        if (body && isAsyncRequest(body) && JOB_WORKERS[body.action]) {
+            return await submitJob(body, owner);
+        }
+
         // Handle document analysis requests
         if (body && body.action === 'analyze') {
-            return await processDocumentAnalysis(body);
+            return await processDocumentAnalysis(body, null, { owner });
         }
 
         // Handle document comparison requests
         if (body && body.action === 'compare') {
-            return await processDocumentComparison(body);
+            return await processDocumentComparison(body, { owner });
+        }
+
+        // Handle URL ingestion requests
+        if (body && body.action === 'fetch-url') {
+            return await processURLFetch(body);
+        }
+
+        // Handle redline suggestion requests
+        if (body && body.action === 'redline') {
+            return await processRedlineRequest(body);
+        }
+
+        // Handle plain-English rewrite requests
+        if (body && body.action === 'simplify') {
+            return await processSimplifyRequest(body);
         }
 
         // Default response for other POST requests
         return createSuccessResponse(200, {
             message: 'ClearClause AI Backend - Ready for document analysis',
             timestamp: new Date().toISOString(),
-            supportedActions: ['analyze', 'compare'],
+            supportedActions: ['analyze', 'compare', 'fetch-url', 'redline', 'simplify'],
             received: body || {}
         });
 
@@ -133,6 +271,22 @@ async function handlePost(body, headers) {
     }
 }
 
+/**
+ * Map multipart form fields onto the JSON request body shape
+ */
+function multipartToRequestBody(fields) {
+    const { file, ...rest } = fields;
+    const requestBody = { action: 'analyze', ...rest };
+
+    if (file && typeof file === 'object') {
+        requestBody.fileData = file.data;
+        requestBody.filename = rest.filename || file.filename;
+        requestBody.documentType = rest.documentType || file.contentType;
+    }
+
+    return requestBody;
+}
+
 /**
  * Handle PUT requests
  */
@@ -147,7 +301,11 @@ function handlePut(body, headers) {
 /**
  * Handle DELETE requests
  */
-function handleDelete(query) {
+function handleDelete(query, user = null) {
+    if (query?.jobId) {
+        return cancelJob(query.jobId, user);
+    }
+
     const id = query?.id;
     if (!id) {
         return createErrorResponse(400, 'Bad Request', 'ID parameter is required for DELETE requests');
@@ -161,62 +319,355 @@ function handleDelete(query) {
 }
 
 /**
- * Process document analysis request
+ * Background job workers by action; each resolves with the response payload or throws
+ * with the error payload in error.details
+ */
+const JOB_WORKERS = {
+    analyze: (body, { onEvent, signal, owner }) => processDocumentAnalysis(body, onEvent, { owner, signal }).then(unwrapJobResponse),
+    compare: (body, { signal, owner }) => processDocumentComparison(body, { owner, signal }).then(unwrapJobResponse)
+};
+
+/**
+ * Check whether a request asked to skip the analysis cache (multipart fields arrive as strings)
  */
-async function processDocumentAnalysis(requestBody) {
+function isCacheBypassed(body) {
+    return body.bypassCache === true || body.bypassCache === 'true';
+}
+
+/**
+ * Check whether a request asked to run as a background job (multipart fields arrive as strings)
+ */
+function isAsyncRequest(body) {
+    return body.async === true || body.async === 'true';
+}
+
+/**
+ * Turn a handler response into a job result, throwing for error responses
+ */
+function unwrapJobResponse(response) {
+    const payload = JSON.parse(response.body);
+    if (response.statusCode >= 400) {
+        const error = new Error(payload.message || payload.error);
+        error.details = { statusCode: response.statusCode, error: payload.error, message: payload.message };
+        throw error;
+    }
+    return payload;
+}
+
+/**
+ * Queue an analyze or compare request and return its job ID
+ */
+async function submitJob(body, owner = null) {
+    const { async: _async, ...payload } = body;
+    const job = await jobQueue.submit(body.action, payload, JOB_WORKERS[body.action], { owner });
+
+    return createSuccessResponse(202, {
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/process?jobId=${job.id}`
+    });
+}
+
+/**
+ * Return a job's status, with its result once completed
+ * Jobs the user may not view are reported as missing
+ */
+async function getJobStatus(jobId, user = null) {
     try {
-        const { documentText, documentType, filename, s3Key } = requestBody;
-        let textToAnalyze = documentText;
-
-        // Check if this is an Excel file
-        const isExcelFile = filename && (
-            filename.toLowerCase().endsWith('.xlsx') || 
-            filename.toLowerCase().endsWith('.xls') || 
-            filename.toLowerCase().endsWith('.csv')
-        );
-
-        // If S3 key is provided, extract text using Textract
-        if (s3Key && !documentText) {
-            const textractResult = await extractTextFromS3(s3Key);
-            if (!textractResult.success) {
-                return createErrorResponse(500, 'Textract Error', textractResult.error);
-            }
-            textToAnalyze = textractResult.text;
+        const job = await jobQueue.get(jobId);
+        if (!job || !canView(user, job.owner)) {
+            return createErrorResponse(404, 'Not Found', `Job ${jobId} does not exist`);
         }
+        return createSuccessResponse(200, describeJob(job));
+    } catch (error) {
+        console.error('Job status error:', error);
+        return createErrorResponse(500, 'Internal Server Error', error.message);
+    }
+}
 
-        // For Excel files, add special processing note
-        if (isExcelFile) {
-            textToAnalyze = `[Excel Document Analysis: ${filename}]\n\n${textToAnalyze}\n\nNote: This Excel/CSV file contains structured data that has been processed for contract analysis.`;
+/**
+ * Cancel a queued or running job
+ */
+async function cancelJob(jobId, user = null) {
+    try {
+        const existing = await jobQueue.get(jobId);
+        if (!existing || !canView(user, existing.owner)) {
+            return createErrorResponse(404, 'Not Found', `Job ${jobId} does not exist`);
+        }
+        if (!canDelete(user, existing.owner)) {
+            return createErrorResponse(403, 'Forbidden', 'Your role does not allow cancelling this job');
+        }
+
+        const job = await jobQueue.cancel(jobId);
+        if (!job) {
+            return createErrorResponse(404, 'Not Found', `Job ${jobId} does not exist`);
+        }
+        if (job.status !== 'cancelled') {
+            return createErrorResponse(409, 'Conflict', `Job ${jobId} already ${job.status}`);
+        }
+        return createSuccessResponse(200, describeJob(job));
+    } catch (error) {
+        console.error('Job cancellation error:', error);
+        return createErrorResponse(500, 'Internal Server Error', error.message);
+    }
+}
+
+/**
+ * Public view of a job record
+ */
+function describeJob(job) {
+    return {
+        jobId: job.id,
+        type: job.type,
+        status: job.status,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        completedAt: job.completedAt,
+        progress: job.progress,
+        result: job.result,
+        error: job.error
+    };
+}
+
+/**
+ * Resolve the text to analyze from inline text, uploaded file bytes or an S3 key
+ * Returns { textToAnalyze, extraction, analysisDocumentType } or { errorResponse, errorInfo }
+ */
+async function resolveDocumentText(requestBody) {
+    const failure = (statusCode, error, message) => ({
+        errorResponse: createErrorResponse(statusCode, error, message),
+        errorInfo: { statusCode, error, message }
+    });
+
+    const { documentText, documentType, filename, s3Key, fileData } = requestBody;
+    let textToAnalyze = documentText;
+    let extraction = null;
+    let analysisDocumentType = null;
+
+    // Check if this is an Excel file
+    const isExcelFile = spreadsheetParser.isSpreadsheet(filename);
+
+    // If S3 key is provided, extract text using Textract
+    if (s3Key && !documentText) {
+        const textractResult = await extractTextFromS3(s3Key);
+        if (!textractResult.success) {
+            return failure(500, 'Textract Error', textractResult.error);
+        }
+        textToAnalyze = textractResult.text;
+    }
+
+    // If file bytes are provided, extract the real text server-side
+    if (fileData && !documentText && !isExcelFile) {
+        if (!documentExtractor.supports(filename, documentType)) {
+            return failure(415, 'Unsupported Media Type', `Cannot extract text from ${filename || documentType || 'this file'}`);
         }
 
-        console.log('🚀 Starting Gemini analysis...');
-        let analysisResult;
-        let usingRealAI = false;
-        let errorDetails = null;
-        
         try {
-            analysisResult = await analyzeWithGemini(textToAnalyze);
+            extraction = await documentExtractor.extract({
+                buffer: decodeFileData(fileData),
+                filename,
+                mimeType: documentType
+            });
+        } catch (error) {
+            console.error('Text extraction error:', error);
+            return failure(422, 'Extraction Failed', error.message);
+        }
+
+        if (!extraction.text.trim()) {
+            return failure(422, 'Extraction Failed', 'No extractable text found. Scanned documents must be uploaded to S3 for Textract OCR');
+        }
+
+        console.log(`📄 Extracted ${extraction.text.length} characters from ${extraction.pageCount} page(s) using ${extraction.method}`);
+        textToAnalyze = documentExtractor.formatWithPageMarkers(extraction);
+    }
+
+    // Spreadsheets are parsed into sheet/header/row text; CSV may also arrive as plain text
+    if (isExcelFile && (fileData || filename.toLowerCase().endsWith('.csv'))) {
+        try {
+            extraction = spreadsheetParser.parse({
+                buffer: fileData ? decodeFileData(fileData) : Buffer.from(documentText || '', 'utf8'),
+                filename
+            });
+        } catch (error) {
+            console.error('Spreadsheet parsing error:', error);
+            return failure(422, 'Extraction Failed', error.message);
+        }
+
+        if (!extraction.text.trim()) {
+            return failure(422, 'Extraction Failed', 'Spreadsheet contains no cell data');
+        }
+
+        console.log(`📊 Parsed ${extraction.sheets.length} sheet(s) from ${filename}`);
+        textToAnalyze = extraction.text;
+        analysisDocumentType = SPREADSHEET_DOCUMENT_TYPE;
+    } else if (isExcelFile) {
+        return failure(400, 'Invalid Request', 'fileData is required for Excel workbooks');
+    }
+
+    if (!textToAnalyze || !textToAnalyze.trim()) {
+        return failure(400, 'Invalid Request', 'documentText, fileData or s3Key is required');
+    }
+
+    return { textToAnalyze, extraction, analysisDocumentType };
+}
+
+/**
+ * Analyze text with the AI providers, falling back to the offline rule-based analyzer if every provider fails
+ * Clause and risk offsets refer to sourceText, the extracted text returned to the client
+ * onEvent(event, data) receives progress events when the analysis is streamed
+ * When signal aborts (a cancelled job) provider calls stop and the abort reason is thrown instead of falling back
+ */
+async function runAnalysisWithFallback(textToAnalyze, analysisDocumentType = null, { sourceText = textToAnalyze, onEvent = null, bypassCache = false, signal = null } = {}) {
+    console.log('🚀 Starting AI analysis...');
+    const emit = onEvent || (() => {});
+    let analysisResult;
+    let usingRealAI = false;
+    let errorDetails = null;
+
+    const cacheKey = analysisCache.key({
+        text: textToAnalyze,
+        documentType: analysisDocumentType || detectDocumentType(textToAnalyze),
+        model: describeProviderModels(),
+        promptVersion: PROMPT_VERSION
+    });
+    const cache = { enabled: analysisCache.enabled, hit: false, bypassed: Boolean(bypassCache) };
+    const cached = bypassCache ? null : await analysisCache.get(cacheKey);
+
+    if (cached) {
+        console.log(`♻️ Reusing cached analysis from ${cached.cachedAt}`);
+        analysisResult = { ...cached.value, success: true, startTime: Date.now() };
+        usingRealAI = analysisResult.provider !== 'rules';
+        cache.hit = true;
+        cache.cachedAt = cached.cachedAt;
+        emit('stage', { stage: 'model', status: 'completed', provider: analysisResult.provider, model: analysisResult.model, cached: true });
+        (analysisResult.analysis?.clauses || []).forEach(clause => emit('clause', { clause }));
+    } else {
+        try {
+            analysisResult = chunkedAnalyzer.needsChunking(textToAnalyze)
+                ? await analyzeInChunks(textToAnalyze, analysisDocumentType, onEvent, signal)
+                : await analyzeWithProviders(textToAnalyze, analysisDocumentType, { onEvent, signal });
+            signal?.throwIfAborted();
             if (analysisResult.success) {
-                usingRealAI = true;
+                usingRealAI = analysisResult.provider !== 'rules';
+                // Chunked analysis can succeed while some chunks fell back to rules
+                errorDetails = analysisResult.error || null;
                 console.log('✅ Real AI analysis completed successfully!');
+
+                // Only complete results are reused; a partial fallback should be retried next time
+                if (!errorDetails) {
+                    await analysisCache.set(cacheKey, toCacheEntry(analysisResult));
+                }
             } else {
                 errorDetails = analysisResult.error;
-                console.log('❌ Gemini analysis failed:', errorDetails);
+                console.log('❌ AI analysis failed:', errorDetails);
             }
         } catch (error) {
+            if (signal?.aborted) {
+                throw error;
+            }
             errorDetails = error.message;
-            console.log('❌ Gemini analysis threw exception:', errorDetails);
+            console.log('❌ AI analysis threw exception:', errorDetails);
         }
+    }
 
-        // Fallback to mock data if real AI failed
-        if (!analysisResult || !analysisResult.success) {
-            console.log('🔄 Falling back to enhanced mock analysis...');
-            analysisResult = {
-                success: true,
-                analysis: generateMockAnalysis(textToAnalyze),
-                confidence: 92
-            };
-            usingRealAI = false;
+    // Fallback to rule-based analysis if real AI failed
+    if (!analysisResult || !analysisResult.success) {
+        console.log('🔄 Falling back to rule-based analysis...');
+        emit('stage', { stage: 'model', status: 'fallback', provider: 'rules' });
+        analysisResult = await analyzeWithRules(textToAnalyze, analysisDocumentType);
+        usingRealAI = false;
+    }
+
+    // Record where each quoted clause and risk sits in the analyzed text
+    emit('stage', { stage: 'parsing', status: 'started' });
+    analysisResult.analysis = sourceAnchor.anchorAnalysis(analysisResult.analysis, sourceText);
+    emit('stage', {
+        stage: 'parsing',
+        status: 'completed',
+        clauseCount: analysisResult.analysis?.clauses?.length || 0,
+        riskCount: analysisResult.analysis?.risks?.length || 0
+    });
+
+    return { analysisResult, usingRealAI, errorDetails, cache };
+}
+
+/**
+ * Identify the configured providers and their models for the cache key
+ */
+function describeProviderModels() {
+    return providerRegistry.getStatus()
+        .filter(status => status.available)
+        .map(status => `${status.provider}:${status.model}`)
+        .join(',');
+}
+
+/**
+ * Keep the parts of a successful analysis that can be replayed from the cache
+ */
+function toCacheEntry(analysisResult) {
+    const { analysis, confidence, provider, model, providerAttempts, tokenUsage, chunking } = analysisResult;
+    return { analysis, confidence, provider, model, providerAttempts, tokenUsage, chunking };
+}
+
+/**
+ * Analyze a long document section by section and merge the results
+ * The document type is detected once on the full text so every chunk gets the same instructions
+ */
+async function analyzeInChunks(documentText, documentType = null, onEvent = null, signal = null) {
+    const resolvedType = documentType || detectDocumentType(documentText);
+    console.log(`📚 Document is ${documentText.length} characters, analyzing in chunks of up to ${chunkedAnalyzer.chunkSize}`);
+
+    const chunkErrors = [];
+    const result = await chunkedAnalyzer.analyze(documentText, async (chunk, chunkCount) => {
+        signal?.throwIfAborted();
+        console.log(`🧩 Analyzing chunk ${chunk.index + 1}${chunk.heading ? ` (${chunk.heading})` : ''}`);
+        onEvent?.('stage', { stage: 'chunking', status: 'progress', chunk: chunk.index + 1, chunkCount, heading: chunk.heading });
+        const chunkResult = await analyzeWithProviders(chunk.text, resolvedType, { onEvent, chunk: chunk.index + 1, signal });
+        if (chunkResult.success) {
+            return chunkResult;
+        }
+        signal?.throwIfAborted();
+
+        // Keep the other chunks' AI results and cover only the failed chunk with rules
+        chunkErrors.push(`Chunk ${chunk.index + 1}: ${chunkResult.error}`);
+        return analyzeWithRules(chunk.text, resolvedType);
+    });
+
+    if (chunkErrors.length > 0) {
+        result.error = chunkErrors.join('; ');
+    }
+    return result;
+}
+
+/**
+ * Process document analysis request
+ */
+async function processDocumentAnalysis(requestBody, onEvent = null, { owner = null, signal = null } = {}) {
+    try {
+        onEvent?.('stage', { stage: 'extraction', status: 'started' });
+        const resolved = await resolveDocumentText(requestBody);
+        if (resolved.errorResponse) {
+            return resolved.errorResponse;
+        }
+
+        const { textToAnalyze, extraction, analysisDocumentType } = resolved;
+        onEvent?.('stage', {
+            stage: 'extraction',
+            status: 'completed',
+            characters: textToAnalyze.length,
+            method: extraction?.method || 'text'
+        });
+
+        const { analysisResult, usingRealAI, errorDetails, cache } = await runAnalysisWithFallback(textToAnalyze, analysisDocumentType, {
+            sourceText: extraction?.text,
+            onEvent,
+            bypassCache: isCacheBypassed(requestBody),
+            signal
+        });
+
+        // Cite page numbers on clauses when page boundaries are known
+        if (extraction) {
+            analysisResult.analysis.clauses = documentExtractor.assignClausePages(analysisResult.analysis.clauses, extraction);
         }
 
         // Enhanced response with processing details
@@ -224,11 +675,15 @@ async function processDocumentAnalysis(requestBody) {
             analysis: analysisResult.analysis,
             confidence: analysisResult.confidence,
             processedAt: new Date().toISOString(),
-            model: usingRealAI ? GEMINI_MODEL : 'mock-analysis-enhanced',
+            model: analysisResult.model || GEMINI_MODEL,
             usingRealAI: usingRealAI,
             processingDetails: {
-                source: usingRealAI ? 'real-ai' : 'mock-fallback',
-                processingTime: Date.now() - (analysisResult.startTime || Date.now())
+                source: usingRealAI ? 'real-ai' : 'rule-based',
+                ...(analysisResult.provider && { provider: analysisResult.provider }),
+                ...(analysisResult.providerAttempts && { providerAttempts: analysisResult.providerAttempts }),
+                processingTime: Date.now() - (analysisResult.startTime || Date.now()),
+                ...(analysisResult.chunking && { chunking: analysisResult.chunking }),
+                cache
             }
         };
 
@@ -244,40 +699,105 @@ async function processDocumentAnalysis(requestBody) {
             }
         }, null, 2));
 
-        // Include error details if AI failed
-        if (errorDetails && !usingRealAI) {
+        // Include error details if AI failed for the document or any chunk of it
+        if (errorDetails) {
             response.errorDetails = errorDetails;
         }
 
+        // Return the extracted text so the UI shows what was actually analyzed
+        if (extraction) {
+            response.extraction = {
+                text: extraction.text,
+                method: extraction.method,
+                pageCount: extraction.pageCount,
+                pages: extraction.pages,
+                ...(extraction.sheets && { sheets: extraction.sheets })
+            };
+        }
+
+        // A cancelled job leaves nothing behind in the history
+        signal?.throwIfAborted();
+        const saved = await saveToHistory('analysis', describeDocumentSource(requestBody), response, extraction?.text || textToAnalyze, owner);
+        if (saved) {
+            response.historyId = saved.id;
+        }
+
         return createSuccessResponse(200, response);
 
     } catch (error) {
+        if (signal?.aborted) {
+            console.log('🛑 Document analysis cancelled');
+            return createErrorResponse(499, 'Analysis Cancelled', 'The analysis job was cancelled');
+        }
         console.error('Document analysis error:', error);
         return createErrorResponse(500, 'Analysis Failed', error.message);
     }
 }
 
 /**
- * Analyze document with Gemini
+ * Describe where an analyzed document came from, for its history record
+ */
+function describeDocumentSource(requestBody) {
+    const source = requestBody.fileData ? 'file-upload'
+        : requestBody.s3Key ? 's3'
+        : requestBody.sourceUrl ? 'url'
+        : 'direct-input';
+
+    return {
+        name: requestBody.filename || requestBody.s3Key || 'Text Input',
+        type: requestBody.documentType || null,
+        source,
+        ...(requestBody.sourceUrl && { url: requestBody.sourceUrl })
+    };
+}
+
+/**
+ * Persist a finished analysis or comparison; a storage failure never fails the analysis itself
+ */
+async function saveToHistory(kind, document, response, sourceText = null, owner = null) {
+    try {
+        return await analysisHistory.save({ kind, document, response, sourceText, owner });
+    } catch (error) {
+        console.warn(`⚠️ Could not save ${kind} to history:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Decode uploaded file data from base64 (optionally a data URL) or pass through a Buffer
+ */
+function decodeFileData(fileData) {
+    if (Buffer.isBuffer(fileData)) {
+        return fileData;
+    }
+
+    const base64 = String(fileData).replace(/^data:[^;]*;base64,/, '');
+    return Buffer.from(base64, 'base64');
+}
+
+/**
+ * Analyze document with the configured AI providers, in fallback order
+ * With onEvent, model stage events are emitted and clauses are streamed as they are generated
  */
-async function analyzeWithGemini(documentText) {
+async function analyzeWithProviders(documentText, documentType = null, { onEvent = null, chunk = null, signal = null } = {}) {
     const startTime = Date.now();
+    const emit = onEvent || (() => {});
+    const chunkInfo = chunk ? { chunk } : {};
     
     try {
-        const client = createGeminiClient();
-        if (!client) {
-            throw new Error('Gemini client not available');
-        }
-
-        const documentType = detectDocumentType(documentText);
-        console.log(`🤖 Invoking Gemini model: ${GEMINI_MODEL}`);
+        documentType = documentType || detectDocumentType(documentText);
+        console.log(`🤖 Invoking AI providers: ${providerRegistry.chain.join(' → ')}`);
+        emit('stage', { stage: 'model', status: 'started', providers: providerRegistry.chain, ...chunkInfo });
         
-        // Use the Gemini client to analyze the document
-        const result = await client.analyzeDocument(documentText, documentType);
+        const result = await providerRegistry.analyzeDocument(documentText, documentType, {
+            ...(onEvent && { onPartial: clause => emit('clause', { clause, ...chunkInfo }) }),
+            ...(signal && { signal })
+        });
         
         if (result.success) {
             const processingTime = Date.now() - startTime;
-            console.log(`✅ Gemini analysis completed successfully in ${processingTime}ms!`);
+            console.log(`✅ ${result.provider} analysis completed successfully in ${processingTime}ms!`);
+            emit('stage', { stage: 'model', status: 'completed', provider: result.provider, model: result.model, ...chunkInfo });
             
             return {
                 success: true,
@@ -285,51 +805,50 @@ async function analyzeWithGemini(documentText) {
                 confidence: result.confidence,
                 startTime: startTime,
                 processingTime: processingTime,
-                tokenUsage: result.tokenUsage
+                tokenUsage: result.tokenUsage,
+                provider: result.provider,
+                model: result.model,
+                providerAttempts: result.attempts
             };
         } else {
-            throw new Error(result.error || 'Gemini analysis failed');
+            throw new Error(result.error || 'AI analysis failed');
         }
         
     } catch (error) {
         const processingTime = Date.now() - startTime;
-        console.error('Gemini analysis error:', error);
+        console.error('AI provider analysis error:', error);
+        emit('stage', { stage: 'model', status: 'failed', error: error.message, ...chunkInfo });
         
-        // Use error handler to determine if we should fallback
+        // Classify the error; the caller falls back to rule-based analysis
         const errorResponse = await geminiErrorHandler.handleError(error, { 
             documentText, 
             attempt: 0 
         });
         
-        if (errorResponse.shouldFallback) {
-            // Create fallback analysis
-            const fallbackResult = geminiErrorHandler.createFallbackAnalysis(
-                documentText, 
-                errorResponse.error, 
-                errorResponse.message
-            );
-            
-            return {
-                success: true, // Fallback is considered successful
-                analysis: fallbackResult.analysis,
-                confidence: fallbackResult.confidence,
-                startTime: startTime,
-                processingTime: processingTime,
-                fallbackUsed: true,
-                originalError: error.message
-            };
-        }
-        
         return {
             success: false,
             error: error.message,
+            errorType: errorResponse.error,
             startTime: startTime,
             processingTime: processingTime
         };
     }
 }
 
-// Legacy functions removed - now using Gemini client classes
+/**
+ * Analyze document offline with the deterministic rule-based analyzer
+ */
+async function analyzeWithRules(documentText, documentType = null) {
+    const result = await ruleBasedAnalyzer.analyzeDocument(documentText, documentType || detectDocumentType(documentText));
+    console.log(`📏 Rule-based analysis found ${result.analysis?.clauses?.length || 0} clauses`);
+
+    return {
+        ...result,
+        provider: 'rules'
+    };
+}
+
+// Legacy functions removed - now using AI provider classes
 
 /**
  * Detect document type based on content
@@ -365,70 +884,6 @@ function calculateAnalysisConfidence(analysis) {
     return Math.min(score, 100);
 }
 
-/**
- * Generate mock analysis for fallback
- */
-function generateMockAnalysis(documentText) {
-    const documentType = detectDocumentType(documentText);
-    
-    return {
-        summary: {
-            documentType: documentType,
-            keyPurpose: "Document analysis and risk assessment",
-            mainParties: ["Party A", "Party B"],
-            effectiveDate: new Date().toISOString().split('T')[0],
-            expirationDate: null,
-            totalClausesIdentified: 4,
-            completenessScore: 85
-        },
-        clauses: [
-            {
-                id: "clause_1",
-                title: "Main Terms",
-                content: documentText.substring(0, Math.min(200, documentText.length)),
-                category: "general",
-                riskLevel: "medium",
-                explanation: "Primary terms and conditions of the agreement",
-                sourceLocation: "Document body",
-                keyTerms: ["terms", "conditions", "agreement"]
-            }
-        ],
-        risks: [
-            {
-                id: "risk_1",
-                title: "General Contract Risk",
-                description: "This agreement contains terms that require careful review",
-                severity: "medium",
-                category: "legal",
-                recommendation: "Review all terms with legal counsel",
-                clauseReference: "clause_1",
-                supportingText: "Various contract provisions"
-            }
-        ],
-        keyTerms: [
-            {
-                term: "Agreement",
-                definition: "The legal contract between the parties",
-                importance: "high",
-                context: "Throughout the document"
-            }
-        ],
-        recommendations: [
-            {
-                priority: "medium",
-                action: "Review all contract terms carefully",
-                rationale: "All contracts require thorough review",
-                affectedClauses: ["clause_1"]
-            }
-        ],
-        qualityMetrics: {
-            clauseDetectionConfidence: 75,
-            analysisCompleteness: 85,
-            potentialMissedClauses: ["specific_terms"]
-        }
-    };
-}
-
 /**
  * Extract text from S3 document using Textract
  */
@@ -465,36 +920,190 @@ async function extractTextFromS3(s3Key) {
     }
 }
 
+/**
+ * Fetch a URL and return its main legal text for analysis
+ */
+async function processURLFetch(requestBody) {
+    const { url } = requestBody;
+
+    if (!url) {
+        return createErrorResponse(400, 'Invalid Request', 'url is required');
+    }
+
+    try {
+        console.log(`🌐 Fetching URL content: ${url}`);
+        const content = await urlContentFetcher.fetchContent(url);
+
+        if (!content.text || !content.text.trim()) {
+            return createErrorResponse(422, 'Extraction Failed', 'No readable text found at the provided URL');
+        }
+
+        return createSuccessResponse(200, {
+            ...content,
+            characterCount: content.text.length
+        });
+    } catch (error) {
+        console.error('URL fetch error:', error);
+        if (error instanceof UrlFetchError) {
+            return createErrorResponse(error.status, 'URL Fetch Failed', error.message);
+        }
+        return createErrorResponse(502, 'URL Fetch Failed', error.message);
+    }
+}
+
+/**
+ * Propose replacement language for the medium and higher risks of an analysis
+ * Takes the analysis the client already has rather than re-analyzing the document
+ */
+async function processRedlineRequest(requestBody) {
+    const { analysis, documentType } = requestBody;
+
+    if (!analysis || !Array.isArray(analysis.clauses) || !Array.isArray(analysis.risks)) {
+        return createErrorResponse(400, 'Invalid Request', 'analysis with clauses and risks is required');
+    }
+
+    try {
+        const result = await redlineGenerator.generate({
+            clauses: analysis.clauses,
+            risks: analysis.risks,
+            documentType: documentType || analysis.summary?.documentType
+        });
+        console.log(`✍️ Drafted ${result.redlines.length} redline(s) with ${result.provider}`);
+
+        return createSuccessResponse(200, {
+            ...result,
+            generatedAt: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Redline generation error:', error);
+        return createErrorResponse(500, 'Redline Generation Failed', error.message);
+    }
+}
+
+/**
+ * Rewrite the clauses of an analysis in plain English at a reading level, with readability before and after
+ */
+async function processSimplifyRequest(requestBody) {
+    const { analysis, level = 'layperson', documentType } = requestBody;
+
+    if (!analysis || !Array.isArray(analysis.clauses)) {
+        return createErrorResponse(400, 'Invalid Request', 'analysis with clauses is required');
+    }
+
+    if (!SIMPLIFICATION_LEVELS[level]) {
+        return createErrorResponse(400, 'Invalid Request', `level must be one of: ${Object.keys(SIMPLIFICATION_LEVELS).join(', ')}`);
+    }
+
+    try {
+        const result = await clauseSimplifier.simplify({
+            clauses: analysis.clauses,
+            level,
+            documentType: documentType || analysis.summary?.documentType
+        });
+        console.log(`📝 Simplified ${result.clauses.length} clause(s) to ${level} with ${result.provider}`);
+
+        return createSuccessResponse(200, {
+            ...result,
+            generatedAt: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Simplification error:', error);
+        return createErrorResponse(500, 'Simplification Failed', error.message);
+    }
+}
+
 /**
  * Process document comparison request
+ * Analyzes each document, then aligns clauses by category across documents
  */
-async function processDocumentComparison(requestBody) {
+async function processDocumentComparison(requestBody, { owner = null, signal = null } = {}) {
     try {
         const { documents } = requestBody;
+        // Same bounds as /api/v1/comparisons; documents here may also use the legacy text field
+        const { minItems, maxItems } = comparisonRequestSchema.properties.documents;
 
-        if (!documents || documents.length < 2) {
-            return createErrorResponse(400, 'Invalid Request', 'At least 2 documents required for comparison');
+        if (!Array.isArray(documents) || documents.length < minItems) {
+            return createErrorResponse(400, 'Invalid Request', `At least ${minItems} documents required for comparison`);
+        }
+        if (documents.length > maxItems) {
+            return createErrorResponse(400, 'Invalid Request', `At most ${maxItems} documents can be compared at once`);
         }
 
-        // For now, return a basic comparison response
-        return createSuccessResponse(200, {
-            comparison: {
-                overview: {
-                    totalDocuments: documents.length,
-                    documentTypes: ["Legal Agreement"],
-                    comparisonSummary: "Document comparison completed"
-                },
-                keyDifferences: [],
-                commonTerms: [],
-                riskAnalysis: [],
-                recommendations: []
-            },
-            documentsAnalyzed: documents.length,
+        const analyzedDocuments = [];
+        for (const [index, doc] of documents.entries()) {
+            const name = doc.name || doc.filename || `Document ${index + 1}`;
+            const resolved = await resolveDocumentText({
+                documentText: doc.text || doc.documentText,
+                fileData: doc.fileData,
+                filename: doc.filename || doc.name,
+                documentType: doc.documentType,
+                s3Key: doc.s3Key
+            });
+
+            if (resolved.errorResponse) {
+                const { statusCode, error, message } = resolved.errorInfo;
+                return createErrorResponse(statusCode, error, `${name}: ${message}`);
+            }
+
+            console.log(`🔍 Analyzing document ${index + 1}/${documents.length} for comparison: ${name}`);
+            const { analysisResult, usingRealAI, errorDetails, cache } = await runAnalysisWithFallback(resolved.textToAnalyze, resolved.analysisDocumentType, {
+                sourceText: resolved.extraction?.text,
+                bypassCache: isCacheBypassed(requestBody),
+                signal
+            });
+
+            analyzedDocuments.push({
+                name,
+                analysis: analysisResult.analysis,
+                confidence: analysisResult.confidence,
+                usingRealAI,
+                model: analysisResult.model,
+                errorDetails,
+                cacheHit: cache.hit,
+                textLength: resolved.textToAnalyze.length
+            });
+        }
+
+        const comparison = geminiResponseParser.validateComparisonStructure(comparisonEngine.compare(analyzedDocuments));
+        const allRealAI = analyzedDocuments.every(doc => doc.usingRealAI);
+
+        const response = {
+            comparison,
+            documents: analyzedDocuments.map((doc, index) => ({
+                name: comparison.clauseMatrix.documents[index],
+                documentType: doc.analysis?.summary?.documentType,
+                clauseCount: doc.analysis?.clauses?.length || 0,
+                riskCount: doc.analysis?.risks?.length || 0,
+                confidence: doc.confidence,
+                textLength: doc.textLength,
+                usingRealAI: doc.usingRealAI,
+                cacheHit: doc.cacheHit,
+                highestRisk: analysisHistory.highestRisk(doc.analysis?.risks)
+            })),
+            documentsAnalyzed: analyzedDocuments.length,
             processedAt: new Date().toISOString(),
-            model: GEMINI_MODEL
-        });
+            model: [...new Set(analyzedDocuments.map(doc => doc.model || GEMINI_MODEL))].join(', '),
+            usingRealAI: allRealAI
+        };
+
+        const errorDetails = analyzedDocuments.filter(doc => doc.errorDetails).map(doc => `${doc.name}: ${doc.errorDetails}`);
+        if (errorDetails.length > 0) {
+            response.errorDetails = errorDetails.join('; ');
+        }
+
+        signal?.throwIfAborted();
+        const saved = await saveToHistory('comparison', { names: response.documents.map(doc => doc.name) }, response, null, owner);
+        if (saved) {
+            response.historyId = saved.id;
+        }
+
+        return createSuccessResponse(200, response);
 
     } catch (error) {
+        if (signal?.aborted) {
+            console.log('🛑 Document comparison cancelled');
+            return createErrorResponse(499, 'Comparison Cancelled', 'The comparison job was cancelled');
+        }
         console.error('Document comparison error:', error);
         return createErrorResponse(500, 'Comparison Failed', error.message);
     }
@@ -503,7 +1112,7 @@ async function processDocumentComparison(requestBody) {
 /**
  * Create success response
  */
-function createSuccessResponse(statusCode, data) {
+export function createSuccessResponse(statusCode, data) {
     return {
         statusCode,
         headers: {
@@ -518,8 +1127,9 @@ function createSuccessResponse(statusCode, data) {
 
 /**
  * Create error response
+ * details (such as schema validation errors) is included when given
  */
-function createErrorResponse(statusCode, error, message) {
+export function createErrorResponse(statusCode, error, message, details = null) {
     return {
         statusCode,
         headers: {
@@ -531,10 +1141,14 @@ function createErrorResponse(statusCode, error, message) {
         body: JSON.stringify({
             error,
             message,
+            ...(details && { details }),
             timestamp: new Date().toISOString()
         })
     };
 }
 
+// Shared with the /api/v1 routes
+export { jobQueue, providerRegistry, analysisHistory, historySharing, authService, JOB_WORKERS, processRedlineRequest, processSimplifyRequest };
+
 // Default export for compatibility
 export default handler;
\ No newline at end of file
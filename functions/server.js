@@ -0,0 +1,321 @@
+/**
+ * Standalone HTTP server for ClearClause AI
+ * Adapts Node requests to the serverless handler shape so the backend can run without Vite:
+ *   node functions/server.js
+ * Serves the action-based /api/process route and the versioned /api/v1 resource routes
+ * (including /api/v1/auth sign-in); the handlers check bearer tokens themselves
+ */
+
+import http from 'http';
+import { fileURLToPath } from 'url';
+import { SSE_HEADERS, formatServerSentEvent } from './serverSentEvents.js';
+
+const DEFAULT_PORT = 3002;
+const DEFAULT_MAX_BODY_BYTES = 25 * 1024 * 1024;
+const DEFAULT_SHUTDOWN_TIMEOUT = 10000;
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+const ROUTES = {
+    '/api/process': handleProcess,
+    '/api/process/stream': handleStream,
+    '/health': handleHealth,
+    '/api/health': handleHealth
+};
+
+/**
+ * Error carrying the HTTP status to respond with
+ */
+export class HttpError extends Error {
+    constructor(statusCode, error, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.statusCode = statusCode;
+        this.error = error;
+    }
+}
+
+/**
+ * Create a request listener for the API routes
+ * Works as an http.createServer listener, or as connect middleware when next is passed
+ * (unmatched paths then go to next instead of a 404)
+ * @param {Object} options
+ * @param {number} options.maxBodyBytes - Largest accepted request body
+ * @param {Function} options.isShuttingDown - Returns true once the server stops taking requests
+ * @returns {Function} (req, res, next) listener
+ */
+export function createRequestListener({ maxBodyBytes = getMaxBodyBytes(), isShuttingDown = () => false } = {}) {
+    return async (req, res, next) => {
+        const url = new URL(req.url, 'http://localhost');
+        const pathname = url.pathname.replace(/\/+$/, '') || '/';
+        const route = ROUTES[pathname] || (isApiV1Path(pathname) ? handleApiV1 : null);
+
+        if (!route) {
+            if (next) {
+                next();
+            } else {
+                sendError(res, 404, 'Not Found', `No route for ${url.pathname}`);
+            }
+            return;
+        }
+
+        if (isShuttingDown()) {
+            sendError(res, 503, 'Service Unavailable', 'Server is shutting down', { Connection: 'close' });
+            return;
+        }
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, { ...CORS_HEADERS, 'Access-Control-Max-Age': '86400' });
+            res.end();
+            return;
+        }
+
+        try {
+            await route(req, res, url, maxBodyBytes);
+        } catch (error) {
+            if (error instanceof HttpError) {
+                sendError(res, error.statusCode, error.error, error.message);
+                return;
+            }
+            console.error('Server request error:', error);
+            if (res.headersSent) {
+                res.end();
+            } else {
+                sendError(res, 500, 'Internal Server Error', 'An unexpected error occurred');
+            }
+        }
+    };
+}
+
+/**
+ * Route every method to the serverless handler
+ */
+async function handleProcess(req, res, url, maxBodyBytes) {
+    const { handler } = await import('./process.js');
+    const body = parseRequestBody(await readRequestBody(req, maxBodyBytes), req.headers);
+
+    const response = await handler({
+        method: req.method,
+        headers: req.headers,
+        body,
+        query: Object.fromEntries(url.searchParams)
+    });
+
+    res.writeHead(response.statusCode, response.headers);
+    res.end(response.body);
+}
+
+/**
+ * Route /api/v1 resource requests to the versioned API
+ */
+async function handleApiV1(req, res, url, maxBodyBytes) {
+    const { handler, API_V1_PREFIX } = await import('./api/v1.js');
+    const body = parseRequestBody(await readRequestBody(req, maxBodyBytes), req.headers);
+
+    const response = await handler({
+        method: req.method,
+        path: url.pathname.slice(API_V1_PREFIX.length) || '/',
+        headers: req.headers,
+        body,
+        query: Object.fromEntries(url.searchParams)
+    });
+
+    res.writeHead(response.statusCode, response.headers);
+    res.end(response.body);
+}
+
+function isApiV1Path(pathname) {
+    return pathname === '/api/v1' || pathname.startsWith('/api/v1/');
+}
+
+/**
+ * Stream analysis progress as Server-Sent Events
+ */
+async function handleStream(req, res, url, maxBodyBytes) {
+    if (req.method !== 'POST') {
+        throw new HttpError(405, 'Method Not Allowed', `Method ${req.method} is not supported`);
+    }
+
+    const { streamHandler, authorizeRequest } = await import('./process.js');
+    const body = parseRequestBody(await readRequestBody(req, maxBodyBytes), req.headers);
+
+    // Reject before the event stream starts so clients see a real 401 status
+    const auth = await authorizeRequest(req.headers);
+    if (!auth.authorized) {
+        res.writeHead(auth.response.statusCode, auth.response.headers);
+        res.end(auth.response.body);
+        return;
+    }
+
+    res.writeHead(200, SSE_HEADERS);
+    await streamHandler({ method: req.method, headers: req.headers, body }, (event, data) => {
+        if (!res.writableEnded) {
+            res.write(formatServerSentEvent(event, data));
+        }
+    });
+    res.end();
+}
+
+function handleHealth(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        throw new HttpError(405, 'Method Not Allowed', `Method ${req.method} is not supported`);
+    }
+
+    sendJson(res, 200, {
+        status: 'ok',
+        uptime: Math.round(process.uptime()),
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * Read the request body, rejecting it once it passes maxBytes
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {number} maxBytes - Largest accepted body
+ * @returns {Promise<Buffer>} The raw body
+ */
+export function readRequestBody(req, maxBytes = DEFAULT_MAX_BODY_BYTES) {
+    return new Promise((resolve, reject) => {
+        const tooLarge = () => new HttpError(413, 'Payload Too Large', `Request body exceeds ${maxBytes} bytes`);
+
+        if (Number(req.headers['content-length']) > maxBytes) {
+            req.resume();
+            reject(tooLarge());
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                // Drain the rest so the 413 response can still be written
+                req.removeAllListeners('data');
+                req.resume();
+                reject(tooLarge());
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Parse a JSON body; multipart uploads are passed through raw for the handler to parse
+ * @param {Buffer} rawBody - Raw request body
+ * @param {Object} headers - Request headers
+ * @returns {Object|Buffer} Parsed body
+ */
+export function parseRequestBody(rawBody, headers) {
+    if ((headers['content-type'] || '').startsWith('multipart/form-data')) {
+        return rawBody;
+    }
+    if (!rawBody.length) {
+        return {};
+    }
+
+    try {
+        return JSON.parse(rawBody.toString());
+    } catch (error) {
+        throw new HttpError(400, 'Bad Request', 'Request body is not valid JSON');
+    }
+}
+
+function sendJson(res, statusCode, data, headers = {}) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json', ...CORS_HEADERS, ...headers });
+    res.end(JSON.stringify(data));
+}
+
+// Same envelope as createErrorResponse in process.js
+function sendError(res, statusCode, error, message, headers = {}) {
+    sendJson(res, statusCode, { error, message, timestamp: new Date().toISOString() }, headers);
+}
+
+function getMaxBodyBytes() {
+    return parseInt(process.env.VITE_SERVER_MAX_BODY_BYTES) || DEFAULT_MAX_BODY_BYTES;
+}
+
+/**
+ * Start the server
+ * On SIGTERM or SIGINT it stops taking requests, lets in-flight ones finish and exits,
+ * forcing connections closed after shutdownTimeout
+ * @param {Object} options
+ * @param {number} options.port - Port to listen on (0 picks a free port)
+ * @param {string} options.host - Interface to bind
+ * @param {number} options.maxBodyBytes - Largest accepted request body
+ * @param {number} options.shutdownTimeout - Milliseconds to wait for in-flight requests
+ * @param {boolean} options.handleSignals - Install SIGTERM/SIGINT handlers
+ * @returns {Promise<{server: http.Server, close: Function}>} The listening server and its shutdown function
+ * @throws {Error} When the backend configuration is rejected, before anything listens
+ */
+export async function startServer({
+    port = parseInt(process.env.PORT) || DEFAULT_PORT,
+    host = process.env.HOST || '0.0.0.0',
+    maxBodyBytes = getMaxBodyBytes(),
+    shutdownTimeout = parseInt(process.env.VITE_SERVER_SHUTDOWN_TIMEOUT) || DEFAULT_SHUTDOWN_TIMEOUT,
+    handleSignals = true
+} = {}) {
+    // Requests load the handlers lazily; loading them here first means settings they reject,
+    // such as mail or OTP delivery that only logs in production, stop the server before it listens
+    await import('./process.js');
+
+    let shuttingDown = false;
+    const listener = createRequestListener({ maxBodyBytes, isShuttingDown: () => shuttingDown });
+    const server = http.createServer((req, res) => listener(req, res));
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+    });
+    console.log(`🚀 ClearClause AI server listening on http://${host}:${server.address().port}`);
+
+    let closing = null;
+    const close = () => {
+        if (closing) return closing;
+        shuttingDown = true;
+        console.log('🛑 Shutting down, waiting for in-flight requests...');
+
+        closing = new Promise(resolve => {
+            const forceTimer = setTimeout(() => {
+                console.warn(`⚠️ Requests still open after ${shutdownTimeout}ms, closing connections`);
+                server.closeAllConnections();
+            }, shutdownTimeout);
+            forceTimer.unref();
+
+            server.close(() => {
+                clearTimeout(forceTimer);
+                resolve();
+            });
+            // Keep-alive sockets with no request in progress would otherwise hold close() open
+            server.closeIdleConnections();
+        });
+        return closing;
+    };
+
+    if (handleSignals) {
+        ['SIGTERM', 'SIGINT'].forEach(signal => {
+            process.once(signal, async () => {
+                await close();
+                process.exit(0);
+            });
+        });
+    }
+
+    return { server, close };
+}
+
+// Run directly: node functions/server.js
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    startServer().catch(error => {
+        console.error('Failed to start server:', error);
+        process.exit(1);
+    });
+}
+
+export default startServer;
@@ -0,0 +1,22 @@
+/**
+ * Server-Sent Events helpers for ClearClause AI
+ * Formats streamed analysis progress for text/event-stream responses
+ */
+
+export const SSE_HEADERS = {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'Access-Control-Allow-Origin': '*'
+};
+
+/**
+ * Format one event as a text/event-stream frame
+ * @param {string} event - Event name (stage, clause, result, error)
+ * @param {*} data - JSON-serializable payload
+ * @returns {string} The frame, terminated by a blank line
+ */
+export function formatServerSentEvent(event, data) {
+    // JSON.stringify never emits raw newlines, so the payload fits on one data line
+    return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
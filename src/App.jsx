@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useRef } from 'react'
 
 import HomePage from '../routes/index.jsx'
 
@@ -9,15 +9,21 @@ import Login from './components/auth/Login.jsx'
 import Loader from './components/ui/Loader.jsx'
 import ProgressBar from './components/ui/ProgressBar.jsx'
 import HistoryPanel from './components/history/HistoryPanel.jsx'
+import SharingPanel from './components/history/SharingPanel.jsx'
+import OpenReport from './components/history/OpenReport.jsx'
 import AIConfidenceMeter from './components/ui/AIConfidenceMeter.jsx'
 import DocumentPreview from './components/ui/DocumentPreview.jsx'
 import UserProfile from './components/profile/UserProfile.jsx'
 import AnalysisSourceIndicator from './components/ui/AnalysisSourceIndicator.jsx'
+import LiveClauseFeed from './components/ui/LiveClauseFeed.jsx'
 
 // Analysis Tabs
 import SummaryTab from './components/analysis/SummaryTab.jsx'
 import ClausesTab from './components/analysis/ClausesTab.jsx'
+import DocumentTab from './components/analysis/DocumentTab.jsx'
 import RisksTab from './components/analysis/RisksTab.jsx'
+import RedlinesPanel from './components/analysis/RedlinesPanel.jsx'
+import ReportExport from './components/analysis/ReportExport.jsx'
 import CompareTab from './components/analysis/CompareTab.jsx'
 import ComparisonResults from './components/analysis/ComparisonResults.jsx'
 
@@ -34,6 +40,13 @@ import {
     transformAnalysisForUI 
 } from './utils/documentProcessor.js'
 
+// Saved analyses
+import { listHistory, getHistoryEntry, deleteHistoryEntry, historyEntryToResult, openSharedEntry } from './utils/analysisHistory.js'
+
+// Backend sign-in session
+import { getSession, getCurrentUser, SESSION_EXPIRED_EVENT } from './utils/authClient.js'
+import { PERMISSIONS, can, canDeleteEntry } from './utils/permissions.js'
+
 // Mock data (fallback)
 import { mockData } from './utils/mockData.js'
 
@@ -57,19 +70,24 @@ function App() {
     // ---------------- CLEARCLAUSE UI STATE ----------------
     const [user, setUser] = useState(() => {
         const saved = localStorage.getItem('userProfile')
-        return saved ? JSON.parse(saved) : null
+        // A profile without a backend session (e.g. from an older client-side login) must sign in again
+        return saved && getSession() ? JSON.parse(saved) : null
     })
     const [showProfile, setShowProfile] = useState(false)
     const [activeTab, setActiveTab] = useState('Summary')
     const [loading, setLoading] = useState(false)
     const [stage, setStage] = useState(null)
+    const [liveClauses, setLiveClauses] = useState([])
 
     const [result, setResult] = useState(null)
     const [isComparison, setIsComparison] = useState(false)
-    const [comparisonDocuments, setComparisonDocuments] = useState([])
-    const [history, setHistory] = useState(() => {
-        return JSON.parse(localStorage.getItem('history')) || []
-    })
+    // The uploaded file behind the current result, so a .docx can be exported back with comments
+    const [sourceFile, setSourceFile] = useState(null)
+    const [history, setHistory] = useState({ items: [], total: 0 })
+    const [historyFilters, setHistoryFilters] = useState({ limit: 20 })
+    const [historyStatus, setHistoryStatus] = useState({ loading: false, error: null })
+    const [activeHistoryId, setActiveHistoryId] = useState(null)
+    const historyRequest = useRef(0)
 
     // Initialize theme on app load
     useEffect(() => {
@@ -77,6 +95,112 @@ function App() {
         document.documentElement.setAttribute('data-theme', savedTheme)
     }, [])
 
+    // Back to the sign-in screen when the session can no longer be refreshed
+    useEffect(() => {
+        const handleSessionExpired = () => setUser(null)
+        window.addEventListener(SESSION_EXPIRED_EVENT, handleSessionExpired)
+        return () => window.removeEventListener(SESSION_EXPIRED_EVENT, handleSessionExpired)
+    }, [])
+
+    // Pick up role changes made since the profile was saved
+    useEffect(() => {
+        if (!user) return
+        getCurrentUser()
+            .then(current => {
+                if (!current) return
+                setUser(previous => {
+                    const updated = { ...previous, ...current }
+                    localStorage.setItem('userProfile', JSON.stringify(updated))
+                    return updated
+                })
+            })
+            .catch(error => console.warn('Could not refresh the signed-in user:', error.message))
+    }, [user?.id])
+
+    const handleLogin = (signedInUser) => {
+        setUser(signedInUser)
+        localStorage.setItem('userProfile', JSON.stringify(signedInUser))
+    }
+
+    // ---------------- HISTORY ----------------
+    const loadHistory = async (filters = historyFilters) => {
+        // Typing in the search box can overlap requests; only the latest one updates the list
+        const requestId = ++historyRequest.current
+        setHistoryStatus({ loading: true, error: null })
+        try {
+            const data = await listHistory(filters)
+            if (requestId === historyRequest.current) {
+                setHistory(data)
+                setHistoryStatus({ loading: false, error: null })
+            }
+        } catch (error) {
+            if (requestId === historyRequest.current) {
+                setHistoryStatus({ loading: false, error: error.message })
+            }
+        }
+    }
+
+    useEffect(() => {
+        if (!user) return
+        const timer = setTimeout(() => loadHistory(historyFilters), 250)
+        return () => clearTimeout(timer)
+    }, [historyFilters, user])
+
+    const showHistoryEntry = (entry) => {
+        const reopened = historyEntryToResult(entry)
+        setIsComparison(reopened.isComparison)
+        setResult(reopened.result)
+        setSourceFile(null)
+        setActiveTab('Summary')
+        setActiveHistoryId(entry.id)
+    }
+
+    const handleReportOpen = (report) => {
+        setIsComparison(false)
+        setResult(report)
+        setSourceFile(null)
+        setActiveTab('Summary')
+        setActiveHistoryId(null)
+    }
+
+    const handleHistorySelect = async (item) => {
+        try {
+            showHistoryEntry(await getHistoryEntry(item.id))
+        } catch (error) {
+            console.error('Failed to open saved analysis:', error)
+            setHistoryStatus({ loading: false, error: error.message })
+        }
+    }
+
+    // Open a share link (?share=) once signed in; the entry then appears under "Shared with me"
+    useEffect(() => {
+        const params = new URLSearchParams(window.location.search)
+        const token = params.get('share')
+        if (!user || !token) return
+
+        params.delete('share')
+        const query = params.toString()
+        window.history.replaceState({}, '', `${window.location.pathname}${query ? `?${query}` : ''}`)
+        openSharedEntry(token)
+            .then(entry => {
+                showHistoryEntry(entry)
+                loadHistory()
+            })
+            .catch(error => setHistoryStatus({ loading: false, error: error.message }))
+    }, [user?.id])
+
+    const handleHistoryDelete = async (item) => {
+        try {
+            await deleteHistoryEntry(item.id)
+            if (item.id === activeHistoryId) {
+                setActiveHistoryId(null)
+            }
+            loadHistory()
+        } catch (error) {
+            setHistoryStatus({ loading: false, error: error.message })
+        }
+    }
+
     // Handle user updates
     const handleUserUpdate = (updatedUser) => {
         if (updatedUser.showProfile) {
@@ -88,18 +212,34 @@ function App() {
         }
     }
 
+    // Streamed backend stages, mapped onto the progress steps
+    const STREAM_STAGES = {
+        extraction: 'textract',
+        chunking: 'bedrock',
+        model: 'bedrock',
+        parsing: 'parsing'
+    }
+
+    const handleAnalysisProgress = (event) => {
+        if (event.type === 'stage' && STREAM_STAGES[event.stage]) {
+            setStage(STREAM_STAGES[event.stage])
+        } else if (event.type === 'clause' && event.clause) {
+            setLiveClauses(previous => [...previous, event.clause])
+        }
+    }
+
     // ---------------- ANALYSIS FLOW (CLIENT-SIDE ONLY) ----------------
     const runAnalysis = async (analysisType = 'single', documents = []) => {
         setLoading(true)
         setStage('textract')
+        setLiveClauses([])
+        setSourceFile(null)
         
         // Set comparison mode if multiple documents
         if (analysisType === 'comparison' || documents.length > 1) {
             setIsComparison(true)
-            setComparisonDocuments(documents)
         } else {
             setIsComparison(false)
-            setComparisonDocuments([])
         }
 
         try {
@@ -117,33 +257,30 @@ function App() {
                 setResult({
                     comparison: analysisResult.data.comparison,
                     documents: analysisResult.data.documents,
-                    metadata: analysisResult.data.metadata
+                    metadata: analysisResult.data.metadata,
+                    errorDetails: analysisResult.data.errorDetails
                 })
             } else {
                 // Single document analysis
                 const document = documents[0]
+                const streamOptions = { onProgress: handleAnalysisProgress }
                 
                 if (document instanceof File) {
                     // Determine processing method based on file type
                     if (document.type.startsWith('image/')) {
                         analysisResult = await processImageDocument(document)
                     } else {
-                        analysisResult = await processDocument(document)
+                        analysisResult = await processDocument(document, streamOptions)
                     }
                 } else if (typeof document === 'string') {
                     // Check if it's a URL or text
                     if (document.startsWith('http://') || document.startsWith('https://')) {
-                        analysisResult = await processURLContent(document)
+                        analysisResult = await processURLContent(document, streamOptions)
                     } else {
-                        analysisResult = await processTextInput(document)
+                        analysisResult = await processTextInput(document, streamOptions)
                     }
                 }
 
-                // Update stage based on processing progress
-                if (analysisResult.stage === 'bedrock') {
-                    setStage('bedrock')
-                }
-
                 if (analysisResult.error) {
                     throw new Error(analysisResult.error)
                 }
@@ -153,18 +290,15 @@ function App() {
                 const transformedData = transformAnalysisForUI(analysisResult.data)
                 console.log('App: Transformed data:', transformedData)
                 setResult(transformedData)
+                setSourceFile(document instanceof File ? document : null)
             }
 
             setLoading(false)
             setStage(null)
 
-            // Add to history
-            const newItem = isComparison ? 
-                `Comparison Analysis – ${documents.length} documents – ${new Date().toLocaleString()}` :
-                `Analysis – ${analysisResult.data?.document?.name || 'Document'} – ${new Date().toLocaleString()}`
-            const updated = [newItem, ...history]
-            setHistory(updated)
-            localStorage.setItem('history', JSON.stringify(updated))
+            // The backend saved the result; refresh the list so it shows up
+            setActiveHistoryId(analysisResult.data?.metadata?.historyId || null)
+            loadHistory()
 
         } catch (error) {
             console.error('Analysis failed:', error)
@@ -178,11 +312,7 @@ function App() {
                 setResult(mockData)
                 setLoading(false)
                 setStage(null)
-
-                const newItem = `Analysis (Mock) – ${new Date().toLocaleString()}`
-                const updated = [newItem, ...history]
-                setHistory(updated)
-                localStorage.setItem('history', JSON.stringify(updated))
+                setActiveHistoryId(null)
             }, 1500)
         }
     }
@@ -275,7 +405,7 @@ function App() {
             case '/clearclause':
                 // ---------- LOGIN GATE ----------
                 if (!user) {
-                    return <Login onLogin={setUser} />
+                    return <Login onLogin={handleLogin} />
                 }
 
                 return (
@@ -284,8 +414,21 @@ function App() {
 
                         <div className="main-content">
                             {/* Document Upload & Analysis */}
-                            {!result && !loading && (
+                            {!result && !loading && (can(user, PERMISSIONS.RUN_ANALYSES) ? (
                                 <DocumentPreview onAnalyze={runAnalysis} />
+                            ) : (
+                                <div role="status" className="card fade-in" style={{
+                                    padding: 'var(--space-6)',
+                                    textAlign: 'center',
+                                    color: 'var(--gray-600)'
+                                }}>
+                                    Your role can view analyses shared in your company but not run new ones.
+                                    Ask your legal counsel if you need access.
+                                </div>
+                            ))}
+
+                            {!result && !loading && (
+                                <OpenReport onOpen={handleReportOpen} />
                             )}
 
                             {/* Progress */}
@@ -293,10 +436,11 @@ function App() {
                                 <>
                                     <ProgressBar stage={stage} />
                                     <AIConfidenceMeter 
-                                        confidence={stage === 'textract' ? 45 : stage === 'bedrock' ? 85 : 97} 
+                                        confidence={stage === 'textract' ? 45 : stage === 'bedrock' ? 85 : stage === 'parsing' ? 92 : 97} 
                                         stage={stage} 
                                     />
                                     <Loader stage={stage} />
+                                    <LiveClauseFeed clauses={liveClauses} />
                                 </>
                             )}
 
@@ -315,9 +459,10 @@ function App() {
                             {result && !loading && (
                                 <>
                                     {isComparison ? (
-                                        <ComparisonResults documents={comparisonDocuments} />
+                                        <ComparisonResults comparison={result.comparison} documents={result.documents} />
                                     ) : (
                                         <>
+                                            <ReportExport result={result} sourceFile={sourceFile} />
                                             <Tabs active={activeTab} setActive={setActiveTab} />
 
                                             {activeTab === 'Summary' && (
@@ -327,18 +472,39 @@ function App() {
                                                 </>
                                             )}
 
+                                            {activeTab === 'Document' && (
+                                                <DocumentTab
+                                                    text={result.metadata?.extraction?.text}
+                                                    clauses={result.clauses}
+                                                    risks={result.risks}
+                                                />
+                                            )}
+
                                             {activeTab === 'Clauses' && (
                                                 <ClausesTab clauses={result.clauses} />
                                             )}
 
                                             {activeTab === 'Risks' && (
-                                                <RisksTab risks={result.risks} />
+                                                <>
+                                                    <RisksTab risks={result.risks} />
+                                                    <RedlinesPanel
+                                                        clauses={result.clauses}
+                                                        risks={result.risks}
+                                                        documentType={result.summary?.title}
+                                                        redlines={result.redlines}
+                                                        onChange={(redlines) => setResult(previous => ({ ...previous, redlines }))}
+                                                        canGenerate={can(user, PERMISSIONS.RUN_ANALYSES)}
+                                                    />
+                                                </>
                                             )}
 
                                             {activeTab === 'Compare' && (
                                                 <CompareTab
-                                                    original="Company may terminate services at any time."
-                                                    simplified="They can stop your service whenever they want."
+                                                    clauses={result.clauses}
+                                                    documentType={result.summary?.title}
+                                                    simplifications={result.simplifications}
+                                                    onChange={(simplifications) => setResult(previous => ({ ...previous, simplifications }))}
+                                                    canGenerate={can(user, PERMISSIONS.RUN_ANALYSES)}
                                                 />
                                             )}
                                         </>
@@ -346,11 +512,25 @@ function App() {
                                 </>
                             )}
 
-                            {/* HISTORY */}
-                            {history.length > 0 && (
-                                <HistoryPanel items={history} />
+                            {result && !loading && activeHistoryId && (
+                                <SharingPanel entryId={activeHistoryId} workspace={user.workspaceId ? user.company : ''} />
                             )}
 
+                            {/* HISTORY */}
+                            <HistoryPanel
+                                items={history.items}
+                                total={history.total}
+                                filters={historyFilters}
+                                onFiltersChange={setHistoryFilters}
+                                onSelect={handleHistorySelect}
+                                onDelete={handleHistoryDelete}
+                                canDelete={(item) => canDeleteEntry(user, item)}
+                                currentUserId={user.id}
+                                loading={historyStatus.loading}
+                                error={historyStatus.error}
+                                activeId={activeHistoryId}
+                            />
+
                             {/* NAV BACK */}
                             <div style={{
                                 textAlign: 'center',
@@ -374,6 +554,10 @@ function App() {
                         {showProfile && (
                             <UserProfile
                                 user={user}
+                                onOpenEntry={(item) => {
+                                    setShowProfile(false)
+                                    handleHistorySelect(item)
+                                }}
                                 onUpdateUser={(updatedUser) => {
                                     setUser(updatedUser)
                                     localStorage.setItem('userProfile', JSON.stringify(updatedUser))
@@ -0,0 +1,70 @@
+import Card from '../layout/Card.jsx'
+import RiskChip from '../ui/RiskChip.jsx'
+import ExplainToggle from './ExplainToggle.jsx'
+import '../../styles/theme.css'
+import '../../styles/animations.css'
+
+/**
+ * A clause with its risk level, quote and explanation; children render under the explanation
+ */
+const ClauseCard = ({ clause, isExpanded, onToggle, style, children }) => {
+  return (
+    <Card style={style}>
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'flex-start',
+        marginBottom: 16
+      }}>
+        <h4 style={{
+          margin: 0,
+          color: 'var(--slate-800)',
+          fontSize: 18,
+          fontWeight: 600
+        }}>
+          {clause.title}
+        </h4>
+        <RiskChip level={clause.riskLevel} />
+      </div>
+
+      {clause.sourceAnchor && !clause.sourceAnchor.verified && (
+        <div
+          data-unverified="true"
+          style={{
+            marginBottom: 12,
+            padding: '8px 12px',
+            background: 'var(--orange-50)',
+            border: '1px solid var(--orange-200)',
+            borderRadius: 'var(--radius)',
+            color: 'var(--orange-800)',
+            fontSize: 13
+          }}
+        >
+          ⚠️ This quote could not be found in the document. Check it against the original before relying on it.
+        </div>
+      )}
+
+      <p style={{
+        color: 'var(--slate-700)',
+        lineHeight: 1.6,
+        marginBottom: 16,
+        padding: 16,
+        background: 'var(--slate-50)',
+        borderRadius: 'var(--radius)',
+        border: '1px solid var(--slate-200)',
+        fontStyle: 'italic'
+      }}>
+        "{clause.text}"
+      </p>
+
+      <ExplainToggle
+        explanation={clause.explanation}
+        isExpanded={isExpanded}
+        onToggle={onToggle}
+      />
+      {children}
+    </Card>
+  )
+}
+
+export default ClauseCard
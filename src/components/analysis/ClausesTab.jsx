@@ -1,7 +1,6 @@
 import { useState } from 'react'
 import Card from '../layout/Card.jsx'
-import RiskChip from '../ui/RiskChip.jsx'
-import ExplainToggle from './ExplainToggle.jsx'
+import ClauseCard from './ClauseCard.jsx'
 import '../../styles/theme.css'
 import '../../styles/animations.css'
 
@@ -23,45 +22,15 @@ const ClausesTab = ({ clauses }) => {
   return (
     <div className="fade-in">
       {clauses.map((clause, index) => (
-        <Card key={clause.id} style={{ animationDelay: `${index * 0.1}s` }}>
-          <div style={{
-            display: 'flex',
-            justifyContent: 'space-between',
-            alignItems: 'flex-start',
-            marginBottom: 16
-          }}>
-            <h4 style={{
-              margin: 0,
-              color: 'var(--slate-800)',
-              fontSize: 18,
-              fontWeight: 600
-            }}>
-              {clause.title}
-            </h4>
-            <RiskChip level={clause.riskLevel} />
-          </div>
-
-          <p style={{
-            color: 'var(--slate-700)',
-            lineHeight: 1.6,
-            marginBottom: 16,
-            padding: 16,
-            background: 'var(--slate-50)',
-            borderRadius: 'var(--radius)',
-            border: '1px solid var(--slate-200)',
-            fontStyle: 'italic'
-          }}>
-            "{clause.text}"
-          </p>
-
-          <ExplainToggle
-            explanation={clause.explanation}
-            isExpanded={expandedClause === clause.id}
-            onToggle={() => setExpandedClause(
-              expandedClause === clause.id ? null : clause.id
-            )}
-          />
-        </Card>
+        <ClauseCard
+          key={clause.id}
+          clause={clause}
+          isExpanded={expandedClause === clause.id}
+          onToggle={() => setExpandedClause(
+            expandedClause === clause.id ? null : clause.id
+          )}
+          style={{ animationDelay: `${index * 0.1}s` }}
+        />
       ))}
     </div>
   )
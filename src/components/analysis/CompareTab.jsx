@@ -1,119 +1,233 @@
+import { useState } from 'react'
 import Card from '../layout/Card.jsx'
+import { requestSimplification } from '../../utils/documentProcessor.js'
 import '../../styles/theme.css'
 import '../../styles/layout.css'
 import '../../styles/animations.css'
 
-const CompareTab = ({ original, simplified }) => {
+const READING_LEVELS = [
+  { id: 'executive', label: 'Executive', hint: 'A short brief on what the clause means for the business' },
+  { id: 'layperson', label: 'Layperson', hint: 'Everyday words, every obligation kept' },
+  { id: 'grade-8', label: 'Grade 8', hint: 'Short, common words a 13-year-old could follow' }
+]
+
+const SOURCE_LABELS = { ai: 'Rewritten by AI', rules: 'Plain-language substitutions' }
+
+const headingStyle = {
+  color: 'var(--slate-800)',
+  fontSize: 16,
+  fontWeight: 600,
+  marginBottom: 16,
+  display: 'flex',
+  alignItems: 'center',
+  gap: 8
+}
+
+const dotStyle = (background) => ({
+  width: 12,
+  height: 12,
+  borderRadius: '50%',
+  background
+})
+
+/**
+ * Flesch-Kincaid grade and sentence length for one side of the comparison
+ */
+const Readability = ({ metrics, label }) => (
+  <dl aria-label={`${label} readability`} style={{
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '4px 16px',
+    margin: '12px 0 0',
+    fontSize: 14,
+    color: 'var(--slate-500)'
+  }}>
+    <div><dt style={{ display: 'inline' }}>Grade level: </dt><dd style={{ display: 'inline', margin: 0, fontWeight: 600, color: 'var(--slate-700)' }}>{metrics.fleschKincaidGrade}</dd></div>
+    <div><dt style={{ display: 'inline' }}>Average sentence: </dt><dd style={{ display: 'inline', margin: 0 }}>{metrics.averageSentenceLength} words</dd></div>
+    <div><dt style={{ display: 'inline' }}>Longest: </dt><dd style={{ display: 'inline', margin: 0 }}>{metrics.longestSentence} words</dd></div>
+  </dl>
+)
+
+/**
+ * Each clause beside its plain-English rewrite at the chosen reading level, one clause at a time,
+ * with readability before and after. Rewrites are kept per level so switching back does not re-run them.
+ * With onChange they live with the caller's result; without it they are kept here
+ */
+const CompareTab = ({ clauses = [], documentType, simplifications = null, onChange, canGenerate = true }) => {
+  const [localSimplifications, setLocalSimplifications] = useState(simplifications)
+  const [level, setLevel] = useState('layperson')
+  const [index, setIndex] = useState(0)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const rewrites = (onChange ? simplifications : localSimplifications) || {}
+  const current = rewrites[level]
+
+  const generate = async () => {
+    setLoading(true)
+    setError(null)
+    try {
+      const next = { ...rewrites, [level]: await requestSimplification({ clauses, level, documentType }) }
+      if (onChange) {
+        onChange(next)
+      } else {
+        setLocalSimplifications(next)
+      }
+      setIndex(0)
+    } catch (requestError) {
+      setError(requestError.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const selectLevel = (id) => {
+    setLevel(id)
+    setIndex(0)
+    setError(null)
+  }
+
+  const pages = current?.clauses || []
+  const page = pages[Math.min(index, pages.length - 1)]
+  const activeLevel = READING_LEVELS.find(option => option.id === level)
+
   return (
     <div className="fade-in">
       <Card title="Side-by-Side Comparison">
-        <div className="grid-2">
-          <div>
-            <h4 style={{
-              color: 'var(--slate-800)',
-              fontSize: 16,
-              fontWeight: 600,
-              marginBottom: 16,
-              display: 'flex',
-              alignItems: 'center',
-              gap: 8
-            }}>
-              <span style={{
-                width: 12,
-                height: 12,
-                borderRadius: '50%',
-                background: '#ef4444'
-              }} />
-              Original Language
-            </h4>
-            <div style={{
-              padding: 20,
-              background: '#fef2f2',
-              border: '1px solid #fecaca',
-              borderRadius: 'var(--radius)',
-              color: 'var(--slate-700)',
-              lineHeight: 1.6,
-              fontStyle: 'italic'
-            }}>
-              "{original}"
+        <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 8, marginTop: 16 }}>
+          <span style={{ fontSize: 14, fontWeight: 600, color: 'var(--slate-700)' }}>Reading level:</span>
+          {READING_LEVELS.map(option => (
+            <button
+              key={option.id}
+              className={`btn btn-sm ${option.id === level ? 'btn-primary' : 'btn-secondary'}`}
+              aria-pressed={option.id === level}
+              title={option.hint}
+              onClick={() => selectLevel(option.id)}
+              disabled={loading}
+            >
+              {option.label}
+            </button>
+          ))}
+          {canGenerate && clauses.length > 0 && (
+            <button className="btn btn-secondary btn-sm" onClick={generate} disabled={loading} style={{ marginLeft: 'auto' }}>
+              {loading ? 'Rewriting…' : current ? 'Rewrite again' : 'Rewrite in plain English'}
+            </button>
+          )}
+        </div>
+
+        {error && (
+          <div role="alert" style={{ marginTop: 12, fontSize: 14, color: 'var(--red-700)' }}>
+            {error}
+          </div>
+        )}
+
+        {!current && (
+          <p style={{ fontSize: 14, color: 'var(--slate-500)', textAlign: 'center', padding: 20 }}>
+            {clauses.length === 0
+              ? 'This analysis has no clauses to compare.'
+              : `Rewrite the ${clauses.length} clause${clauses.length === 1 ? '' : 's'} at the ${activeLevel.label} reading level to compare them side by side.`}
+          </p>
+        )}
+
+        {current && !page && (
+          <p style={{ fontSize: 14, color: 'var(--slate-500)', textAlign: 'center', padding: 20 }}>
+            None of the clauses had text to rewrite.
+          </p>
+        )}
+
+        {page && (
+          <>
+            <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 8, margin: '16px 0' }}>
+              <button className="btn btn-secondary btn-sm" onClick={() => setIndex(index - 1)} disabled={index === 0}>
+                ← Previous
+              </button>
+              <span aria-live="polite" style={{ fontSize: 14, color: 'var(--slate-600)' }}>
+                Clause {index + 1} of {pages.length}: <strong>{page.title}</strong>
+              </span>
+              <button className="btn btn-secondary btn-sm" onClick={() => setIndex(index + 1)} disabled={index >= pages.length - 1}>
+                Next →
+              </button>
+              <span style={{ marginLeft: 'auto', fontSize: 12, color: 'var(--slate-500)' }}>
+                {SOURCE_LABELS[page.source] || page.source}
+              </span>
             </div>
-            <div style={{
-              marginTop: 12,
-              fontSize: 14,
-              color: 'var(--slate-500)'
-            }}>
-              Complex legal terminology
+
+            <div className="grid-2">
+              <div>
+                <h4 style={headingStyle}>
+                  <span style={dotStyle('#ef4444')} />
+                  Original Language
+                </h4>
+                <div style={{
+                  padding: 20,
+                  background: '#fef2f2',
+                  border: '1px solid #fecaca',
+                  borderRadius: 'var(--radius)',
+                  color: 'var(--slate-700)',
+                  lineHeight: 1.6,
+                  fontStyle: 'italic'
+                }}>
+                  "{page.originalText}"
+                </div>
+                <Readability metrics={page.before} label="Original" />
+              </div>
+
+              <div>
+                <h4 style={headingStyle}>
+                  <span style={dotStyle('#10b981')} />
+                  {activeLevel.label} Version
+                </h4>
+                <div style={{
+                  padding: 20,
+                  background: '#f0fdf4',
+                  border: '1px solid #bbf7d0',
+                  borderRadius: 'var(--radius)',
+                  color: 'var(--slate-700)',
+                  lineHeight: 1.6
+                }}>
+                  "{page.simplifiedText}"
+                </div>
+                <Readability metrics={page.after} label="Simplified" />
+              </div>
             </div>
-          </div>
 
-          <div>
-            <h4 style={{
-              color: 'var(--slate-800)',
-              fontSize: 16,
-              fontWeight: 600,
-              marginBottom: 16,
-              display: 'flex',
-              alignItems: 'center',
-              gap: 8
-            }}>
-              <span style={{
-                width: 12,
-                height: 12,
-                borderRadius: '50%',
-                background: '#10b981'
-              }} />
-              Simplified Version
-            </h4>
             <div style={{
-              padding: 20,
-              background: '#f0fdf4',
-              border: '1px solid #bbf7d0',
+              marginTop: 24,
+              padding: 16,
+              background: 'var(--primary-light)',
               borderRadius: 'var(--radius)',
-              color: 'var(--slate-700)',
-              lineHeight: 1.6
-            }}>
-              "{simplified}"
-            </div>
-            <div style={{
-              marginTop: 12,
-              fontSize: 14,
-              color: 'var(--slate-500)'
+              border: '1px solid var(--primary)'
             }}>
-              Plain English explanation
+              <h5 style={{
+                color: 'var(--primary)',
+                fontSize: 14,
+                fontWeight: 600,
+                marginBottom: 8,
+                textTransform: 'uppercase',
+                letterSpacing: '0.5px'
+              }}>
+                Whole Document
+              </h5>
+              <ul style={{
+                margin: 0,
+                paddingLeft: 20,
+                color: 'var(--slate-700)'
+              }}>
+                <li>Grade level {current.summary.before.fleschKincaidGrade} → {current.summary.after.fleschKincaidGrade}</li>
+                <li>Average sentence {current.summary.before.averageSentenceLength} → {current.summary.after.averageSentenceLength} words</li>
+                <li>Longest sentence {current.summary.before.longestSentence} → {current.summary.after.longestSentence} words</li>
+              </ul>
             </div>
-          </div>
-        </div>
 
-        <div style={{
-          marginTop: 24,
-          padding: 16,
-          background: 'var(--primary-light)',
-          borderRadius: 'var(--radius)',
-          border: '1px solid var(--primary)'
-        }}>
-          <h5 style={{
-            color: 'var(--primary)',
-            fontSize: 14,
-            fontWeight: 600,
-            marginBottom: 8,
-            textTransform: 'uppercase',
-            letterSpacing: '0.5px'
-          }}>
-            Key Differences
-          </h5>
-          <ul style={{
-            margin: 0,
-            paddingLeft: 20,
-            color: 'var(--slate-700)'
-          }}>
-            <li>Removed legal jargon and complex terminology</li>
-            <li>Simplified sentence structure for better readability</li>
-            <li>Maintained the core meaning and implications</li>
-          </ul>
-        </div>
+            {current.skipped?.length > 0 && (
+              <div style={{ marginTop: 12, fontSize: 13, color: 'var(--slate-600)' }}>
+                Not rewritten: {current.skipped.map(item => item.title || item.clauseId).join(', ')}
+              </div>
+            )}
+          </>
+        )}
       </Card>
     </div>
   )
 }
 
-export default CompareTab
\ No newline at end of file
+export default CompareTab
@@ -2,91 +2,23 @@ import { useState } from 'react'
 import '../../styles/theme.css'
 import '../../styles/cards.css'
 
-const ComparisonResults = ({ documents = [] }) => {
-  const [activeView, setActiveView] = useState('overview') // overview, detailed, risks
+const DEVIATION_LABELS = {
+  unique: 'Only in this document',
+  missing: 'Missing from this document',
+  'risk-level': 'Risk level differs from the other documents',
+  wording: 'Wording differs from the other documents'
+}
 
-  // Mock comparison data
-  const comparisonData = {
-    overview: {
-      totalDocuments: documents.length || 3,
-      keyDifferences: 12,
-      riskVariations: 8,
-      commonTerms: 45,
-      uniqueClauses: 6
-    },
-    keyDifferences: [
-      {
-        category: 'Termination Clauses',
-        document1: 'Company may terminate with 30 days notice',
-        document2: 'Either party may terminate with 14 days notice',
-        document3: 'Immediate termination allowed for breach',
-        riskLevel: 'High',
-        impact: 'Significant variation in termination rights'
-      },
-      {
-        category: 'Liability Limitations',
-        document1: 'Limited to $10,000 maximum',
-        document2: 'No liability limitations specified',
-        document3: 'Limited to contract value',
-        riskLevel: 'Critical',
-        impact: 'Major differences in liability exposure'
-      },
-      {
-        category: 'Payment Terms',
-        document1: 'Net 30 days payment terms',
-        document2: 'Net 15 days payment terms',
-        document3: 'Payment due upon receipt',
-        riskLevel: 'Medium',
-        impact: 'Cash flow implications vary significantly'
-      },
-      {
-        category: 'Intellectual Property',
-        document1: 'All IP remains with creator',
-        document2: 'Shared IP ownership model',
-        document3: 'IP transfers to client',
-        riskLevel: 'High',
-        impact: 'Fundamental differences in IP ownership'
-      },
-      {
-        category: 'Dispute Resolution',
-        document1: 'Binding arbitration required',
-        document2: 'Court litigation allowed',
-        document3: 'Mediation first, then arbitration',
-        riskLevel: 'Medium',
-        impact: 'Different approaches to conflict resolution'
-      }
-    ],
-    riskAnalysis: [
-      {
-        riskType: 'Financial Risk',
-        document1: 'Low',
-        document2: 'High',
-        document3: 'Medium',
-        details: 'Liability and payment term variations create different financial exposures'
-      },
-      {
-        riskType: 'Legal Risk',
-        document1: 'Medium',
-        document2: 'High',
-        document3: 'Low',
-        details: 'Termination and dispute resolution clauses vary significantly'
-      },
-      {
-        riskType: 'Operational Risk',
-        document1: 'Low',
-        document2: 'Medium',
-        document3: 'High',
-        details: 'Different performance and delivery requirements'
-      },
-      {
-        riskType: 'IP Risk',
-        document1: 'Low',
-        document2: 'High',
-        document3: 'Medium',
-        details: 'Intellectual property ownership varies across documents'
-      }
-    ]
-  }
+const ComparisonResults = ({ comparison, documents = [] }) => {
+  const [activeView, setActiveView] = useState('overview') // overview, detailed, risks, matrix
+
+  const keyDifferences = comparison?.keyDifferences || []
+  const commonTerms = comparison?.commonTerms || []
+  const riskAnalysis = comparison?.riskAnalysis || []
+  const recommendations = comparison?.recommendations || []
+  const riskMatrix = comparison?.riskMatrix || []
+  const clauseMatrix = comparison?.clauseMatrix
+  const documentNames = clauseMatrix?.documents || documents.map((doc, index) => doc.name || `Document ${index + 1}`)
 
   const getRiskColor = (level) => {
     switch (level?.toLowerCase()) {
@@ -108,6 +40,67 @@ const ComparisonResults = ({ documents = [] }) => {
     }
   }
 
+  const formatCategory = (category = '') =>
+    category.replace(/_/g, ' ').replace(/\b\w/g, char => char.toUpperCase())
+
+  const formatLevel = (level) => level ? level.charAt(0).toUpperCase() + level.slice(1) : 'Unknown'
+
+  const headerCellStyle = {
+    padding: 'var(--space-3) var(--space-4)',
+    textAlign: 'left',
+    fontWeight: '600',
+    color: 'var(--gray-700)',
+    fontSize: '14px',
+    borderBottom: '1px solid var(--gray-200)'
+  }
+
+  const panelStyle = {
+    background: 'white',
+    borderRadius: 'var(--radius-xl)',
+    padding: 'var(--space-6)',
+    border: '1px solid var(--gray-200)',
+    boxShadow: 'var(--shadow-sm)'
+  }
+
+  const renderLevelChip = (level) => (
+    <span style={{
+      padding: 'var(--space-1) var(--space-2)',
+      background: getRiskBg(level),
+      color: getRiskColor(level),
+      borderRadius: 'var(--radius)',
+      fontSize: '12px',
+      fontWeight: '600',
+      whiteSpace: 'nowrap'
+    }}>
+      {formatLevel(level)}
+    </span>
+  )
+
+  const renderEmptyState = (message) => (
+    <div style={{
+      ...panelStyle,
+      textAlign: 'center',
+      color: 'var(--gray-600)',
+      fontSize: '14px'
+    }}>
+      {message}
+    </div>
+  )
+
+  const renderSectionTitle = (title) => (
+    <h3 style={{
+      fontSize: '18px',
+      fontWeight: '700',
+      color: 'var(--gray-900)',
+      marginBottom: 'var(--space-4)',
+      display: 'flex',
+      alignItems: 'center',
+      gap: 'var(--space-2)'
+    }}>
+      {title}
+    </h3>
+  )
+
   const renderTabNavigation = () => (
     <div style={{
       display: 'flex',
@@ -122,7 +115,8 @@ const ComparisonResults = ({ documents = [] }) => {
       {[
         { id: 'overview', label: 'Overview', icon: '📊' },
         { id: 'detailed', label: 'Key Differences', icon: '⚖️' },
-        { id: 'risks', label: 'Risk Analysis', icon: '⚠️' }
+        { id: 'risks', label: 'Risk Analysis', icon: '⚠️' },
+        { id: 'matrix', label: 'Clause Matrix', icon: '🧮' }
       ].map((tab) => (
         <button
           key={tab.id}
@@ -160,10 +154,10 @@ const ComparisonResults = ({ documents = [] }) => {
         gap: 'var(--space-4)'
       }}>
         {[
-          { label: 'Documents Compared', value: comparisonData.overview.totalDocuments, icon: '📄', color: 'var(--gradient-primary)' },
-          { label: 'Key Differences', value: comparisonData.overview.keyDifferences, icon: '⚖️', color: 'var(--gradient-warning)' },
-          { label: 'Risk Variations', value: comparisonData.overview.riskVariations, icon: '⚠️', color: 'var(--gradient-danger)' },
-          { label: 'Common Terms', value: comparisonData.overview.commonTerms, icon: '✓', color: 'var(--gradient-success)' }
+          { label: 'Documents Compared', value: comparison.overview?.totalDocuments ?? documentNames.length, icon: '📄', color: 'var(--gradient-primary)' },
+          { label: 'Key Differences', value: keyDifferences.length, icon: '⚖️', color: 'var(--gradient-warning)' },
+          { label: 'Risks Identified', value: riskAnalysis.length, icon: '⚠️', color: 'var(--gradient-danger)' },
+          { label: 'Common Terms', value: commonTerms.length, icon: '✓', color: 'var(--gradient-success)' }
         ].map((stat, index) => (
           <div
             key={index}
@@ -212,289 +206,375 @@ const ComparisonResults = ({ documents = [] }) => {
         ))}
       </div>
 
-      {/* Quick Insights */}
-      <div style={{
-        background: 'white',
-        borderRadius: 'var(--radius-xl)',
-        padding: 'var(--space-6)',
-        border: '1px solid var(--gray-200)',
-        boxShadow: 'var(--shadow-sm)'
-      }}>
-        <h3 style={{
-          fontSize: '18px',
-          fontWeight: '700',
-          color: 'var(--gray-900)',
-          marginBottom: 'var(--space-4)',
-          display: 'flex',
-          alignItems: 'center',
-          gap: 'var(--space-2)'
-        }}>
-          🔍 Quick Insights
-        </h3>
-        
-        <div className="space-y-3">
-          {[
-            { icon: '⚠️', text: 'Critical differences found in liability and termination clauses', type: 'warning' },
-            { icon: '💰', text: 'Payment terms vary significantly across documents', type: 'info' },
-            { icon: '🔒', text: 'Intellectual property ownership models differ substantially', type: 'danger' },
-            { icon: '✅', text: 'Most general terms and conditions are consistent', type: 'success' }
-          ].map((insight, index) => (
-            <div key={index} style={{
-              display: 'flex',
-              alignItems: 'center',
-              gap: 'var(--space-3)',
-              padding: 'var(--space-3)',
-              background: 'var(--gray-50)',
-              borderRadius: 'var(--radius-lg)',
-              border: '1px solid var(--gray-200)'
-            }}>
-              <span style={{ fontSize: '18px' }}>{insight.icon}</span>
-              <span style={{ color: 'var(--gray-700)', fontSize: '14px' }}>{insight.text}</span>
-            </div>
-          ))}
-        </div>
-      </div>
-    </div>
-  )
+      {/* Summary and Recommendations */}
+      <div style={panelStyle}>
+        {renderSectionTitle('🔍 Quick Insights')}
 
-  const renderDetailedComparison = () => (
-    <div style={{
-      background: 'white',
-      borderRadius: 'var(--radius-xl)',
-      border: '1px solid var(--gray-200)',
-      overflow: 'hidden',
-      boxShadow: 'var(--shadow-sm)'
-    }}>
-      <div style={{
-        padding: 'var(--space-4) var(--space-6)',
-        background: 'var(--gray-50)',
-        borderBottom: '1px solid var(--gray-200)'
-      }}>
-        <h3 style={{
-          fontSize: '18px',
-          fontWeight: '700',
-          color: 'var(--gray-900)',
-          margin: 0,
-          display: 'flex',
-          alignItems: 'center',
-          gap: 'var(--space-2)'
-        }}>
-          ⚖️ Key Differences Analysis
-        </h3>
-      </div>
+        {comparison.overview?.comparisonSummary && (
+          <p style={{
+            color: 'var(--gray-700)',
+            fontSize: '14px',
+            lineHeight: 1.6,
+            marginBottom: 'var(--space-4)'
+          }}>
+            {comparison.overview.comparisonSummary}
+          </p>
+        )}
 
-      <div style={{ overflowX: 'auto' }}>
-        <table style={{
-          width: '100%',
-          borderCollapse: 'collapse'
-        }}>
-          <thead>
-            <tr style={{ background: 'var(--gray-100)' }}>
-              <th style={{
-                padding: 'var(--space-3) var(--space-4)',
-                textAlign: 'left',
-                fontWeight: '600',
-                color: 'var(--gray-700)',
-                fontSize: '14px',
-                borderBottom: '1px solid var(--gray-200)'
-              }}>
-                Category
-              </th>
-              <th style={{
-                padding: 'var(--space-3) var(--space-4)',
-                textAlign: 'left',
-                fontWeight: '600',
-                color: 'var(--gray-700)',
-                fontSize: '14px',
-                borderBottom: '1px solid var(--gray-200)'
-              }}>
-                Document 1
-              </th>
-              <th style={{
-                padding: 'var(--space-3) var(--space-4)',
-                textAlign: 'left',
-                fontWeight: '600',
-                color: 'var(--gray-700)',
-                fontSize: '14px',
-                borderBottom: '1px solid var(--gray-200)'
-              }}>
-                Document 2
-              </th>
-              <th style={{
-                padding: 'var(--space-3) var(--space-4)',
-                textAlign: 'left',
-                fontWeight: '600',
-                color: 'var(--gray-700)',
-                fontSize: '14px',
-                borderBottom: '1px solid var(--gray-200)'
+        {recommendations.length > 0 ? (
+          <div className="space-y-3">
+            {recommendations.map((recommendation, index) => (
+              <div key={index} style={{
+                display: 'flex',
+                alignItems: 'flex-start',
+                gap: 'var(--space-3)',
+                padding: 'var(--space-3)',
+                background: 'var(--gray-50)',
+                borderRadius: 'var(--radius-lg)',
+                border: '1px solid var(--gray-200)'
               }}>
-                Document 3
-              </th>
-              <th style={{
-                padding: 'var(--space-3) var(--space-4)',
-                textAlign: 'center',
-                fontWeight: '600',
-                color: 'var(--gray-700)',
-                fontSize: '14px',
-                borderBottom: '1px solid var(--gray-200)'
-              }}>
-                Risk Level
-              </th>
-            </tr>
-          </thead>
-          <tbody>
-            {comparisonData.keyDifferences.map((diff, index) => (
-              <tr key={index} style={{
-                borderBottom: index < comparisonData.keyDifferences.length - 1 ? '1px solid var(--gray-100)' : 'none'
-              }}>
-                <td style={{
-                  padding: 'var(--space-4)',
-                  fontWeight: '600',
-                  color: 'var(--gray-900)',
-                  fontSize: '14px',
-                  verticalAlign: 'top'
-                }}>
-                  {diff.category}
-                </td>
-                <td style={{
-                  padding: 'var(--space-4)',
-                  color: 'var(--gray-700)',
-                  fontSize: '13px',
-                  lineHeight: 1.5,
-                  verticalAlign: 'top',
-                  maxWidth: '200px'
-                }}>
-                  {diff.document1}
-                </td>
-                <td style={{
-                  padding: 'var(--space-4)',
-                  color: 'var(--gray-700)',
-                  fontSize: '13px',
-                  lineHeight: 1.5,
-                  verticalAlign: 'top',
-                  maxWidth: '200px'
-                }}>
-                  {diff.document2}
-                </td>
-                <td style={{
-                  padding: 'var(--space-4)',
-                  color: 'var(--gray-700)',
-                  fontSize: '13px',
-                  lineHeight: 1.5,
-                  verticalAlign: 'top',
-                  maxWidth: '200px'
-                }}>
-                  {diff.document3}
-                </td>
-                <td style={{
-                  padding: 'var(--space-4)',
-                  textAlign: 'center',
-                  verticalAlign: 'top'
-                }}>
-                  <span style={{
-                    padding: 'var(--space-1) var(--space-2)',
-                    background: getRiskBg(diff.riskLevel),
-                    color: getRiskColor(diff.riskLevel),
-                    borderRadius: 'var(--radius)',
-                    fontSize: '12px',
-                    fontWeight: '600'
-                  }}>
-                    {diff.riskLevel}
-                  </span>
-                </td>
-              </tr>
+                {renderLevelChip(recommendation.priority)}
+                <div>
+                  <div style={{ color: 'var(--gray-900)', fontSize: '14px', fontWeight: '600' }}>
+                    {recommendation.action}
+                  </div>
+                  {recommendation.rationale && (
+                    <div style={{ color: 'var(--gray-600)', fontSize: '13px', marginTop: 'var(--space-1)' }}>
+                      {recommendation.rationale}
+                    </div>
+                  )}
+                </div>
+              </div>
             ))}
-          </tbody>
-        </table>
+          </div>
+        ) : (
+          <p style={{ color: 'var(--gray-600)', fontSize: '14px', margin: 0 }}>
+            No recommendations were generated for these documents.
+          </p>
+        )}
       </div>
     </div>
   )
 
-  const renderRiskAnalysis = () => (
+  const renderDetailedComparison = () => (
     <div className="space-y-6">
-      {comparisonData.riskAnalysis.map((risk, index) => (
-        <div
-          key={index}
-          style={{
-            background: 'white',
-            borderRadius: 'var(--radius-xl)',
-            padding: 'var(--space-6)',
-            border: '1px solid var(--gray-200)',
-            boxShadow: 'var(--shadow-sm)'
-          }}
-        >
+      {keyDifferences.length === 0 ? (
+        renderEmptyState('No material differences were found between these documents.')
+      ) : (
+        <div style={{
+          background: 'white',
+          borderRadius: 'var(--radius-xl)',
+          border: '1px solid var(--gray-200)',
+          overflow: 'hidden',
+          boxShadow: 'var(--shadow-sm)'
+        }}>
           <div style={{
-            display: 'flex',
-            alignItems: 'center',
-            justifyContent: 'space-between',
-            marginBottom: 'var(--space-4)'
+            padding: 'var(--space-4) var(--space-6)',
+            background: 'var(--gray-50)',
+            borderBottom: '1px solid var(--gray-200)'
           }}>
-            <h4 style={{
-              fontSize: '16px',
+            <h3 style={{
+              fontSize: '18px',
               fontWeight: '700',
               color: 'var(--gray-900)',
-              margin: 0
+              margin: 0,
+              display: 'flex',
+              alignItems: 'center',
+              gap: 'var(--space-2)'
             }}>
-              {risk.riskType}
-            </h4>
+              ⚖️ Key Differences Analysis
+            </h3>
           </div>
 
-          <div style={{
-            display: 'grid',
-            gridTemplateColumns: 'repeat(3, 1fr)',
-            gap: 'var(--space-4)',
-            marginBottom: 'var(--space-4)'
-          }}>
-            {[
-              { label: 'Document 1', level: risk.document1 },
-              { label: 'Document 2', level: risk.document2 },
-              { label: 'Document 3', level: risk.document3 }
-            ].map((doc, docIndex) => (
-              <div
-                key={docIndex}
-                style={{
-                  padding: 'var(--space-3)',
-                  background: getRiskBg(doc.level),
-                  borderRadius: 'var(--radius-lg)',
-                  textAlign: 'center',
-                  border: `1px solid ${getRiskColor(doc.level)}`
-                }}
-              >
-                <div style={{
-                  fontSize: '12px',
-                  color: 'var(--gray-600)',
-                  marginBottom: 'var(--space-1)'
-                }}>
-                  {doc.label}
-                </div>
-                <div style={{
-                  fontSize: '14px',
-                  fontWeight: '700',
-                  color: getRiskColor(doc.level)
-                }}>
-                  {doc.level} Risk
-                </div>
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{
+              width: '100%',
+              borderCollapse: 'collapse'
+            }}>
+              <thead>
+                <tr style={{ background: 'var(--gray-100)' }}>
+                  <th style={headerCellStyle}>Category</th>
+                  <th style={headerCellStyle}>Difference</th>
+                  <th style={headerCellStyle}>Documents</th>
+                  <th style={{ ...headerCellStyle, textAlign: 'center' }}>Impact</th>
+                </tr>
+              </thead>
+              <tbody>
+                {keyDifferences.map((diff, index) => (
+                  <tr key={index} style={{
+                    borderBottom: index < keyDifferences.length - 1 ? '1px solid var(--gray-100)' : 'none'
+                  }}>
+                    <td style={{
+                      padding: 'var(--space-4)',
+                      fontWeight: '600',
+                      color: 'var(--gray-900)',
+                      fontSize: '14px',
+                      verticalAlign: 'top'
+                    }}>
+                      {formatCategory(diff.category)}
+                    </td>
+                    <td style={{
+                      padding: 'var(--space-4)',
+                      color: 'var(--gray-700)',
+                      fontSize: '13px',
+                      lineHeight: 1.5,
+                      verticalAlign: 'top'
+                    }}>
+                      {diff.description}
+                    </td>
+                    <td style={{
+                      padding: 'var(--space-4)',
+                      color: 'var(--gray-700)',
+                      fontSize: '13px',
+                      lineHeight: 1.5,
+                      verticalAlign: 'top'
+                    }}>
+                      {(diff.documents || []).join(', ') || '—'}
+                    </td>
+                    <td style={{
+                      padding: 'var(--space-4)',
+                      textAlign: 'center',
+                      verticalAlign: 'top'
+                    }}>
+                      {renderLevelChip(diff.impact)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {commonTerms.length > 0 && (
+        <div style={panelStyle}>
+          {renderSectionTitle('✅ Common Terms')}
+          <div className="space-y-3">
+            {commonTerms.map((term, index) => (
+              <div key={index} style={{
+                padding: 'var(--space-3)',
+                background: 'var(--gray-50)',
+                borderRadius: 'var(--radius-lg)',
+                border: '1px solid var(--gray-200)'
+              }}>
+                <div style={{ color: 'var(--gray-900)', fontSize: '14px', fontWeight: '600' }}>{term.term}</div>
+                <div style={{ color: 'var(--gray-600)', fontSize: '13px', marginTop: 'var(--space-1)' }}>{term.description}</div>
               </div>
             ))}
           </div>
+        </div>
+      )}
+    </div>
+  )
 
-          <p style={{
-            fontSize: '14px',
-            color: 'var(--gray-700)',
-            lineHeight: 1.6,
-            margin: 0,
-            padding: 'var(--space-3)',
-            background: 'var(--gray-50)',
-            borderRadius: 'var(--radius-lg)',
-            border: '1px solid var(--gray-200)'
-          }}>
-            {risk.details}
-          </p>
+  const renderRiskAnalysis = () => (
+    <div className="space-y-6">
+      {/* Per-document risk profile */}
+      {riskMatrix.length > 0 && (
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))',
+          gap: 'var(--space-4)'
+        }}>
+          {riskMatrix.map((row, index) => (
+            <div
+              key={index}
+              style={{
+                padding: 'var(--space-4)',
+                background: getRiskBg(row.highestSeverity),
+                borderRadius: 'var(--radius-lg)',
+                border: `1px solid ${getRiskColor(row.highestSeverity)}`
+              }}
+            >
+              <div style={{ fontSize: '14px', fontWeight: '700', color: 'var(--gray-900)', marginBottom: 'var(--space-1)' }}>
+                {row.document}
+              </div>
+              <div style={{ fontSize: '12px', color: 'var(--gray-600)', marginBottom: 'var(--space-3)' }}>
+                {row.totalRisks} risks · score {row.riskScore}
+              </div>
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: 'var(--space-2)' }}>
+                {['critical', 'high', 'medium', 'low']
+                  .filter(level => row.severityCounts?.[level] > 0)
+                  .map(level => (
+                    <span key={level} style={{ fontSize: '12px', fontWeight: '600', color: getRiskColor(level) }}>
+                      {row.severityCounts[level]} {formatLevel(level)}
+                    </span>
+                  ))}
+              </div>
+            </div>
+          ))}
         </div>
-      ))}
+      )}
+
+      {riskAnalysis.length === 0 ? (
+        renderEmptyState('No risks were identified in these documents.')
+      ) : (
+        riskAnalysis.map((risk, index) => (
+          <div key={index} style={panelStyle}>
+            <div style={{
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'space-between',
+              marginBottom: 'var(--space-4)'
+            }}>
+              <h4 style={{
+                fontSize: '16px',
+                fontWeight: '700',
+                color: 'var(--gray-900)',
+                margin: 0
+              }}>
+                {risk.risk}
+              </h4>
+              {renderLevelChip(risk.severity)}
+            </div>
+
+            <div style={{
+              display: 'flex',
+              flexWrap: 'wrap',
+              gap: 'var(--space-2)',
+              marginBottom: risk.recommendation ? 'var(--space-4)' : 0
+            }}>
+              {documentNames.map(name => {
+                const affected = (risk.affectedDocuments || []).includes(name)
+                return (
+                  <span
+                    key={name}
+                    style={{
+                      padding: 'var(--space-1) var(--space-3)',
+                      borderRadius: 'var(--radius)',
+                      fontSize: '12px',
+                      fontWeight: '600',
+                      background: affected ? getRiskBg(risk.severity) : 'var(--gray-100)',
+                      color: affected ? getRiskColor(risk.severity) : 'var(--gray-500)',
+                      border: `1px solid ${affected ? getRiskColor(risk.severity) : 'var(--gray-200)'}`
+                    }}
+                  >
+                    {name}: {affected ? 'Affected' : 'Not affected'}
+                  </span>
+                )
+              })}
+            </div>
+
+            {risk.recommendation && (
+              <p style={{
+                fontSize: '14px',
+                color: 'var(--gray-700)',
+                lineHeight: 1.6,
+                margin: 0,
+                padding: 'var(--space-3)',
+                background: 'var(--gray-50)',
+                borderRadius: 'var(--radius-lg)',
+                border: '1px solid var(--gray-200)'
+              }}>
+                {risk.recommendation}
+              </p>
+            )}
+          </div>
+        ))
+      )}
     </div>
   )
 
+  const renderClauseMatrix = () => {
+    if (!clauseMatrix?.categories?.length) {
+      return renderEmptyState('No clause matrix is available for this comparison.')
+    }
+
+    return (
+      <div style={{
+        background: 'white',
+        borderRadius: 'var(--radius-xl)',
+        border: '1px solid var(--gray-200)',
+        overflow: 'hidden',
+        boxShadow: 'var(--shadow-sm)'
+      }}>
+        <div style={{
+          padding: 'var(--space-4) var(--space-6)',
+          background: 'var(--gray-50)',
+          borderBottom: '1px solid var(--gray-200)',
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          flexWrap: 'wrap',
+          gap: 'var(--space-2)'
+        }}>
+          <h3 style={{
+            fontSize: '18px',
+            fontWeight: '700',
+            color: 'var(--gray-900)',
+            margin: 0
+          }}>
+            🧮 Clause Matrix
+          </h3>
+          <span style={{ fontSize: '12px', color: 'var(--gray-600)' }}>
+            Highlighted cells deviate from the other documents
+          </span>
+        </div>
+
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ background: 'var(--gray-100)' }}>
+                <th style={headerCellStyle}>Category</th>
+                {clauseMatrix.documents.map(name => (
+                  <th key={name} style={{ ...headerCellStyle, textAlign: 'center' }}>{name}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {clauseMatrix.categories.map(category => (
+                <tr key={category} style={{ borderBottom: '1px solid var(--gray-100)' }}>
+                  <td style={{
+                    padding: 'var(--space-3) var(--space-4)',
+                    fontWeight: '600',
+                    color: 'var(--gray-900)',
+                    fontSize: '14px'
+                  }}>
+                    {formatCategory(category)}
+                  </td>
+                  {clauseMatrix.documents.map(name => {
+                    const cell = clauseMatrix.cells?.[category]?.[name]
+                    const deviations = cell?.deviations || []
+                    return (
+                      <td
+                        key={name}
+                        data-deviates={cell?.deviates ? 'true' : 'false'}
+                        title={deviations.map(d => DEVIATION_LABELS[d] || d).join('\n')}
+                        style={{
+                          padding: 'var(--space-3) var(--space-4)',
+                          textAlign: 'center',
+                          fontSize: '13px',
+                          background: cell?.deviates ? 'rgba(249, 115, 22, 0.08)' : 'transparent',
+                          boxShadow: cell?.deviates ? 'inset 0 0 0 2px var(--accent-orange)' : 'none'
+                        }}
+                      >
+                        {cell?.present ? (
+                          <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: 'var(--space-1)' }}>
+                            {cell.riskLevel ? renderLevelChip(cell.riskLevel) : <span style={{ color: 'var(--accent-emerald)' }}>✓</span>}
+                            {cell.clauseIds?.length > 1 && (
+                              <span style={{ fontSize: '11px', color: 'var(--gray-500)' }}>{cell.clauseIds.length} clauses</span>
+                            )}
+                          </div>
+                        ) : (
+                          <span style={{ color: 'var(--gray-400)' }}>—</span>
+                        )}
+                        {deviations.length > 0 && (
+                          <div style={{ fontSize: '11px', color: 'var(--accent-orange)', marginTop: 'var(--space-1)' }}>
+                            {deviations.map(d => DEVIATION_LABELS[d] || d).join('; ')}
+                          </div>
+                        )}
+                      </td>
+                    )
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    )
+  }
+
   return (
     <div className="content-section">
       <div style={{
@@ -531,17 +611,26 @@ const ComparisonResults = ({ documents = [] }) => {
           maxWidth: '600px',
           margin: '0 auto'
         }}>
-          AI-powered analysis comparing your documents with key differences, risk assessments, and actionable insights.
+          {documentNames.length > 0
+            ? `Comparing ${documentNames.join(', ')}`
+            : 'AI-powered analysis comparing your documents with key differences, risk assessments, and actionable insights.'}
         </p>
       </div>
 
-      {renderTabNavigation()}
+      {!comparison ? (
+        renderEmptyState('Comparison results are not available. Try running the comparison again.')
+      ) : (
+        <>
+          {renderTabNavigation()}
 
-      {activeView === 'overview' && renderOverview()}
-      {activeView === 'detailed' && renderDetailedComparison()}
-      {activeView === 'risks' && renderRiskAnalysis()}
+          {activeView === 'overview' && renderOverview()}
+          {activeView === 'detailed' && renderDetailedComparison()}
+          {activeView === 'risks' && renderRiskAnalysis()}
+          {activeView === 'matrix' && renderClauseMatrix()}
+        </>
+      )}
     </div>
   )
 }
 
-export default ComparisonResults
\ No newline at end of file
+export default ComparisonResults
@@ -0,0 +1,232 @@
+import { useMemo, useRef, useState } from 'react'
+import Card from '../layout/Card.jsx'
+import ClauseCard from './ClauseCard.jsx'
+import RiskChip from '../ui/RiskChip.jsx'
+import { getSeverityStyle, SEVERITY_ORDER } from '../../utils/severityMap.js'
+import { segmentDocument, riskMarkers, risksForClause, isLocated } from '../../utils/documentHighlights.js'
+import '../../styles/theme.css'
+import '../../styles/animations.css'
+
+const VIEWER_HEIGHT = 600
+
+/**
+ * The full extracted text with every located clause highlighted in its risk color
+ * Clicking a highlight opens the clause card with its risks; the gutter on the right maps where
+ * high and critical risk language sits in the whole document
+ */
+const DocumentTab = ({ text = '', clauses = [], risks = [] }) => {
+  const [selectedId, setSelectedId] = useState(null)
+  const [isExpanded, setIsExpanded] = useState(true)
+  const textRef = useRef(null)
+
+  const segments = useMemo(() => segmentDocument(text, clauses), [text, clauses])
+  const markers = useMemo(() => riskMarkers(text, clauses, risks), [text, clauses, risks])
+
+  if (!text) {
+    return (
+      <div className="fade-in">
+        <Card title="📄 Document">
+          <p style={{ color: 'var(--slate-500)', textAlign: 'center', padding: 40 }}>
+            The extracted text isn't available for this result.
+          </p>
+        </Card>
+      </div>
+    )
+  }
+
+  const unlocated = clauses.filter(clause => !isLocated(clause, text.length))
+  const selected = clauses.find(clause => clause.id === selectedId) || null
+
+  const scrollTo = (position) => {
+    const nodes = Array.from(textRef.current?.querySelectorAll('[data-start]') || [])
+    const target = nodes.filter(node => Number(node.dataset.start) <= position).pop()
+    target?.scrollIntoView?.({ block: 'center', behavior: 'smooth' })
+  }
+
+  const selectClause = (clause) => {
+    setSelectedId(clause.id)
+    setIsExpanded(true)
+  }
+
+  const handleMarker = (marker) => {
+    scrollTo(marker.start)
+    const clause = clauses.find(candidate => candidate.id === marker.clauseId)
+    if (clause) selectClause(clause)
+  }
+
+  return (
+    <div className="fade-in">
+      <Card title="📄 Annotated Document">
+        <div style={{
+          display: 'flex',
+          flexWrap: 'wrap',
+          alignItems: 'center',
+          gap: 12,
+          margin: '16px 0',
+          fontSize: 13,
+          color: 'var(--slate-600)'
+        }}>
+          {SEVERITY_ORDER.map(level => (
+            <span key={level} style={{ display: 'inline-flex', alignItems: 'center', gap: 6 }}>
+              <span style={{ width: 12, height: 12, borderRadius: 3, background: getSeverityStyle(level).color }} />
+              {getSeverityStyle(level).label}
+            </span>
+          ))}
+          <span style={{ marginLeft: 'auto' }}>
+            {clauses.length - unlocated.length} of {clauses.length} clauses highlighted
+          </span>
+        </div>
+
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: 16, alignItems: 'flex-start' }}>
+          <div style={{ display: 'flex', gap: 8, flex: '1 1 420px', minWidth: 0, height: VIEWER_HEIGHT }}>
+            <div
+              ref={textRef}
+              aria-label="Document text"
+              style={{
+                flex: 1,
+                minWidth: 0,
+                overflowY: 'auto',
+                padding: 20,
+                background: 'white',
+                border: '1px solid var(--slate-200)',
+                borderRadius: 'var(--radius)',
+                whiteSpace: 'pre-wrap',
+                lineHeight: 1.7,
+                fontSize: 15,
+                color: 'var(--slate-700)'
+              }}
+            >
+              {segments.map(segment => {
+                if (!segment.clause) {
+                  return <span key={segment.start} data-start={segment.start}>{segment.text}</span>
+                }
+
+                const { clause } = segment
+                const style = getSeverityStyle(clause.riskLevel)
+                const isSelected = clause.id === selectedId
+                return (
+                  <mark
+                    key={segment.start}
+                    data-start={segment.start}
+                    data-clause-id={clause.id}
+                    role="button"
+                    tabIndex={0}
+                    aria-label={`${clause.title}, ${style.label}`}
+                    aria-pressed={isSelected}
+                    onClick={() => selectClause(clause)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter' || e.key === ' ') {
+                        e.preventDefault()
+                        selectClause(clause)
+                      }
+                    }}
+                    style={{
+                      background: `${style.color}${isSelected ? '40' : '1f'}`,
+                      color: 'inherit',
+                      borderBottom: `2px solid ${style.color}`,
+                      borderRadius: 2,
+                      cursor: 'pointer',
+                      outline: isSelected ? `2px solid ${style.color}` : 'none',
+                      transition: 'background 0.2s ease'
+                    }}
+                  >
+                    {segment.text}
+                  </mark>
+                )
+              })}
+            </div>
+
+            <div
+              role="group"
+              aria-label="Risk minimap"
+              title="Where high-risk language sits in the document"
+              style={{
+                position: 'relative',
+                width: 14,
+                flexShrink: 0,
+                background: 'var(--slate-100)',
+                borderRadius: 'var(--radius)'
+              }}
+            >
+              {markers.map(marker => (
+                <button
+                  key={marker.key}
+                  aria-label={`${marker.label} (${getSeverityStyle(marker.level).label})`}
+                  title={marker.label}
+                  onClick={() => handleMarker(marker)}
+                  style={{
+                    position: 'absolute',
+                    left: 0,
+                    right: 0,
+                    top: `${marker.top}%`,
+                    height: `max(${marker.height}%, 4px)`,
+                    padding: 0,
+                    border: 'none',
+                    borderRadius: 2,
+                    background: getSeverityStyle(marker.level).color,
+                    cursor: 'pointer'
+                  }}
+                />
+              ))}
+            </div>
+          </div>
+
+          {selected && (
+            <div style={{ flex: '0 1 360px', minWidth: 260 }}>
+              <ClauseCard
+                clause={selected}
+                isExpanded={isExpanded}
+                onToggle={() => setIsExpanded(!isExpanded)}
+              >
+                {risksForClause(selected, risks).map((risk, index) => (
+                  <div key={index} style={{
+                    marginTop: 12,
+                    padding: 12,
+                    background: getSeverityStyle(risk.level).bgColor,
+                    borderRadius: 'var(--radius)',
+                    fontSize: 14
+                  }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', gap: 8, marginBottom: 4 }}>
+                      <strong style={{ color: 'var(--slate-800)' }}>{risk.title}</strong>
+                      <RiskChip level={risk.level} size="small" />
+                    </div>
+                    {risk.description && <div style={{ color: 'var(--slate-700)' }}>{risk.description}</div>}
+                    {risk.recommendation && (
+                      <div style={{ marginTop: 6, color: 'var(--slate-600)' }}>💡 {risk.recommendation}</div>
+                    )}
+                  </div>
+                ))}
+                <button
+                  className="btn btn-secondary btn-sm"
+                  onClick={() => setSelectedId(null)}
+                  style={{ marginTop: 12 }}
+                >
+                  Close
+                </button>
+              </ClauseCard>
+            </div>
+          )}
+        </div>
+
+        {unlocated.length > 0 && (
+          <div style={{ marginTop: 16, fontSize: 13, color: 'var(--slate-600)' }}>
+            Not found in the text:{' '}
+            {unlocated.map((clause, index) => (
+              <span key={clause.id}>
+                {index > 0 && ', '}
+                <button
+                  onClick={() => selectClause(clause)}
+                  style={{ background: 'none', border: 'none', padding: 0, color: 'var(--primary)', cursor: 'pointer', fontSize: 13 }}
+                >
+                  {clause.title}
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
+      </Card>
+    </div>
+  )
+}
+
+export default DocumentTab
@@ -0,0 +1,197 @@
+import { useMemo, useState } from 'react'
+import Card from '../layout/Card.jsx'
+import RiskChip from '../ui/RiskChip.jsx'
+import { requestRedlines } from '../../utils/documentProcessor.js'
+import { diffWords } from '../../utils/wordDiff.js'
+import { severityRank } from '../../utils/severityMap.js'
+import '../../styles/theme.css'
+import '../../styles/animations.css'
+
+const STATUS_LABELS = { pending: 'Pending review', accepted: 'Accepted', rejected: 'Rejected' }
+
+const SOURCE_LABELS = { ai: 'Drafted by AI', rules: 'Standard fallback language' }
+
+/**
+ * The original clause with the proposed wording marked up: deletions struck through, insertions underlined
+ */
+const RedlineDiff = ({ original, proposed }) => {
+  const runs = useMemo(() => diffWords(original, proposed), [original, proposed])
+
+  return (
+    <div aria-label="Suggested changes" style={{
+      padding: 16,
+      background: 'white',
+      border: '1px solid var(--slate-200)',
+      borderRadius: 'var(--radius)',
+      whiteSpace: 'pre-wrap',
+      lineHeight: 1.7,
+      fontSize: 14,
+      color: 'var(--slate-700)'
+    }}>
+      {runs.map((run, index) => {
+        if (run.type === 'delete') {
+          return <del key={index} style={{ color: '#b91c1c', background: '#fee2e2', textDecorationThickness: 2 }}>{run.text}</del>
+        }
+        if (run.type === 'insert') {
+          return <ins key={index} style={{ color: '#15803d', background: '#dcfce7', textDecoration: 'underline' }}>{run.text}</ins>
+        }
+        return <span key={index}>{run.text}</span>
+      })}
+    </div>
+  )
+}
+
+/**
+ * Suggested redlines for the medium and higher risks, with accept and reject for each
+ * With onChange the redlines live with the caller's result (so they follow it into exports); without it they are kept here
+ */
+const RedlinesPanel = ({ clauses = [], risks = [], documentType, redlines = null, onChange, canGenerate = true }) => {
+  const [localRedlines, setLocalRedlines] = useState(redlines)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const suggestions = onChange ? redlines : localRedlines
+
+  const eligible = risks.filter(risk => severityRank(risk.level) >= severityRank('medium')).length
+
+  const update = (next) => {
+    if (onChange) {
+      onChange(next)
+    } else {
+      setLocalRedlines(next)
+    }
+  }
+
+  const generate = async () => {
+    setLoading(true)
+    setError(null)
+    try {
+      update(await requestRedlines({ clauses, risks, documentType }))
+    } catch (requestError) {
+      setError(requestError.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const decide = (id, status) => {
+    update({
+      ...suggestions,
+      redlines: suggestions.redlines.map(redline => redline.id === id
+        ? { ...redline, status: redline.status === status ? 'pending' : status }
+        : redline)
+    })
+  }
+
+  const counts = (suggestions?.redlines || []).reduce((totals, redline) => {
+    totals[redline.status] = (totals[redline.status] || 0) + 1
+    return totals
+  }, {})
+
+  return (
+    <Card title="✍️ Suggested Redlines" className="fade-in">
+      {!suggestions && (
+        <div style={{ marginTop: 16, display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 12 }}>
+          <p style={{ flex: '1 1 280px', margin: 0, fontSize: 14, color: 'var(--slate-600)' }}>
+            {eligible > 0
+              ? `Draft replacement language for the ${eligible} medium-or-higher risk${eligible === 1 ? '' : 's'} in this analysis, then accept or reject each change.`
+              : 'There are no medium-or-higher risks to redline.'}
+          </p>
+          {canGenerate && eligible > 0 && (
+            <button className="btn btn-primary" onClick={generate} disabled={loading}>
+              {loading ? 'Drafting…' : 'Suggest redlines'}
+            </button>
+          )}
+        </div>
+      )}
+
+      {error && (
+        <div role="alert" style={{ marginTop: 12, fontSize: 14, color: 'var(--red-700)' }}>
+          {error}
+        </div>
+      )}
+
+      {suggestions && (
+        <>
+          <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 12, margin: '16px 0', fontSize: 13, color: 'var(--slate-600)' }}>
+            <span>
+              {counts.accepted || 0} accepted • {counts.rejected || 0} rejected • {counts.pending || 0} pending
+            </span>
+            {canGenerate && (
+              <button className="btn btn-secondary btn-sm" onClick={generate} disabled={loading} style={{ marginLeft: 'auto' }}>
+                {loading ? 'Drafting…' : 'Regenerate'}
+              </button>
+            )}
+          </div>
+
+          {suggestions.redlines.length === 0 && (
+            <p style={{ fontSize: 14, color: 'var(--slate-500)', textAlign: 'center', padding: 20 }}>
+              No redlines could be drafted for this analysis.
+            </p>
+          )}
+
+          {suggestions.redlines.map(redline => (
+            <section
+              key={redline.id}
+              aria-label={`Redline for ${redline.title}`}
+              style={{
+                padding: 16,
+                marginBottom: 16,
+                background: 'var(--slate-50)',
+                border: `1px solid ${redline.status === 'accepted' ? '#86efac' : 'var(--slate-200)'}`,
+                borderRadius: 'var(--radius-lg)',
+                opacity: redline.status === 'rejected' ? 0.6 : 1
+              }}
+            >
+              <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 8, marginBottom: 8 }}>
+                <h4 style={{ margin: 0, fontSize: 16, color: 'var(--slate-800)' }}>{redline.title}</h4>
+                <RiskChip level={redline.severity} size="small" />
+                <span style={{ marginLeft: 'auto', fontSize: 12, color: 'var(--slate-500)' }}>
+                  {redline.clauseTitle} • {SOURCE_LABELS[redline.source] || redline.source}
+                </span>
+              </div>
+
+              <RedlineDiff original={redline.originalText} proposed={redline.proposedText} />
+
+              <div style={{ marginTop: 8, fontSize: 14, color: 'var(--slate-600)' }}>
+                💡 {redline.rationale}
+              </div>
+
+              <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 8, marginTop: 12 }}>
+                <button
+                  className={`btn btn-sm ${redline.status === 'accepted' ? 'btn-primary' : 'btn-secondary'}`}
+                  aria-pressed={redline.status === 'accepted'}
+                  onClick={() => decide(redline.id, 'accepted')}
+                >
+                  ✓ Accept
+                </button>
+                <button
+                  className="btn btn-secondary btn-sm"
+                  aria-pressed={redline.status === 'rejected'}
+                  onClick={() => decide(redline.id, 'rejected')}
+                >
+                  ✕ Reject
+                </button>
+                <span style={{ fontSize: 12, color: 'var(--slate-500)' }}>
+                  {STATUS_LABELS[redline.status]}
+                </span>
+              </div>
+            </section>
+          ))}
+
+          {suggestions.skipped?.length > 0 && (
+            <div style={{ fontSize: 13, color: 'var(--slate-600)' }}>
+              Not redlined:
+              <ul style={{ margin: '4px 0 0', paddingLeft: 20 }}>
+                {suggestions.skipped.map(item => (
+                  <li key={item.riskId}>{item.title}: {item.reason}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </>
+      )}
+    </Card>
+  )
+}
+
+export default RedlinesPanel
@@ -0,0 +1,101 @@
+import { useRef, useState } from 'react'
+import { EXPORT_FORMATS, exportReport, downloadBlob } from '../../utils/reportExport.js'
+import { annotateDocx, isDocxFile, reviewedFileName } from '../../utils/docxAnnotator.js'
+import '../../styles/theme.css'
+
+/**
+ * Download the open analysis as a PDF, Word, Markdown or JSON report,
+ * or as the original Word document with the risks as comments and the redlines as tracked changes.
+ * Without the uploaded .docx (e.g. a reopened analysis) the user is asked to pick it
+ */
+const ReportExport = ({ result, sourceFile = null }) => {
+  const inputRef = useRef(null)
+  const [busy, setBusy] = useState(null)
+  const [error, setError] = useState(null)
+  const [notice, setNotice] = useState(null)
+
+  const run = async (format, action) => {
+    setBusy(format)
+    setError(null)
+    setNotice(null)
+    try {
+      await action()
+    } catch (exportError) {
+      console.error('Report export failed:', exportError)
+      setError(exportError.message)
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const handleExport = (format) => run(format, async () => {
+    const { blob, filename } = await exportReport(result, format)
+    downloadBlob(blob, filename)
+  })
+
+  const annotate = (file) => run('annotated', async () => {
+    const annotated = await annotateDocx(file, result)
+    downloadBlob(annotated.blob, reviewedFileName(file.name))
+
+    const { comments, changes, skipped } = annotated
+    let message = `Added ${comments} comment${comments === 1 ? '' : 's'} and ${changes} tracked change${changes === 1 ? '' : 's'}.`
+    if (skipped.length > 0) {
+      message += ` ${skipped.length} item${skipped.length === 1 ? '' : 's'} could not be placed: ${skipped.map(item => `${item.title} (${item.reason.toLowerCase()})`).join('; ')}`
+    }
+    setNotice(message)
+  })
+
+  const handleAnnotate = () => {
+    if (isDocxFile(sourceFile)) {
+      annotate(sourceFile)
+    } else {
+      inputRef.current?.click()
+    }
+  }
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (file) annotate(file)
+  }
+
+  return (
+    <div className="fade-in" style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 8, margin: '0 0 16px' }}>
+      <span style={{ fontSize: 14, fontWeight: 600, color: 'var(--slate-700)' }}>📥 Export report:</span>
+      {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+        <button
+          key={format}
+          className="btn btn-secondary btn-sm"
+          onClick={() => handleExport(format)}
+          disabled={busy !== null}
+        >
+          {busy === format ? 'Preparing…' : label}
+        </button>
+      ))}
+      <button
+        className="btn btn-secondary btn-sm"
+        onClick={handleAnnotate}
+        disabled={busy !== null}
+        title={isDocxFile(sourceFile) ? `Add comments and tracked changes to ${sourceFile.name}` : 'Choose the original .docx to add comments and tracked changes to'}
+      >
+        {busy === 'annotated' ? 'Preparing…' : 'Word with comments'}
+      </button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept=".docx,application/vnd.openxmlformats-officedocument.wordprocessingml.document"
+        aria-label="Original Word document"
+        onChange={handleFile}
+        style={{ display: 'none' }}
+      />
+      {notice && (
+        <span role="status" style={{ flexBasis: '100%', fontSize: 13, color: 'var(--slate-600)' }}>{notice}</span>
+      )}
+      {error && (
+        <span role="alert" style={{ fontSize: 13, color: 'var(--red-700)' }}>{error}</span>
+      )}
+    </div>
+  )
+}
+
+export default ReportExport
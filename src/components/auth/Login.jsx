@@ -1,56 +1,63 @@
-import { useState } from 'react'
+import { useEffect, useState } from 'react'
 import OTPLogin from './OTPLogin.jsx'
-import { DemoAuth } from '../../utils/demoAuth.js'
+import Signup from './Signup.jsx'
+import { login, verifyEmail } from '../../utils/authClient.js'
 import '../../styles/theme.css'
 import '../../styles/cards.css'
 
 const Login = ({ onLogin }) => {
-  const [loginMode, setLoginMode] = useState('traditional') // traditional, quick, otp
+  const [loginMode, setLoginMode] = useState('traditional') // traditional, signup, otp
   const [formData, setFormData] = useState({
-    username: '',
+    email: '',
     password: '',
-    name: '',
     rememberMe: false
   })
   const [showPassword, setShowPassword] = useState(false)
   const [isLoading, setIsLoading] = useState(false)
+  const [message, setMessage] = useState(null) // { type: 'error' | 'success', text }
+
+  // Verification links land on /clearclause?verify=<token>
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search)
+    const token = params.get('verify')
+    if (!token) return
+
+    params.delete('verify')
+    const query = params.toString()
+    window.history.replaceState({}, '', `${window.location.pathname}${query ? `?${query}` : ''}`)
+
+    verifyEmail(token)
+      .then(user => {
+        setFormData(prev => ({ ...prev, email: user.email }))
+        setMessage({ type: 'success', text: 'Email verified. Sign in to continue.' })
+      })
+      .catch(error => setMessage({ type: 'error', text: error.message }))
+  }, [])
 
   const handleTraditionalLogin = async (e) => {
     e.preventDefault()
-    if (!formData.username.trim() || !formData.password.trim()) return
-    
+    if (!formData.email.trim() || !formData.password) return
+
     setIsLoading(true)
-    
+    setMessage(null)
+
     try {
-      const result = await DemoAuth.authenticate(formData.username, formData.password)
-      setIsLoading(false)
-      
-      if (result.success) {
-        onLogin(result.user)
-      } else {
-        alert('Login failed: ' + (result.error || 'Invalid credentials'))
-      }
+      onLogin(await login(formData.email.trim(), formData.password))
     } catch (error) {
+      setMessage({ type: 'error', text: error.message })
+    } finally {
       setIsLoading(false)
-      alert('Login error: ' + error.message)
-    }
-  }
-
-  const handleQuickLogin = (e) => {
-    e.preventDefault()
-    if (formData.name.trim()) {
-      onLogin({ name: formData.name.trim(), loginMethod: 'quick' })
     }
   }
 
-  const handleDemoLogin = () => {
-    onLogin({ name: 'Demo User', loginMethod: 'demo' })
-  }
-
   if (loginMode === 'otp') {
     return <OTPLogin onLogin={onLogin} onBack={() => setLoginMode('traditional')} />
   }
 
+  if (loginMode === 'signup') {
+    return <Signup onBack={() => setLoginMode('traditional')} />
+  }
+
   return (
     <div className="login-container" style={{
       minHeight: '100vh',
@@ -142,67 +149,82 @@ const Login = ({ onLogin }) => {
           </p>
         </div>
 
-        {/* Login Mode Tabs */}
-        <div style={{
-          display: 'flex',
-          background: 'rgba(255, 255, 255, 0.1)',
-          borderRadius: 'var(--radius-lg)',
-          padding: 'var(--space-1)',
-          marginBottom: 'var(--space-6)',
-          gap: 'var(--space-1)'
-        }}>
-          {[
-            { id: 'traditional', label: 'Login', icon: '🔐' },
-            { id: 'quick', label: 'Quick Start', icon: '⚡' }
-          ].map((mode) => (
-            <button
-              key={mode.id}
-              type="button"
-              onClick={() => setLoginMode(mode.id)}
+        {/* Login Form */}
+        <form onSubmit={handleTraditionalLogin} className="space-y-6">
+          {message && (
+            <div role={message.type === 'error' ? 'alert' : 'status'} style={{
+              padding: 'var(--space-3)',
+              borderRadius: 'var(--radius-lg)',
+              fontSize: '14px',
+              fontWeight: '500',
+              background: message.type === 'error' ? 'rgba(239, 68, 68, 0.1)' : 'rgba(16, 185, 129, 0.1)',
+              border: `1px solid ${message.type === 'error' ? 'var(--accent-red)' : 'var(--accent-emerald)'}`,
+              color: message.type === 'error' ? 'var(--accent-red)' : 'var(--accent-emerald)'
+            }}>
+              {message.text}
+            </div>
+          )}
+
+          <div>
+            <label style={{
+              display: 'block',
+              fontSize: '14px',
+              fontWeight: '600',
+              color: 'var(--gray-700)',
+              marginBottom: 'var(--space-2)'
+            }}>
+              📧 Email
+            </label>
+            <input
+              type="email"
+              autoComplete="email"
+              value={formData.email}
+              onChange={(e) => setFormData(prev => ({ ...prev, email: e.target.value }))}
+              placeholder="Enter your email"
               style={{
-                flex: 1,
-                padding: 'var(--space-2) var(--space-3)',
-                border: 'none',
-                borderRadius: 'var(--radius)',
-                background: loginMode === mode.id ? 'rgba(255, 255, 255, 0.2)' : 'transparent',
-                color: 'white',
-                fontWeight: loginMode === mode.id ? '600' : '500',
-                fontSize: '14px',
-                cursor: 'pointer',
+                width: '100%',
+                padding: 'var(--space-4)',
+                border: '2px solid var(--gray-200)',
+                borderRadius: 'var(--radius-lg)',
+                fontSize: '16px',
+                outline: 'none',
                 transition: 'all var(--duration-200) var(--ease-out)',
-                display: 'flex',
-                alignItems: 'center',
-                justifyContent: 'center',
-                gap: 'var(--space-2)'
+                background: 'rgba(255, 255, 255, 0.9)'
               }}
-            >
-              <span>{mode.icon}</span>
-              {mode.label}
-            </button>
-          ))}
-        </div>
+              onFocus={(e) => {
+                e.target.style.borderColor = 'var(--primary)'
+                e.target.style.boxShadow = '0 0 0 3px rgb(37 99 235 / 0.1)'
+                e.target.style.transform = 'translateY(-1px)'
+              }}
+              onBlur={(e) => {
+                e.target.style.borderColor = 'var(--gray-200)'
+                e.target.style.boxShadow = 'none'
+                e.target.style.transform = 'translateY(0)'
+              }}
+            />
+          </div>
 
-        {/* Traditional Login Form */}
-        {loginMode === 'traditional' && (
-          <form onSubmit={handleTraditionalLogin} className="space-y-6">
-            <div>
-              <label style={{
-                display: 'block',
-                fontSize: '14px',
-                fontWeight: '600',
-                color: 'var(--gray-700)',
-                marginBottom: 'var(--space-2)'
-              }}>
-                📧 Username or Email
-              </label>
+          <div>
+            <label style={{
+              display: 'block',
+              fontSize: '14px',
+              fontWeight: '600',
+              color: 'var(--gray-700)',
+              marginBottom: 'var(--space-2)'
+            }}>
+              🔒 Password
+            </label>
+            <div style={{ position: 'relative' }}>
               <input
-                type="text"
-                value={formData.username}
-                onChange={(e) => setFormData(prev => ({ ...prev, username: e.target.value }))}
-                placeholder="Enter your username or email"
+                type={showPassword ? 'text' : 'password'}
+                autoComplete="current-password"
+                value={formData.password}
+                onChange={(e) => setFormData(prev => ({ ...prev, password: e.target.value }))}
+                placeholder="Enter your password"
                 style={{
                   width: '100%',
                   padding: 'var(--space-4)',
+                  paddingRight: 'var(--space-12)',
                   border: '2px solid var(--gray-200)',
                   borderRadius: 'var(--radius-lg)',
                   fontSize: '16px',
@@ -221,214 +243,93 @@ const Login = ({ onLogin }) => {
                   e.target.style.transform = 'translateY(0)'
                 }}
               />
-            </div>
-
-            <div>
-              <label style={{
-                display: 'block',
-                fontSize: '14px',
-                fontWeight: '600',
-                color: 'var(--gray-700)',
-                marginBottom: 'var(--space-2)'
-              }}>
-                🔒 Password
-              </label>
-              <div style={{ position: 'relative' }}>
-                <input
-                  type={showPassword ? 'text' : 'password'}
-                  value={formData.password}
-                  onChange={(e) => setFormData(prev => ({ ...prev, password: e.target.value }))}
-                  placeholder="Enter your password"
-                  style={{
-                    width: '100%',
-                    padding: 'var(--space-4)',
-                    paddingRight: 'var(--space-12)',
-                    border: '2px solid var(--gray-200)',
-                    borderRadius: 'var(--radius-lg)',
-                    fontSize: '16px',
-                    outline: 'none',
-                    transition: 'all var(--duration-200) var(--ease-out)',
-                    background: 'rgba(255, 255, 255, 0.9)'
-                  }}
-                  onFocus={(e) => {
-                    e.target.style.borderColor = 'var(--primary)'
-                    e.target.style.boxShadow = '0 0 0 3px rgb(37 99 235 / 0.1)'
-                    e.target.style.transform = 'translateY(-1px)'
-                  }}
-                  onBlur={(e) => {
-                    e.target.style.borderColor = 'var(--gray-200)'
-                    e.target.style.boxShadow = 'none'
-                    e.target.style.transform = 'translateY(0)'
-                  }}
-                />
-                <button
-                  type="button"
-                  onClick={() => setShowPassword(!showPassword)}
-                  style={{
-                    position: 'absolute',
-                    right: 'var(--space-3)',
-                    top: '50%',
-                    transform: 'translateY(-50%)',
-                    background: 'transparent',
-                    border: 'none',
-                    color: 'var(--gray-500)',
-                    cursor: 'pointer',
-                    fontSize: '18px'
-                  }}
-                >
-                  {showPassword ? '🙈' : '👁️'}
-                </button>
-              </div>
-            </div>
-
-            <div style={{
-              display: 'flex',
-              alignItems: 'center',
-              justifyContent: 'space-between'
-            }}>
-              <label style={{
-                display: 'flex',
-                alignItems: 'center',
-                gap: 'var(--space-2)',
-                fontSize: '14px',
-                color: 'var(--gray-600)',
-                cursor: 'pointer'
-              }}>
-                <input
-                  type="checkbox"
-                  checked={formData.rememberMe}
-                  onChange={(e) => setFormData(prev => ({ ...prev, rememberMe: e.target.checked }))}
-                  style={{
-                    width: '16px',
-                    height: '16px',
-                    accentColor: 'var(--primary)'
-                  }}
-                />
-                Remember me
-              </label>
               <button
                 type="button"
+                onClick={() => setShowPassword(!showPassword)}
                 style={{
+                  position: 'absolute',
+                  right: 'var(--space-3)',
+                  top: '50%',
+                  transform: 'translateY(-50%)',
                   background: 'transparent',
                   border: 'none',
-                  color: 'var(--primary)',
-                  fontSize: '14px',
+                  color: 'var(--gray-500)',
                   cursor: 'pointer',
-                  textDecoration: 'underline'
+                  fontSize: '18px'
                 }}
               >
-                Forgot password?
+                {showPassword ? '🙈' : '👁️'}
               </button>
             </div>
+          </div>
 
-            <button
-              type="submit"
-              className="btn btn-primary btn-lg hover-lift"
-              style={{ 
-                width: '100%',
-                fontWeight: '700',
-                background: 'var(--gradient-primary)'
-              }}
-              disabled={!formData.username.trim() || !formData.password.trim() || isLoading}
-            >
-              {isLoading ? (
-                <div style={{ display: 'flex', alignItems: 'center', gap: 'var(--space-2)' }}>
-                  <div style={{
-                    width: '16px',
-                    height: '16px',
-                    border: '2px solid white',
-                    borderTop: '2px solid transparent',
-                    borderRadius: '50%',
-                    animation: 'spin 1s linear infinite'
-                  }} />
-                  Signing In...
-                </div>
-              ) : (
-                '🔐 Sign In'
-              )}
-            </button>
-
-            {/* Demo Credentials Notice */}
-            <div className="demo-notice" style={{
-              padding: 'var(--space-3)',
-              background: 'rgba(16, 185, 129, 0.1)',
-              border: '1px solid var(--accent-emerald)',
-              borderRadius: 'var(--radius-lg)',
-              fontSize: '13px',
-              color: 'var(--accent-emerald)',
-              fontWeight: '500'
+          <div style={{
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'space-between'
+          }}>
+            <label style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: 'var(--space-2)',
+              fontSize: '14px',
+              color: 'var(--gray-600)',
+              cursor: 'pointer'
             }}>
-              <div style={{ marginBottom: 'var(--space-2)', textAlign: 'center' }}>
-                💡 <strong>Demo Credentials:</strong>
-              </div>
-              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 'var(--space-2)', fontSize: '12px' }}>
-                <div><strong>Username:</strong> demo</div>
-                <div><strong>Password:</strong> demo123</div>
-                <div><strong>Username:</strong> admin</div>
-                <div><strong>Password:</strong> admin</div>
-              </div>
-              <div style={{ textAlign: 'center', marginTop: 'var(--space-2)', fontSize: '11px', opacity: 0.8 }}>
-                Or use any username/password combination
-              </div>
-            </div>
-          </form>
-        )}
-
-        {/* Quick Login Form */}
-        {loginMode === 'quick' && (
-          <form onSubmit={handleQuickLogin} className="space-y-6">
-            <div>
-              <label style={{
-                display: 'block',
-                fontSize: '14px',
-                fontWeight: '600',
-                color: 'var(--gray-700)',
-                marginBottom: 'var(--space-2)'
-              }}>
-                👤 Your Name
-              </label>
               <input
-                type="text"
-                value={formData.name}
-                onChange={(e) => setFormData(prev => ({ ...prev, name: e.target.value }))}
-                placeholder="Enter your name to get started"
+                type="checkbox"
+                checked={formData.rememberMe}
+                onChange={(e) => setFormData(prev => ({ ...prev, rememberMe: e.target.checked }))}
                 style={{
-                  width: '100%',
-                  padding: 'var(--space-4)',
-                  border: '2px solid var(--gray-200)',
-                  borderRadius: 'var(--radius-lg)',
-                  fontSize: '16px',
-                  outline: 'none',
-                  transition: 'all var(--duration-200) var(--ease-out)',
-                  background: 'rgba(255, 255, 255, 0.9)'
-                }}
-                onFocus={(e) => {
-                  e.target.style.borderColor = 'var(--primary)'
-                  e.target.style.boxShadow = '0 0 0 3px rgb(37 99 235 / 0.1)'
-                  e.target.style.transform = 'translateY(-1px)'
-                }}
-                onBlur={(e) => {
-                  e.target.style.borderColor = 'var(--gray-200)'
-                  e.target.style.boxShadow = 'none'
-                  e.target.style.transform = 'translateY(0)'
+                  width: '16px',
+                  height: '16px',
+                  accentColor: 'var(--primary)'
                 }}
               />
-            </div>
-
+              Remember me
+            </label>
             <button
-              type="submit"
-              className="btn btn-primary btn-lg hover-lift"
-              style={{ 
-                width: '100%',
-                fontWeight: '700',
-                background: 'var(--gradient-primary)'
+              type="button"
+              style={{
+                background: 'transparent',
+                border: 'none',
+                color: 'var(--primary)',
+                fontSize: '14px',
+                cursor: 'pointer',
+                textDecoration: 'underline'
               }}
-              disabled={!formData.name.trim()}
             >
-              ⚡ Quick Start
+              Forgot password?
             </button>
-          </form>
-        )}
+          </div>
+
+          <button
+            type="submit"
+            className="btn btn-primary btn-lg hover-lift"
+            style={{ 
+              width: '100%',
+              fontWeight: '700',
+              background: 'var(--gradient-primary)'
+            }}
+            disabled={!formData.email.trim() || !formData.password || isLoading}
+          >
+            {isLoading ? (
+              <div style={{ display: 'flex', alignItems: 'center', gap: 'var(--space-2)' }}>
+                <div style={{
+                  width: '16px',
+                  height: '16px',
+                  border: '2px solid white',
+                  borderTop: '2px solid transparent',
+                  borderRadius: '50%',
+                  animation: 'spin 1s linear infinite'
+                }} />
+                Signing In...
+              </div>
+            ) : (
+              '🔐 Sign In'
+            )}
+          </button>
+        </form>
 
         {/* Divider */}
         <div style={{
@@ -468,17 +369,6 @@ const Login = ({ onLogin }) => {
           >
             📱 OTP Login (SMS/Email)
           </button>
-
-          <button
-            onClick={handleDemoLogin}
-            className="btn btn-secondary btn-lg hover-lift"
-            style={{ 
-              width: '100%',
-              fontWeight: '600'
-            }}
-          >
-            🎯 Try Demo Mode
-          </button>
         </div>
 
         {/* Sign Up Link */}
@@ -491,6 +381,7 @@ const Login = ({ onLogin }) => {
           Don't have an account?{' '}
           <button
             type="button"
+            onClick={() => setLoginMode('signup')}
             style={{
               background: 'transparent',
               border: 'none',
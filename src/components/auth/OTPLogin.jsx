@@ -1,52 +1,65 @@
-import { useState } from 'react'
-import { DemoAuth } from '../../utils/demoAuth.js'
+import { useEffect, useState } from 'react'
+import { requestOtp, loginWithOtp } from '../../utils/authClient.js'
 import '../../styles/theme.css'
 import '../../styles/cards.css'
 import '../../styles/animations.css'
 
+const secondsUntil = (isoTime, now) => Math.max(0, Math.ceil((Date.parse(isoTime) - now) / 1000))
+
+const formatDuration = (seconds) => seconds >= 60
+  ? `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+  : `${seconds}s`
+
 const OTPLogin = ({ onLogin, onBack }) => {
   const [step, setStep] = useState('method') // method, phone, email, otp, success
   const [method, setMethod] = useState('')
   const [contact, setContact] = useState('')
   const [otp, setOtp] = useState(['', '', '', '', '', ''])
   const [loading, setLoading] = useState(false)
-  const [countdown, setCountdown] = useState(0)
+  // Server state for the current code: { sentTo, expiresAt, resendAvailableAt, attemptsRemaining }
+  const [delivery, setDelivery] = useState(null)
+  const [error, setError] = useState(null)
+  const [now, setNow] = useState(Date.now())
+
+  // Tick while a code is outstanding so the resend countdown and expiry stay current
+  useEffect(() => {
+    if (!delivery) return
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [delivery])
+
+  const countdown = delivery ? secondsUntil(delivery.resendAvailableAt, now) : 0
+  const expiresIn = delivery?.expiresAt ? secondsUntil(delivery.expiresAt, now) : 0
 
   const handleMethodSelect = (selectedMethod) => {
     setMethod(selectedMethod)
     setStep(selectedMethod)
+    setDelivery(null)
+    setError(null)
   }
 
   const handleSendOTP = async () => {
     setLoading(true)
-    
+    setError(null)
+
     try {
-      const result = await DemoAuth.sendOTP(contact, method)
-      setLoading(false)
-      
-      if (result.success) {
-        setStep('otp')
-        setCountdown(60)
-        
-        // Show demo message with the code
-        alert(`🚨 DEMO MODE: In a real application, an OTP would be sent to ${contact}. For this demo, use code: ${result.demoCode}`)
-        
-        // Start countdown
-        const timer = setInterval(() => {
-          setCountdown(prev => {
-            if (prev <= 1) {
-              clearInterval(timer)
-              return 0
-            }
-            return prev - 1
-          })
-        }, 1000)
-      } else {
-        alert('Failed to send OTP: ' + result.error)
+      const result = await requestOtp(method, contact)
+      setDelivery(result)
+      setNow(Date.now())
+      setOtp(['', '', '', '', '', ''])
+      setStep('otp')
+    } catch (sendError) {
+      setError(sendError.message)
+      // Rate limited: the server says when another code can be sent
+      if (sendError.details?.retryAfter) {
+        setDelivery(prev => ({
+          ...prev,
+          resendAvailableAt: new Date(Date.now() + sendError.details.retryAfter * 1000).toISOString()
+        }))
+        setNow(Date.now())
       }
-    } catch (error) {
+    } finally {
       setLoading(false)
-      alert('Error sending OTP: ' + error.message)
     }
   }
 
@@ -74,29 +87,49 @@ const OTPLogin = ({ onLogin, onBack }) => {
   const handleVerifyOTP = async () => {
     const otpString = otp.join('')
     if (otpString.length !== 6) return
-    
+
     setLoading(true)
-    
+    setError(null)
+
     try {
-      const result = await DemoAuth.validateOTP(contact, otpString)
-      setLoading(false)
-      
-      if (result.success) {
-        setStep('success')
-        setTimeout(() => {
-          onLogin(result.user)
-        }, 2000)
-      } else {
-        alert('OTP verification failed: ' + result.error)
-        // Reset OTP inputs
-        setOtp(['', '', '', '', '', ''])
+      const user = await loginWithOtp(method, contact, otpString)
+      setStep('success')
+      setTimeout(() => {
+        onLogin(user)
+      }, 2000)
+    } catch (verifyError) {
+      const attemptsRemaining = verifyError.details?.attemptsRemaining
+      setError(attemptsRemaining
+        ? `${verifyError.message}. ${attemptsRemaining} ${attemptsRemaining === 1 ? 'attempt' : 'attempts'} left.`
+        : verifyError.message)
+      if (attemptsRemaining) {
+        setDelivery(prev => ({ ...prev, attemptsRemaining }))
+      } else if (verifyError.status === 400 || verifyError.status === 429) {
+        // The code is expired or locked out; only a new code can be used now
+        setDelivery(prev => ({ ...prev, expiresAt: null }))
       }
-    } catch (error) {
+      // Reset OTP inputs
+      setOtp(['', '', '', '', '', ''])
+    } finally {
       setLoading(false)
-      alert('Error verifying OTP: ' + error.message)
     }
   }
 
+  const renderError = () => error && (
+    <div role="alert" style={{
+      padding: 'var(--space-3)',
+      background: 'rgba(239, 68, 68, 0.1)',
+      border: '1px solid var(--accent-red)',
+      borderRadius: 'var(--radius-lg)',
+      fontSize: '13px',
+      color: 'var(--accent-red)',
+      textAlign: 'center',
+      fontWeight: '500'
+    }}>
+      {error}
+    </div>
+  )
+
   const renderMethodSelection = () => (
     <div className="space-y-6">
       <div style={{ textAlign: 'center', marginBottom: 'var(--space-8)' }}>
@@ -310,7 +343,11 @@ const OTPLogin = ({ onLogin, onBack }) => {
         <input
           type={method === 'phone' ? 'tel' : 'email'}
           value={contact}
-          onChange={(e) => setContact(e.target.value)}
+          onChange={(e) => {
+            // The countdown belongs to the previous contact
+            setContact(e.target.value)
+            setDelivery(null)
+          }}
           placeholder={method === 'phone' ? '+1 (555) 123-4567' : 'your@email.com'}
           style={{
             width: '100%',
@@ -332,9 +369,11 @@ const OTPLogin = ({ onLogin, onBack }) => {
         />
       </div>
 
+      {renderError()}
+
       <button
         onClick={handleSendOTP}
-        disabled={!contact || loading}
+        disabled={!contact || countdown > 0 || loading}
         className={`btn btn-lg ${method === 'phone' ? 'btn-success' : 'btn-purple'}`}
         style={{ width: '100%' }}
       >
@@ -350,13 +389,18 @@ const OTPLogin = ({ onLogin, onBack }) => {
             }} />
             Sending...
           </div>
+        ) : countdown > 0 ? (
+          `Send again in ${formatDuration(countdown)}`
         ) : (
           `Send OTP ${method === 'phone' ? '📱' : '📧'}`
         )}
       </button>
 
       <button
-        onClick={() => setStep('method')}
+        onClick={() => {
+          setStep('method')
+          setError(null)
+        }}
         className="btn btn-secondary"
         style={{ width: '100%' }}
       >
@@ -396,22 +440,19 @@ const OTPLogin = ({ onLogin, onBack }) => {
           fontSize: '14px',
           marginBottom: 'var(--space-3)'
         }}>
-          We sent a 6-digit code to {contact}
+          We sent a 6-digit code to {delivery?.sentTo || contact}
         </p>
-        <div style={{
-          padding: 'var(--space-3)',
-          background: 'rgba(249, 115, 22, 0.1)',
-          border: '1px solid var(--accent-orange)',
-          borderRadius: 'var(--radius-lg)',
+        <p style={{
+          color: expiresIn > 0 ? 'var(--gray-500)' : 'var(--accent-red)',
           fontSize: '13px',
-          color: 'var(--accent-orange)',
-          textAlign: 'center',
-          fontWeight: '500'
+          margin: 0
         }}>
-          🚨 DEMO: Use any 6-digit code (e.g., 123456)
-        </div>
+          {expiresIn > 0 ? `Code expires in ${formatDuration(expiresIn)}` : 'This code is no longer valid, request a new one'}
+        </p>
       </div>
 
+      {renderError()}
+
       <div style={{
         display: 'flex',
         gap: 'var(--space-3)',
@@ -454,7 +495,7 @@ const OTPLogin = ({ onLogin, onBack }) => {
 
       <button
         onClick={handleVerifyOTP}
-        disabled={otp.join('').length !== 6 || loading}
+        disabled={otp.join('').length !== 6 || expiresIn === 0 || loading}
         className="btn btn-primary btn-lg"
         style={{ width: '100%' }}
       >
@@ -478,11 +519,12 @@ const OTPLogin = ({ onLogin, onBack }) => {
       <div style={{ textAlign: 'center' }}>
         {countdown > 0 ? (
           <p style={{ color: 'var(--gray-500)', fontSize: '14px' }}>
-            Resend code in {countdown}s
+            Resend code in {formatDuration(countdown)}
           </p>
         ) : (
           <button
             onClick={handleSendOTP}
+            disabled={loading}
             style={{
               background: 'transparent',
               border: 'none',
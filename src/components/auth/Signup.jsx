@@ -1,18 +1,47 @@
 import { useState } from 'react'
+import { signup } from '../../utils/authClient.js'
 import '../../styles/theme.css'
 import '../../styles/cards.css'
 
-const Signup = ({ onSignup }) => {
+const MIN_PASSWORD_LENGTH = 8
+
+/**
+ * Account sign-up; the backend emails a verification link before the account can sign in
+ */
+const Signup = ({ onBack }) => {
   const [formData, setFormData] = useState({
     name: '',
     email: '',
-    company: ''
+    password: '',
+    company: '',
+    phone: ''
   })
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const [sentTo, setSentTo] = useState(null)
+
+  const canSubmit = formData.name.trim() && formData.email.trim() && formData.password.length >= MIN_PASSWORD_LENGTH
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault()
-    if (formData.name.trim() && formData.email.trim()) {
-      onSignup(formData)
+    if (!canSubmit) return
+
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      const { user } = await signup({
+        name: formData.name.trim(),
+        email: formData.email.trim(),
+        password: formData.password,
+        company: formData.company.trim(),
+        phone: formData.phone.trim()
+      })
+      setSentTo(user.email)
+    } catch (signupError) {
+      setError(signupError.message)
+    } finally {
+      setIsLoading(false)
     }
   }
 
@@ -46,7 +75,30 @@ const Signup = ({ onSignup }) => {
           </p>
         </div>
 
+        {sentTo ? (
+          <div role="status" style={{ textAlign: 'center' }}>
+            <p style={{ color: 'var(--slate-700)', marginBottom: 24 }}>
+              We sent a verification link to <strong>{sentTo}</strong>. Open it to activate your account, then sign in.
+            </p>
+            <button type="button" className="btn btn-primary" style={{ width: '100%' }} onClick={onBack}>
+              Back to Sign In
+            </button>
+          </div>
+        ) : (
         <form onSubmit={handleSubmit}>
+          {error && (
+            <div role="alert" style={{
+              marginBottom: 20,
+              padding: '12px 16px',
+              borderRadius: 'var(--radius)',
+              background: 'rgba(239, 68, 68, 0.1)',
+              color: 'var(--accent-red)',
+              fontSize: 14
+            }}>
+              {error}
+            </div>
+          )}
+
           <div style={{ marginBottom: 20 }}>
             <label style={{ 
               display: 'block', 
@@ -99,6 +151,60 @@ const Signup = ({ onSignup }) => {
             />
           </div>
 
+          <div style={{ marginBottom: 20 }}>
+            <label style={{ 
+              display: 'block', 
+              marginBottom: 8, 
+              fontWeight: 500,
+              color: 'var(--slate-700)'
+            }}>
+              Password *
+            </label>
+            <input
+              type="password"
+              autoComplete="new-password"
+              value={formData.password}
+              onChange={handleChange('password')}
+              placeholder={`At least ${MIN_PASSWORD_LENGTH} characters`}
+              minLength={MIN_PASSWORD_LENGTH}
+              required
+              style={{
+                width: '100%',
+                padding: '12px 16px',
+                border: '1px solid var(--slate-300)',
+                borderRadius: 'var(--radius)',
+                fontSize: 16,
+                outline: 'none'
+              }}
+            />
+          </div>
+
+          <div style={{ marginBottom: 20 }}>
+            <label style={{ 
+              display: 'block', 
+              marginBottom: 8, 
+              fontWeight: 500,
+              color: 'var(--slate-700)'
+            }}>
+              Phone (Optional, for SMS sign-in codes)
+            </label>
+            <input
+              type="tel"
+              autoComplete="tel"
+              value={formData.phone}
+              onChange={handleChange('phone')}
+              placeholder="+1 (555) 123-4567"
+              style={{
+                width: '100%',
+                padding: '12px 16px',
+                border: '1px solid var(--slate-300)',
+                borderRadius: 'var(--radius)',
+                fontSize: 16,
+                outline: 'none'
+              }}
+            />
+          </div>
+
           <div style={{ marginBottom: 24 }}>
             <label style={{ 
               display: 'block', 
@@ -128,11 +234,31 @@ const Signup = ({ onSignup }) => {
             type="submit"
             className="btn btn-primary"
             style={{ width: '100%' }}
-            disabled={!formData.name.trim() || !formData.email.trim()}
+            disabled={!canSubmit || isLoading}
           >
-            Create Account
+            {isLoading ? 'Creating Account...' : 'Create Account'}
           </button>
+
+          {onBack && (
+            <button
+              type="button"
+              onClick={onBack}
+              style={{
+                width: '100%',
+                marginTop: 16,
+                background: 'transparent',
+                border: 'none',
+                color: 'var(--primary)',
+                fontSize: 14,
+                cursor: 'pointer',
+                textDecoration: 'underline'
+              }}
+            >
+              Already have an account? Sign in
+            </button>
+          )}
         </form>
+        )}
       </div>
     </div>
   )
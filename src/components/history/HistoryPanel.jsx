@@ -1,41 +1,132 @@
 import Card from '../layout/Card.jsx'
+import RiskChip from '../ui/RiskChip.jsx'
 import '../../styles/theme.css'
 import '../../styles/animations.css'
 
-const HistoryPanel = ({ items }) => {
-  if (!items || items.length === 0) return null
+const PAGE_SIZE = 20
+
+const inputStyle = {
+  padding: '8px 12px',
+  border: '1px solid var(--slate-200)',
+  borderRadius: 'var(--radius)',
+  fontSize: 14,
+  background: 'white',
+  color: 'var(--slate-700)'
+}
+
+/**
+ * Saved analyses and comparisons, with search and filters
+ * Clicking an entry calls onSelect(item) to reopen the full result; canDelete(item) hides the
+ * delete button on entries the user's role can't remove
+ */
+const HistoryPanel = ({
+  items = [],
+  total = 0,
+  filters = {},
+  onFiltersChange,
+  onSelect,
+  onDelete,
+  canDelete = () => true,
+  currentUserId = null,
+  loading = false,
+  error = null,
+  activeId = null
+}) => {
+  const isFiltered = Boolean(filters.search || filters.kind || filters.risk || filters.scope)
+  if (!loading && !error && items.length === 0 && !isFiltered) return null
+
+  const updateFilter = (key, value) => {
+    onFiltersChange?.({ ...filters, [key]: value, limit: PAGE_SIZE })
+  }
 
   return (
     <Card title="Analysis History" className="fade-in">
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8, marginTop: 16 }}>
+        <input
+          type="search"
+          placeholder="Search by document name or type"
+          aria-label="Search history"
+          value={filters.search || ''}
+          onChange={(e) => updateFilter('search', e.target.value)}
+          style={{ ...inputStyle, flex: '1 1 220px' }}
+        />
+        <select
+          aria-label="Filter by kind"
+          value={filters.kind || ''}
+          onChange={(e) => updateFilter('kind', e.target.value)}
+          style={inputStyle}
+        >
+          <option value="">All results</option>
+          <option value="analysis">Analyses</option>
+          <option value="comparison">Comparisons</option>
+        </select>
+        <select
+          aria-label="Filter by owner"
+          value={filters.scope || ''}
+          onChange={(e) => updateFilter('scope', e.target.value)}
+          style={inputStyle}
+        >
+          <option value="">Everyone's</option>
+          <option value="mine">Mine</option>
+          <option value="shared">Shared with me</option>
+        </select>
+        <select
+          aria-label="Filter by highest risk"
+          value={filters.risk || ''}
+          onChange={(e) => updateFilter('risk', e.target.value)}
+          style={inputStyle}
+        >
+          <option value="">Any risk</option>
+          <option value="critical">Critical</option>
+          <option value="high">High</option>
+          <option value="medium">Medium</option>
+          <option value="low">Low</option>
+          <option value="none">No risks</option>
+        </select>
+      </div>
+
+      {error && (
+        <div style={{ marginTop: 12, fontSize: 14, color: 'var(--red-700)' }}>
+          Could not load history: {error}
+        </div>
+      )}
+
       <div style={{
         maxHeight: 300,
         overflowY: 'auto',
         marginTop: 16
       }}>
+        {items.length === 0 && !loading && !error && (
+          <div style={{ fontSize: 14, color: 'var(--slate-500)', padding: '12px 16px' }}>
+            No saved results match these filters.
+          </div>
+        )}
+
         {items.map((item, index) => (
           <div
-            key={index}
+            key={item.id}
+            role="button"
+            tabIndex={0}
+            data-history-id={item.id}
+            onClick={() => onSelect?.(item)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault()
+                onSelect?.(item)
+              }
+            }}
             style={{
               display: 'flex',
               alignItems: 'center',
               gap: 12,
               padding: '12px 16px',
-              background: index % 2 === 0 ? 'var(--slate-50)' : 'transparent',
+              background: item.id === activeId ? 'var(--primary-light)' : index % 2 === 0 ? 'var(--slate-50)' : 'transparent',
               borderRadius: 'var(--radius)',
               marginBottom: 8,
               transition: 'all 0.2s ease',
-              cursor: 'pointer',
-              animationDelay: `${index * 0.1}s`
+              cursor: 'pointer'
             }}
             className="slide-in"
-            onMouseEnter={(e) => {
-              e.target.style.background = 'var(--primary-light)'
-              e.target.style.transform = 'translateX(4px)'
-            }}
-            onMouseLeave={(e) => {
-              e.target.style.background = index % 2 === 0 ? 'var(--slate-50)' : 'transparent'
-              e.target.style.transform = 'translateX(0)'
-            }}
           >
             <div style={{
               width: 8,
@@ -44,28 +135,54 @@ const HistoryPanel = ({ items }) => {
               background: 'var(--primary)',
               flexShrink: 0
             }} />
-            <div style={{ flex: 1 }}>
+            <div style={{ flex: 1, minWidth: 0 }}>
               <div style={{
                 fontSize: 14,
                 fontWeight: 500,
                 color: 'var(--slate-700)',
-                marginBottom: 2
+                marginBottom: 2,
+                overflow: 'hidden',
+                textOverflow: 'ellipsis',
+                whiteSpace: 'nowrap'
               }}>
-                {item}
+                {item.title}
+              </div>
+              <div style={{ fontSize: 12, color: 'var(--slate-500)' }}>
+                {[
+                  item.kind === 'comparison' ? 'Comparison' : item.documentType,
+                  `${item.clauseCount} clauses`,
+                  `${item.riskCount} risks`,
+                  item.owner && item.owner.userId !== currentUserId && `by ${item.owner.name}`,
+                  new Date(item.createdAt).toLocaleString()
+                ].filter(Boolean).join(' • ')}
               </div>
             </div>
-            <div style={{
-              fontSize: 12,
-              color: 'var(--slate-500)',
-              opacity: 0.7
-            }}>
-              📄
-            </div>
+            {item.highestRisk && item.highestRisk !== 'none' && (
+              <RiskChip level={item.highestRisk} size="small" />
+            )}
+            {onDelete && canDelete(item) && (
+              <button
+                aria-label={`Delete ${item.title}`}
+                onClick={(e) => {
+                  e.stopPropagation()
+                  onDelete(item)
+                }}
+                style={{
+                  background: 'transparent',
+                  border: 'none',
+                  color: 'var(--slate-500)',
+                  cursor: 'pointer',
+                  fontSize: 14
+                }}
+              >
+                ✕
+              </button>
+            )}
           </div>
         ))}
       </div>
 
-      {items.length > 5 && (
+      {total > items.length && (
         <div style={{
           textAlign: 'center',
           marginTop: 16,
@@ -73,6 +190,8 @@ const HistoryPanel = ({ items }) => {
           borderTop: '1px solid var(--slate-200)'
         }}>
           <button
+            disabled={loading}
+            onClick={() => onFiltersChange?.({ ...filters, limit: (filters.limit || PAGE_SIZE) + PAGE_SIZE })}
             style={{
               background: 'transparent',
               border: '1px solid var(--primary)',
@@ -84,16 +203,8 @@ const HistoryPanel = ({ items }) => {
               cursor: 'pointer',
               transition: 'all 0.2s ease'
             }}
-            onMouseEnter={(e) => {
-              e.target.style.background = 'var(--primary)'
-              e.target.style.color = 'white'
-            }}
-            onMouseLeave={(e) => {
-              e.target.style.background = 'transparent'
-              e.target.style.color = 'var(--primary)'
-            }}
           >
-            View All History
+            Show More ({total - items.length} remaining)
           </button>
         </div>
       )}
@@ -101,4 +212,4 @@ const HistoryPanel = ({ items }) => {
   )
 }
 
-export default HistoryPanel
\ No newline at end of file
+export default HistoryPanel
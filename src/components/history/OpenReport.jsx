@@ -0,0 +1,46 @@
+import { useRef, useState } from 'react'
+import { parseReport } from '../../utils/reportExport.js'
+import '../../styles/theme.css'
+
+/**
+ * Reopen a report that was exported as JSON
+ */
+const OpenReport = ({ onOpen }) => {
+  const inputRef = useRef(null)
+  const [error, setError] = useState(null)
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+
+    setError(null)
+    try {
+      onOpen(parseReport(await file.text()))
+    } catch (openError) {
+      setError(`${file.name}: ${openError.message}`)
+    }
+  }
+
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', justifyContent: 'center', gap: 12, margin: '16px 0', fontSize: 14, color: 'var(--slate-600)' }}>
+      <span>Have a report exported as JSON?</span>
+      <button className="btn btn-secondary btn-sm" onClick={() => inputRef.current?.click()}>
+        📂 Open saved report
+      </button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept=".json,application/json"
+        aria-label="Saved report file"
+        onChange={handleFile}
+        style={{ display: 'none' }}
+      />
+      {error && (
+        <div role="alert" style={{ flexBasis: '100%', textAlign: 'center', color: 'var(--red-700)' }}>{error}</div>
+      )}
+    </div>
+  )
+}
+
+export default OpenReport
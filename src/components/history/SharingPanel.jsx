@@ -0,0 +1,226 @@
+import { useEffect, useState } from 'react'
+import Card from '../layout/Card.jsx'
+import {
+  getHistoryEntry,
+  shareHistoryEntry,
+  unshareHistoryEntry,
+  createShareLink,
+  revokeShareLink,
+  addHistoryComment
+} from '../../utils/analysisHistory.js'
+import '../../styles/theme.css'
+import '../../styles/animations.css'
+
+const inputStyle = {
+  padding: '8px 12px',
+  border: '1px solid var(--slate-200)',
+  borderRadius: 'var(--radius)',
+  fontSize: 14,
+  background: 'white',
+  color: 'var(--slate-700)'
+}
+
+const ACCESS_LABELS = { view: 'Can view', comment: 'Can comment' }
+
+/**
+ * Sharing and comments for the saved result that is open
+ * The owner shares with teammates by email or with a link; people with comment access can comment.
+ * Loads the entry itself so it works for fresh analyses, reopened history and shared links alike
+ */
+const SharingPanel = ({ entryId, workspace = '' }) => {
+  const [entry, setEntry] = useState(null)
+  const [error, setError] = useState(null)
+  const [email, setEmail] = useState('')
+  const [access, setAccess] = useState('view')
+  const [linkAccess, setLinkAccess] = useState('view')
+  const [comment, setComment] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [copied, setCopied] = useState(false)
+
+  useEffect(() => {
+    if (!entryId) return
+    let cancelled = false
+    setEntry(null)
+    setError(null)
+    getHistoryEntry(entryId)
+      .then(loaded => !cancelled && setEntry(loaded))
+      .catch(loadError => !cancelled && setError(loadError.message))
+    return () => { cancelled = true }
+  }, [entryId])
+
+  if (!entryId || (!entry && !error)) return null
+
+  const run = async (action) => {
+    setBusy(true)
+    setError(null)
+    try {
+      await action()
+    } catch (actionError) {
+      setError(actionError.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const updateSharing = (sharing) => setEntry(previous => ({ ...previous, sharing }))
+
+  const handleShare = (e) => {
+    e.preventDefault()
+    run(async () => {
+      updateSharing(await shareHistoryEntry(entryId, email.trim(), access))
+      setEmail('')
+    })
+  }
+
+  const handleComment = (e) => {
+    e.preventDefault()
+    run(async () => {
+      const added = await addHistoryComment(entryId, comment)
+      setEntry(previous => ({ ...previous, comments: [...previous.comments, added] }))
+      setComment('')
+    })
+  }
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(entry.sharing.link.url)
+      setCopied(true)
+      setTimeout(() => setCopied(false), 2000)
+    } catch (copyError) {
+      setError('Could not copy the link, select it and copy it instead')
+    }
+  }
+
+  const isOwner = entry?.access === 'owner'
+  const canComment = isOwner || entry?.access === 'comment'
+  const members = entry?.sharing?.members || []
+  const link = entry?.sharing?.link
+
+  return (
+    <Card title="Sharing & Comments" className="fade-in">
+      {error && (
+        <div role="alert" style={{ marginTop: 12, fontSize: 14, color: 'var(--red-700)' }}>
+          {error}
+        </div>
+      )}
+
+      {entry && isOwner && entry.owner && (
+        <div style={{ marginTop: 16 }}>
+          <form onSubmit={handleShare} style={{ display: 'flex', flexWrap: 'wrap', gap: 8 }}>
+            <input
+              type="email"
+              required
+              placeholder={workspace ? `Teammate's email at ${workspace}` : "Teammate's email"}
+              aria-label="Teammate email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              style={{ ...inputStyle, flex: '1 1 220px' }}
+            />
+            <select aria-label="Access level" value={access} onChange={(e) => setAccess(e.target.value)} style={inputStyle}>
+              <option value="view">{ACCESS_LABELS.view}</option>
+              <option value="comment">{ACCESS_LABELS.comment}</option>
+            </select>
+            <button type="submit" className="btn btn-primary" disabled={busy || !email.trim()}>
+              Share
+            </button>
+          </form>
+
+          {members.length > 0 && (
+            <ul style={{ listStyle: 'none', padding: 0, margin: '12px 0 0' }}>
+              {members.map(member => (
+                <li key={member.userId} style={{ display: 'flex', alignItems: 'center', gap: 8, padding: '6px 0', fontSize: 14 }}>
+                  <span style={{ flex: 1, color: 'var(--slate-700)' }}>
+                    {member.name} <span style={{ color: 'var(--slate-500)' }}>{member.email}</span>
+                  </span>
+                  <span style={{ fontSize: 12, color: 'var(--slate-500)' }}>{ACCESS_LABELS[member.access]}</span>
+                  <button
+                    aria-label={`Stop sharing with ${member.name}`}
+                    onClick={() => run(async () => updateSharing(await unshareHistoryEntry(entryId, member.userId)))}
+                    disabled={busy}
+                    style={{ background: 'transparent', border: 'none', color: 'var(--slate-500)', cursor: 'pointer' }}
+                  >
+                    ✕
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 8, marginTop: 16 }}>
+            {link ? (
+              <>
+                <input readOnly aria-label="Share link" value={link.url} onFocus={(e) => e.target.select()} style={{ ...inputStyle, flex: '1 1 260px' }} />
+                <span style={{ fontSize: 12, color: 'var(--slate-500)' }}>{ACCESS_LABELS[link.access]}</span>
+                <button className="btn btn-secondary" onClick={copyLink}>{copied ? 'Copied' : 'Copy link'}</button>
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => run(async () => updateSharing(await revokeShareLink(entryId)))}
+                  disabled={busy}
+                >
+                  Revoke
+                </button>
+              </>
+            ) : (
+              <>
+                <select aria-label="Link access level" value={linkAccess} onChange={(e) => setLinkAccess(e.target.value)} style={inputStyle}>
+                  <option value="view">{ACCESS_LABELS.view}</option>
+                  <option value="comment">{ACCESS_LABELS.comment}</option>
+                </select>
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => run(async () => updateSharing(await createShareLink(entryId, linkAccess)))}
+                  disabled={busy}
+                >
+                  🔗 Create share link
+                </button>
+              </>
+            )}
+          </div>
+          <div style={{ marginTop: 6, fontSize: 12, color: 'var(--slate-500)' }}>
+            Links only open for signed-in teammates{workspace ? ` at ${workspace}` : ''}. Revoking the link removes the people who joined through it.
+          </div>
+        </div>
+      )}
+
+      {entry && !isOwner && entry.owner && (
+        <div style={{ marginTop: 12, fontSize: 14, color: 'var(--slate-600)' }}>
+          Shared by {entry.owner.name} • {ACCESS_LABELS[entry.access] || 'Can view'}
+        </div>
+      )}
+
+      {entry && (
+        <div style={{ marginTop: 20 }}>
+          <div style={{ fontSize: 14, fontWeight: 600, color: 'var(--slate-700)', marginBottom: 8 }}>
+            Comments ({entry.comments.length})
+          </div>
+          {entry.comments.map(item => (
+            <div key={item.id} style={{ padding: '8px 0', borderTop: '1px solid var(--slate-100)', fontSize: 14 }}>
+              <div style={{ fontSize: 12, color: 'var(--slate-500)', marginBottom: 2 }}>
+                {item.name} • {new Date(item.createdAt).toLocaleString()}
+              </div>
+              <div style={{ color: 'var(--slate-700)', whiteSpace: 'pre-wrap' }}>{item.text}</div>
+            </div>
+          ))}
+          {canComment && entry.owner && (
+            <form onSubmit={handleComment} style={{ display: 'flex', gap: 8, marginTop: 8 }}>
+              <textarea
+                aria-label="Comment"
+                placeholder="Add a comment for your team"
+                value={comment}
+                maxLength={2000}
+                onChange={(e) => setComment(e.target.value)}
+                rows={2}
+                style={{ ...inputStyle, flex: 1, resize: 'vertical' }}
+              />
+              <button type="submit" className="btn btn-primary" disabled={busy || !comment.trim()}>
+                Comment
+              </button>
+            </form>
+          )}
+        </div>
+      )}
+    </Card>
+  )
+}
+
+export default SharingPanel
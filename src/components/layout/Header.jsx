@@ -1,5 +1,6 @@
 import { useState } from 'react'
 import NotificationCenter from '../ui/NotificationCenter.jsx'
+import { logout } from '../../utils/authClient.js'
 import '../../styles/theme.css'
 import '../../styles/layout.css'
 
@@ -275,8 +276,9 @@ const Header = ({ user, onUpdateUser }) => {
                     }} />
                     
                     <button
-                      onClick={() => {
+                      onClick={async () => {
                         if (confirm('Are you sure you want to sign out?')) {
+                          await logout()
                           localStorage.clear()
                           window.location.reload()
                         }
@@ -4,6 +4,7 @@ import '../../styles/layout.css'
 const Tabs = ({ active, setActive }) => {
   const tabs = [
     { name: 'Summary', icon: '📊' },
+    { name: 'Document', icon: '📄' },
     { name: 'Clauses', icon: '📋' },
     { name: 'Risks', icon: '⚠️' },
     { name: 'Compare', icon: '🔄' }
@@ -1,15 +1,17 @@
 import { useState, useEffect } from 'react'
 import '../../styles/theme.css'
 import '../../styles/animations.css'
+import { listHistory } from '../../utils/analysisHistory.js'
 
-const UserProfile = ({ user, onUpdateUser, onClose }) => {
+const UserProfile = ({ user, onUpdateUser, onClose, onOpenEntry }) => {
   const [activeTab, setActiveTab] = useState('profile')
+  const [historyScope, setHistoryScope] = useState('mine')
+  const [savedEntries, setSavedEntries] = useState({ items: [], total: 0, loading: false, error: null })
   const [profile, setProfile] = useState({
     name: user?.name || '',
     email: user?.email || user?.contact || '',
     phone: user?.phone || user?.contact || '',
     company: user?.company || '',
-    role: user?.role || '',
     avatar: user?.avatar || '',
     bio: user?.bio || '',
     location: user?.location || '',
@@ -41,7 +43,7 @@ const UserProfile = ({ user, onUpdateUser, onClose }) => {
     }
   })
 
-  const [analysisHistory, setAnalysisHistory] = useState(() => {
+  const [analysisHistory] = useState(() => {
     const saved = localStorage.getItem('analysisHistory')
     return saved ? JSON.parse(saved) : []
   })
@@ -65,6 +67,17 @@ const UserProfile = ({ user, onUpdateUser, onClose }) => {
     localStorage.setItem('theme', settings.theme)
   }, [settings])
 
+  // Saved analyses come from the backend; reload when the tab opens or the scope changes
+  useEffect(() => {
+    if (activeTab !== 'history') return
+    let cancelled = false
+    setSavedEntries(previous => ({ ...previous, loading: true, error: null }))
+    listHistory({ scope: historyScope, limit: 20 })
+      .then(data => !cancelled && setSavedEntries({ ...data, loading: false, error: null }))
+      .catch(error => !cancelled && setSavedEntries({ items: [], total: 0, loading: false, error: error.message }))
+    return () => { cancelled = true }
+  }, [activeTab, historyScope])
+
   const handleProfileUpdate = () => {
     const updatedUser = { ...user, ...profile }
     onUpdateUser(updatedUser)
@@ -98,14 +111,6 @@ const UserProfile = ({ user, onUpdateUser, onClose }) => {
     URL.revokeObjectURL(url)
   }
 
-  const clearHistory = () => {
-    if (confirm('Are you sure you want to clear all analysis history? This cannot be undone.')) {
-      setAnalysisHistory([])
-      localStorage.removeItem('analysisHistory')
-      localStorage.removeItem('history')
-    }
-  }
-
   const renderTabNavigation = () => (
     <div style={{
       display: 'flex',
@@ -305,28 +310,22 @@ const UserProfile = ({ user, onUpdateUser, onClose }) => {
             color: 'var(--gray-700)',
             marginBottom: 'var(--space-2)'
           }}>
-            Role/Title
+            Role
           </label>
-          <select
-            value={profile.role}
-            onChange={(e) => setProfile(prev => ({ ...prev, role: e.target.value }))}
+          <div
+            title="Roles are assigned by your legal counsel"
             style={{
               width: '100%',
               padding: 'var(--space-3)',
-              border: '1px solid var(--gray-300)',
+              border: '1px solid var(--gray-200)',
               borderRadius: 'var(--radius)',
-              fontSize: '14px'
+              fontSize: '14px',
+              background: 'var(--gray-50)',
+              color: 'var(--gray-700)'
             }}
           >
-            <option value="">Select Role</option>
-            <option value="lawyer">Lawyer</option>
-            <option value="paralegal">Paralegal</option>
-            <option value="legal-counsel">Legal Counsel</option>
-            <option value="contract-manager">Contract Manager</option>
-            <option value="compliance-officer">Compliance Officer</option>
-            <option value="business-analyst">Business Analyst</option>
-            <option value="other">Other</option>
-          </select>
+            {user?.roleLabel || 'Not assigned'}
+          </div>
         </div>
 
         <div>
@@ -668,7 +667,7 @@ const UserProfile = ({ user, onUpdateUser, onClose }) => {
         ))}
       </div>
 
-      {/* Recent Activity */}
+      {/* Saved analyses: the user's own and the ones teammates shared */}
       <div style={{
         background: 'white',
         borderRadius: 'var(--radius-xl)',
@@ -688,28 +687,44 @@ const UserProfile = ({ user, onUpdateUser, onClose }) => {
             color: 'var(--gray-900)',
             margin: 0
           }}>
-            📈 Recent Activity
+            📁 Saved Analyses
           </h3>
-          <button
-            onClick={clearHistory}
-            className="btn btn-secondary btn-sm"
-            style={{ color: 'var(--accent-red)' }}
-          >
-            🗑️ Clear History
-          </button>
+          <div role="tablist" style={{ display: 'flex', gap: 'var(--space-2)' }}>
+            {[
+              { id: 'mine', label: 'Mine' },
+              { id: 'shared', label: 'Shared with me' }
+            ].map(scope => (
+              <button
+                key={scope.id}
+                role="tab"
+                aria-selected={historyScope === scope.id}
+                onClick={() => setHistoryScope(scope.id)}
+                className={`btn btn-sm ${historyScope === scope.id ? 'btn-primary' : 'btn-secondary'}`}
+              >
+                {scope.label}
+              </button>
+            ))}
+          </div>
         </div>
         
         <div style={{ maxHeight: '400px', overflowY: 'auto' }}>
-          {analysisHistory.length > 0 ? (
-            analysisHistory.slice(0, 10).map((item, index) => (
+          {savedEntries.error && (
+            <div role="alert" style={{ padding: 'var(--space-4) var(--space-6)', color: 'var(--accent-red)', fontSize: '14px' }}>
+              Could not load saved analyses: {savedEntries.error}
+            </div>
+          )}
+          {savedEntries.items.length > 0 ? (
+            savedEntries.items.map((item, index) => (
               <div
-                key={index}
+                key={item.id}
+                onClick={() => onOpenEntry?.(item)}
                 style={{
                   padding: 'var(--space-4) var(--space-6)',
-                  borderBottom: index < analysisHistory.length - 1 ? '1px solid var(--gray-100)' : 'none',
+                  borderBottom: index < savedEntries.items.length - 1 ? '1px solid var(--gray-100)' : 'none',
                   display: 'flex',
                   alignItems: 'center',
-                  gap: 'var(--space-3)'
+                  gap: 'var(--space-3)',
+                  cursor: onOpenEntry ? 'pointer' : 'default'
                 }}
               >
                 <div style={{
@@ -723,14 +738,18 @@ const UserProfile = ({ user, onUpdateUser, onClose }) => {
                   fontSize: '14px',
                   color: 'white'
                 }}>
-                  📄
+                  {item.kind === 'comparison' ? '⚖️' : '📄'}
                 </div>
                 <div style={{ flex: 1 }}>
                   <div style={{ fontWeight: '600', marginBottom: '2px' }}>
-                    {item.name || `Analysis ${index + 1}`}
+                    {item.title}
                   </div>
                   <div style={{ fontSize: '13px', color: 'var(--gray-600)' }}>
-                    {item.date || new Date().toLocaleDateString()}
+                    {[
+                      historyScope === 'shared' && item.owner && `Shared by ${item.owner.name}`,
+                      new Date(item.createdAt).toLocaleDateString(),
+                      item.commentCount > 0 && `${item.commentCount} comment${item.commentCount === 1 ? '' : 's'}`
+                    ].filter(Boolean).join(' • ')}
                   </div>
                 </div>
                 <div style={{
@@ -740,18 +759,24 @@ const UserProfile = ({ user, onUpdateUser, onClose }) => {
                   fontSize: '12px',
                   color: 'var(--gray-600)'
                 }}>
-                  {item.type || 'Document'}
+                  {historyScope === 'shared'
+                    ? (item.sharedWith?.find(member => member.userId === user?.id)?.access === 'comment' ? 'Can comment' : 'Can view')
+                    : item.sharedWith?.length > 0 ? `Shared with ${item.sharedWith.length}` : 'Private'}
                 </div>
               </div>
             ))
-          ) : (
+          ) : !savedEntries.loading && !savedEntries.error && (
             <div style={{
               padding: 'var(--space-8)',
               textAlign: 'center',
               color: 'var(--gray-500)'
             }}>
               <div style={{ fontSize: '48px', marginBottom: 'var(--space-4)' }}>📊</div>
-              <p>No analysis history yet. Start analyzing documents to see your activity here!</p>
+              <p>
+                {historyScope === 'shared'
+                  ? 'Nothing has been shared with you yet. Teammates can share analyses with you by email or link.'
+                  : 'No saved analyses yet. Start analyzing documents to see them here!'}
+              </p>
             </div>
           )}
         </div>
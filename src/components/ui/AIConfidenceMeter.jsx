@@ -61,6 +61,13 @@ const AIConfidenceMeter = ({ confidence = 0, stage = null }) => {
           description: 'Analyzing legal patterns...',
           color: 'var(--gradient-purple)'
         }
+      case 'parsing':
+        return {
+          icon: '🔍',
+          label: 'Verification',
+          description: 'Checking quotes against the document...',
+          color: 'var(--gradient-info)'
+        }
       default:
         return {
           icon: '✨',
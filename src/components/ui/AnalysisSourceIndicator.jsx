@@ -2,13 +2,16 @@ import React from 'react'
 
 /**
  * Analysis Source Indicator Component
- * Shows whether real AI or mock data was used for analysis
+ * Shows whether real AI, offline rules or mock data was used for analysis
  */
 function AnalysisSourceIndicator({ metadata, errorDetails }) {
     if (!metadata) return null
 
     const isRealAI = metadata.usingRealAI || metadata.processingDetails?.source === 'real-ai'
+    const isRuleBased = metadata.processingDetails?.source === 'rule-based'
     const credentialStatus = metadata.processingDetails?.credentialStatus
+    // The backend reports provider failures as a plain message string
+    const errorInfo = typeof errorDetails === 'string' ? { message: errorDetails } : errorDetails
 
     return (
         <div style={{
@@ -23,7 +26,7 @@ function AnalysisSourceIndicator({ metadata, errorDetails }) {
                 display: 'flex',
                 alignItems: 'center',
                 gap: '8px',
-                marginBottom: errorDetails ? '8px' : '0'
+                marginBottom: errorInfo ? '8px' : '0'
             }}>
                 <span style={{ fontSize: '16px' }}>
                     {isRealAI ? '🤖' : '📋'}
@@ -32,7 +35,7 @@ function AnalysisSourceIndicator({ metadata, errorDetails }) {
                     fontWeight: '600',
                     color: isRealAI ? 'var(--green-800)' : 'var(--orange-800)'
                 }}>
-                    {isRealAI ? 'Real AI Analysis' : 'Mock Data Fallback'}
+                    {isRealAI ? 'Real AI Analysis' : isRuleBased ? 'Offline Rule-Based Analysis' : 'Mock Data Fallback'}
                 </span>
                 {metadata.model && (
                     <span style={{
@@ -52,15 +55,18 @@ function AnalysisSourceIndicator({ metadata, errorDetails }) {
                 <div style={{
                     fontSize: '12px',
                     color: 'var(--gray-600)',
-                    marginBottom: errorDetails ? '8px' : '0'
+                    marginBottom: errorInfo ? '8px' : '0'
                 }}>
                     Credentials: {credentialStatus || 'unknown'} • 
                     Processing time: {metadata.processingDetails.processingTime || 0}ms
+                    {metadata.processingDetails.cache?.hit && (
+                        <> • Cached result from {new Date(metadata.processingDetails.cache.cachedAt).toLocaleString()}</>
+                    )}
                 </div>
             )}
 
             {/* Show error details if AI failed */}
-            {errorDetails && !isRealAI && (
+            {errorInfo && !isRealAI && (
                 <div style={{
                     padding: '8px 12px',
                     background: 'var(--red-50)',
@@ -73,16 +79,16 @@ function AnalysisSourceIndicator({ metadata, errorDetails }) {
                         color: 'var(--red-800)',
                         marginBottom: '4px'
                     }}>
-                        AI Analysis Failed: {errorDetails.message}
+                        AI Analysis Failed: {errorInfo.message}
                     </div>
                     <div style={{
                         fontSize: '12px',
                         color: 'var(--red-700)',
                         marginBottom: '6px'
                     }}>
-                        {errorDetails.resolution}
+                        {errorInfo.resolution}
                     </div>
-                    {errorDetails.technical && (
+                    {errorInfo.technical && (
                         <details style={{ fontSize: '11px', color: 'var(--red-600)' }}>
                             <summary style={{ cursor: 'pointer', marginBottom: '4px' }}>
                                 Technical Details
@@ -94,7 +100,7 @@ function AnalysisSourceIndicator({ metadata, errorDetails }) {
                                 borderRadius: '3px',
                                 wordBreak: 'break-all'
                             }}>
-                                {errorDetails.technical}
+                                {errorInfo.technical}
                             </code>
                         </details>
                     )}
@@ -0,0 +1,52 @@
+import RiskChip from './RiskChip.jsx'
+import '../../styles/theme.css'
+import '../../styles/animations.css'
+
+/**
+ * Clauses streamed from the model while the analysis is still running
+ */
+const LiveClauseFeed = ({ clauses }) => {
+  if (!clauses || clauses.length === 0) return null
+
+  return (
+    <div className="fade-in" style={{
+      margin: '0 auto 24px',
+      maxWidth: 720,
+      padding: 16,
+      background: 'var(--slate-50)',
+      border: '1px solid var(--slate-200)',
+      borderRadius: 'var(--radius-lg)'
+    }}>
+      <div style={{
+        fontSize: 14,
+        fontWeight: 600,
+        color: 'var(--slate-700)',
+        marginBottom: 12
+      }}>
+        {clauses.length} clause{clauses.length === 1 ? '' : 's'} found so far
+      </div>
+
+      {clauses.map((clause, index) => (
+        <div
+          key={`${clause.id || 'clause'}-${index}`}
+          className="fade-in"
+          style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            gap: 12,
+            padding: '8px 0',
+            borderTop: index === 0 ? 'none' : '1px solid var(--slate-200)'
+          }}
+        >
+          <span style={{ color: 'var(--slate-800)', fontSize: 14 }}>
+            {clause.title || clause.category || 'Clause'}
+          </span>
+          {clause.riskLevel && <RiskChip level={clause.riskLevel} size="small" />}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default LiveClauseFeed
@@ -8,6 +8,8 @@ const Loader = ({ stage }) => {
         return 'Extracting text from document...'
       case 'bedrock':
         return 'Analyzing clauses with AI...'
+      case 'parsing':
+        return 'Matching clauses to the document...'
       default:
         return 'Processing...'
     }
@@ -14,6 +14,12 @@ const ProgressBar = ({ stage }) => {
       label: 'AI Analysis',
       icon: '🧠',
       description: 'Analyzing clauses and risks...'
+    },
+    {
+      key: 'parsing',
+      label: 'Verification',
+      icon: '🔍',
+      description: 'Matching clauses to the document...'
     }
   ]
 
@@ -267,10 +267,7 @@ export class ContractProcessor {
       throw new Error('Document text must be a non-empty string');
     }
 
-    // Check document size (50,000 tokens ≈ 200,000 characters)
-    if (text.length > 200000) {
-      throw new Error('Document too large. Maximum size is approximately 50,000 tokens.');
-    }
+    // No size cap: long documents are split and analyzed in chunks (functions/ai/ChunkedAnalyzer.js)
   }
 
   /**
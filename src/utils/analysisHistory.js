@@ -0,0 +1,151 @@
+/**
+ * Analysis History client
+ * Lists, reopens, deletes and shares analyses saved by the backend (/api/v1/history)
+ */
+
+import { transformAnalysisForUI } from './documentProcessor.js'
+import { authFetch } from './authClient.js'
+
+const HISTORY_URL = '/api/v1/history'
+const SHARED_URL = '/api/v1/shared'
+
+async function requestJson(url, options = {}) {
+  const response = await authFetch(url, options)
+  if (response.status === 204) {
+    return null
+  }
+
+  const data = await response.json()
+  if (!response.ok) {
+    throw new Error(data.message || `History API error: ${response.status}`)
+  }
+  return data
+}
+
+/**
+ * List saved results matching the filters
+ * Filters: scope ('mine' or 'shared'), search, kind ('analysis' or 'comparison'), risk (highest severity),
+ * limit, offset
+ * Resolves with { items, total }
+ */
+export async function listHistory(filters = {}) {
+  const params = new URLSearchParams()
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      params.set(key, value)
+    }
+  })
+
+  const query = params.toString()
+  return requestJson(query ? `${HISTORY_URL}?${query}` : HISTORY_URL)
+}
+
+export async function getHistoryEntry(id) {
+  return requestJson(`${HISTORY_URL}/${encodeURIComponent(id)}`)
+}
+
+export async function deleteHistoryEntry(id) {
+  return requestJson(`${HISTORY_URL}/${encodeURIComponent(id)}`, { method: 'DELETE' })
+}
+
+function postJson(url, body) {
+  return requestJson(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  })
+}
+
+/**
+ * Share an entry with a teammate; access is 'view' or 'comment'. Resolves with the entry's sharing
+ */
+export async function shareHistoryEntry(id, email, access) {
+  const { sharing } = await postJson(`${HISTORY_URL}/${encodeURIComponent(id)}/shares`, { email, access })
+  return sharing
+}
+
+export async function unshareHistoryEntry(id, userId) {
+  const { sharing } = await requestJson(`${HISTORY_URL}/${encodeURIComponent(id)}/shares/${encodeURIComponent(userId)}`, { method: 'DELETE' })
+  return sharing
+}
+
+/**
+ * Create a share link for an entry; resolves with the sharing, whose link.url can be copied
+ */
+export async function createShareLink(id, access) {
+  const { sharing } = await postJson(`${HISTORY_URL}/${encodeURIComponent(id)}/link`, { access })
+  return sharing
+}
+
+export async function revokeShareLink(id) {
+  const { sharing } = await requestJson(`${HISTORY_URL}/${encodeURIComponent(id)}/link`, { method: 'DELETE' })
+  return sharing
+}
+
+export async function addHistoryComment(id, text) {
+  const { comment } = await postJson(`${HISTORY_URL}/${encodeURIComponent(id)}/comments`, { text })
+  return comment
+}
+
+/**
+ * Open an entry from a share link token (the ?share= parameter)
+ */
+export async function openSharedEntry(token) {
+  return requestJson(`${SHARED_URL}/${encodeURIComponent(token)}`)
+}
+
+/**
+ * Rebuild the view state for a saved entry, matching what a fresh analysis or comparison shows
+ * Returns { isComparison, result }
+ */
+export function historyEntryToResult(entry) {
+  const { response = {}, document = {} } = entry
+
+  if (entry.kind === 'comparison') {
+    return {
+      isComparison: true,
+      result: {
+        comparison: response.comparison,
+        documents: response.documents,
+        metadata: {
+          processedAt: response.processedAt,
+          model: response.model,
+          documentsAnalyzed: response.documentsAnalyzed,
+          usingRealAI: response.usingRealAI
+        },
+        errorDetails: response.errorDetails
+      }
+    }
+  }
+
+  const sourceText = entry.sourceText || response.extraction?.text || ''
+  return {
+    isComparison: false,
+    result: transformAnalysisForUI({
+      document: {
+        name: document.name,
+        size: sourceText.length,
+        type: document.type,
+        source: document.source,
+        ...(document.url && { url: document.url })
+      },
+      extraction: {
+        text: sourceText,
+        pages: response.extraction?.pages || [],
+        confidence: response.confidence,
+        method: response.extraction?.method || 'api-processing'
+      },
+      analysis: response.analysis,
+      metadata: {
+        processedAt: response.processedAt,
+        model: response.model,
+        usingRealAI: response.usingRealAI,
+        processingDetails: response.processingDetails,
+        errorDetails: response.errorDetails,
+        confidence: response.confidence,
+        processingTime: response.processingDetails?.processingTime || 0,
+        historyId: entry.id
+      }
+    })
+  }
+}
@@ -0,0 +1,161 @@
+/**
+ * Auth client
+ * Signs in against /api/v1/auth, keeps the session tokens in localStorage and adds the
+ * access token to backend requests, refreshing it once when the backend answers 401
+ */
+
+const AUTH_URL = '/api/v1/auth'
+const SESSION_KEY = 'authSession'
+
+// Dispatched on window when the session can no longer be refreshed
+export const SESSION_EXPIRED_EVENT = 'clearclause:session-expired'
+
+let refreshing = null
+
+export function getSession() {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY)) || null
+  } catch (error) {
+    return null
+  }
+}
+
+function saveSession(session) {
+  localStorage.setItem(SESSION_KEY, JSON.stringify(session))
+}
+
+export function clearSession() {
+  localStorage.removeItem(SESSION_KEY)
+}
+
+async function requestAuth(action, body, headers = {}) {
+  const response = await fetch(`${AUTH_URL}/${action}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  })
+  if (response.status === 204) {
+    return null
+  }
+
+  const data = await response.json()
+  if (!response.ok) {
+    // Validation failures list field errors in details; other errors may carry retryAfter or attemptsRemaining
+    const fieldError = Array.isArray(data.details) ? data.details[0] : null
+    const error = new Error(fieldError ? `${fieldError.path.slice(1)} ${fieldError.message}` : data.message)
+    error.status = response.status
+    error.details = fieldError ? null : data.details || null
+    throw error
+  }
+  return data
+}
+
+/**
+ * Create an account; the backend emails a verification link before the account can sign in
+ */
+export async function signup({ email, password, name, company, phone }) {
+  return requestAuth('signup', { email, password, name, ...(company && { company }), ...(phone && { phone }) })
+}
+
+export async function verifyEmail(token) {
+  const { user } = await requestAuth('verify', { token })
+  return user
+}
+
+/**
+ * Sign in and keep the session; resolves with the user
+ */
+export async function login(email, password) {
+  const session = await requestAuth('login', { email, password })
+  saveSession(session)
+  return { ...session.user, loginMethod: 'password', lastLogin: new Date().toISOString() }
+}
+
+/**
+ * Send a one-time sign-in code; channel is 'email' or 'phone'
+ * Resolves with { sentTo, expiresAt, resendAvailableAt, attemptsRemaining }
+ */
+export async function requestOtp(channel, contact) {
+  return requestAuth('otp', { channel, contact })
+}
+
+/**
+ * Sign in with a one-time code and keep the session; resolves with the user
+ */
+export async function loginWithOtp(channel, contact, code) {
+  const session = await requestAuth('otp/verify', { channel, contact, code })
+  saveSession(session)
+  return { ...session.user, loginMethod: 'otp', lastLogin: new Date().toISOString() }
+}
+
+/**
+ * The signed-in user as the backend sees them, with their current role and permissions
+ * Resolves with null when there is no session
+ */
+export async function getCurrentUser() {
+  if (!getSession()) return null
+
+  const response = await authFetch(`${AUTH_URL}/me`)
+  if (!response.ok) return null
+  const { user } = await response.json()
+  return user
+}
+
+export async function logout() {
+  const session = getSession()
+  clearSession()
+  if (!session) return
+
+  try {
+    await requestAuth('logout', { refreshToken: session.refreshToken }, { Authorization: `Bearer ${session.accessToken}` })
+  } catch (error) {
+    console.warn('Sign-out request failed:', error.message)
+  }
+}
+
+/**
+ * Swap the refresh token for new tokens; concurrent callers share one request
+ * Resolves with the new session, or null (and clears it) when the session has ended
+ */
+export function refreshSession() {
+  if (!refreshing) {
+    const session = getSession()
+    refreshing = (session ? requestAuth('refresh', { refreshToken: session.refreshToken }) : Promise.resolve(null))
+      .then(next => {
+        if (next) saveSession(next)
+        return next
+      })
+      .catch(() => {
+        clearSession()
+        window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT))
+        return null
+      })
+      .finally(() => {
+        refreshing = null
+      })
+  }
+  return refreshing
+}
+
+/**
+ * fetch() with the signed-in user's access token
+ */
+export async function authFetch(url, options = {}) {
+  const session = getSession()
+  if (!session) {
+    return fetch(url, options)
+  }
+
+  const withToken = (accessToken) => ({
+    ...options,
+    headers: { ...options.headers, Authorization: `Bearer ${accessToken}` }
+  })
+
+  const response = await fetch(url, withToken(session.accessToken))
+  if (response.status !== 401) {
+    return response
+  }
+
+  const refreshed = await refreshSession()
+  return refreshed ? fetch(url, withToken(refreshed.accessToken)) : response
+}
@@ -7,6 +7,7 @@ import { S3Client, PutObjectCommand, GetObjectCommand } from '@aws-sdk/client-s3
 import { TextractClient, DetectDocumentTextCommand, AnalyzeDocumentCommand } from '@aws-sdk/client-textract'
 import { BedrockRuntimeClient, InvokeModelCommand } from '@aws-sdk/client-bedrock-runtime'
 import { LambdaClient, InvokeCommand } from '@aws-sdk/client-lambda'
+import { authFetch } from './authClient.js'
 
 // AWS Configuration from environment variables
 const AWS_CONFIG = {
@@ -163,30 +164,27 @@ export async function processWithOCRLambda(s3Key) {
 }
 
 /**
- * Fetch content from URL using Lambda function
+ * Fetch content from URL using the backend fetch-url action
  */
 export async function fetchURLContent(url) {
   try {
-    const payload = {
-      url: url,
-      extractText: true,
-      followRedirects: true
-    }
-
-    const command = new InvokeCommand({
-      FunctionName: URL_LAMBDA,
-      Payload: JSON.stringify(payload)
+    const response = await authFetch('/api/process', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action: 'fetch-url', url })
     })
+    const content = await response.json()
+
+    if (!response.ok) {
+      throw new Error(content.message || `URL fetch failed with status ${response.status}`)
+    }
 
-    const result = await lambdaClient.send(command)
-    const response = JSON.parse(new TextDecoder().decode(result.Payload))
-    
     return {
       success: true,
-      ...response
+      ...content
     }
   } catch (error) {
-    console.error('URL Lambda Error:', error)
+    console.error('URL Fetch Error:', error)
     return {
       success: false,
       error: error.message
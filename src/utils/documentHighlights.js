@@ -0,0 +1,92 @@
+/**
+ * Document highlights
+ * Turns clause offsets (startPosition/endPosition from the backend's source anchoring) into
+ * text segments for the annotated document view, and risk positions into minimap markers
+ */
+
+import { severityRank } from './severityMap.js'
+
+/**
+ * Whether an item has usable offsets into a text of the given length
+ */
+export function isLocated(item, textLength) {
+  return Number.isInteger(item?.startPosition) && Number.isInteger(item?.endPosition) &&
+    item.startPosition >= 0 && item.endPosition > item.startPosition && item.endPosition <= textLength
+}
+
+/**
+ * Split text into consecutive segments, each with the clause that covers it (or null)
+ * Where clauses overlap, the more severe one wins, then the one that starts first
+ * @returns {Array<{ start: number, end: number, text: string, clause: Object|null }>}
+ */
+export function segmentDocument(text, clauses = []) {
+  if (!text) return []
+
+  const located = clauses.filter(clause => isLocated(clause, text.length))
+  const boundaries = [...new Set([0, text.length, ...located.flatMap(clause => [clause.startPosition, clause.endPosition])])]
+    .sort((a, b) => a - b)
+
+  const segments = []
+  for (let index = 0; index < boundaries.length - 1; index++) {
+    const start = boundaries[index]
+    const end = boundaries[index + 1]
+    const clause = located
+      .filter(candidate => candidate.startPosition <= start && candidate.endPosition >= end)
+      .sort((a, b) => severityRank(b.riskLevel) - severityRank(a.riskLevel) || a.startPosition - b.startPosition)[0] || null
+
+    const previous = segments[segments.length - 1]
+    if (previous && previous.clause === clause) {
+      previous.end = end
+      previous.text = text.slice(previous.start, end)
+    } else {
+      segments.push({ start, end, text: text.slice(start, end), clause })
+    }
+  }
+  return segments
+}
+
+/**
+ * Minimap markers for high and critical language: located clauses by riskLevel and risks by level
+ * top and height are percentages of the document length
+ * @returns {Array<{ key: string, top: number, height: number, level: string, label: string, clauseId: string|null, start: number }>}
+ */
+export function riskMarkers(text, clauses = [], risks = [], minLevel = 'high') {
+  if (!text) return []
+
+  const threshold = severityRank(minLevel)
+  const toMarker = (key, item, level, label, clauseId) => ({
+    key,
+    top: (item.startPosition / text.length) * 100,
+    height: ((item.endPosition - item.startPosition) / text.length) * 100,
+    level,
+    label,
+    clauseId,
+    start: item.startPosition
+  })
+
+  const clauseMarkers = clauses
+    .filter(clause => isLocated(clause, text.length) && severityRank(clause.riskLevel) >= threshold)
+    .map(clause => toMarker(`clause-${clause.id}`, clause, clause.riskLevel, clause.title, clause.id))
+
+  const quoteMarkers = risks
+    .map((risk, index) => ({ risk, index }))
+    .filter(({ risk }) => isLocated(risk, text.length) && severityRank(risk.level) >= threshold)
+    .map(({ risk, index }) => toMarker(`risk-${index}`, risk, risk.level, risk.title, risk.clauseReference || clauseAt(clauses, risk.startPosition, text.length)?.id || null))
+
+  return [...clauseMarkers, ...quoteMarkers].sort((a, b) => a.start - b.start)
+}
+
+/**
+ * Risks that belong to a clause: referenced by ID, or quoting text inside it
+ */
+export function risksForClause(clause, risks = []) {
+  return risks.filter(risk =>
+    (risk.clauseReference && risk.clauseReference === clause.id) ||
+    (Number.isInteger(risk.startPosition) && Number.isInteger(clause.startPosition) &&
+      risk.startPosition < clause.endPosition && risk.endPosition > clause.startPosition)
+  )
+}
+
+function clauseAt(clauses, position, textLength) {
+  return clauses.find(clause => isLocated(clause, textLength) && clause.startPosition <= position && clause.endPosition > position)
+}
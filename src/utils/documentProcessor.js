@@ -5,6 +5,73 @@
 
 // Client-side contract processor (simplified version without server dependencies)
 
+import { readServerSentEvents } from './serverSentEvents.js'
+import { authFetch } from './authClient.js'
+
+/**
+ * Send an analyze request to the backend
+ * With options.onProgress the streaming endpoint is used, and onProgress receives
+ * { type: 'stage', stage, status, ... } and { type: 'clause', clause } events as the analysis runs
+ */
+async function requestAnalysis(requestBody, options = {}) {
+  if (options.onProgress) {
+    return streamAnalysis(requestBody, options.onProgress)
+  }
+
+  const response = await authFetch('/api/process', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ action: 'analyze', ...requestBody })
+  })
+
+  if (!response.ok) {
+    throw new Error(`Backend API error: ${response.status}`)
+  }
+
+  return response.json()
+}
+
+/**
+ * Run an analyze request over Server-Sent Events and resolve with the final result payload
+ */
+async function streamAnalysis(requestBody, onProgress) {
+  const response = await authFetch('/api/process/stream', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ action: 'analyze', ...requestBody })
+  })
+
+  if (!response.ok) {
+    throw new Error(`Backend API error: ${response.status}`)
+  }
+
+  let result = null
+  let streamError = null
+
+  await readServerSentEvents(response, (event, data) => {
+    if (event === 'result') {
+      result = data
+    } else if (event === 'error') {
+      streamError = data
+    } else {
+      onProgress({ type: event, ...data })
+    }
+  })
+
+  if (streamError) {
+    throw new Error(streamError.message || streamError.error || 'Streaming analysis failed')
+  }
+  if (!result) {
+    throw new Error('Analysis stream ended before a result was received')
+  }
+
+  return result
+}
+
 /**
  * Process a single document through the complete analysis pipeline
  */
@@ -21,8 +88,8 @@ export async function processDocument(file, options = {}) {
     results.stage = 'textract'
     results.progress = 10
 
-    // Read file content as text
-    const fileText = await readFileAsText(file)
+    // Binary documents are sent as bytes so the backend can extract the real text
+    const filePayload = await buildFilePayload(file)
     results.progress = 50
 
     // Stage 2: Analyze with backend API
@@ -30,24 +97,11 @@ export async function processDocument(file, options = {}) {
     results.progress = 60
 
     // Send to backend API for analysis
-    const response = await fetch('/api/process', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        action: 'analyze',
-        documentText: fileText,
-        documentType: file.type,
-        filename: file.name
-      })
-    })
-
-    if (!response.ok) {
-      throw new Error(`Backend API error: ${response.status}`)
-    }
-
-    const analysisResult = await response.json()
+    const analysisResult = await requestAnalysis({
+      ...filePayload,
+      documentType: file.type,
+      filename: file.name
+    }, options)
     results.progress = 90
 
     // Stage 3: Format results for UI compatibility
@@ -59,14 +113,19 @@ export async function processDocument(file, options = {}) {
         source: 'file-upload'
       },
       extraction: {
-        text: fileText,
+        text: analysisResult.extraction?.text || filePayload.documentText || '',
+        pages: analysisResult.extraction?.pages || [],
         confidence: analysisResult.confidence || 95,
-        method: 'api-processing'
+        method: analysisResult.extraction?.method || 'api-processing'
       },
       analysis: analysisResult.analysis || analysisResult,
       metadata: {
         processedAt: new Date().toISOString(),
         model: analysisResult.model || 'backend-api',
+        usingRealAI: analysisResult.usingRealAI,
+        processingDetails: analysisResult.processingDetails,
+        historyId: analysisResult.historyId,
+        errorDetails: analysisResult.errorDetails,
         confidence: analysisResult.confidence || 95,
         processingMethod: 'api-processing',
         processingTime: analysisResult.processingTime || 0
@@ -86,30 +145,41 @@ export async function processDocument(file, options = {}) {
   }
 }
 
+/**
+ * Build the request fields for an uploaded file
+ * PDF, Word and Excel files are sent as base64 for server-side extraction, text and CSV files as text
+ */
+async function buildFilePayload(file) {
+  const fileExtension = file.name.split('.').pop().toLowerCase()
+
+  if (['pdf', 'docx', 'doc', 'xlsx', 'xls'].includes(fileExtension)) {
+    return { fileData: await readFileAsBase64(file) }
+  }
+
+  return { documentText: await readFileAsText(file) }
+}
+
+/**
+ * Helper function to read file as base64 (without the data URL prefix)
+ */
+async function readFileAsBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = (e) => resolve(String(e.target.result).split(',')[1] || '')
+    reader.onerror = () => reject(new Error('Failed to read file'))
+    reader.readAsDataURL(file)
+  })
+}
+
 /**
  * Helper function to read file as text
- * Handles text files, PDFs, Word docs, and Excel files
  */
 async function readFileAsText(file) {
   return new Promise((resolve, reject) => {
-    const fileExtension = file.name.split('.').pop().toLowerCase()
-    
-    // Check if it's an Excel file
-    if (['xlsx', 'xls', 'csv'].includes(fileExtension)) {
-      // For Excel files, we'll send a placeholder that indicates Excel processing is needed
-      // The backend will handle the actual Excel parsing
-      resolve(`[Excel Document: ${file.name}]\n\nThis is an Excel/CSV file that will be processed by the backend API. The file contains tabular data that will be analyzed for contract terms, financial information, and risk assessment.\n\nFile: ${file.name}\nSize: ${(file.size / 1024).toFixed(2)} KB\nType: ${file.type || 'Excel/CSV Document'}`)
-    } else if (fileExtension === 'pdf') {
-      // For PDF files, we need to send them to the backend for text extraction
-      // The backend should use AWS Textract or similar to extract text
-      resolve(`[PDF Document: ${file.name}]\n\nThis is a PDF file that needs text extraction. The backend will use AWS Textract to extract the readable text content for contract analysis.\n\nFile: ${file.name}\nSize: ${(file.size / 1024).toFixed(2)} KB\nType: PDF Document\n\nNote: Please upload the document to S3 first, then use the S3 key for analysis to enable proper PDF text extraction.`)
-    } else {
-      // For text-based files, read as text
-      const reader = new FileReader()
-      reader.onload = (e) => resolve(e.target.result)
-      reader.onerror = (e) => reject(new Error('Failed to read file'))
-      reader.readAsText(file)
-    }
+    const reader = new FileReader()
+    reader.onload = (e) => resolve(e.target.result)
+    reader.onerror = (e) => reject(new Error('Failed to read file'))
+    reader.readAsText(file)
   })
 }
 
@@ -137,7 +207,7 @@ export async function processImageDocument(file, options = {}) {
     results.progress = 60
 
     // Analyze placeholder text with backend API
-    const response = await fetch('/api/process', {
+    const response = await authFetch('/api/process', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -173,6 +243,10 @@ export async function processImageDocument(file, options = {}) {
       metadata: {
         processedAt: analysisResult.processedAt || new Date().toISOString(),
         model: analysisResult.model,
+        usingRealAI: analysisResult.usingRealAI,
+        processingDetails: analysisResult.processingDetails,
+        historyId: analysisResult.historyId,
+        errorDetails: analysisResult.errorDetails,
         confidence: analysisResult.confidence || 85
       }
     }
@@ -209,24 +283,11 @@ export async function processTextInput(text, options = {}) {
     console.log('processTextInput: Processing text with backend API:', text.substring(0, 100) + '...')
 
     // Send to backend API for analysis
-    const response = await fetch('/api/process', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        action: 'analyze',
-        documentText: text,
-        documentType: 'text/plain',
-        filename: 'Text Input'
-      })
-    })
-
-    if (!response.ok) {
-      throw new Error(`Backend API error: ${response.status}`)
-    }
-
-    const analysisResult = await response.json()
+    const analysisResult = await requestAnalysis({
+      documentText: text,
+      documentType: 'text/plain',
+      filename: 'Text Input'
+    }, options)
     console.log('processTextInput: Received API analysis result:', analysisResult)
     console.log('📥 FRONTEND RECEIVED:');
     console.log('- Analysis object:', analysisResult.analysis);
@@ -252,6 +313,10 @@ export async function processTextInput(text, options = {}) {
       metadata: {
         processedAt: new Date().toISOString(),
         model: analysisResult.model || 'backend-api',
+        usingRealAI: analysisResult.usingRealAI,
+        processingDetails: analysisResult.processingDetails,
+        historyId: analysisResult.historyId,
+        errorDetails: analysisResult.errorDetails,
         confidence: analysisResult.confidence || 95,
         processingMethod: 'api-processing',
         processingTime: analysisResult.processingTime || 0
@@ -283,54 +348,60 @@ export async function processURLContent(url, options = {}) {
   }
 
   try {
-    // For now, return a placeholder for URL processing
-    // In a full implementation, this would fetch and analyze URL content
+    // Stage 1: Fetch the page and extract its main text on the backend
     results.stage = 'textract'
-    results.progress = 30
-
-    const placeholderText = `[URL Content: ${url}]\n\nThis is a placeholder for content fetched from the provided URL. In a production environment, this would contain the actual text content extracted from the webpage.`
-
-    results.stage = 'bedrock'
-    results.progress = 60
+    results.progress = 20
 
-    // Analyze placeholder text with backend API
-    const response = await fetch('/api/process', {
+    const fetchResponse = await authFetch('/api/process', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
       },
       body: JSON.stringify({
-        action: 'analyze',
-        documentText: placeholderText,
-        documentType: 'url'
+        action: 'fetch-url',
+        url: url
       })
     })
 
-    if (!response.ok) {
-      throw new Error(`Backend API error: ${response.status}`)
+    const urlContent = await fetchResponse.json()
+    if (!fetchResponse.ok) {
+      throw new Error(urlContent.message || `URL fetch error: ${fetchResponse.status}`)
     }
 
-    const analysisResult = await response.json()
+    results.stage = 'bedrock'
+    results.progress = 60
+
+    // Stage 2: Analyze the fetched text with backend API
+    const analysisResult = await requestAnalysis({
+      documentText: urlContent.text,
+      documentType: 'url',
+      filename: urlContent.title || new URL(urlContent.finalUrl).hostname,
+      sourceUrl: urlContent.finalUrl
+    }, options)
     results.progress = 90
 
     // Format results
     results.data = {
       document: {
-        name: new URL(url).hostname,
-        size: placeholderText.length,
-        type: 'text/html',
+        name: urlContent.title || new URL(urlContent.finalUrl).hostname,
+        size: urlContent.text.length,
+        type: urlContent.contentType || 'text/html',
         source: 'url',
-        url: url
+        url: urlContent.finalUrl
       },
       extraction: {
-        text: placeholderText,
+        text: urlContent.text,
         confidence: 90,
-        method: 'url-placeholder'
+        method: urlContent.method || 'html-extraction'
       },
       analysis: analysisResult.analysis,
       metadata: {
         processedAt: analysisResult.processedAt || new Date().toISOString(),
         model: analysisResult.model,
+        usingRealAI: analysisResult.usingRealAI,
+        processingDetails: analysisResult.processingDetails,
+        historyId: analysisResult.historyId,
+        errorDetails: analysisResult.errorDetails,
         confidence: analysisResult.confidence || 90
       }
     }
@@ -369,11 +440,12 @@ export async function compareDocuments(documents, options = {}) {
       results.progress = 10 + (i / documents.length) * 40
 
       if (doc instanceof File) {
-        // Read file content as text
-        const fileText = await readFileAsText(doc)
+        // Binary files are extracted by the backend, text files are read here
+        const filePayload = await buildFilePayload(doc)
         processedDocs.push({
           name: doc.name,
-          text: fileText
+          documentType: doc.type,
+          ...(filePayload.fileData ? { fileData: filePayload.fileData } : { text: filePayload.documentText })
         })
       } else if (typeof doc === 'string') {
         // Direct text input
@@ -389,7 +461,7 @@ export async function compareDocuments(documents, options = {}) {
     // Stage 2: Compare documents with backend API
     results.stage = 'bedrock'
 
-    const response = await fetch('/api/process', {
+    const response = await authFetch('/api/process', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -409,16 +481,19 @@ export async function compareDocuments(documents, options = {}) {
 
     // Format results
     results.data = {
-      documents: processedDocs.map(doc => ({
+      documents: comparisonResult.documents || processedDocs.map(doc => ({
         name: doc.name,
-        textLength: doc.text.length
+        textLength: doc.text?.length || 0
       })),
       comparison: comparisonResult.comparison,
       metadata: {
         processedAt: comparisonResult.processedAt || new Date().toISOString(),
         model: comparisonResult.model,
-        documentsAnalyzed: comparisonResult.documentsAnalyzed || processedDocs.length
-      }
+        documentsAnalyzed: comparisonResult.documentsAnalyzed || processedDocs.length,
+        usingRealAI: comparisonResult.usingRealAI,
+        historyId: comparisonResult.historyId
+      },
+      errorDetails: comparisonResult.errorDetails
     }
 
     results.stage = 'complete'
@@ -434,6 +509,57 @@ export async function compareDocuments(documents, options = {}) {
   }
 }
 
+/**
+ * Ask the backend for suggested redlines on clauses and risks shaped by transformAnalysisForUI
+ * Resolves with { redlines, skipped, provider, model, generatedAt }
+ */
+export async function requestRedlines({ clauses = [], risks = [], documentType } = {}) {
+  const response = await authFetch('/api/process', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      action: 'redline',
+      documentType,
+      analysis: { clauses, risks }
+    })
+  })
+
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    throw new Error(data.message || `Backend API error: ${response.status}`)
+  }
+
+  return data
+}
+
+/**
+ * Ask the backend to rewrite clauses shaped by transformAnalysisForUI in plain English at a reading level
+ * Resolves with { level, clauses, skipped, summary: { before, after }, provider, model, generatedAt }
+ */
+export async function requestSimplification({ clauses = [], level, documentType } = {}) {
+  const response = await authFetch('/api/process', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      action: 'simplify',
+      level,
+      documentType,
+      analysis: { clauses }
+    })
+  })
+
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    throw new Error(data.message || `Backend API error: ${response.status}`)
+  }
+
+  return data
+}
+
 /**
  * Transform AWS analysis results to match the existing UI format
  */
@@ -469,23 +595,34 @@ export function transformAnalysisForUI(analysisData) {
       category: clause.category,
       confidence: clause.confidence || 95,
       riskLevel: clause.riskLevel || 'low',
-      explanation: clause.explanation || generateClauseExplanation(clause)
+      explanation: clause.explanation || generateClauseExplanation(clause),
+      startPosition: clause.startPosition,
+      endPosition: clause.endPosition,
+      sourceAnchor: clause.sourceAnchor
     })),
     risks: (analysisResult.risks || []).map(risk => ({
+      id: risk.id,
+      ruleId: risk.ruleId,
       level: risk.severity || 'low',
       count: 1,
       color: getRiskColor(risk.severity || 'low'),
       title: risk.title,
       description: risk.description,
-      recommendation: risk.recommendation
+      recommendation: risk.recommendation,
+      clauseReference: risk.clauseReference,
+      startPosition: risk.startPosition,
+      endPosition: risk.endPosition
     })),
+    recommendations: analysisResult.recommendations || [],
     metadata: {
       ...metadata,
       document: document,
       extraction: {
         method: extraction?.method || metadata?.processingMethod,
         confidence: extraction?.confidence || metadata?.confidence,
-        textLength: extraction?.text?.length || document?.size || 0
+        textLength: extraction?.text?.length || document?.size || 0,
+        // Full text for the annotated document view; clause offsets index into it
+        text: extraction?.text || ''
       },
       aiAnalysis: {
         modelUsed: metadata?.model || metadata?.modelUsed,
@@ -596,12 +733,3 @@ function generateClauseExplanation(clause) {
 
   return explanations[clause.type] || 'This is a contract clause that requires review.'
 }
-
-function generateSimplifiedText(content) {
-  // Simple text simplification - in production, this could use another AI model
-  return content
-    .replace(/\b(shall|hereby|whereas|heretofore|hereinafter)\b/gi, '')
-    .replace(/\b(the party of the first part|the party of the second part)\b/gi, 'the party')
-    .replace(/\s+/g, ' ')
-    .trim()
-}
\ No newline at end of file
@@ -0,0 +1,507 @@
+/**
+ * Annotate the uploaded Word document with the analysis
+ * Each risk becomes a comment thread anchored to its clause (severity first, the recommendation as a reply)
+ * and each redline that was not rejected becomes a tracked change, so counsel can review both in Word.
+ *
+ * Clause offsets index into the extracted text, which joins paragraphs with blank lines and collapses
+ * whitespace; the document text is rebuilt the same way and clauses are matched near their offsets
+ * with whitespace ignored.
+ */
+
+import JSZip from 'jszip'
+import { DOCX_MIME_TYPE, WORD_NAMESPACE, escapeXml } from './wordDocument.js'
+import { diffWords } from './wordDiff.js'
+import { severityMap } from './severityMap.js'
+
+const W = WORD_NAMESPACE
+const XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace'
+const W14_NAMESPACE = 'http://schemas.microsoft.com/office/word/2010/wordml'
+const W15_NAMESPACE = 'http://schemas.microsoft.com/office/word/2012/wordml'
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+
+const COMMENTS_PART = {
+  path: 'word/comments.xml',
+  target: 'comments.xml',
+  contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.comments+xml',
+  relationship: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/comments'
+}
+
+const COMMENTS_EXTENDED_PART = {
+  path: 'word/commentsExtended.xml',
+  target: 'commentsExtended.xml',
+  contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.commentsExtended+xml',
+  relationship: 'http://schemas.microsoft.com/office/2011/relationships/commentsExtended'
+}
+
+const PARAGRAPH_SEPARATOR = '\n\n'
+
+export const REVIEW_AUTHOR = 'ClearClause AI'
+
+export function isDocxFile(file) {
+  return Boolean(file) && (file.type === DOCX_MIME_TYPE || /\.docx$/i.test(file.name || ''))
+}
+
+/**
+ * Add the analysis to a .docx as comments and tracked changes
+ * @param {Blob|ArrayBuffer|Uint8Array} source - The original document
+ * @param {Object} result - A transformAnalysisForUI result, optionally with redlines
+ * @param {Object} [options]
+ * @param {string} [options.author] - Name shown on comments and changes
+ * @param {Date} [options.date] - Timestamp for comments and changes
+ * @returns {Promise<{ blob: Blob, comments: number, changes: number, skipped: Array }>}
+ */
+export async function annotateDocx(source, result, { author = REVIEW_AUTHOR, date = new Date() } = {}) {
+  let zip
+  try {
+    zip = await JSZip.loadAsync(source)
+  } catch {
+    throw new Error('The file is not a Word document')
+  }
+
+  const documentFile = zip.file('word/document.xml')
+  if (!documentFile) {
+    throw new Error('The file is not a Word document')
+  }
+
+  const doc = parseXml(await documentFile.async('string'))
+  const index = indexDocument(doc)
+  const timestamp = date.toISOString().replace(/\.\d{3}Z$/, 'Z')
+  const skipped = []
+
+  // Place everything against the untouched text first; the edits below only restructure runs
+  const threads = placeComments(index, result, skipped)
+  const changes = placeRedlines(index, result, skipped)
+
+  const boundaries = new Set()
+  threads.forEach(thread => boundaries.add(thread.start).add(thread.end))
+  changes.forEach(change => change.edits.forEach(edit => {
+    boundaries.add(edit.start)
+    if (edit.end !== undefined) boundaries.add(edit.end)
+  }))
+  boundaries.forEach(position => splitRunAt(index, position))
+
+  let revisionId = maxId(doc) + 1
+  const revision = (name) => {
+    const element = doc.createElementNS(W, `w:${name}`)
+    element.setAttributeNS(W, 'w:id', String(revisionId++))
+    element.setAttributeNS(W, 'w:author', author)
+    element.setAttributeNS(W, 'w:date', timestamp)
+    return element
+  }
+
+  const created = new Set()
+  changes.forEach(change => {
+    change.edits.filter(edit => edit.type === 'delete').forEach(edit => markDeleted(doc, index, edit, revision, created))
+    const insertedAt = new Map()
+    change.edits.filter(edit => edit.type === 'insert').forEach(edit => markInserted(doc, index, edit, revision, created, insertedAt))
+  })
+
+  let commentXml = ''
+  let commentsExtendedXml = ''
+  if (threads.length > 0) {
+    const comments = await loadPart(zip, COMMENTS_PART)
+    let commentId = comments ? maxId(parseXml(comments)) + 1 : 0
+
+    threads.forEach(thread => {
+      const ids = thread.comments.map(() => commentId++)
+      anchorComments(doc, index, thread, ids, created)
+
+      let parentParaId = null
+      thread.comments.forEach((paragraphs, position) => {
+        const paraIds = paragraphs.map(() => newParaId())
+        commentXml += commentElement(ids[position], paragraphs, paraIds, author, timestamp)
+        const paraId = paraIds[paraIds.length - 1]
+        commentsExtendedXml += `<w15:commentEx w15:paraId="${paraId}"${parentParaId ? ` w15:paraIdParent="${parentParaId}"` : ''} w15:done="0"/>`
+        if (position === 0) parentParaId = paraId
+      })
+    })
+
+    await appendToPart(zip, COMMENTS_PART, comments, commentXml,
+      `<w:comments xmlns:w="${W}" xmlns:w14="${W14_NAMESPACE}">`, '</w:comments>')
+    await appendToPart(zip, COMMENTS_EXTENDED_PART, await loadPart(zip, COMMENTS_EXTENDED_PART), commentsExtendedXml,
+      `<w15:commentsEx xmlns:w15="${W15_NAMESPACE}">`, '</w15:commentsEx>')
+  }
+
+  zip.file('word/document.xml', XML_DECLARATION + new XMLSerializer().serializeToString(doc))
+
+  return {
+    blob: await zip.generateAsync({ type: 'blob', mimeType: DOCX_MIME_TYPE }),
+    comments: threads.length,
+    changes: changes.length,
+    skipped
+  }
+}
+
+/**
+ * File name for the annotated copy of a document
+ */
+export function reviewedFileName(name = 'contract.docx') {
+  return `${name.replace(/\.docx$/i, '')} (reviewed).docx`
+}
+
+function parseXml(xml) {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml')
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('The Word document could not be read')
+  }
+  return doc
+}
+
+function maxId(doc) {
+  let max = -1
+  const elements = doc.getElementsByTagName('*')
+  for (let i = 0; i < elements.length; i++) {
+    const id = parseInt(elements[i].getAttributeNS(W, 'id'), 10)
+    if (id > max) max = id
+  }
+  return max
+}
+
+function nearest(node, name) {
+  let current = node.parentNode
+  while (current && current.localName !== name) current = current.parentNode
+  return current
+}
+
+function isDeleted(run) {
+  for (let current = run.parentNode; current && current.localName !== 'p'; current = current.parentNode) {
+    if (current.localName === 'del' || current.localName === 'moveFrom') return true
+  }
+  return false
+}
+
+function contentOf(run) {
+  return Array.from(run.childNodes).filter(node => node.nodeType === 1 && node.localName !== 'rPr')
+}
+
+function textOf(node) {
+  switch (node.localName) {
+    case 't': return node.textContent
+    case 'tab': return '\t'
+    case 'br':
+    case 'cr': return '\n'
+    case 'noBreakHyphen': return '-'
+    default: return ''
+  }
+}
+
+/**
+ * The document text, paragraphs joined as the extractor joins them, with the span of every run
+ */
+function indexDocument(doc) {
+  const body = doc.getElementsByTagNameNS(W, 'body')[0]
+  const segments = []
+  let text = ''
+
+  Array.from(body.getElementsByTagNameNS(W, 'p')).forEach((paragraph, position) => {
+    if (position > 0) text += PARAGRAPH_SEPARATOR
+    Array.from(paragraph.getElementsByTagNameNS(W, 'r'))
+      .filter(run => nearest(run, 'p') === paragraph && !isDeleted(run))
+      .forEach(run => {
+        const start = text.length
+        text += contentOf(run).map(textOf).join('')
+        segments.push({ run, start, end: text.length })
+      })
+  })
+
+  // Whitespace-collapsed copy for matching, with each character's position in the full text
+  let condensed = ''
+  const positions = []
+  for (let i = 0; i < text.length; i++) {
+    if (/\s/.test(text[i])) {
+      if (condensed && !condensed.endsWith(' ')) {
+        condensed += ' '
+        positions.push(i)
+      }
+    } else {
+      condensed += text[i]
+      positions.push(i)
+    }
+  }
+
+  return { text, segments, condensed, positions }
+}
+
+/**
+ * Find text in the document, taking the occurrence closest to the expected offset
+ */
+function locate(index, target, near = 0) {
+  const needle = String(target || '').replace(/\s+/g, ' ').trim()
+  if (!needle) return null
+
+  let best = null
+  for (let found = index.condensed.indexOf(needle); found !== -1; found = index.condensed.indexOf(needle, found + 1)) {
+    const start = index.positions[found]
+    if (!best || Math.abs(start - near) < Math.abs(best.start - near)) {
+      best = { start, end: index.positions[found + needle.length - 1] + 1 }
+    }
+  }
+  return best
+}
+
+function placeComments(index, result, skipped) {
+  const clauses = result.clauses || []
+  const extractedText = result.metadata?.extraction?.text || ''
+
+  return (result.risks || []).flatMap(risk => {
+    const clause = clauses.find(candidate => candidate.id && candidate.id === risk.clauseReference)
+    const start = clause?.startPosition ?? risk.startPosition
+    const end = clause?.endPosition ?? risk.endPosition
+    const extracted = Number.isInteger(start) && Number.isInteger(end) ? extractedText.substring(start, end) : ''
+    const range = locate(index, extracted, start) || locate(index, clause?.text, start)
+
+    if (!range) {
+      skipped.push({ type: 'comment', title: risk.title, reason: clause || extracted ? 'The clause text was not found in the document' : 'The risk is not tied to clause text in the document' })
+      return []
+    }
+
+    const level = risk.level || 'low'
+    const opening = [{ text: `[${severityMap[level]?.label || level}] ${risk.title}`, bold: true }]
+    if (risk.description) opening.push({ text: risk.description })
+    const comments = [opening]
+    if (risk.recommendation) comments.push([{ text: `Recommendation: ${risk.recommendation}` }])
+
+    return [{ ...range, comments }]
+  })
+}
+
+function placeRedlines(index, result, skipped) {
+  const redlines = (result.redlines?.redlines || [])
+    .filter(redline => redline.status !== 'rejected')
+    // Accepted changes win where two redlines touch the same text
+    .sort((a, b) => (b.status === 'accepted') - (a.status === 'accepted'))
+  const placed = []
+
+  redlines.forEach(redline => {
+    const range = locate(index, redline.originalText, redline.startPosition)
+    if (!range) {
+      skipped.push({ type: 'change', title: redline.title, reason: 'The original wording was not found in the document' })
+      return
+    }
+    if (placed.some(other => range.start < other.end && other.start < range.end)) {
+      skipped.push({ type: 'change', title: redline.title, reason: 'Another redline already changes this text' })
+      return
+    }
+
+    // Diff against the document's own text so deletions line up with its characters exactly
+    const edits = []
+    let position = range.start
+    diffWords(index.text.substring(range.start, range.end), redline.proposedText).forEach(run => {
+      if (run.type === 'insert') {
+        // Replacement wording takes the formatting of the text it replaces, as typing over a selection does
+        const replaced = edits[edits.length - 1]
+        const formatFrom = replaced?.type === 'delete' && replaced.end === position ? replaced.start : position
+        edits.push({ type: 'insert', start: position, formatFrom, text: run.text })
+      } else {
+        if (run.type === 'delete') edits.push({ type: 'delete', start: position, end: position + run.text.length })
+        position += run.text.length
+      }
+    })
+
+    placed.push({ ...range, edits })
+  })
+
+  return placed
+}
+
+function preserveSpace(element) {
+  element.setAttributeNS(XML_NAMESPACE, 'xml:space', 'preserve')
+}
+
+/**
+ * Make sure a run boundary falls at a text position, splitting the run that spans it
+ */
+function splitRunAt(index, position) {
+  const at = index.segments.findIndex(segment => segment.start < position && position < segment.end)
+  if (at === -1) return
+
+  const { run, start, end } = index.segments[at]
+  const tail = run.cloneNode(false)
+  const properties = Array.from(run.childNodes).find(node => node.localName === 'rPr')
+  if (properties) tail.appendChild(properties.cloneNode(true))
+
+  let consumed = start
+  const moved = []
+  contentOf(run).forEach(node => {
+    const length = textOf(node).length
+    if (consumed >= position) {
+      moved.push(node)
+    } else if (consumed + length > position) {
+      // Only w:t can hold more than one character
+      const second = node.cloneNode(false)
+      second.textContent = node.textContent.substring(position - consumed)
+      node.textContent = node.textContent.substring(0, position - consumed)
+      preserveSpace(node)
+      preserveSpace(second)
+      moved.push(second)
+    }
+    consumed += length
+  })
+
+  moved.forEach(node => tail.appendChild(node))
+  run.parentNode.insertBefore(tail, run.nextSibling)
+  index.segments.splice(at, 1, { run, start, end: position }, { run: tail, start: position, end })
+}
+
+function runsWithin(index, start, end) {
+  return index.segments.filter(segment => segment.start >= start && segment.end <= end && segment.end > segment.start)
+}
+
+function markDeleted(doc, index, edit, revision, created) {
+  const groups = []
+  runsWithin(index, edit.start, edit.end).forEach(({ run }) => {
+    const group = groups[groups.length - 1]
+    if (group && group[group.length - 1].nextSibling === run) {
+      group.push(run)
+    } else {
+      groups.push([run])
+    }
+  })
+
+  groups.forEach(group => {
+    const deletion = revision('del')
+    created.add(deletion)
+    group[0].parentNode.insertBefore(deletion, group[0])
+    group.forEach(run => {
+      deletion.appendChild(run)
+      Array.from(run.getElementsByTagNameNS(W, 't')).forEach(text => {
+        const deleted = doc.createElementNS(W, 'w:delText')
+        deleted.textContent = text.textContent
+        preserveSpace(deleted)
+        run.replaceChild(deleted, text)
+      })
+    })
+  })
+}
+
+/**
+ * The node to place markup beside: the run, or the revision we wrapped it in
+ */
+function outermost(run, created) {
+  return created.has(run.parentNode) ? run.parentNode : run
+}
+
+function markInserted(doc, index, edit, revision, created, insertedAt) {
+  const before = index.segments.filter(segment => segment.end === edit.start && segment.end > segment.start).pop()
+  const after = index.segments.find(segment => segment.start === edit.start && segment.end > segment.start)
+  const reference = before || after
+  if (!reference) return
+
+  const formatted = index.segments.find(segment => segment.start === edit.formatFrom && segment.end > segment.start) || reference
+  const run = doc.createElementNS(W, 'w:r')
+  const properties = Array.from(formatted.run.childNodes).find(node => node.localName === 'rPr')
+  if (properties) run.appendChild(properties.cloneNode(true))
+  edit.text.split(/\r?\n/).forEach((line, position) => {
+    if (position > 0) run.appendChild(doc.createElementNS(W, 'w:br'))
+    const text = doc.createElementNS(W, 'w:t')
+    text.textContent = line
+    preserveSpace(text)
+    run.appendChild(text)
+  })
+
+  const insertion = revision('ins')
+  insertion.appendChild(run)
+  created.add(insertion)
+
+  const previous = insertedAt.get(edit.start)
+  if (previous) {
+    previous.parentNode.insertBefore(insertion, previous.nextSibling)
+  } else if (before) {
+    const anchor = outermost(before.run, created)
+    anchor.parentNode.insertBefore(insertion, anchor.nextSibling)
+  } else {
+    const anchor = outermost(after.run, created)
+    anchor.parentNode.insertBefore(insertion, anchor)
+  }
+  insertedAt.set(edit.start, insertion)
+}
+
+/**
+ * The ancestor of a node that sits directly in its paragraph
+ */
+function inParagraph(node) {
+  while (node.parentNode && node.parentNode.localName !== 'p') node = node.parentNode
+  return node
+}
+
+function anchorComments(doc, index, thread, ids, created) {
+  const runs = runsWithin(index, thread.start, thread.end)
+  if (runs.length === 0) return
+
+  // Widen over insertions made at the edges so new wording is inside the comment too
+  let first = inParagraph(runs[0].run)
+  while (created.has(first.previousSibling)) first = first.previousSibling
+  let last = inParagraph(runs[runs.length - 1].run)
+  while (created.has(last.nextSibling)) last = last.nextSibling
+
+  const marker = (name, id) => {
+    const element = doc.createElementNS(W, `w:${name}`)
+    element.setAttributeNS(W, 'w:id', String(id))
+    return element
+  }
+
+  ids.forEach(id => first.parentNode.insertBefore(marker('commentRangeStart', id), first))
+
+  let cursor = last
+  ids.forEach(id => {
+    const end = marker('commentRangeEnd', id)
+    const reference = doc.createElementNS(W, 'w:r')
+    reference.appendChild(marker('commentReference', id))
+    cursor.parentNode.insertBefore(end, cursor.nextSibling)
+    end.parentNode.insertBefore(reference, end.nextSibling)
+    cursor = reference
+  })
+}
+
+function newParaId() {
+  // Word requires paragraph ids below 0x80000000
+  return Math.floor(Math.random() * 0x7fffffff).toString(16).toUpperCase().padStart(8, '0')
+}
+
+function commentElement(id, paragraphs, paraIds, author, timestamp) {
+  const initials = author.split(/\s+/).map(word => word[0]).join('').toUpperCase()
+  const body = paragraphs.map(({ text, bold }, position) =>
+    `<w:p w14:paraId="${paraIds[position]}">` +
+    (position === 0 ? '<w:r><w:annotationRef/></w:r>' : '') +
+    `<w:r>${bold ? '<w:rPr><w:b/></w:rPr>' : ''}<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r></w:p>`
+  ).join('')
+
+  return `<w:comment w:id="${id}" w:author="${escapeXml(author)}" w:date="${timestamp}" w:initials="${escapeXml(initials)}">${body}</w:comment>`
+}
+
+async function loadPart(zip, part) {
+  const file = zip.file(part.path)
+  return file ? file.async('string') : null
+}
+
+/**
+ * Append elements to a part, creating it and registering it with the package when it is new
+ */
+async function appendToPart(zip, part, existing, xml, openingTag, closingTag) {
+  if (existing) {
+    let updated = existing
+    // Comment paragraph ids need the w14 namespace on the root
+    if (part === COMMENTS_PART && !/xmlns:w14=/.test(updated)) {
+      updated = updated.replace(/<w:comments\b/, `<w:comments xmlns:w14="${W14_NAMESPACE}"`)
+    }
+    const close = updated.lastIndexOf(closingTag)
+    zip.file(part.path, close === -1
+      ? updated.replace(/\/>\s*$/, `>${xml}${closingTag}`)
+      : updated.substring(0, close) + xml + updated.substring(close))
+    return
+  }
+
+  zip.file(part.path, `${XML_DECLARATION}${openingTag}${xml}${closingTag}`)
+
+  const types = await zip.file('[Content_Types].xml').async('string')
+  zip.file('[Content_Types].xml', types.replace('</Types>', `<Override PartName="/${part.path}" ContentType="${part.contentType}"/></Types>`))
+
+  const relsPath = 'word/_rels/document.xml.rels'
+  const rels = (await loadPart(zip, { path: relsPath })) ||
+    `${XML_DECLARATION}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"></Relationships>`
+  if (!rels.includes(`Target="${part.target}"`)) {
+    const ids = Array.from(rels.matchAll(/Id="rId(\d+)"/g), match => Number(match[1]))
+    const id = `rId${Math.max(0, ...ids) + 1}`
+    zip.file(relsPath, rels.replace('</Relationships>', `<Relationship Id="${id}" Type="${part.relationship}" Target="${part.target}"/></Relationships>`))
+  }
+}
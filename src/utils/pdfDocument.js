@@ -0,0 +1,253 @@
+/**
+ * Minimal PDF writer for reports
+ * Lays out headings, wrapped paragraphs, bullets and simple table rows on US Letter pages
+ * using the built-in Helvetica fonts, so no font files or PDF library are needed
+ */
+
+const PAGE_WIDTH = 612
+const PAGE_HEIGHT = 792
+const MARGIN = 54
+const FOOTER_SIZE = 9
+
+// Glyph widths for ASCII 32-126 in thousandths of the font size (from the standard Helvetica metrics)
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+]
+
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+]
+
+// Characters outside Latin-1 that WinAnsiEncoding still has a code for
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+}
+
+/**
+ * Map text onto single-byte WinAnsi characters; emoji are dropped and anything else becomes "?"
+ */
+function toWinAnsi(text) {
+  let encoded = ''
+  for (const character of String(text ?? '')) {
+    const code = character.codePointAt(0)
+    if (WIN_ANSI_EXTRAS[character]) {
+      encoded += String.fromCharCode(WIN_ANSI_EXTRAS[character])
+    } else if (code === 9) {
+      encoded += ' '
+    } else if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) {
+      encoded += character
+    } else if (code > 0xffff || (code >= 0x2600 && code <= 0x27bf) || code === 0xfe0f) {
+      continue
+    } else if (code >= 32) {
+      encoded += '?'
+    }
+  }
+  return encoded
+}
+
+function escapePdfString(text) {
+  return text.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)')
+}
+
+export function measureText(text, size, bold = false) {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS
+  let total = 0
+  for (const character of text) {
+    const code = character.charCodeAt(0)
+    total += code >= 32 && code <= 126 ? widths[code - 32] : 556
+  }
+  return (total / 1000) * size
+}
+
+/**
+ * Break text into lines no wider than maxWidth; words longer than a line are split
+ */
+export function wrapText(text, maxWidth, size, bold = false) {
+  const lines = []
+
+  toWinAnsi(text).split(/\r?\n/).forEach(paragraph => {
+    let line = ''
+    paragraph.split(/ +/).filter(Boolean).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word
+      if (measureText(candidate, size, bold) <= maxWidth) {
+        line = candidate
+        return
+      }
+
+      if (line) lines.push(line)
+      line = ''
+      let rest = word
+      while (measureText(rest, size, bold) > maxWidth) {
+        let cut = rest.length - 1
+        while (cut > 1 && measureText(rest.substring(0, cut), size, bold) > maxWidth) cut--
+        lines.push(rest.substring(0, cut))
+        rest = rest.substring(cut)
+      }
+      line = rest
+    })
+    lines.push(line)
+  })
+
+  return lines
+}
+
+function color([r, g, b]) {
+  return `${(r / 255).toFixed(3)} ${(g / 255).toFixed(3)} ${(b / 255).toFixed(3)}`
+}
+
+/**
+ * Create a PDF document; content flows top to bottom and new pages start automatically
+ * @param {Object} [options]
+ * @param {string} [options.title] - Document title, also shown in the footer
+ */
+export function createPdfDocument({ title = '' } = {}) {
+  const pages = []
+  const contentWidth = PAGE_WIDTH - MARGIN * 2
+  let commands = null
+  let y = 0
+
+  const newPage = () => {
+    commands = []
+    pages.push(commands)
+    y = PAGE_HEIGHT - MARGIN
+  }
+
+  const ensureSpace = (height) => {
+    if (!commands || y - height < MARGIN + FOOTER_SIZE * 2) newPage()
+  }
+
+  const drawText = (text, x, baseline, { size, bold, rgb = [30, 41, 59] }) => {
+    commands.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${color(rgb)} rg ${x.toFixed(2)} ${baseline.toFixed(2)} Td (${escapePdfString(text)}) Tj ET`)
+  }
+
+  const fillRect = (x, top, width, height, rgb) => {
+    commands.push(`${color(rgb)} rg ${x.toFixed(2)} ${(top - height).toFixed(2)} ${width.toFixed(2)} ${height.toFixed(2)} re f`)
+  }
+
+  const writer = {
+    /**
+     * Wrapped text; options: size, bold, color [r, g, b], indent, spacingAfter
+     */
+    text(content, { size = 10.5, bold = false, color: rgb, indent = 0, spacingAfter = 6 } = {}) {
+      const lineHeight = size * 1.35
+      wrapText(content, contentWidth - indent, size, bold).forEach(line => {
+        ensureSpace(lineHeight)
+        y -= lineHeight
+        drawText(line, MARGIN + indent, y + (lineHeight - size) / 2, { size, bold, rgb })
+      })
+      y -= spacingAfter
+      return writer
+    },
+
+    heading(content, level = 1) {
+      const size = level === 1 ? 18 : level === 2 ? 14 : 12
+      ensureSpace(size * 3)
+      y -= level === 1 ? 4 : 10
+      return writer.text(content, { size, bold: true, color: [15, 23, 42], spacingAfter: level === 1 ? 8 : 4 })
+    },
+
+    bullet(content, { color: rgb, marker = '•' } = {}) {
+      const size = 10.5
+      ensureSpace(size * 1.35)
+      drawText(toWinAnsi(marker), MARGIN + 4, y - size * 1.35 + (size * 0.35) / 2, { size, bold: true, rgb })
+      return writer.text(content, { size, indent: 16, spacingAfter: 3 })
+    },
+
+    /**
+     * One table row; widths are fractions of the content width. A filled row is drawn as a header
+     */
+    row(cells, widths, { bold = false, fill = null, size = 9.5 } = {}) {
+      const lineHeight = size * 1.35
+      const padding = 4
+      const columns = cells.map((cell, index) => {
+        const width = widths[index] * contentWidth
+        return { width, lines: wrapText(cell, width - padding * 2, size, bold) }
+      })
+      const height = Math.max(...columns.map(column => column.lines.length)) * lineHeight + padding * 2
+
+      ensureSpace(height)
+      if (fill) fillRect(MARGIN, y, contentWidth, height, fill)
+
+      let x = MARGIN
+      columns.forEach(column => {
+        column.lines.forEach((line, index) => {
+          drawText(line, x + padding, y - padding - (index + 1) * lineHeight + (lineHeight - size) / 2, { size, bold })
+        })
+        x += column.width
+      })
+
+      y -= height
+      commands.push(`${color([226, 232, 240])} RG 0.5 w ${MARGIN} ${y.toFixed(2)} m ${MARGIN + contentWidth} ${y.toFixed(2)} l S`)
+      return writer
+    },
+
+    /**
+     * A filled swatch followed by a label, for legends and severity counts
+     */
+    swatch(label, rgb) {
+      const size = 10.5
+      ensureSpace(size * 1.6)
+      y -= size * 1.6
+      fillRect(MARGIN, y + size + 1, 10, 10, rgb)
+      drawText(toWinAnsi(label), MARGIN + 16, y + 2, { size, bold: false })
+      return writer
+    },
+
+    space(points = 8) {
+      y -= points
+      return writer
+    },
+
+    /**
+     * Serialize to PDF bytes, numbering the pages in the footer
+     */
+    toBytes() {
+      if (!commands) newPage()
+
+      const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        null,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+        `<< /Title (${escapePdfString(toWinAnsi(title))}) /Producer (ClearClause AI) /CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, '').substring(0, 14)}Z) >>`
+      ]
+
+      const pageIds = pages.map((pageCommands, index) => {
+        const footer = `BT /F1 ${FOOTER_SIZE} Tf ${color([100, 116, 139])} rg ${MARGIN} ${MARGIN / 2} Td (${escapePdfString(toWinAnsi(`${title}${title ? ' - ' : ''}Page ${index + 1} of ${pages.length}`))}) Tj ET`
+        const stream = [...pageCommands, footer].join('\n')
+        objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`)
+        const contentId = objects.length
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentId} 0 R >>`)
+        return objects.length
+      })
+      objects[1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`
+
+      let pdf = '%PDF-1.4\n'
+      const offsets = objects.map((object, index) => {
+        const offset = pdf.length
+        pdf += `${index + 1} 0 obj\n${object}\nendobj\n`
+        return offset
+      })
+
+      const xrefOffset = pdf.length
+      pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`
+      pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')
+      pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`
+
+      // Every character is already a single WinAnsi byte
+      return Uint8Array.from(pdf, character => character.charCodeAt(0))
+    }
+  }
+
+  return writer
+}
@@ -0,0 +1,27 @@
+/**
+ * Permissions
+ * The backend sends each user's role label and permissions with the session (roles are defined in
+ * functions/auth/roles.js) and enforces them; these helpers only decide which actions the UI offers.
+ */
+
+// The permissions the UI checks; the app has no model or user management screens
+export const PERMISSIONS = {
+  RUN_ANALYSES: 'analyses:run',
+  DELETE_OWN_ANALYSES: 'analyses:delete-own',
+  DELETE_COMPANY_ANALYSES: 'analyses:delete-company'
+}
+
+/**
+ * A profile saved before roles existed has no permissions yet; leave it to the backend to decide
+ */
+export function can(user, permission) {
+  return !Array.isArray(user?.permissions) || user.permissions.includes(permission)
+}
+
+/**
+ * Whether the user may delete a history entry, from the entry's owner
+ */
+export function canDeleteEntry(user, entry) {
+  if (can(user, PERMISSIONS.DELETE_COMPANY_ANALYSES)) return true
+  return Boolean(entry?.owner) && entry.owner.userId === user?.id && can(user, PERMISSIONS.DELETE_OWN_ANALYSES)
+}
@@ -0,0 +1,381 @@
+/**
+ * Analysis report export
+ * Builds one report from a transformAnalysisForUI result and renders it as PDF, Word, Markdown or JSON.
+ * The JSON export carries the full result so a saved report can be opened in the app again
+ */
+
+import { createPdfDocument } from './pdfDocument.js'
+import { createDocx, paragraph, run, table, DOCX_MIME_TYPE } from './wordDocument.js'
+import { severityMap, severityRank, SEVERITY_ORDER } from './severityMap.js'
+
+export const REPORT_FORMAT = 'clearclause-report'
+export const REPORT_VERSION = 1
+
+export const EXPORT_FORMATS = {
+  pdf: { label: 'PDF', extension: 'pdf', mimeType: 'application/pdf' },
+  docx: { label: 'Word', extension: 'docx', mimeType: DOCX_MIME_TYPE },
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' }
+}
+
+// Most to least severe, for the breakdown and the risk list
+const SEVERITIES = [...SEVERITY_ORDER].reverse()
+
+const capitalize = (text) => text ? text.charAt(0).toUpperCase() + text.slice(1) : ''
+
+const formatDate = (value) => {
+  if (!value) return null
+  const date = new Date(value)
+  return Number.isNaN(date.getTime()) ? String(value) : date.toLocaleString()
+}
+
+const hexToRgb = (hex) => [1, 3, 5].map(index => parseInt(hex.substring(index, index + 2), 16))
+
+/**
+ * Flatten a UI result into the sections every format renders
+ */
+export function buildReport(result, { exportedAt = new Date().toISOString() } = {}) {
+  const metadata = result.metadata || {}
+  const risks = [...(result.risks || [])]
+    .sort((a, b) => severityRank(b.level) - severityRank(a.level))
+  const clauses = result.clauses || []
+  const clauseTitles = Object.fromEntries(clauses.map(clause => [clause.id, clause.title]))
+
+  const riskBreakdown = SEVERITIES.map(level => {
+    const count = risks.filter(risk => (risk.level || 'low') === level).length
+    return {
+      level,
+      label: severityMap[level].label,
+      count,
+      percent: risks.length ? Math.round((count / risks.length) * 100) : 0
+    }
+  })
+
+  // The model's own recommendations when it gave them, otherwise one per risk that has a recommendation
+  const recommendations = result.recommendations?.length
+    ? result.recommendations.map(item => ({
+        priority: item.priority || 'medium',
+        action: item.action,
+        rationale: item.rationale || '',
+        clauses: (item.affectedClauses || []).map(id => clauseTitles[id] || id)
+      }))
+    : risks.filter(risk => risk.recommendation).map(risk => ({
+        priority: risk.level || 'low',
+        action: risk.recommendation,
+        rationale: risk.title,
+        clauses: risk.clauseReference ? [clauseTitles[risk.clauseReference] || risk.clauseReference] : []
+      }))
+
+  const provenance = [
+    ['Document', metadata.document?.name],
+    ['Source', metadata.document?.url || metadata.document?.source],
+    ['Analyzed', formatDate(metadata.processedAt)],
+    ['Model', metadata.model || metadata.aiAnalysis?.modelUsed],
+    ['Provider', metadata.processingDetails?.provider],
+    ['Analysis', metadata.usingRealAI === undefined ? null : metadata.usingRealAI ? 'AI model' : 'Rule-based fallback'],
+    ['Text extraction', metadata.extraction?.method],
+    ['Confidence', metadata.confidence ? `${Math.round(metadata.confidence)}%` : null],
+    ['Saved analysis', metadata.historyId],
+    ['Exported', formatDate(exportedAt)]
+  ].filter(([, value]) => value)
+
+  return {
+    title: result.summary?.title || 'Contract Analysis',
+    documentName: metadata.document?.name || null,
+    summary: {
+      riskScore: result.summary?.riskScore ?? 0,
+      totalClauses: result.summary?.totalClauses ?? clauses.length,
+      totalRisks: risks.length,
+      keyFindings: result.summary?.keyFindings || []
+    },
+    riskBreakdown,
+    risks: risks.map(risk => ({
+      level: risk.level || 'low',
+      title: risk.title,
+      description: risk.description || '',
+      recommendation: risk.recommendation || '',
+      clause: risk.clauseReference ? clauseTitles[risk.clauseReference] || risk.clauseReference : null
+    })),
+    clauses: clauses.map(clause => ({
+      title: clause.title,
+      category: clause.category || clause.type || '',
+      riskLevel: clause.riskLevel || 'low',
+      confidence: Math.round(clause.confidence || 0)
+    })),
+    recommendations,
+    redlines: (result.redlines?.redlines || []).map(redline => ({
+      title: redline.title,
+      clause: redline.clauseTitle,
+      status: redline.status,
+      originalText: redline.originalText,
+      proposedText: redline.proposedText
+    })),
+    provenance,
+    exportedAt
+  }
+}
+
+const escapeCell = (text) => String(text ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ')
+
+export function toMarkdown(result, options) {
+  const report = buildReport(result, options)
+  const lines = [`# ${report.title}`, '']
+
+  if (report.documentName) lines.push(`**Document:** ${report.documentName}`, '')
+
+  lines.push(
+    '## Summary', '',
+    `- **Risk score:** ${report.summary.riskScore}/10`,
+    `- **Clauses:** ${report.summary.totalClauses}`,
+    `- **Risks:** ${report.summary.totalRisks}`,
+    ''
+  )
+  if (report.summary.keyFindings.length) {
+    lines.push('### Key findings', '', ...report.summary.keyFindings.map(finding => `- ${finding}`), '')
+  }
+
+  lines.push('## Risk breakdown', '', '| Severity | Count | Share |', '| --- | ---: | ---: |')
+  report.riskBreakdown.forEach(row => lines.push(`| ${row.label} | ${row.count} | ${row.percent}% |`))
+  lines.push('')
+
+  if (report.risks.length) {
+    lines.push('### Risks', '')
+    report.risks.forEach(risk => {
+      lines.push(`- **[${capitalize(risk.level)}] ${risk.title}**${risk.clause ? ` (${risk.clause})` : ''}`)
+      if (risk.description) lines.push(`  ${risk.description}`)
+      if (risk.recommendation) lines.push(`  *Recommendation:* ${risk.recommendation}`)
+    })
+    lines.push('')
+  }
+
+  lines.push('## Clauses', '', '| Clause | Category | Risk | Confidence |', '| --- | --- | --- | ---: |')
+  report.clauses.forEach(clause => {
+    lines.push(`| ${escapeCell(clause.title)} | ${escapeCell(clause.category)} | ${capitalize(clause.riskLevel)} | ${clause.confidence}% |`)
+  })
+  lines.push('')
+
+  if (report.recommendations.length) {
+    lines.push('## Recommendations', '')
+    report.recommendations.forEach((item, index) => {
+      lines.push(`${index + 1}. **[${capitalize(item.priority)}]** ${item.action}`)
+      if (item.rationale) lines.push(`   ${item.rationale}`)
+      if (item.clauses.length) lines.push(`   *Clauses:* ${item.clauses.join(', ')}`)
+    })
+    lines.push('')
+  }
+
+  if (report.redlines.length) {
+    lines.push('## Suggested redlines', '')
+    report.redlines.forEach(redline => {
+      lines.push(`### ${redline.title} (${capitalize(redline.status)})`, '', `> ~~${redline.originalText}~~`, '', `> ${redline.proposedText}`, '')
+    })
+  }
+
+  lines.push('## Provenance', '', '| | |', '| --- | --- |')
+  report.provenance.forEach(([label, value]) => lines.push(`| ${label} | ${escapeCell(value)} |`))
+  lines.push('')
+
+  return lines.join('\n')
+}
+
+/**
+ * The full result wrapped with a format marker, so parseReport can open it again
+ */
+export function toJson(result, { exportedAt = new Date().toISOString() } = {}) {
+  return JSON.stringify({ format: REPORT_FORMAT, version: REPORT_VERSION, exportedAt, result }, null, 2)
+}
+
+/**
+ * Read a JSON report back into a result the analysis tabs can show
+ * @throws {Error} when the text is not a report this version can open
+ */
+export function parseReport(text) {
+  let parsed
+  try {
+    parsed = JSON.parse(text)
+  } catch {
+    throw new Error('The file is not valid JSON')
+  }
+
+  if (parsed?.format !== REPORT_FORMAT) {
+    throw new Error('The file is not a ClearClause report')
+  }
+  if (!(parsed.version <= REPORT_VERSION)) {
+    throw new Error('The report was exported by a newer version of ClearClause')
+  }
+  if (!parsed.result || !Array.isArray(parsed.result.clauses) || !Array.isArray(parsed.result.risks)) {
+    throw new Error('The report is missing its analysis')
+  }
+
+  return { ...parsed.result, summary: parsed.result.summary || {}, metadata: parsed.result.metadata || {} }
+}
+
+/**
+ * @returns {Promise<Blob>}
+ */
+export function toDocx(result, options) {
+  const report = buildReport(result, options)
+  const body = [paragraph(report.title, { style: 'Title' })]
+
+  if (report.documentName) body.push(paragraph([run('Document: ', { bold: true }), run(report.documentName)]))
+
+  body.push(
+    paragraph('Summary', { style: 'Heading1' }),
+    paragraph([run('Risk score: ', { bold: true }), run(`${report.summary.riskScore}/10`)]),
+    paragraph([run('Clauses: ', { bold: true }), run(String(report.summary.totalClauses)), run('    Risks: ', { bold: true }), run(String(report.summary.totalRisks))]),
+    ...report.summary.keyFindings.map(finding => paragraph(`• ${finding}`)),
+    paragraph('Risk breakdown', { style: 'Heading1' }),
+    table(
+      ['Severity', 'Count', 'Share'],
+      report.riskBreakdown.map(row => [run(row.label, { bold: true, color: severityMap[row.level].color }), run(String(row.count)), run(`${row.percent}%`)]),
+      [0.5, 0.25, 0.25]
+    )
+  )
+
+  if (report.risks.length) {
+    body.push(paragraph('Risks', { style: 'Heading2' }))
+    report.risks.forEach(risk => {
+      body.push(paragraph([
+        run(`[${capitalize(risk.level)}] `, { bold: true, color: severityMap[risk.level]?.color }),
+        run(risk.title, { bold: true }),
+        run(risk.clause ? ` (${risk.clause})` : '', { italic: true })
+      ], { spacingAfter: 40 }))
+      if (risk.description) body.push(paragraph(risk.description, { spacingAfter: 40 }))
+      if (risk.recommendation) body.push(paragraph([run('Recommendation: ', { italic: true }), run(risk.recommendation)]))
+    })
+  }
+
+  body.push(
+    paragraph('Clauses', { style: 'Heading1' }),
+    table(
+      ['Clause', 'Category', 'Risk', 'Confidence'],
+      report.clauses.map(clause => [run(clause.title), run(clause.category), run(capitalize(clause.riskLevel), { color: severityMap[clause.riskLevel]?.color }), run(`${clause.confidence}%`)]),
+      [0.4, 0.25, 0.15, 0.2]
+    )
+  )
+
+  if (report.recommendations.length) {
+    body.push(paragraph('Recommendations', { style: 'Heading1' }))
+    report.recommendations.forEach((item, index) => {
+      body.push(paragraph([run(`${index + 1}. [${capitalize(item.priority)}] `, { bold: true }), run(item.action)], { spacingAfter: 40 }))
+      if (item.rationale) body.push(paragraph(item.rationale, { spacingAfter: 40 }))
+      if (item.clauses.length) body.push(paragraph([run('Clauses: ', { italic: true }), run(item.clauses.join(', '))]))
+    })
+  }
+
+  if (report.redlines.length) {
+    body.push(paragraph('Suggested redlines', { style: 'Heading1' }))
+    report.redlines.forEach(redline => {
+      body.push(
+        paragraph(`${redline.title} (${capitalize(redline.status)})`, { style: 'Heading2' }),
+        paragraph([run('Original: ', { bold: true }), run(redline.originalText, { color: 'B91C1C' })]),
+        paragraph([run('Proposed: ', { bold: true }), run(redline.proposedText, { color: '15803D' })])
+      )
+    })
+  }
+
+  body.push(
+    paragraph('Provenance', { style: 'Heading1' }),
+    table(['Field', 'Value'], report.provenance.map(([label, value]) => [run(label, { bold: true }), run(value)]), [0.3, 0.7])
+  )
+
+  return createDocx(body.join(''), { title: report.title })
+}
+
+/**
+ * @returns {Blob}
+ */
+export function toPdf(result, options) {
+  const report = buildReport(result, options)
+  const pdf = createPdfDocument({ title: report.title })
+
+  pdf.heading(report.title)
+  if (report.documentName) pdf.text(`Document: ${report.documentName}`, { color: [71, 85, 105] })
+
+  pdf.heading('Summary', 2)
+    .text(`Risk score: ${report.summary.riskScore}/10    Clauses: ${report.summary.totalClauses}    Risks: ${report.summary.totalRisks}`, { bold: true })
+  report.summary.keyFindings.forEach(finding => pdf.bullet(finding))
+
+  pdf.heading('Risk breakdown', 2)
+  report.riskBreakdown.forEach(row => pdf.swatch(`${row.label}: ${row.count} (${row.percent}%)`, hexToRgb(severityMap[row.level].color)))
+  pdf.space()
+
+  if (report.risks.length) {
+    pdf.heading('Risks', 3)
+    report.risks.forEach(risk => {
+      pdf.bullet(`[${capitalize(risk.level)}] ${risk.title}${risk.clause ? ` (${risk.clause})` : ''}`, { color: hexToRgb(severityMap[risk.level]?.color || '#64748b') })
+      if (risk.description) pdf.text(risk.description, { indent: 16, size: 9.5, spacingAfter: 2 })
+      if (risk.recommendation) pdf.text(`Recommendation: ${risk.recommendation}`, { indent: 16, size: 9.5, color: [71, 85, 105] })
+    })
+  }
+
+  pdf.heading('Clauses', 2)
+  const clauseWidths = [0.4, 0.25, 0.15, 0.2]
+  pdf.row(['Clause', 'Category', 'Risk', 'Confidence'], clauseWidths, { bold: true, fill: [226, 232, 240] })
+  report.clauses.forEach(clause => pdf.row([clause.title, clause.category, capitalize(clause.riskLevel), `${clause.confidence}%`], clauseWidths))
+  pdf.space()
+
+  if (report.recommendations.length) {
+    pdf.heading('Recommendations', 2)
+    report.recommendations.forEach((item, index) => {
+      pdf.text(`${index + 1}. [${capitalize(item.priority)}] ${item.action}`, { bold: true, spacingAfter: 2 })
+      if (item.rationale) pdf.text(item.rationale, { indent: 14, size: 9.5, spacingAfter: 2 })
+      if (item.clauses.length) pdf.text(`Clauses: ${item.clauses.join(', ')}`, { indent: 14, size: 9.5, color: [71, 85, 105] })
+    })
+  }
+
+  if (report.redlines.length) {
+    pdf.heading('Suggested redlines', 2)
+    report.redlines.forEach(redline => {
+      pdf.text(`${redline.title} (${capitalize(redline.status)})`, { bold: true, spacingAfter: 2 })
+        .text(`Original: ${redline.originalText}`, { indent: 14, size: 9.5, color: [185, 28, 28], spacingAfter: 2 })
+        .text(`Proposed: ${redline.proposedText}`, { indent: 14, size: 9.5, color: [21, 128, 61] })
+    })
+  }
+
+  pdf.heading('Provenance', 2)
+  report.provenance.forEach(([label, value]) => pdf.row([label, String(value)], [0.3, 0.7]))
+
+  return new Blob([pdf.toBytes()], { type: EXPORT_FORMATS.pdf.mimeType })
+}
+
+/**
+ * Render a result in one of EXPORT_FORMATS
+ * @returns {Promise<{ blob: Blob, filename: string }>}
+ */
+export async function exportReport(result, format, options) {
+  const settings = EXPORT_FORMATS[format]
+  if (!settings) {
+    throw new Error(`Unsupported export format: ${format}`)
+  }
+
+  let blob
+  if (format === 'pdf') {
+    blob = toPdf(result, options)
+  } else if (format === 'docx') {
+    blob = await toDocx(result, options)
+  } else if (format === 'markdown') {
+    blob = new Blob([toMarkdown(result, options)], { type: settings.mimeType })
+  } else {
+    blob = new Blob([toJson(result, options)], { type: settings.mimeType })
+  }
+
+  const baseName = (result.metadata?.document?.name || result.summary?.title || 'contract').replace(/\.[^.]+$/, '')
+  const slug = baseName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'contract'
+
+  return { blob, filename: `${slug}-analysis.${settings.extension}` }
+}
+
+/**
+ * Save a blob through a temporary download link
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
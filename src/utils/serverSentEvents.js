@@ -0,0 +1,62 @@
+/**
+ * Server-Sent Events client
+ * Reads a text/event-stream response from fetch; EventSource only supports GET requests,
+ * and document analysis is a POST
+ */
+
+/**
+ * Parse one event frame into { event, data }
+ * Returns null for frames without data (comments, keep-alives)
+ */
+export function parseServerSentEvent(frame) {
+  let event = 'message'
+  const dataLines = []
+
+  frame.split(/\r?\n/).forEach(line => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim()
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).replace(/^ /, ''))
+    }
+  })
+
+  if (dataLines.length === 0) {
+    return null
+  }
+
+  const raw = dataLines.join('\n')
+  try {
+    return { event, data: JSON.parse(raw) }
+  } catch (error) {
+    return { event, data: raw }
+  }
+}
+
+/**
+ * Read every event from a streaming fetch response, calling onEvent(event, data) as frames arrive
+ */
+export async function readServerSentEvents(response, onEvent) {
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  while (true) {
+    const { done, value } = await reader.read()
+    buffer += done ? decoder.decode() : decoder.decode(value, { stream: true })
+
+    const frames = buffer.split(/\r?\n\r?\n/)
+    // The last piece may be an incomplete frame until the stream ends
+    buffer = done ? '' : frames.pop()
+
+    frames.forEach(frame => {
+      const parsed = parseServerSentEvent(frame)
+      if (parsed) {
+        onEvent(parsed.event, parsed.data)
+      }
+    })
+
+    if (done) {
+      return
+    }
+  }
+}
@@ -1,4 +1,11 @@
 export const severityMap = {
+  critical: {
+    color: '#be123c',
+    bgColor: 'linear-gradient(135deg, #fff1f2, #ffe4e6)',
+    label: 'Critical Risk',
+    textColor: '#9f1239',
+    gradient: 'linear-gradient(135deg, #be123c, #e11d48)'
+  },
   high: {
     color: '#f43f5e',
     bgColor: 'linear-gradient(135deg, #fef2f2, #fdf2f8)',
@@ -24,4 +31,11 @@ export const severityMap = {
 
 export const getSeverityStyle = (level) => {
   return severityMap[level] || severityMap.low
-}
\ No newline at end of file
+}
+
+// Least to most severe
+export const SEVERITY_ORDER = ['low', 'medium', 'high', 'critical']
+
+export const severityRank = (level) => {
+  return Math.max(SEVERITY_ORDER.indexOf(String(level || 'low').toLowerCase()), 0)
+}
@@ -0,0 +1,122 @@
+/**
+ * Word-level diff for redlines
+ * Splits both texts into words and whitespace and aligns them with a longest common subsequence
+ */
+
+// Beyond this many word pairs the table gets too large for the browser; the change is shown whole instead
+const MAX_CELLS = 400000
+
+function tokenize(text) {
+  return String(text || '').match(/\s+|[^\s]+/g) || []
+}
+
+/**
+ * Diff two texts word by word
+ * @returns {Array} runs of { type: 'equal' | 'delete' | 'insert', text }, in reading order
+ */
+export function diffWords(original, proposed) {
+  const before = tokenize(original)
+  const after = tokenize(proposed)
+
+  // The common prefix and suffix never need the table
+  let prefix = 0
+  while (prefix < before.length && prefix < after.length && before[prefix] === after[prefix]) prefix++
+  let suffix = 0
+  while (
+    suffix < before.length - prefix &&
+    suffix < after.length - prefix &&
+    before[before.length - 1 - suffix] === after[after.length - 1 - suffix]
+  ) suffix++
+
+  const oldMiddle = before.slice(prefix, before.length - suffix)
+  const newMiddle = after.slice(prefix, after.length - suffix)
+
+  const operations = [
+    ...before.slice(0, prefix).map(text => ({ type: 'equal', text })),
+    ...diffMiddle(oldMiddle, newMiddle),
+    ...before.slice(before.length - suffix).map(text => ({ type: 'equal', text }))
+  ]
+
+  return mergeRuns(operations)
+}
+
+function diffMiddle(before, after) {
+  if (before.length === 0 || after.length === 0 || before.length * after.length > MAX_CELLS) {
+    return [
+      ...before.map(text => ({ type: 'delete', text })),
+      ...after.map(text => ({ type: 'insert', text }))
+    ]
+  }
+
+  // lengths[i][j] = LCS length of before[i..] and after[j..], stored row-major
+  const width = after.length + 1
+  const lengths = new Uint32Array((before.length + 1) * width)
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lengths[i * width + j] = before[i] === after[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1])
+    }
+  }
+
+  const operations = []
+  let i = 0
+  let j = 0
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      operations.push({ type: 'equal', text: before[i] })
+      i++
+      j++
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      operations.push({ type: 'delete', text: before[i++] })
+    } else {
+      operations.push({ type: 'insert', text: after[j++] })
+    }
+  }
+  while (i < before.length) operations.push({ type: 'delete', text: before[i++] })
+  while (j < after.length) operations.push({ type: 'insert', text: after[j++] })
+
+  return operations
+}
+
+/**
+ * Join neighbouring tokens of the same type, and fold a lone space between two changes into them
+ * so "a b" -> "c d" reads as one replacement rather than alternating fragments
+ */
+function mergeRuns(operations) {
+  const folded = operations.flatMap((operation, index) => {
+    const previous = operations[index - 1]
+    const next = operations[index + 1]
+    const isBridge = operation.type === 'equal' && /^\s+$/.test(operation.text) &&
+      previous && next && previous.type !== 'equal' && next.type !== 'equal'
+    return isBridge
+      ? [{ type: 'delete', text: operation.text }, { type: 'insert', text: operation.text }]
+      : [operation]
+  })
+
+  // Deletions are listed before insertions within each changed stretch
+  const runs = []
+  let pending = { delete: '', insert: '' }
+  const flush = () => {
+    if (pending.delete) runs.push({ type: 'delete', text: pending.delete })
+    if (pending.insert) runs.push({ type: 'insert', text: pending.insert })
+    pending = { delete: '', insert: '' }
+  }
+
+  folded.forEach(operation => {
+    if (operation.type === 'equal') {
+      flush()
+      const last = runs[runs.length - 1]
+      if (last?.type === 'equal') {
+        last.text += operation.text
+      } else {
+        runs.push({ ...operation })
+      }
+    } else {
+      pending[operation.type] += operation.text
+    }
+  })
+  flush()
+
+  return runs
+}
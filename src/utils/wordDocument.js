@@ -0,0 +1,103 @@
+/**
+ * WordprocessingML helpers for building .docx files
+ * Paragraph, run and table markup plus the package parts Word needs to open a document
+ */
+
+import JSZip from 'jszip'
+
+export const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+
+export const WORD_NAMESPACE = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main'
+
+export function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters other than tab and newline are not allowed in XML
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+}
+
+/**
+ * A run of text; line breaks in the text become <w:br/>
+ * @param {Object} [format] - bold, italic, color (hex without #), size (points)
+ */
+export function run(text, { bold = false, italic = false, color, size } = {}) {
+  const properties = [
+    bold && '<w:b/>',
+    italic && '<w:i/>',
+    color && `<w:color w:val="${color.replace('#', '')}"/>`,
+    size && `<w:sz w:val="${Math.round(size * 2)}"/>`
+  ].filter(Boolean).join('')
+
+  const content = String(text ?? '').split('\n')
+    .map(line => `<w:t xml:space="preserve">${escapeXml(line)}</w:t>`)
+    .join('<w:br/>')
+
+  return `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ''}${content}</w:r>`
+}
+
+/**
+ * A paragraph of runs (or plain text) with an optional paragraph style such as "Heading1"
+ */
+export function paragraph(runs, { style, spacingAfter } = {}) {
+  const content = Array.isArray(runs) ? runs.join('') : run(runs)
+  const properties = [
+    style && `<w:pStyle w:val="${style}"/>`,
+    spacingAfter !== undefined && `<w:spacing w:after="${spacingAfter}"/>`
+  ].filter(Boolean).join('')
+
+  return `<w:p>${properties ? `<w:pPr>${properties}</w:pPr>` : ''}${content}</w:p>`
+}
+
+/**
+ * A table with a shaded header row; widths are fractions of the text width
+ */
+export function table(header, rows, widths) {
+  const TEXT_WIDTH = 9360 // twentieths of a point: 6.5 inches between 1 inch margins
+  const columns = widths.map(width => Math.round(width * TEXT_WIDTH))
+  const cell = (content, index, shading) => `<w:tc><w:tcPr><w:tcW w:w="${columns[index]}" w:type="dxa"/>${shading ? `<w:shd w:val="clear" w:color="auto" w:fill="${shading}"/>` : ''}</w:tcPr>${paragraph(content, { spacingAfter: 0 })}</w:tc>`
+  const row = (cells, shading) => `<w:tr>${cells.map((content, index) => cell(content, index, shading)).join('')}</w:tr>`
+  const border = side => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="CBD5E1"/>`
+
+  return `<w:tbl><w:tblPr><w:tblW w:w="${TEXT_WIDTH}" w:type="dxa"/><w:tblBorders>${['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(border).join('')}</w:tblBorders></w:tblPr>` +
+    `<w:tblGrid>${columns.map(width => `<w:gridCol w:w="${width}"/>`).join('')}</w:tblGrid>` +
+    row(header.map(text => run(text, { bold: true })), 'E2E8F0') +
+    rows.map(cells => row(cells)).join('') +
+    '</w:tbl>'
+}
+
+const STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="${WORD_NAMESPACE}">
+<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="22"/></w:rPr></w:rPrDefault><w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="264" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>
+<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="240"/></w:pPr><w:rPr><w:b/><w:color w:val="0F172A"/><w:sz w:val="48"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="360" w:after="120"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:color w:val="1E3A8A"/><w:sz w:val="32"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="80"/><w:outlineLvl w:val="1"/></w:pPr><w:rPr><w:b/><w:color w:val="334155"/><w:sz w:val="26"/></w:rPr></w:style>
+</w:styles>`
+
+/**
+ * Package body markup as a .docx
+ * @param {string} bodyXml - Paragraphs and tables for <w:body>
+ * @param {Object} [options] - title and creator for the document properties
+ * @returns {Promise<Blob>}
+ */
+export async function createDocx(bodyXml, { title = '', creator = 'ClearClause AI' } = {}) {
+  const zip = new JSZip()
+  const created = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z')
+
+  zip.file('[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/><Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/><Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/></Types>`)
+  zip.file('_rels/.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/><Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/></Relationships>`)
+  zip.file('word/_rels/document.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>`)
+  zip.file('word/styles.xml', STYLES)
+  zip.file('docProps/core.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"><dc:title>${escapeXml(title)}</dc:title><dc:creator>${escapeXml(creator)}</dc:creator><dcterms:created xsi:type="dcterms:W3CDTF">${created}</dcterms:created></cp:coreProperties>`)
+  zip.file('word/document.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="${WORD_NAMESPACE}"><w:body>${bodyXml}<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr></w:body></w:document>`)
+
+  return zip.generateAsync({ type: 'blob', mimeType: DOCX_MIME_TYPE })
+}
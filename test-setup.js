@@ -1 +1,10 @@
-import '@testing-library/jest-dom'
\ No newline at end of file
+import '@testing-library/jest-dom'
+import { tmpdir } from 'os'
+import { join } from 'path'
+
+// Keep analyses saved by handler tests out of the working tree
+process.env.VITE_ANALYSIS_HISTORY_DIR = process.env.VITE_ANALYSIS_HISTORY_DIR || join(tmpdir(), 'clearclause-test-history')
+
+// Handler tests call the API without signing in; test/auth.test.js turns enforcement on itself
+process.env.VITE_AUTH_REQUIRED = process.env.VITE_AUTH_REQUIRED || 'off'
+process.env.VITE_AUTH_DIR = process.env.VITE_AUTH_DIR || join(tmpdir(), 'clearclause-test-auth')
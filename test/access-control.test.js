@@ -0,0 +1,170 @@
+/**
+ * Unit tests for roles and role-based access to analyses, history, models and users
+ */
+
+import { describe, it, expect, afterEach } from 'vitest'
+import { render, screen, cleanup } from '@testing-library/react'
+import React from 'react'
+import { PERMISSIONS, canDelete, canView, permissionsFor } from '../functions/auth/roles.js'
+import { UserStore } from '../functions/auth/UserStore.js'
+import { MemoryMailer } from '../functions/auth/Mailer.js'
+import { handler, authService, providerRegistry } from '../functions/process.js'
+import { handler as apiV1 } from '../functions/api/v1.js'
+import { canDeleteEntry } from '../src/utils/permissions.js'
+import HistoryPanel from '../src/components/history/HistoryPanel.jsx'
+import { createAuthService, removeTemporaryDirectories, signIn, temporaryDirectory, verificationToken } from './fixtures/auth-fixtures.js'
+
+afterEach(() => {
+    cleanup()
+    removeTemporaryDirectories()
+})
+
+describe('roles', () => {
+    const owner = { userId: 'owner', name: 'Olivia', company: 'Acme', workspaceId: 'acme' }
+    const as = (role, workspaceId = 'acme') => ({ id: `${role}-user`, role, company: 'Acme', workspaceId })
+
+    it('should let company-wide roles see workspace colleagues\' analyses only', () => {
+        expect(canView(as('lawyer'), owner)).toBe(true)
+        expect(canView(as('viewer'), owner)).toBe(true)
+        expect(canView(as('contract-manager'), owner)).toBe(false)
+        expect(canView(as('legal-counsel', 'other'), owner)).toBe(false)
+        expect(canView(as('legal-counsel', null), { ...owner, workspaceId: null })).toBe(false)
+        expect(canView({ ...as('contract-manager'), id: 'owner' }, owner)).toBe(true)
+    })
+
+    it('should limit deletion to the owner or legal counsel', () => {
+        expect(canDelete({ ...as('lawyer'), id: 'owner' }, owner)).toBe(true)
+        expect(canDelete({ ...as('viewer'), id: 'owner' }, owner)).toBe(false)
+        expect(canDelete(as('lawyer'), owner)).toBe(false)
+        expect(canDelete(as('legal-counsel'), owner)).toBe(true)
+        expect(permissionsFor('legal-counsel')).toContain(PERMISSIONS.CONFIGURE_MODELS)
+        expect(permissionsFor('unknown')).toEqual([])
+    })
+})
+
+describe('AuthService roles', () => {
+    it('should start a workspace for admin addresses and add invited accounts with the invite\'s role', async () => {
+        const service = createAuthService({ adminEmails: ['Counsel@Acme.test'] })
+        const counselSession = await signIn(service, 'counsel@acme.test', { company: 'Acme Legal' })
+        const { user: counsel } = counselSession
+        const { user: lawyer } = await signIn(service, 'lawyer@acme.test', { invitedBy: counselSession, role: 'lawyer' })
+        const { user: outsider } = await signIn(service, 'outsider@other.test')
+
+        expect(counsel).toMatchObject({ role: 'legal-counsel', roleLabel: 'Legal Counsel', company: 'Acme Legal' })
+        expect(counsel.workspaceId).toBeTruthy()
+        expect(lawyer).toMatchObject({ role: 'lawyer', permissions: permissionsFor('lawyer'), workspaceId: counsel.workspaceId, company: 'Acme Legal' })
+        // Claiming the same company name at sign-up joins nothing
+        expect(outsider).toMatchObject({ role: 'contract-manager', company: 'Acme', workspaceId: null })
+        expect(service.mailer.messages.find(message => message.to === 'lawyer@acme.test').subject).toBe('Join Acme Legal on ClearClause AI')
+
+        expect((await service.setRole(counsel, lawyer.id, 'viewer')).role).toBe('viewer')
+        await expect(service.setRole(counsel, counsel.id, 'viewer')).rejects.toMatchObject({ statusCode: 409 })
+        await expect(service.setRole(counsel, outsider.id, 'viewer')).rejects.toMatchObject({ statusCode: 404 })
+        await expect(service.setRole(lawyer, counsel.id, 'viewer')).rejects.toMatchObject({ statusCode: 403 })
+        expect((await service.listWorkspaceUsers(counsel)).map(user => user.email)).toEqual(['counsel@acme.test', 'lawyer@acme.test'])
+    })
+
+    it('should let only the workspace manage invites and wait for the address to be verified', async () => {
+        const service = createAuthService({ adminEmails: ['counsel@acme.test'] })
+        const counsel = await signIn(service, 'counsel@acme.test')
+        const member = await signIn(service, 'member@acme.test', { invitedBy: counsel })
+
+        expect(member.user).toMatchObject({ role: 'contract-manager', workspaceId: counsel.user.workspaceId })
+        await expect(service.invite(member.user, { email: 'friend@acme.test' })).rejects.toMatchObject({ statusCode: 403 })
+        await expect(service.invite(counsel.user, { email: 'member@acme.test' })).rejects.toMatchObject({ statusCode: 409 })
+        await expect(service.invite(counsel.user, { email: 'new@acme.test', role: 'owner' })).rejects.toMatchObject({ statusCode: 400 })
+
+        await service.invite(counsel.user, { email: 'Pending@Acme.test', role: 'viewer' })
+        const pending = await service.signup({ email: 'pending@acme.test', password: 'long enough', name: 'Pending' })
+        expect(pending.workspaceId).toBeNull()
+
+        const [invite] = await service.listInvites(counsel.user)
+        expect(invite).toMatchObject({ email: 'pending@acme.test', role: 'viewer', invitedBy: counsel.user.id })
+        await service.revokeInvite(counsel.user, invite.id)
+        await expect(service.revokeInvite(counsel.user, invite.id)).rejects.toMatchObject({ statusCode: 404 })
+        expect((await service.verifyEmail(verificationToken(service.mailer, 'pending@acme.test'))).workspaceId).toBeNull()
+    })
+})
+
+describe('API access control', () => {
+    const originalStore = authService.store
+    const originalAdminEmails = authService.adminEmails
+    const originalChain = providerRegistry.chain
+
+    afterEach(() => {
+        authService.required = false
+        authService.store = originalStore
+        authService.adminEmails = originalAdminEmails
+        providerRegistry.chain = originalChain
+    })
+
+    it('should enforce roles on analyses, history, models and users', async () => {
+        authService.required = true
+        authService.store = new UserStore({ directory: temporaryDirectory() })
+        authService.mailer = new MemoryMailer()
+        authService.adminEmails = ['counsel@acme.test']
+
+        const counsel = await signIn(authService, 'counsel@acme.test')
+        const invited = await apiV1({ method: 'POST', path: '/invites', headers: counsel.headers, body: { email: 'lawyer@acme.test', role: 'lawyer' } })
+        expect(invited.statusCode).toBe(201)
+        expect((await apiV1({ method: 'POST', path: '/invites', headers: counsel.headers, body: { email: 'nope' } })).statusCode).toBe(400)
+        expect(JSON.parse((await apiV1({ method: 'GET', path: '/invites', headers: counsel.headers })).body).data).toHaveLength(1)
+        const lawyer = await signIn(authService, 'lawyer@acme.test')
+        const viewer = await signIn(authService, 'viewer@acme.test', { invitedBy: counsel })
+        // Same company name and a company-wide role, but never invited
+        const outsider = await signIn(authService, 'outsider@other.test', { company: 'Acme' })
+        await authService.store.updateUser(outsider.user.id, { role: 'lawyer' })
+
+        const promoted = await apiV1({ method: 'PATCH', path: `/users/${viewer.user.id}`, headers: counsel.headers, body: { role: 'viewer' } })
+        expect(JSON.parse(promoted.body).user.role).toBe('viewer')
+        expect((await apiV1({ method: 'GET', path: '/users', headers: lawyer.headers })).statusCode).toBe(403)
+        expect((await apiV1({ method: 'POST', path: '/invites', headers: lawyer.headers, body: { email: 'friend@acme.test' } })).statusCode).toBe(403)
+        expect(JSON.parse((await apiV1({ method: 'GET', path: '/users', headers: counsel.headers })).body).data).toHaveLength(3)
+
+        const analysis = JSON.parse((await handler({
+            method: 'POST',
+            headers: lawyer.headers,
+            body: { action: 'analyze', documentText: 'Payment is due within 30 days of the invoice date.', filename: 'rbac.txt' }
+        })).body)
+        const entryPath = `/history/${analysis.historyId}`
+
+        expect((await handler({ method: 'POST', headers: viewer.headers, body: { action: 'analyze', documentText: 'Any text' } })).statusCode).toBe(403)
+        expect((await apiV1({ method: 'POST', path: '/analyses', headers: viewer.headers, body: { documentText: 'Any text' } })).statusCode).toBe(403)
+
+        expect((await apiV1({ method: 'GET', path: entryPath, headers: viewer.headers })).statusCode).toBe(200)
+        expect((await apiV1({ method: 'DELETE', path: entryPath, headers: viewer.headers })).statusCode).toBe(403)
+        expect((await apiV1({ method: 'GET', path: entryPath, headers: outsider.headers })).statusCode).toBe(404)
+        const outsiderList = JSON.parse((await apiV1({ method: 'GET', path: '/history', headers: outsider.headers, query: { search: 'rbac' } })).body)
+        expect(outsiderList.items.map(item => item.id)).not.toContain(analysis.historyId)
+
+        expect((await apiV1({ method: 'PUT', path: '/models', headers: lawyer.headers, body: { providers: ['rules'] } })).statusCode).toBe(403)
+        expect((await apiV1({ method: 'PUT', path: '/models', headers: counsel.headers, body: { providers: ['nope'] } })).statusCode).toBe(400)
+        const models = await apiV1({ method: 'PUT', path: '/models', headers: counsel.headers, body: { providers: ['rules'] } })
+        expect(JSON.parse(models.body).data.map(model => model.provider)).toEqual(['rules'])
+
+        expect((await apiV1({ method: 'DELETE', path: entryPath, headers: counsel.headers })).statusCode).toBe(204)
+    })
+})
+
+describe('HistoryPanel permissions', () => {
+    it('should only offer delete on entries the user may remove', () => {
+        const user = { id: 'me', role: 'lawyer', permissions: permissionsFor('lawyer') }
+        const items = [
+            { id: '1', kind: 'analysis', title: 'Mine', createdAt: new Date().toISOString(), documentNames: [], clauseCount: 1, riskCount: 0, owner: { userId: 'me', name: 'Me' } },
+            { id: '2', kind: 'analysis', title: 'Theirs', createdAt: new Date().toISOString(), documentNames: [], clauseCount: 1, riskCount: 0, owner: { userId: 'other', name: 'Olivia' } }
+        ]
+
+        render(React.createElement(HistoryPanel, {
+            items,
+            total: 2,
+            onSelect: () => {},
+            onDelete: () => {},
+            canDelete: (item) => canDeleteEntry(user, item),
+            currentUserId: user.id
+        }))
+
+        expect(screen.getByLabelText('Delete Mine')).toBeInTheDocument()
+        expect(screen.queryByLabelText('Delete Theirs')).toBeNull()
+        expect(screen.getByText(/by Olivia/)).toBeInTheDocument()
+    })
+})
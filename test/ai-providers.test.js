@@ -0,0 +1,264 @@
+/**
+ * Unit tests for the AI provider registry and provider clients
+ */
+
+import { describe, it, expect } from 'vitest'
+import { AIClient, CHARS_PER_TOKEN } from '../functions/ai/AIClient.js'
+import { AIClient as LegacyAIClient } from '../functions/ai/GeminiClient.js'
+import { ProviderRegistry, parseProviderChain } from '../functions/ai/ProviderRegistry.js'
+import { BedrockClient } from '../functions/ai/providers/BedrockClient.js'
+import { OpenAICompatibleClient } from '../functions/ai/providers/OpenAICompatibleClient.js'
+import { OllamaClient } from '../functions/ai/providers/OllamaClient.js'
+
+const analysis = {
+    summary: { documentType: 'Service Agreement' },
+    clauses: [{ id: 'clause_1', category: 'payment', content: 'Pay within 30 days' }],
+    risks: [],
+    keyTerms: [],
+    recommendations: []
+}
+
+function fakeClient(result, model = 'fake-model') {
+    const client = new AIClient()
+    client.calls = 0
+    client.analyzeDocument = async () => {
+        client.calls++
+        return result
+    }
+    client.getModelInfo = () => ({ provider: 'Fake', model })
+    return client
+}
+
+function jsonResponse(body, status = 200) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        json: async () => body,
+        text: async () => JSON.stringify(body)
+    }
+}
+
+describe('AIClient', () => {
+    it('should stay importable from GeminiClient', () => {
+        expect(LegacyAIClient).toBe(AIClient)
+    })
+
+    it('should extract JSON wrapped in markdown fences or chatter', () => {
+        const client = new AIClient()
+        expect(client.parseJsonResponse('Here you go:\n```json\n{"a": 1}\n```')).toEqual({ a: 1 })
+        expect(() => client.parseJsonResponse('no json here')).toThrow('No valid JSON found in response')
+    })
+})
+
+describe('ProviderRegistry', () => {
+    it('should parse provider chains from config', () => {
+        expect(parseProviderChain(' Gemini, bedrock ,,ollama,gemini')).toEqual(['gemini', 'bedrock', 'ollama'])
+        expect(new ProviderRegistry({ factories: {}, chain: [] }).chain).toEqual(['gemini'])
+    })
+
+    it('should fall back to the next provider when one fails', async () => {
+        const failing = fakeClient({ success: false, error: 'quota exceeded' })
+        const working = fakeClient({ success: true, analysis, confidence: 80 }, 'claude-on-bedrock')
+        const registry = new ProviderRegistry({
+            chain: ['gemini', 'bedrock'],
+            factories: { gemini: () => failing, bedrock: () => working }
+        })
+
+        const result = await registry.analyzeDocument('text', 'Service Agreement')
+
+        expect(result.success).toBe(true)
+        expect(result.provider).toBe('bedrock')
+        expect(result.model).toBe('claude-on-bedrock')
+        expect(result.attempts).toEqual([
+            { provider: 'gemini', success: false, error: 'quota exceeded' },
+            { provider: 'bedrock', success: true }
+        ])
+    })
+
+    it('should skip unconfigured and unknown providers with a reason', async () => {
+        let constructed = 0
+        const registry = new ProviderRegistry({
+            chain: ['gemini', 'mystery', 'ollama'],
+            factories: {
+                gemini: () => {
+                    constructed++
+                    throw new Error('Invalid or missing Google AI API key')
+                },
+                ollama: () => fakeClient({ success: true, analysis })
+            }
+        })
+
+        const result = await registry.analyzeDocument('text', 'Legal Agreement')
+        await registry.analyzeDocument('text', 'Legal Agreement')
+
+        expect(result.provider).toBe('ollama')
+        expect(result.attempts[0]).toEqual({ provider: 'gemini', success: false, error: 'Invalid or missing Google AI API key' })
+        expect(result.attempts[1].error).toBe('Unknown AI provider: mystery')
+        expect(constructed).toBe(1)
+        expect(registry.getStatus().map(status => status.available)).toEqual([false, false, true])
+    })
+
+    it('should report every failure when the whole chain fails', async () => {
+        const registry = new ProviderRegistry({
+            chain: ['gemini', 'openai'],
+            factories: {
+                gemini: () => fakeClient({ success: false, error: 'timeout' }),
+                openai: () => fakeClient({ success: false, error: 'status 500' })
+            }
+        })
+
+        const result = await registry.analyzeDocument('text', 'Legal Agreement')
+
+        expect(result.success).toBe(false)
+        expect(result.error).toBe('gemini: timeout; openai: status 500')
+    })
+
+    it('should report the smallest input limit among the available providers', () => {
+        const small = fakeClient({ success: true, analysis })
+        small.maxInputTokens = 3000
+        const registry = new ProviderRegistry({
+            chain: ['gemini', 'ollama', 'rules'],
+            factories: {
+                gemini: () => { throw new Error('Invalid or missing Google AI API key') },
+                ollama: () => small
+            }
+        })
+
+        expect(registry.getInputLimit()).toBe(12000)
+        expect(new ProviderRegistry({ chain: ['rules'] }).getInputLimit()).toBe(Infinity)
+        expect(new OllamaClient({ contextWindow: 4096 }).getMaxInputChars()).toBe(8192)
+    })
+
+    it('should turn every provider\'s token budget into characters the same way', () => {
+        const bedrock = new BedrockClient({ client: { send: async () => ({}) } })
+        const openai = new OpenAICompatibleClient({ baseUrl: 'http://localhost:8000/v1' })
+
+        expect(bedrock.getMaxInputChars()).toBe(bedrock.promptFormatter.maxTokens * CHARS_PER_TOKEN)
+        expect(openai.getMaxInputChars()).toBe(openai.promptFormatter.maxTokens * CHARS_PER_TOKEN)
+        expect(new OllamaClient({ contextWindow: 4096 }).getMaxInputChars()).toBe(2048 * CHARS_PER_TOKEN)
+    })
+})
+
+describe('OpenAICompatibleClient', () => {
+    it('should require an API key for the public OpenAI endpoint only', () => {
+        expect(() => new OpenAICompatibleClient({ apiKey: '', baseUrl: 'https://api.openai.com/v1' })).toThrow(/API key/)
+        expect(() => new OpenAICompatibleClient({ apiKey: '', baseUrl: 'http://localhost:8000/v1' })).not.toThrow()
+    })
+
+    it('should request JSON mode and parse the reply', async () => {
+        const requests = []
+        const client = new OpenAICompatibleClient({
+            apiKey: 'sk-test',
+            baseUrl: 'http://localhost:8000/v1/',
+            modelName: 'local-model',
+            fetcher: async (url, init) => {
+                requests.push({ url, init })
+                return jsonResponse({
+                    model: 'local-model',
+                    choices: [{ message: { content: JSON.stringify(analysis) } }],
+                    usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+                })
+            }
+        })
+
+        const result = await client.analyzeDocument('The customer shall pay within 30 days.', 'Service Agreement')
+        const body = JSON.parse(requests[0].init.body)
+
+        expect(requests[0].url).toBe('http://localhost:8000/v1/chat/completions')
+        expect(requests[0].init.headers.Authorization).toBe('Bearer sk-test')
+        expect(body.response_format).toEqual({ type: 'json_object' })
+        expect(body.messages[0].role).toBe('system')
+        expect(body.messages[1].content).toContain('The customer shall pay within 30 days.')
+        expect(result).toMatchObject({ success: true, model: 'local-model', analysis, tokenUsage: { totalTokens: 15 } })
+    })
+
+    it('should report HTTP errors as a failed analysis', async () => {
+        const client = new OpenAICompatibleClient({
+            apiKey: 'sk-test',
+            fetcher: async () => jsonResponse({ error: 'rate limited' }, 429)
+        })
+
+        const result = await client.analyzeDocument('text', 'Legal Agreement')
+
+        expect(result.success).toBe(false)
+        expect(result.error).toContain('status 429')
+    })
+})
+
+describe('OllamaClient', () => {
+    it('should call the local chat API in JSON format', async () => {
+        const requests = []
+        const client = new OllamaClient({
+            modelName: 'llama3.1',
+            fetcher: async (url, init) => {
+                requests.push({ url, body: JSON.parse(init.body) })
+                return jsonResponse({ message: { content: JSON.stringify(analysis) }, prompt_eval_count: 100, eval_count: 50 })
+            }
+        })
+
+        const result = await client.analyzeDocument('Contract text', 'Legal Agreement')
+
+        expect(requests[0].url).toBe('http://localhost:11434/api/chat')
+        expect(requests[0].body).toMatchObject({ model: 'llama3.1', stream: false, format: 'json' })
+        expect(result).toMatchObject({ success: true, analysis, tokenUsage: { totalTokens: 150 } })
+    })
+
+    it('should report connection failures as a failed analysis', async () => {
+        const client = new OllamaClient({
+            fetcher: async () => { throw new Error('connect ECONNREFUSED 127.0.0.1:11434') }
+        })
+
+        const result = await client.analyzeDocument('Contract text', 'Legal Agreement')
+
+        expect(result.success).toBe(false)
+        expect(result.error).toContain('ECONNREFUSED')
+    })
+})
+
+describe('Provider input handling', () => {
+    it('should send long documents whole instead of truncating them', async () => {
+        const longText = 'The Supplier shall deliver the goods. '.repeat(1500)
+        const bodies = []
+        const fetcher = async (url, init) => {
+            bodies.push(init.body)
+            return jsonResponse(url.includes('/api/chat')
+                ? { message: { content: JSON.stringify(analysis) } }
+                : { choices: [{ message: { content: JSON.stringify(analysis) } }] })
+        }
+
+        await new OpenAICompatibleClient({ apiKey: 'sk-test', baseUrl: 'http://localhost:8000/v1', fetcher }).analyzeDocument(longText, 'Supply Agreement')
+        await new OllamaClient({ contextWindow: 4096, fetcher }).analyzeDocument(longText, 'Supply Agreement')
+
+        expect(longText.length).toBeGreaterThan(30000)
+        bodies.forEach(body => {
+            expect(body).toContain(JSON.stringify(longText).slice(1, -1))
+            expect(body).not.toContain('truncated')
+        })
+    })
+})
+
+describe('BedrockClient', () => {
+    it('should prefill Claude responses and parse the completed JSON', async () => {
+        const sent = []
+        const client = new BedrockClient({
+            modelName: 'anthropic.claude-3-sonnet-20240229-v1:0',
+            client: {
+                send: async command => {
+                    sent.push(JSON.parse(command.input.body))
+                    const text = JSON.stringify(analysis).slice(1)
+                    return { body: new TextEncoder().encode(JSON.stringify({ content: [{ text }], usage: { input_tokens: 20, output_tokens: 10 } })) }
+                }
+            }
+        })
+
+        const result = await client.analyzeDocument('Contract text', 'Service Agreement')
+
+        expect(sent[0].system).toContain('legal document analysis expert')
+        expect(sent[0].messages.at(-1)).toEqual({ role: 'assistant', content: '{' })
+        expect(result).toMatchObject({ success: true, analysis, tokenUsage: { totalTokens: 30 } })
+    })
+
+    it('should reject unsupported models', () => {
+        expect(() => new BedrockClient({ modelName: 'meta.llama3', client: {} })).toThrow(/Unsupported Bedrock model/)
+    })
+})
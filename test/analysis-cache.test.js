@@ -0,0 +1,108 @@
+/**
+ * Unit tests for the content-hash analysis result cache
+ */
+
+import { describe, it, expect, beforeAll, afterEach } from 'vitest'
+import { mkdtempSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import path from 'path'
+import { AnalysisCache } from '../functions/ai/AnalysisCache.js'
+
+const keyParts = { text: 'Customer shall pay within 30 days.', documentType: 'Service Agreement', model: 'gemini:gemini-pro', promptVersion: '1' }
+
+describe('AnalysisCache', () => {
+    let directory = null
+
+    afterEach(() => {
+        if (directory) rmSync(directory, { recursive: true, force: true })
+        directory = null
+    })
+
+    it('should key on normalized text, document type, model and prompt version', () => {
+        const cache = new AnalysisCache({ enabled: true })
+        const key = cache.key(keyParts)
+
+        expect(cache.key({ ...keyParts, text: '  Customer shall pay\r\nwithin   30 days.\n' })).not.toBe(key)
+        expect(cache.key({ ...keyParts, text: 'Customer shall pay within 30 days.  ' })).toBe(key)
+        expect(cache.key({ ...keyParts, text: 'Customer  shall pay within 30 days.' })).toBe(key)
+        expect(cache.key({ ...keyParts, documentType: 'NDA' })).not.toBe(key)
+        expect(cache.key({ ...keyParts, model: 'ollama:llama3.1' })).not.toBe(key)
+        expect(cache.key({ ...keyParts, promptVersion: '2' })).not.toBe(key)
+    })
+
+    it('should return copies so callers cannot change cached entries', async () => {
+        const cache = new AnalysisCache({ enabled: true })
+        await cache.set('a', { analysis: { clauses: [{ id: 'clause_1' }] } })
+
+        const first = await cache.get('a')
+        first.value.analysis.clauses.push({ id: 'clause_2' })
+
+        expect((await cache.get('a')).value.analysis.clauses).toHaveLength(1)
+    })
+
+    it('should expire entries after the TTL and evict the least recently used', async () => {
+        const cache = new AnalysisCache({ enabled: true, maxEntries: 2, ttlMs: 60000 })
+        await cache.set('a', 1)
+        await cache.set('b', 2)
+        await cache.get('a')
+        await cache.set('c', 3)
+
+        expect(await cache.get('b')).toBeNull()
+        expect((await cache.get('a')).value).toBe(1)
+
+        cache.entries.get('c').cachedAt = new Date(Date.now() - 120000).toISOString()
+        expect(await cache.get('c')).toBeNull()
+    })
+
+    it('should persist entries to a file and reload them', async () => {
+        directory = mkdtempSync(path.join(tmpdir(), 'analysis-cache-'))
+        const file = path.join(directory, 'nested', 'cache.json')
+
+        await new AnalysisCache({ enabled: true, file }).set('a', { confidence: 88 })
+        const reloaded = new AnalysisCache({ enabled: true, file })
+
+        expect((await reloaded.get('a')).value).toEqual({ confidence: 88 })
+    })
+
+    it('should do nothing when disabled', async () => {
+        const cache = new AnalysisCache({ enabled: false })
+        await cache.set('a', 1)
+        expect(await cache.get('a')).toBeNull()
+    })
+})
+
+describe('Analysis cache in the handler', () => {
+    let handler
+
+    beforeAll(async () => {
+        // The rule-based provider succeeds offline, so its results are cached like any provider's
+        process.env.VITE_AI_PROVIDERS = 'rules'
+        process.env.VITE_ANALYSIS_CACHE = 'on'
+        ;({ handler } = await import('../functions/process.js'))
+    })
+
+    const analyze = async (extra = {}) => {
+        const response = await handler({
+            method: 'POST',
+            headers: {},
+            body: {
+                action: 'analyze',
+                documentText: '1. Payment\nCustomer shall pay all invoices within 30 days.\n\n2. Governing Law\nThis Agreement is governed by the laws of Ohio.',
+                ...extra
+            }
+        })
+        return JSON.parse(response.body)
+    }
+
+    it('should report a miss, then a hit, unless the request bypasses the cache', async () => {
+        const first = await analyze()
+        const second = await analyze()
+        const bypassed = await analyze({ bypassCache: true })
+
+        expect(first.processingDetails.cache).toMatchObject({ hit: false, bypassed: false })
+        expect(second.processingDetails.cache).toMatchObject({ hit: true, bypassed: false })
+        expect(second.processingDetails.cache.cachedAt).toBeTruthy()
+        expect(second.analysis.clauses).toEqual(first.analysis.clauses)
+        expect(bypassed.processingDetails.cache).toMatchObject({ hit: false, bypassed: true })
+    })
+})
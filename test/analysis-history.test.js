@@ -0,0 +1,182 @@
+/**
+ * Unit tests for persistent analysis history
+ */
+
+import { describe, it, expect, afterEach } from 'vitest'
+import { render, screen, fireEvent, cleanup } from '@testing-library/react'
+import React from 'react'
+import { mkdtempSync, rmSync, readdirSync } from 'fs'
+import { tmpdir } from 'os'
+import path from 'path'
+import { AnalysisHistory } from '../functions/history/AnalysisHistory.js'
+import { handler } from '../functions/process.js'
+import { handler as apiV1 } from '../functions/api/v1.js'
+import { historyEntryToResult } from '../src/utils/analysisHistory.js'
+import HistoryPanel from '../src/components/history/HistoryPanel.jsx'
+
+const documentText = '1. Payment\nCustomer shall pay all invoices within 30 days.\n\n2. Governing Law\nThis Agreement is governed by the laws of Ohio.'
+
+function analysisResponse(documentType, severities) {
+    return {
+        analysis: {
+            summary: { documentType },
+            clauses: [{ id: 'clause_1', title: 'Payment', content: 'Pay in 30 days', category: 'payment' }],
+            risks: severities.map((severity, index) => ({ id: `risk_${index}`, title: `Risk ${index}`, severity }))
+        },
+        model: 'rule-based-v1',
+        usingRealAI: false,
+        processedAt: '2024-03-01T00:00:00.000Z'
+    }
+}
+
+let directories = []
+function createHistory() {
+    const directory = mkdtempSync(path.join(tmpdir(), 'history-'))
+    directories.push(directory)
+    return new AnalysisHistory({ directory, enabled: true })
+}
+
+afterEach(() => {
+    cleanup()
+    directories.forEach(directory => rmSync(directory, { recursive: true, force: true }))
+    directories = []
+})
+
+describe('AnalysisHistory', () => {
+    it('should save full results and list their summaries newest first', async () => {
+        const history = createHistory()
+        const first = await history.save({ kind: 'analysis', document: { name: 'vendor-nda.pdf' }, response: analysisResponse('Non-Disclosure Agreement', ['low']), sourceText: 'NDA text' })
+        const second = await history.save({ kind: 'analysis', document: { name: 'msa.docx' }, response: analysisResponse('Service Agreement', ['medium', 'high']) })
+
+        const { items, total } = await history.list()
+        const stored = await history.get(first.id)
+
+        expect(total).toBe(2)
+        expect(items.map(item => item.id)).toEqual([second.id, first.id])
+        expect(items[0]).toMatchObject({ title: 'msa.docx', highestRisk: 'high', clauseCount: 1, riskCount: 2 })
+        expect(stored.response.analysis.clauses[0].content).toBe('Pay in 30 days')
+        expect(stored.sourceText).toBe('NDA text')
+    })
+
+    it('should filter by search text, kind and risk', async () => {
+        const history = createHistory()
+        await history.save({ kind: 'analysis', document: { name: 'vendor-nda.pdf' }, response: analysisResponse('Non-Disclosure Agreement', []) })
+        await history.save({ kind: 'analysis', document: { name: 'msa.docx' }, response: analysisResponse('Service Agreement', ['critical']) })
+        await history.save({
+            kind: 'comparison',
+            document: { names: ['A', 'B'] },
+            response: { documents: [{ name: 'A', highestRisk: 'low' }, { name: 'B', highestRisk: 'medium' }], comparison: {} }
+        })
+
+        expect((await history.list({ search: 'NON-DISCLOSURE' })).items.map(item => item.title)).toEqual(['vendor-nda.pdf'])
+        expect((await history.list({ kind: 'comparison' })).items[0]).toMatchObject({ title: 'Comparison – A vs B', highestRisk: 'medium' })
+        expect((await history.list({ risk: 'critical' })).items.map(item => item.title)).toEqual(['msa.docx'])
+        expect((await history.list({ risk: 'none' })).total).toBe(1)
+        expect((await history.list({ limit: 1, offset: 1 })).items).toHaveLength(1)
+    })
+
+    it('should keep every entry when saves overlap and survive a restart', async () => {
+        const history = createHistory()
+        await Promise.all([1, 2, 3, 4].map(index => history.save({ kind: 'analysis', document: { name: `doc-${index}` }, response: analysisResponse('NDA', []) })))
+
+        const reloaded = new AnalysisHistory({ directory: history.directory, enabled: true })
+        expect((await reloaded.list()).total).toBe(4)
+    })
+
+    it('should delete entries and ignore IDs that are not record IDs', async () => {
+        const history = createHistory()
+        const saved = await history.save({ kind: 'analysis', document: { name: 'a' }, response: analysisResponse('NDA', []) })
+
+        expect(await history.get('index')).toBeNull()
+        expect(await history.get('../../etc/passwd')).toBeNull()
+        expect(await history.delete(saved.id)).toBe(true)
+        expect(await history.get(saved.id)).toBeNull()
+        expect(readdirSync(history.directory)).toEqual(['index.json'])
+    })
+})
+
+describe('History API', () => {
+    it('should save analyses run through the handler and serve them from /api/v1/history', async () => {
+        const response = JSON.parse((await handler({
+            method: 'POST',
+            headers: {},
+            body: { action: 'analyze', documentText, filename: 'payment-terms.txt' }
+        })).body)
+
+        expect(response.historyId).toBeTruthy()
+
+        const list = JSON.parse((await apiV1({ method: 'GET', path: '/history', query: { search: 'payment-terms' } })).body)
+        const entry = JSON.parse((await apiV1({ method: 'GET', path: `/history/${response.historyId}` })).body)
+
+        expect(list.items.map(item => item.id)).toContain(response.historyId)
+        expect(entry.sourceText).toBe(documentText)
+        expect(entry.document).toMatchObject({ name: 'payment-terms.txt', source: 'direct-input' })
+
+        expect((await apiV1({ method: 'DELETE', path: `/history/${response.historyId}` })).statusCode).toBe(204)
+        expect((await apiV1({ method: 'GET', path: `/history/${response.historyId}` })).statusCode).toBe(404)
+    })
+})
+
+describe('historyEntryToResult', () => {
+    it('should rebuild the analysis view from a saved entry', () => {
+        const { isComparison, result } = historyEntryToResult({
+            id: 'saved-1',
+            kind: 'analysis',
+            document: { name: 'msa.docx', source: 'file-upload' },
+            sourceText: 'Pay in 30 days',
+            response: analysisResponse('Service Agreement', ['high'])
+        })
+
+        expect(isComparison).toBe(false)
+        expect(result.summary.title).toBe('Service Agreement')
+        expect(result.clauses[0].text).toBe('Pay in 30 days')
+        expect(result.risks[0].level).toBe('high')
+        expect(result.metadata.document.name).toBe('msa.docx')
+        expect(result.metadata.historyId).toBe('saved-1')
+    })
+
+    it('should rebuild comparisons', () => {
+        const { isComparison, result } = historyEntryToResult({
+            kind: 'comparison',
+            response: { comparison: { summary: 'Same' }, documents: [{ name: 'A' }, { name: 'B' }], model: 'm' }
+        })
+
+        expect(isComparison).toBe(true)
+        expect(result.documents).toHaveLength(2)
+        expect(result.metadata.model).toBe('m')
+    })
+})
+
+describe('HistoryPanel', () => {
+    const items = [
+        { id: 'one', kind: 'analysis', title: 'msa.docx', documentType: 'Service Agreement', clauseCount: 4, riskCount: 2, highestRisk: 'high', createdAt: '2024-03-01T00:00:00.000Z' },
+        { id: 'two', kind: 'comparison', title: 'Comparison – A vs B', clauseCount: 8, riskCount: 1, highestRisk: 'low', createdAt: '2024-03-02T00:00:00.000Z' }
+    ]
+
+    it('should reopen an entry when clicked and report filter changes', () => {
+        const selected = []
+        const filterChanges = []
+        render(React.createElement(HistoryPanel, {
+            items,
+            total: 5,
+            filters: { limit: 20 },
+            onSelect: item => selected.push(item.id),
+            onFiltersChange: filters => filterChanges.push(filters)
+        }))
+
+        fireEvent.click(screen.getByText('msa.docx'))
+        fireEvent.change(screen.getByLabelText('Search history'), { target: { value: 'nda' } })
+        fireEvent.change(screen.getByLabelText('Filter by highest risk'), { target: { value: 'high' } })
+        fireEvent.click(screen.getByText('Show More (3 remaining)'))
+
+        expect(selected).toEqual(['one'])
+        expect(filterChanges[0]).toMatchObject({ search: 'nda' })
+        expect(filterChanges[1]).toMatchObject({ risk: 'high' })
+        expect(filterChanges[2]).toMatchObject({ limit: 40 })
+    })
+
+    it('should render nothing when there is no history and no filter', () => {
+        const { container } = render(React.createElement(HistoryPanel, { items: [], total: 0, filters: {} }))
+        expect(container.innerHTML).toBe('')
+    })
+})
@@ -0,0 +1,141 @@
+// @vitest-environment node
+/**
+ * Unit tests for the versioned /api/v1 REST routes
+ */
+
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest'
+import { handler } from '../functions/api/v1.js'
+import { jobQueue } from '../functions/process.js'
+import { validateSchema } from '../functions/api/validateSchema.js'
+import { analysisRequestSchema, comparisonRequestSchema } from '../functions/api/schemas.js'
+import { startServer } from '../functions/server.js'
+
+const documentText = '1. Payment\nCustomer shall pay all invoices within 30 days.\n\n2. Governing Law\nThis Agreement is governed by the laws of Ohio.'
+
+async function request(method, path, body) {
+    const response = await handler({ method, path, headers: { 'content-type': 'application/json' }, body })
+    return { ...response, json: response.body ? JSON.parse(response.body) : null }
+}
+
+async function waitForCompletion(path) {
+    for (let attempt = 0; attempt < 100; attempt++) {
+        const response = await request('GET', path)
+        if (!['queued', 'running'].includes(response.json.status)) return response
+        await new Promise(resolve => setTimeout(resolve, 50))
+    }
+    throw new Error(`${path} did not finish`)
+}
+
+describe('validateSchema', () => {
+    it('should accept valid bodies', () => {
+        expect(validateSchema({ documentText: 'Pay in 30 days', bypassCache: true }, analysisRequestSchema)).toEqual([])
+        expect(validateSchema({ documents: [{ documentText: 'A' }, { s3Key: 'b.pdf', name: 'B' }] }, comparisonRequestSchema)).toEqual([])
+    })
+
+    it('should report each problem with its path', () => {
+        const errors = validateSchema({ documents: [{ documentText: 5 }, { title: 'x' }] }, comparisonRequestSchema)
+
+        expect(errors).toEqual(expect.arrayContaining([
+            { path: '/documents/0/documentText', message: 'must be string' },
+            { path: '/documents/1/title', message: 'is not allowed' },
+            { path: '/documents/1', message: 'must include documentText, fileData or s3Key' }
+        ]))
+        expect(validateSchema({ documents: [{ documentText: 'A' }] }, comparisonRequestSchema))
+            .toEqual([{ path: '/documents', message: 'must have at least 2 items' }])
+        expect(validateSchema([], analysisRequestSchema)).toEqual([{ path: '/', message: 'must be object' }])
+    })
+})
+
+describe('/api/v1 routes', () => {
+    it('should create an analysis and return it once completed', async () => {
+        const created = await request('POST', '/analyses', { documentText })
+
+        expect(created.statusCode).toBe(202)
+        expect(created.headers.Location).toBe(`/api/v1/analyses/${created.json.id}`)
+        expect(created.json.links.self).toBe(created.headers.Location)
+
+        const finished = await waitForCompletion(`/analyses/${created.json.id}`)
+        expect(finished.json.status).toBe('completed')
+        expect(finished.json.result.analysis.clauses.length).toBeGreaterThan(0)
+    })
+
+    it('should run comparisons', async () => {
+        const created = await request('POST', '/comparisons', {
+            documents: [{ name: 'A', documentText }, { name: 'B', documentText: documentText.replace('30', '60') }]
+        })
+        const finished = await waitForCompletion(`/comparisons/${created.json.id}`)
+
+        expect(finished.json.status).toBe('completed')
+        expect(finished.json.result.documentsAnalyzed).toBe(2)
+    })
+
+    it('should delete analyses and keep them apart from comparisons', async () => {
+        const created = await request('POST', '/analyses', { documentText })
+        const id = created.json.id
+
+        expect((await request('GET', `/comparisons/${id}`)).statusCode).toBe(404)
+        expect((await request('DELETE', `/analyses/${id}`)).statusCode).toBe(204)
+        expect((await request('GET', `/analyses/${id}`)).statusCode).toBe(404)
+    })
+
+    it('should reject invalid bodies with validation details', async () => {
+        const response = await request('POST', '/analyses', { documentText: '', extra: true })
+
+        expect(response.statusCode).toBe(400)
+        expect(response.json.error).toBe('Validation Failed')
+        expect(response.json.details).toEqual(expect.arrayContaining([
+            { path: '/documentText', message: 'must be at least 1 characters' },
+            { path: '/extra', message: 'is not allowed' }
+        ]))
+        expect(response.json.timestamp).toBeTruthy()
+    })
+
+    it('should answer a failed create with the JSON error envelope', async () => {
+        const submit = vi.spyOn(jobQueue, 'submit').mockRejectedValue(new Error('disk full'))
+        const response = await request('POST', '/analyses', { documentText }).finally(() => submit.mockRestore())
+
+        expect(response.statusCode).toBe(500)
+        expect(response.json).toMatchObject({ error: 'Internal Server Error', message: 'An unexpected error occurred' })
+        expect(response.json.timestamp).toBeTruthy()
+    })
+
+    it('should list models and reject unknown routes and methods', async () => {
+        const models = await request('GET', '/models')
+        const wrongMethod = await request('PUT', '/analyses/abc')
+        const unknown = await request('GET', '/contracts')
+
+        expect(models.json.data[0]).toHaveProperty('provider')
+        expect(models.json.fallback).toBe('rules')
+        expect(wrongMethod.statusCode).toBe(405)
+        expect(wrongMethod.headers.Allow).toBe('GET, DELETE')
+        expect(unknown.statusCode).toBe(404)
+        expect(Object.keys(unknown.json).sort()).toEqual(['error', 'message', 'timestamp'])
+    })
+})
+
+describe('/api/v1 over HTTP', () => {
+    let running
+    let baseUrl
+
+    beforeAll(async () => {
+        running = await startServer({ port: 0, host: '127.0.0.1', handleSignals: false })
+        baseUrl = `http://127.0.0.1:${running.server.address().port}`
+    })
+
+    afterAll(async () => {
+        await running.close()
+    })
+
+    it('should route resource paths to the versioned API', async () => {
+        const models = await fetch(`${baseUrl}/api/v1/models`)
+        const created = await fetch(`${baseUrl}/api/v1/analyses`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ documentText })
+        })
+
+        expect(models.status).toBe(200)
+        expect(created.status).toBe(202)
+        expect(created.headers.get('location')).toMatch(/^\/api\/v1\/analyses\//)
+    })
+})
@@ -0,0 +1,174 @@
+/**
+ * Unit tests for server-side accounts, sessions and API authentication
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import { readFileSync } from 'fs'
+import path from 'path'
+import { SessionTokens } from '../functions/auth/SessionTokens.js'
+import { MemoryMailer, ConsoleMailer, WebhookMailer, createMailer } from '../functions/auth/Mailer.js'
+import { handler, authService } from '../functions/process.js'
+import { handler as apiV1 } from '../functions/api/v1.js'
+import { authFetch, getSession } from '../src/utils/authClient.js'
+import { createAuthService, removeTemporaryDirectories, verificationToken } from './fixtures/auth-fixtures.js'
+
+const account = { email: 'Ana@Example.com', password: 'correct horse battery', name: 'Ana Lima' }
+
+async function createVerifiedAccount(service) {
+    const user = await service.signup(account)
+    await service.verifyEmail(verificationToken(service.mailer, user.email))
+    return user
+}
+
+afterEach(() => {
+    removeTemporaryDirectories()
+    vi.unstubAllGlobals()
+    vi.unstubAllEnvs()
+    localStorage.clear()
+})
+
+describe('AuthService', () => {
+    it('should store hashed passwords and require email verification before sign-in', async () => {
+        const service = createAuthService()
+        const user = await service.signup(account)
+        const stored = readFileSync(path.join(service.store.directory, 'accounts.json'), 'utf8')
+
+        expect(user).toMatchObject({ email: 'ana@example.com', verified: false })
+        expect(user.passwordHash).toBeUndefined()
+        expect(stored).not.toContain(account.password)
+        expect(stored).toMatch(/scrypt:/)
+
+        await expect(service.login(account)).rejects.toMatchObject({ statusCode: 403 })
+        await expect(service.signup(account)).rejects.toMatchObject({ statusCode: 409 })
+
+        const verified = await service.verifyEmail(verificationToken(service.mailer, user.email))
+        expect(verified.verified).toBe(true)
+        await expect(service.verifyEmail('not-a-token')).rejects.toMatchObject({ statusCode: 400 })
+    })
+
+    it('should sign in with the right password only', async () => {
+        const service = createAuthService()
+        await createVerifiedAccount(service)
+
+        const session = await service.login({ email: 'ana@example.com', password: account.password })
+        const auth = await service.authenticate({ Authorization: `Bearer ${session.accessToken}` })
+
+        expect(session.tokenType).toBe('Bearer')
+        expect(auth.user.name).toBe('Ana Lima')
+        await expect(service.login({ ...account, password: 'wrong password' })).rejects.toMatchObject({ statusCode: 401 })
+        await expect(service.login({ ...account, email: 'nobody@example.com' })).rejects.toMatchObject({ statusCode: 401 })
+    })
+
+    it('should rotate refresh tokens and end the session when an old one is replayed', async () => {
+        const service = createAuthService()
+        await createVerifiedAccount(service)
+        const first = await service.login(account)
+
+        const second = await service.refresh(first.refreshToken)
+        expect(second.refreshToken).not.toBe(first.refreshToken)
+
+        await expect(service.refresh(first.refreshToken)).rejects.toMatchObject({ statusCode: 401 })
+        await expect(service.refresh(second.refreshToken)).rejects.toMatchObject({ statusCode: 401 })
+        expect(await service.authenticate({ authorization: `Bearer ${second.accessToken}` })).toBeNull()
+    })
+
+    it('should reject access tokens after logout', async () => {
+        const service = createAuthService()
+        await createVerifiedAccount(service)
+        const session = await service.login(account)
+
+        await service.logout({ refreshToken: session.refreshToken })
+
+        expect(await service.authenticate({ authorization: `Bearer ${session.accessToken}` })).toBeNull()
+        await expect(service.refresh(session.refreshToken)).rejects.toMatchObject({ statusCode: 401 })
+    })
+})
+
+describe('SessionTokens', () => {
+    it('should reject tampered, expired and wrong-type tokens', () => {
+        const tokens = new SessionTokens({ secret: 'test-secret', accessTtlMs: 1000 })
+        const { token } = tokens.issue('access', { sub: 'user-1', sid: 'session-1' }, 0)
+        const [header, payload, signature] = token.split('.')
+        const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), sub: 'admin' })).toString('base64url')
+
+        expect(tokens.verify(token, 'access', 500)).toMatchObject({ sub: 'user-1', sid: 'session-1' })
+        expect(tokens.verify(token, 'access', 2000)).toBeNull()
+        expect(tokens.verify(token, 'refresh', 500)).toBeNull()
+        expect(tokens.verify(`${header}.${forged}.${signature}`, 'access', 500)).toBeNull()
+        expect(new SessionTokens({ secret: 'other-secret' }).verify(token, 'access', 500)).toBeNull()
+    })
+
+    it('should fall back to a random secret outside production and require VITE_AUTH_SECRET in production', () => {
+        vi.stubEnv('VITE_AUTH_SECRET', '')
+        const tokens = new SessionTokens()
+        expect(tokens.verify(tokens.issue('access', { sub: 'user-1' }).token, 'access')).toMatchObject({ sub: 'user-1' })
+
+        vi.stubEnv('NODE_ENV', 'production')
+        expect(() => new SessionTokens()).toThrow('VITE_AUTH_SECRET must be set in production')
+        expect(new SessionTokens({ secret: 'test-secret' }).secret).toBe('test-secret')
+    })
+})
+
+describe('createMailer', () => {
+    it('should default to the console outside production and require a delivering mailer in production', () => {
+        vi.stubEnv('VITE_MAILER', '')
+        expect(createMailer()).toBeInstanceOf(ConsoleMailer)
+
+        vi.stubEnv('NODE_ENV', 'production')
+        expect(() => createMailer()).toThrow('VITE_MAILER must be webhook in production')
+        expect(() => createMailer('console')).toThrow('console does not deliver email')
+        expect(createMailer('webhook', { url: 'https://mail.example.com/send' })).toBeInstanceOf(WebhookMailer)
+    })
+})
+
+describe('API authentication', () => {
+    afterEach(() => {
+        authService.required = false
+    })
+
+    it('should require a bearer token once sign-up, verification and login are done through /api/v1/auth', async () => {
+        authService.required = true
+        authService.mailer = new MemoryMailer()
+        const email = `api-${Date.now()}@example.com`
+
+        const unauthorized = await handler({ method: 'GET', headers: {}, query: {} })
+        expect(unauthorized.statusCode).toBe(401)
+        expect(unauthorized.headers['WWW-Authenticate']).toBe('Bearer')
+        expect((await apiV1({ method: 'GET', path: '/models', headers: {} })).statusCode).toBe(401)
+
+        const signup = await apiV1({ method: 'POST', path: '/auth/signup', headers: {}, body: { ...account, email } })
+        expect(signup.statusCode).toBe(201)
+        expect((await apiV1({ method: 'POST', path: '/auth/signup', headers: {}, body: { email: 'not-an-email', password: 'short', name: 'x' } })).statusCode).toBe(400)
+
+        await apiV1({ method: 'POST', path: '/auth/verify', headers: {}, body: { token: verificationToken(authService.mailer, email) } })
+        const login = JSON.parse((await apiV1({ method: 'POST', path: '/auth/login', headers: {}, body: { email, password: account.password } })).body)
+        const headers = { authorization: `Bearer ${login.accessToken}` }
+
+        expect((await handler({ method: 'GET', headers, query: { ping: '1' } })).statusCode).toBe(200)
+        expect(JSON.parse((await apiV1({ method: 'GET', path: '/auth/me', headers })).body).user.email).toBe(email)
+
+        expect((await apiV1({ method: 'POST', path: '/auth/logout', headers, body: {} })).statusCode).toBe(204)
+        expect((await handler({ method: 'GET', headers, query: {} })).statusCode).toBe(401)
+    })
+})
+
+describe('authFetch', () => {
+    it('should refresh an expired access token once and retry the request', async () => {
+        localStorage.setItem('authSession', JSON.stringify({ accessToken: 'old-access', refreshToken: 'old-refresh' }))
+        const calls = []
+        vi.stubGlobal('fetch', vi.fn(async (url, options = {}) => {
+            calls.push({ url, authorization: options.headers?.Authorization })
+            if (url === '/api/v1/auth/refresh') {
+                return new Response(JSON.stringify({ accessToken: 'new-access', refreshToken: 'new-refresh' }), { status: 200 })
+            }
+            const status = options.headers?.Authorization === 'Bearer new-access' ? 200 : 401
+            return new Response('{}', { status })
+        }))
+
+        const response = await authFetch('/api/process', { method: 'POST', headers: { 'Content-Type': 'application/json' } })
+
+        expect(response.status).toBe(200)
+        expect(calls.map(call => call.url)).toEqual(['/api/process', '/api/v1/auth/refresh', '/api/process'])
+        expect(getSession().refreshToken).toBe('new-refresh')
+    })
+})
@@ -0,0 +1,195 @@
+/**
+ * Unit tests for chunked map-reduce analysis of long contracts
+ */
+
+import { describe, it, expect } from 'vitest'
+import { ChunkedAnalyzer } from '../functions/ai/ChunkedAnalyzer.js'
+import { handler } from '../functions/process.js'
+
+function section(heading, sentence, repeat) {
+    return `${heading}\n${Array.from({ length: repeat }, () => sentence).join(' ')}\n\n`
+}
+
+const longContract = [
+    'MASTER SERVICES AGREEMENT\n\nThis Agreement is between Acme Corp and Beta LLC.\n\n',
+    section('1. Payment Terms', 'Customer shall pay each invoice within thirty days of receipt.', 20),
+    section('2. Confidentiality', 'Each party shall protect the other party\'s confidential information.', 20),
+    section('3. Termination', 'Either party may terminate this Agreement on ninety days written notice.', 20),
+    section('4. Limitation of Liability', 'Liability is capped at the fees paid in the prior twelve months.', 20)
+].join('')
+
+describe('ChunkedAnalyzer.splitIntoChunks', () => {
+    it('should keep short documents in a single chunk', () => {
+        const analyzer = new ChunkedAnalyzer({ maxChunkSize: 10000 })
+        const chunks = analyzer.splitIntoChunks('Short agreement text.')
+
+        expect(chunks).toHaveLength(1)
+        expect(chunks[0]).toMatchObject({ index: 0, startOffset: 0, endOffset: 21 })
+    })
+
+    it('should split on section headings and cover the whole text', () => {
+        const analyzer = new ChunkedAnalyzer({ maxChunkSize: 2000 })
+        const chunks = analyzer.splitIntoChunks(longContract)
+
+        expect(chunks.length).toBeGreaterThan(1)
+        chunks.forEach(chunk => expect(chunk.text.length).toBeLessThanOrEqual(2000))
+        expect(chunks.map(chunk => chunk.text).join('')).toBe(longContract)
+        expect(chunks.slice(1).every(chunk => /^\d\. /.test(chunk.text))).toBe(true)
+        expect(chunks.map(chunk => chunk.heading)).toContain('3. Termination')
+    })
+
+    it('should split oversized sections on paragraph or sentence boundaries', () => {
+        const analyzer = new ChunkedAnalyzer({ maxChunkSize: 500 })
+        const text = section('1. Services', 'The Supplier shall provide the services with reasonable skill and care.', 40)
+        const chunks = analyzer.splitIntoChunks(text)
+
+        expect(chunks.length).toBeGreaterThan(1)
+        expect(chunks.map(chunk => chunk.text).join('')).toBe(text)
+        chunks.slice(0, -1).forEach(chunk => expect(chunk.text.endsWith('. ')).toBe(true))
+        expect(chunks[1].heading).toBe('1. Services (cont.)')
+    })
+
+    it('should clamp the configured chunk size to the providers\' input limit', () => {
+        const analyzer = new ChunkedAnalyzer({ maxChunkSize: 50000, inputLimit: () => 2000 })
+        const chunks = analyzer.splitIntoChunks(longContract)
+
+        expect(analyzer.chunkSize).toBe(2000)
+        expect(chunks.length).toBeGreaterThan(1)
+        chunks.forEach(chunk => expect(chunk.text.length).toBeLessThanOrEqual(2000))
+        expect(new ChunkedAnalyzer({ maxChunkSize: 1000, inputLimit: () => Infinity }).chunkSize).toBe(1000)
+    })
+})
+
+describe('ChunkedAnalyzer.mergeAnalyses', () => {
+    const analyzer = new ChunkedAnalyzer()
+
+    const first = {
+        summary: { documentType: 'Service Agreement', keyPurpose: 'Managed services', mainParties: ['Acme Corp'], effectiveDate: '2024-01-01', expirationDate: null, completenessScore: 80 },
+        clauses: [
+            { id: 'clause_1', category: 'payment', riskLevel: 'low', content: 'Customer shall pay each invoice within thirty days of receipt.' },
+            { id: 'clause_2', category: 'confidentiality', riskLevel: 'medium', content: 'Each party shall protect confidential information.' }
+        ],
+        risks: [{ id: 'risk_1', title: 'Late payment', category: 'financial', severity: 'low', clauseReference: 'clause_1' }],
+        keyTerms: [{ term: 'Services', importance: 'medium' }],
+        recommendations: [{ priority: 'medium', action: 'Review payment terms', affectedClauses: ['clause_1'] }],
+        qualityMetrics: { clauseDetectionConfidence: 80, potentialMissedClauses: ['Warranty'] }
+    }
+
+    const second = {
+        summary: { documentType: 'Service Agreement', mainParties: ['Beta LLC'], expirationDate: '2026-01-01', completenessScore: 90 },
+        clauses: [
+            { id: 'clause_1', category: 'payment', riskLevel: 'high', content: 'customer shall pay each invoice within thirty days of receipt.' },
+            { id: 'clause_2', category: 'termination', riskLevel: 'high', content: 'Either party may terminate on ninety days notice.' }
+        ],
+        risks: [
+            { id: 'risk_1', title: 'Late Payment', category: 'financial', severity: 'high', clauseReference: 'clause_1' },
+            { id: 'risk_2', title: 'Termination for convenience', category: 'legal', severity: 'high', clauseReference: 'clause_2' }
+        ],
+        keyTerms: [{ term: 'services', importance: 'high' }, { term: 'Notice Period', importance: 'low' }],
+        recommendations: [{ priority: 'high', action: 'Review payment terms', affectedClauses: ['clause_2'] }],
+        qualityMetrics: { clauseDetectionConfidence: 90, potentialMissedClauses: ['Warranty', 'Insurance'] }
+    }
+
+    it('should de-duplicate clauses and renumber IDs across chunks', () => {
+        const merged = analyzer.mergeAnalyses([first, second])
+
+        expect(merged.clauses.map(clause => clause.id)).toEqual(['clause_1', 'clause_2', 'clause_3'])
+        expect(merged.clauses.map(clause => clause.category)).toEqual(['payment', 'confidentiality', 'termination'])
+        expect(merged.clauses[0].riskLevel).toBe('high')
+        expect(merged.summary.totalClausesIdentified).toBe(3)
+    })
+
+    it('should remap clause references to the merged IDs', () => {
+        const merged = analyzer.mergeAnalyses([first, second])
+
+        expect(merged.risks.map(risk => risk.id)).toEqual(['risk_1', 'risk_2'])
+        expect(merged.risks[0].severity).toBe('high')
+        expect(merged.risks[1].clauseReference).toBe('clause_3')
+        expect(merged.recommendations).toHaveLength(1)
+        expect(merged.recommendations[0]).toMatchObject({ priority: 'high', affectedClauses: ['clause_1', 'clause_3'] })
+    })
+
+    it('should merge summaries, key terms and quality metrics', () => {
+        const merged = analyzer.mergeAnalyses([first, second])
+
+        expect(merged.summary).toMatchObject({
+            keyPurpose: 'Managed services',
+            mainParties: ['Acme Corp', 'Beta LLC'],
+            effectiveDate: '2024-01-01',
+            expirationDate: '2026-01-01',
+            completenessScore: 85
+        })
+        expect(merged.keyTerms.map(term => term.term)).toEqual(['Services', 'Notice Period'])
+        expect(merged.keyTerms[0].importance).toBe('high')
+        expect(merged.qualityMetrics).toEqual({ clauseDetectionConfidence: 85, potentialMissedClauses: ['Warranty', 'Insurance'] })
+    })
+})
+
+describe('ChunkedAnalyzer.analyze', () => {
+    it('should analyze every chunk and report chunk boundaries', async () => {
+        const analyzer = new ChunkedAnalyzer({ maxChunkSize: 2000 })
+        const seen = []
+
+        const result = await analyzer.analyze(longContract, async chunk => {
+            seen.push(chunk.index)
+            return {
+                success: true,
+                confidence: 80 + chunk.index,
+                analysis: { summary: {}, clauses: [{ id: 'clause_1', category: `section_${chunk.index}`, content: chunk.text.slice(0, 40) }], risks: [] }
+            }
+        })
+
+        expect(result.success).toBe(true)
+        expect(seen).toEqual(result.chunking.chunks.map(chunk => chunk.index))
+        expect(result.chunking.chunkCount).toBe(seen.length)
+        expect(result.analysis.clauses).toHaveLength(seen.length)
+        expect(result.chunking.chunks[result.chunking.chunkCount - 1].endOffset).toBe(longContract.length)
+    })
+
+    it('should fail when any chunk fails', async () => {
+        const analyzer = new ChunkedAnalyzer({ maxChunkSize: 2000 })
+        const result = await analyzer.analyze(longContract, async chunk =>
+            chunk.index === 1 ? { success: false, error: 'quota exceeded' } : { success: true, analysis: { clauses: [] } }
+        )
+
+        expect(result.success).toBe(false)
+        expect(result.error).toMatch(/Chunk 2 of \d+ failed: quota exceeded/)
+    })
+})
+
+describe('analyze action with long documents', () => {
+    it('should analyze documents beyond the single-prompt limit in chunks', async () => {
+        const documentText = Array.from({ length: 12 }, (_, i) =>
+            section(`${i + 1}. Section ${i + 1}`, `Obligation ${i + 1} applies to the Supplier in full.`, 80)
+        ).join('')
+        expect(documentText.length).toBeGreaterThan(30000)
+
+        const response = await handler({
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: { action: 'analyze', documentText }
+        })
+
+        expect(response.statusCode).toBe(200)
+        const body = JSON.parse(response.body)
+        expect(body.processingDetails.chunking.chunkCount).toBeGreaterThan(1)
+        expect(body.analysis.clauses.length).toBeGreaterThan(0)
+    })
+
+    it('should accept documents over the old 200,000-character cap', async () => {
+        const documentText = Array.from({ length: 60 }, (_, i) =>
+            section(`${i + 1}. Schedule ${i + 1}`, `The Supplier shall deliver the services in Schedule ${i + 1} on time.`, 60)
+        ).join('')
+        expect(documentText.length).toBeGreaterThan(200000)
+
+        const response = await handler({
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: { action: 'analyze', documentText, bypassCache: true }
+        })
+
+        expect(response.statusCode).toBe(200)
+        const { processingDetails } = JSON.parse(response.body)
+        expect(processingDetails.chunking.chunkCount).toBeGreaterThanOrEqual(Math.ceil(documentText.length / 30000))
+    })
+})
@@ -0,0 +1,86 @@
+/**
+ * Unit tests for the data-driven ComparisonResults component
+ */
+
+import { describe, it, expect, afterEach } from 'vitest'
+import { render, screen, fireEvent, cleanup } from '@testing-library/react'
+import React from 'react'
+import ComparisonResults from '../src/components/analysis/ComparisonResults.jsx'
+import { ComparisonEngine } from '../functions/ai/ComparisonEngine.js'
+
+const comparison = new ComparisonEngine().compare([
+    {
+        name: 'Vendor A',
+        analysis: {
+            summary: { documentType: 'Service Agreement' },
+            clauses: [
+                { id: 'clause_1', category: 'payment', riskLevel: 'low', content: 'Customer shall pay invoices within thirty days.' },
+                { id: 'clause_2', category: 'confidentiality', riskLevel: 'low', content: 'Confidential information is protected for five years.' }
+            ],
+            risks: [{ title: 'Late payment interest', severity: 'medium', category: 'financial', recommendation: 'Cap interest at 1% per month' }]
+        }
+    },
+    {
+        name: 'Vendor B',
+        analysis: {
+            summary: { documentType: 'Service Agreement' },
+            clauses: [
+                { id: 'clause_1', category: 'payment', riskLevel: 'low', content: 'Customer shall pay invoices within thirty days.' }
+            ],
+            risks: []
+        }
+    }
+])
+
+afterEach(() => cleanup())
+
+describe('ComparisonResults', () => {
+    it('should render overview counts and summary from the comparison payload', () => {
+        render(React.createElement(ComparisonResults, { comparison }))
+
+        expect(screen.getByText('Comparing Vendor A, Vendor B')).toBeTruthy()
+        expect(screen.getByText(comparison.overview.comparisonSummary)).toBeTruthy()
+        expect(screen.getByText('Documents Compared').previousSibling.textContent).toBe('2')
+        expect(screen.getByText('Key Differences', { selector: 'div' }).previousSibling.textContent).toBe(String(comparison.keyDifferences.length))
+    })
+
+    it('should list key differences and risks from the payload', () => {
+        render(React.createElement(ComparisonResults, { comparison }))
+
+        fireEvent.click(screen.getByText('Key Differences', { selector: 'button' }))
+        expect(screen.getByText(comparison.keyDifferences[0].description)).toBeTruthy()
+
+        fireEvent.click(screen.getByText('Risk Analysis'))
+        expect(screen.getByText('Late payment interest')).toBeTruthy()
+        expect(screen.getByText('Vendor B: Not affected')).toBeTruthy()
+    })
+
+    it('should highlight cells that deviate in the clause matrix', () => {
+        const { container } = render(React.createElement(ComparisonResults, { comparison }))
+
+        fireEvent.click(screen.getByText('Clause Matrix'))
+
+        const deviating = container.querySelectorAll('td[data-deviates="true"]')
+        expect(deviating).toHaveLength(1)
+        expect(deviating[0].textContent).toContain('Missing from this document')
+        expect(screen.getByText('Confidentiality')).toBeTruthy()
+    })
+
+    it('should show empty states for missing or partial payloads', () => {
+        render(React.createElement(ComparisonResults, { documents: [{ name: 'Draft' }, { name: 'Final' }] }))
+        expect(screen.getByText(/Comparison results are not available/)).toBeTruthy()
+        cleanup()
+
+        render(React.createElement(ComparisonResults, {
+            comparison: { overview: { totalDocuments: 2, documentTypes: [], comparisonSummary: '' }, keyDifferences: [] },
+            documents: [{ name: 'Draft' }, { name: 'Final' }]
+        }))
+        expect(screen.getByText('No recommendations were generated for these documents.')).toBeTruthy()
+
+        fireEvent.click(screen.getByText('Key Differences', { selector: 'button' }))
+        expect(screen.getByText('No material differences were found between these documents.')).toBeTruthy()
+
+        fireEvent.click(screen.getByText('Clause Matrix'))
+        expect(screen.getByText('No clause matrix is available for this comparison.')).toBeTruthy()
+    })
+})
@@ -0,0 +1,190 @@
+/**
+ * Unit tests for multi-document comparison
+ */
+
+import { describe, it, expect } from 'vitest'
+import { ComparisonEngine } from '../functions/ai/ComparisonEngine.js'
+import { GeminiResponseParser } from '../functions/ai/GeminiResponseParser.js'
+import { handler } from '../functions/process.js'
+
+function analysis(documentType, clauses, risks = [], keyTerms = []) {
+    return {
+        summary: { documentType },
+        clauses: clauses.map((clause, index) => ({ id: `clause_${index + 1}`, ...clause })),
+        risks,
+        keyTerms
+    }
+}
+
+const vendorA = analysis('Service Agreement', [
+    { category: 'payment_terms', riskLevel: 'low', content: 'Customer shall pay all invoices within thirty days of receipt.' },
+    { category: 'liability', riskLevel: 'medium', content: 'Liability is capped at the fees paid in the prior twelve months.' },
+    { category: 'confidentiality', riskLevel: 'low', content: 'Each party keeps confidential information secret for five years.' }
+], [
+    { title: 'Liability cap', severity: 'medium', category: 'financial', recommendation: 'Negotiate a higher cap' }
+], [{ term: 'Services', definition: 'The hosted platform services' }])
+
+const vendorB = analysis('Service Agreement', [
+    { category: 'Payment', riskLevel: 'low', content: 'Customer shall pay all invoices within thirty days of receipt.' },
+    { category: 'limitation_of_liability', riskLevel: 'critical', content: 'Vendor disclaims all liability of any kind whatsoever.' }
+], [
+    { title: 'Liability cap', severity: 'critical', category: 'financial', recommendation: 'Require a mutual liability cap' }
+], [{ term: 'services' }])
+
+describe('ComparisonEngine', () => {
+    const engine = new ComparisonEngine()
+
+    it('should align clauses across documents by normalized category', () => {
+        const result = engine.compare([
+            { name: 'Vendor A', analysis: vendorA },
+            { name: 'Vendor B', analysis: vendorB }
+        ])
+
+        expect(result.clauseMatrix.documents).toEqual(['Vendor A', 'Vendor B'])
+        expect(result.clauseMatrix.categories).toEqual(['confidentiality', 'liability', 'payment'])
+        expect(result.clauseMatrix.cells.payment['Vendor B']).toMatchObject({ present: true, clauseIds: ['clause_1'], deviates: false })
+        expect(result.clauseMatrix.cells.confidentiality['Vendor B']).toMatchObject({ present: false, deviations: ['missing'] })
+    })
+
+    it('should report missing clauses and diverging risk levels as key differences', () => {
+        const result = engine.compare([
+            { name: 'Vendor A', analysis: vendorA },
+            { name: 'Vendor B', analysis: vendorB }
+        ])
+
+        const confidentiality = result.keyDifferences.find(diff => diff.category === 'confidentiality')
+        expect(confidentiality.documents).toEqual(['Vendor B'])
+        expect(confidentiality.impact).toBe('high')
+
+        const liability = result.keyDifferences.find(diff => diff.category === 'liability')
+        expect(liability.description).toContain('Vendor A: medium')
+        expect(liability.description).toContain('Vendor B: critical')
+        expect(liability.impact).toBe('high')
+
+        expect(result.recommendations.length).toBeGreaterThan(0)
+    })
+
+    it('should list shared clause categories and defined terms as common terms', () => {
+        const result = engine.compare([
+            { name: 'Vendor A', analysis: vendorA },
+            { name: 'Vendor B', analysis: vendorB }
+        ])
+
+        const terms = result.commonTerms.map(term => term.term)
+        expect(terms).toContain('Payment')
+        expect(terms).toContain('Services')
+        expect(terms).not.toContain('Confidentiality')
+    })
+
+    it('should merge risks by title and build a per-document risk matrix', () => {
+        const result = engine.compare([
+            { name: 'Vendor A', analysis: vendorA },
+            { name: 'Vendor B', analysis: vendorB }
+        ])
+
+        expect(result.riskAnalysis).toHaveLength(1)
+        expect(result.riskAnalysis[0]).toMatchObject({ risk: 'Liability cap', severity: 'critical', affectedDocuments: ['Vendor A', 'Vendor B'] })
+        expect(result.riskMatrix[1]).toMatchObject({ document: 'Vendor B', totalRisks: 1, highestSeverity: 'critical' })
+        expect(result.riskMatrix[1].severityCounts.critical).toBe(1)
+    })
+
+    it('should keep duplicate document names distinct', () => {
+        const result = engine.compare([
+            { name: 'Contract', analysis: vendorA },
+            { name: 'Contract', analysis: vendorB }
+        ])
+
+        expect(result.clauseMatrix.documents).toEqual(['Contract', 'Contract (2)'])
+    })
+
+    it('should produce output that passes comparison schema validation', () => {
+        const parser = new GeminiResponseParser()
+        const result = engine.compare([
+            { name: 'Vendor A', analysis: vendorA },
+            { name: 'Vendor B', analysis: vendorB }
+        ])
+
+        expect(parser.validateComparisonStructure(result)).toBe(result)
+    })
+})
+
+describe('GeminiResponseParser.validateComparisonStructure', () => {
+    const parser = new GeminiResponseParser()
+
+    it('should list every schema violation', () => {
+        const invalid = {
+            overview: { totalDocuments: 2, documentTypes: ['Service Agreement'], comparisonSummary: 'Summary' },
+            keyDifferences: [{ category: 'liability', description: 'Differs', documents: ['A'], impact: 'severe' }],
+            commonTerms: [],
+            riskAnalysis: [{ risk: 'Cap', severity: 'low', affectedDocuments: 'A', recommendation: '' }],
+            recommendations: []
+        }
+
+        expect(() => parser.validateComparisonStructure(invalid)).toThrow(/Invalid comparison structure/)
+        expect(() => parser.validateComparisonStructure(invalid)).toThrow(/impact/)
+        expect(() => parser.validateComparisonStructure(invalid)).toThrow(/affectedDocuments/)
+    })
+})
+
+describe('compare action', () => {
+    it('should analyze each document and return an aligned comparison', async () => {
+        const response = await handler({
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: {
+                action: 'compare',
+                documents: [
+                    { name: 'Draft MSA', text: 'The customer shall pay all fees within 30 days. Either party may terminate on 30 days notice.' },
+                    { name: 'Final MSA', text: 'The customer shall pay all fees within 60 days. The supplier indemnifies the customer for third party claims.' }
+                ]
+            }
+        })
+
+        expect(response.statusCode).toBe(200)
+        const body = JSON.parse(response.body)
+        expect(body.documentsAnalyzed).toBe(2)
+        expect(body.documents.map(doc => doc.name)).toEqual(['Draft MSA', 'Final MSA'])
+        expect(body.comparison.overview.totalDocuments).toBe(2)
+        expect(body.comparison.clauseMatrix.documents).toEqual(['Draft MSA', 'Final MSA'])
+        expect(Array.isArray(body.comparison.riskMatrix)).toBe(true)
+    })
+
+    it('should name the document that could not be read', async () => {
+        const response = await handler({
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: {
+                action: 'compare',
+                documents: [
+                    { name: 'Draft MSA', text: 'The customer shall pay all fees within 30 days.' },
+                    { name: 'Empty MSA' }
+                ]
+            }
+        })
+
+        expect(response.statusCode).toBe(400)
+        expect(JSON.parse(response.body).message).toContain('Empty MSA')
+    })
+
+    it('should still require at least two documents', async () => {
+        const response = await handler({
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: { action: 'compare', documents: [{ name: 'Only', text: 'Some text' }] }
+        })
+
+        expect(response.statusCode).toBe(400)
+    })
+
+    it('should refuse more than five documents before analyzing any', async () => {
+        const documents = Array.from({ length: 6 }, (_, index) => ({ name: `MSA ${index + 1}`, text: 'The customer shall pay all fees within 30 days.' }))
+        const response = await handler({
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: { action: 'compare', documents }
+        })
+
+        expect(response.statusCode).toBe(400)
+        expect(JSON.parse(response.body).message).toBe('At most 5 documents can be compared at once')
+    })
+})
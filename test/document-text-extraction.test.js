@@ -0,0 +1,142 @@
+/**
+ * Unit tests for server-side PDF and DOCX text extraction
+ */
+
+import { describe, it, expect } from 'vitest'
+import { DocumentTextExtractor } from '../functions/extraction/DocumentTextExtractor.js'
+import { parseMultipartBody, isMultipartRequest } from '../functions/multipartParser.js'
+import { handler } from '../functions/process.js'
+import { buildPdf, buildDocx } from './fixtures/document-fixtures.js'
+
+describe('DocumentTextExtractor', () => {
+    const extractor = new DocumentTextExtractor()
+
+    it('should extract PDF text and keep page boundaries', async () => {
+        const buffer = buildPdf(['1. Payment is due within 30 days.', '2. Either party may terminate on notice.'])
+
+        const result = await extractor.extract({ buffer, filename: 'msa.pdf' })
+
+        expect(result.method).toBe('pdf-parse')
+        expect(result.pageCount).toBe(2)
+        expect(result.text).toContain('Payment is due within 30 days.')
+        expect(result.text).not.toContain('needs text extraction')
+
+        const [first, second] = result.pages
+        expect(result.text.substring(first.startOffset, first.endOffset)).toBe('1. Payment is due within 30 days.')
+        expect(result.text.substring(second.startOffset, second.endOffset)).toBe('2. Either party may terminate on notice.')
+    })
+
+    it('should extract DOCX text and split pages on explicit page breaks', async () => {
+        const buffer = await buildDocx([
+            ['1. Confidentiality', 'Recipient shall protect Confidential Information & trade secrets.'],
+            ['2. Governing Law', 'This Agreement is governed by the laws of Delaware.']
+        ])
+
+        const result = await extractor.extract({ buffer, filename: 'nda.docx' })
+
+        expect(result.method).toBe('mammoth')
+        expect(result.pageCount).toBe(2)
+        expect(result.text).toContain('Confidential Information & trade secrets.')
+        expect(extractor.findPageForOffset(result.pages, result.text.indexOf('Delaware'))).toBe(2)
+    })
+
+    it('should reject legacy .doc and unknown formats', async () => {
+        await expect(extractor.extract({ buffer: Buffer.from('x'), filename: 'old.doc' })).rejects.toThrow('.doc')
+        await expect(extractor.extract({ buffer: Buffer.from('x'), filename: 'image.png' })).rejects.toThrow('Unsupported file type')
+        expect(extractor.supports('contract.pdf')).toBe(true)
+        expect(extractor.supports('contract.doc')).toBe(false)
+    })
+
+    it('should add page markers for multi-page documents', () => {
+        const extraction = extractor.buildResult(['First page', 'Second page'], 'test')
+
+        expect(extractor.formatWithPageMarkers(extraction)).toBe('[Page 1]\nFirst page\n\n[Page 2]\nSecond page')
+        expect(extractor.formatWithPageMarkers(extractor.buildResult(['Only page'], 'test'))).toBe('Only page')
+    })
+
+    it('should assign page numbers to clauses from content or cited location', () => {
+        const extraction = extractor.buildResult(['Payment is due in 30 days.', 'Liability is capped at fees paid.'], 'test')
+
+        const clauses = extractor.assignClausePages([
+            { id: 'clause_1', content: 'Liability is capped at fees paid.' },
+            { id: 'clause_2', content: 'paraphrased text', sourceLocation: 'Page 1, Section 3' },
+            { id: 'clause_3', content: 'not in document' }
+        ], extraction)
+
+        expect(clauses[0].pageNumber).toBe(2)
+        expect(clauses[1].pageNumber).toBe(1)
+        expect(clauses[2].pageNumber).toBeUndefined()
+    })
+})
+
+describe('Multipart parsing', () => {
+    it('should parse text fields and file parts', () => {
+        const boundary = '----ClearClauseBoundary'
+        const body = Buffer.concat([
+            Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="action"\r\n\r\nanalyze\r\n`),
+            Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="msa.pdf"\r\nContent-Type: application/pdf\r\n\r\n`),
+            Buffer.from([0x25, 0x50, 0x44, 0x46, 0x0d, 0x0a]),
+            Buffer.from(`\r\n--${boundary}--\r\n`)
+        ])
+        const headers = { 'Content-Type': `multipart/form-data; boundary=${boundary}` }
+
+        expect(isMultipartRequest(headers)).toBe(true)
+
+        const fields = parseMultipartBody(body, headers)
+        expect(fields.action).toBe('analyze')
+        expect(fields.file.filename).toBe('msa.pdf')
+        expect(fields.file.contentType).toBe('application/pdf')
+        expect([...fields.file.data]).toEqual([0x25, 0x50, 0x44, 0x46, 0x0d, 0x0a])
+    })
+})
+
+describe('Analyze action with uploaded files', () => {
+    it('should analyze extracted PDF text from base64 file data', async () => {
+        const pdf = buildPdf(['This Service Agreement requires payment within 30 days.'])
+
+        const response = await handler({
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: { action: 'analyze', fileData: pdf.toString('base64'), filename: 'service.pdf', documentType: 'application/pdf' },
+            query: {}
+        })
+
+        expect(response.statusCode).toBe(200)
+        const body = JSON.parse(response.body)
+        expect(body.extraction.method).toBe('pdf-parse')
+        expect(body.extraction.text).toBe('This Service Agreement requires payment within 30 days.')
+        expect(body.extraction.pages).toHaveLength(1)
+        expect(body.analysis.clauses.length).toBeGreaterThan(0)
+    })
+
+    it('should accept multipart uploads', async () => {
+        const boundary = 'xyz'
+        const docx = await buildDocx([['This Lease Agreement sets monthly rent.']])
+        const body = Buffer.concat([
+            Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="lease.docx"\r\nContent-Type: application/octet-stream\r\n\r\n`),
+            docx,
+            Buffer.from(`\r\n--${boundary}--\r\n`)
+        ])
+
+        const response = await handler({
+            method: 'POST',
+            headers: { 'content-type': `multipart/form-data; boundary=${boundary}` },
+            body,
+            query: {}
+        })
+
+        expect(response.statusCode).toBe(200)
+        expect(JSON.parse(response.body).extraction.text).toBe('This Lease Agreement sets monthly rent.')
+    })
+
+    it('should return 415 for files that cannot be extracted', async () => {
+        const response = await handler({
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: { action: 'analyze', fileData: Buffer.from('binary').toString('base64'), filename: 'scan.doc' },
+            query: {}
+        })
+
+        expect(response.statusCode).toBe(415)
+    })
+})
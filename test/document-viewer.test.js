@@ -0,0 +1,116 @@
+/**
+ * Unit tests for the annotated document view
+ */
+
+import { describe, it, expect, afterEach } from 'vitest'
+import { render, screen, fireEvent, cleanup } from '@testing-library/react'
+import React from 'react'
+import { segmentDocument, riskMarkers, risksForClause } from '../src/utils/documentHighlights.js'
+import { transformAnalysisForUI } from '../src/utils/documentProcessor.js'
+import DocumentTab from '../src/components/analysis/DocumentTab.jsx'
+
+const text = 'The Supplier may terminate at any time. Fees are payable within 30 days. Liability is unlimited.'
+
+function located(id, quote, riskLevel, title = id) {
+    const startPosition = text.indexOf(quote)
+    return { id, title, text: quote, riskLevel, explanation: `${title} explained`, startPosition, endPosition: startPosition + quote.length, sourceAnchor: { verified: true } }
+}
+
+const clauses = [
+    located('termination', 'The Supplier may terminate at any time.', 'high', 'Termination'),
+    located('payment', 'Fees are payable within 30 days.', 'low', 'Payment'),
+    located('liability', 'Liability is unlimited.', 'critical', 'Liability'),
+    { id: 'missing', title: 'Governing Law', text: 'Laws of Mars', riskLevel: 'medium', startPosition: null, endPosition: null, sourceAnchor: { verified: false } }
+]
+
+const risks = [
+    { level: 'high', title: 'Termination without cause', description: 'Supplier can walk away', clauseReference: 'termination' },
+    { level: 'critical', title: 'Unlimited liability', ...(({ startPosition, endPosition }) => ({ startPosition, endPosition }))(clauses[2]) }
+]
+
+afterEach(() => {
+    cleanup()
+})
+
+describe('segmentDocument', () => {
+    it('should cover the whole text and let the more severe clause win where clauses overlap', () => {
+        const overlapping = { ...located('fees', 'Fees are payable', 'medium'), id: 'fees' }
+        const segments = segmentDocument(text, [...clauses, overlapping])
+
+        expect(segments.map(segment => segment.text).join('')).toBe(text)
+        expect(segments.filter(segment => segment.clause).map(segment => [segment.clause.id, segment.text])).toEqual([
+            ['termination', 'The Supplier may terminate at any time.'],
+            ['fees', 'Fees are payable'],
+            ['payment', ' within 30 days.'],
+            ['liability', 'Liability is unlimited.']
+        ])
+    })
+
+    it('should ignore clauses with offsets outside the text', () => {
+        const segments = segmentDocument(text, [{ id: 'bad', riskLevel: 'high', startPosition: 5, endPosition: text.length + 10 }])
+        expect(segments).toEqual([{ start: 0, end: text.length, text, clause: null }])
+    })
+})
+
+describe('riskMarkers', () => {
+    it('should place high and critical language by its share of the document', () => {
+        const markers = riskMarkers(text, clauses, risks)
+
+        expect(markers.map(marker => marker.key)).toEqual(['clause-termination', 'clause-liability', 'risk-1'])
+        expect(markers[0].top).toBe(0)
+        expect(markers[1].top).toBeCloseTo((text.indexOf('Liability') / text.length) * 100)
+        expect(markers[2].clauseId).toBe('liability')
+    })
+
+    it('should find risks for a clause by reference or by position', () => {
+        expect(risksForClause(clauses[0], risks).map(risk => risk.title)).toEqual(['Termination without cause'])
+        expect(risksForClause(clauses[2], risks).map(risk => risk.title)).toEqual(['Unlimited liability'])
+        expect(risksForClause(clauses[1], risks)).toEqual([])
+    })
+})
+
+describe('DocumentTab', () => {
+    it('should highlight clauses and open the clause card and risk when one is clicked', () => {
+        render(React.createElement(DocumentTab, { text, clauses, risks }))
+
+        expect(screen.getByLabelText('Document text')).toHaveTextContent(text)
+        expect(screen.getAllByRole('button', { name: /Risk$/ })).toHaveLength(3)
+        expect(screen.getByText('3 of 4 clauses highlighted')).toBeInTheDocument()
+
+        fireEvent.click(screen.getByRole('button', { name: 'Termination, High Risk' }))
+
+        expect(screen.getByRole('heading', { name: 'Termination' })).toBeInTheDocument()
+        expect(screen.getByText('Termination without cause')).toBeInTheDocument()
+        expect(screen.getByText('Termination explained')).toBeInTheDocument()
+    })
+
+    it('should select a clause from the minimap and list clauses that were not found', () => {
+        render(React.createElement(DocumentTab, { text, clauses, risks }))
+        const minimap = screen.getByRole('group', { name: 'Risk minimap' })
+
+        fireEvent.click(minimap.querySelector('[aria-label="Liability (Critical Risk)"]'))
+        expect(screen.getByText('Unlimited liability')).toBeInTheDocument()
+
+        fireEvent.click(screen.getByText('Governing Law'))
+        expect(screen.getByRole('heading', { name: 'Governing Law' })).toBeInTheDocument()
+    })
+
+    it('should explain when the text is not available', () => {
+        render(React.createElement(DocumentTab, { text: '', clauses }))
+        expect(screen.getByText("The extracted text isn't available for this result.")).toBeInTheDocument()
+    })
+})
+
+describe('transformAnalysisForUI', () => {
+    it('should keep the extracted text and risk offsets for the document view', () => {
+        const result = transformAnalysisForUI({
+            document: { name: 'terms.txt' },
+            extraction: { text },
+            analysis: { clauses: [], risks: [{ severity: 'high', title: 'R', clauseReference: 'c1', startPosition: 4, endPosition: 12 }] },
+            metadata: {}
+        })
+
+        expect(result.metadata.extraction.text).toBe(text)
+        expect(result.risks[0]).toMatchObject({ level: 'high', clauseReference: 'c1', startPosition: 4, endPosition: 12 })
+    })
+})
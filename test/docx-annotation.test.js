@@ -0,0 +1,163 @@
+/**
+ * Unit tests for annotating the original DOCX with risk comments and tracked-change redlines
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import { render, screen, fireEvent, cleanup } from '@testing-library/react'
+import React from 'react'
+import JSZip from 'jszip'
+import { annotateDocx, isDocxFile, reviewedFileName } from '../src/utils/docxAnnotator.js'
+import { DocumentTextExtractor } from '../functions/extraction/DocumentTextExtractor.js'
+import ReportExport from '../src/components/analysis/ReportExport.jsx'
+
+const TERMINATION = 'The Supplier may terminate this Agreement at any time.'
+const LIABILITY = 'Liability is unlimited.'
+
+/**
+ * A contract whose clauses are split across differently formatted runs, as Word writes them
+ */
+async function buildContract({ withComments = false } = {}) {
+    const zip = new JSZip()
+    zip.file('[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>')
+    zip.file('_rels/.rels', '<?xml version="1.0" encoding="UTF-8"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>')
+    zip.file('word/_rels/document.xml.rels', '<?xml version="1.0" encoding="UTF-8"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>')
+    zip.file('word/document.xml', '<?xml version="1.0" encoding="UTF-8"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>' +
+        '<w:p><w:r><w:rPr><w:b/></w:rPr><w:t>1. Termination</w:t></w:r></w:p>' +
+        '<w:p><w:r><w:t xml:space="preserve">The </w:t></w:r><w:r><w:rPr><w:i/></w:rPr><w:t>Supplier</w:t></w:r><w:r><w:t xml:space="preserve"> may terminate this Agreement at any time.</w:t></w:r></w:p>' +
+        '<w:p><w:r><w:rPr><w:b/></w:rPr><w:t>2. Liability</w:t></w:r></w:p>' +
+        `<w:p><w:r><w:t>${LIABILITY}</w:t></w:r></w:p>` +
+        '</w:body></w:document>')
+    if (withComments) {
+        zip.file('word/comments.xml', '<?xml version="1.0" encoding="UTF-8"?><w:comments xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:comment w:id="4" w:author="Counsel"><w:p><w:r><w:t>Existing note</w:t></w:r></w:p></w:comment></w:comments>')
+    }
+    return zip.generateAsync({ type: 'nodebuffer' })
+}
+
+async function analysisFor(buffer) {
+    const { text } = await new DocumentTextExtractor().extract({ buffer, filename: 'msa.docx' })
+    const span = (clause) => ({ startPosition: text.indexOf(clause), endPosition: text.indexOf(clause) + clause.length })
+
+    return {
+        clauses: [
+            { id: 'clause_1', title: 'Termination', text: TERMINATION, ...span(TERMINATION) },
+            { id: 'clause_2', title: 'Liability', text: LIABILITY, ...span(LIABILITY) }
+        ],
+        risks: [
+            { id: 'risk_1', level: 'high', title: 'One-sided termination right', description: 'Only the Supplier can terminate.', recommendation: 'Make termination mutual', clauseReference: 'clause_1' },
+            { id: 'risk_2', level: 'critical', title: 'Unlimited liability', recommendation: 'Add a cap', clauseReference: 'clause_2' },
+            { id: 'risk_3', level: 'medium', title: 'Missing governing law clause', clauseReference: null }
+        ],
+        redlines: {
+            redlines: [
+                { id: 'redline_1', title: 'One-sided termination right', status: 'accepted', originalText: TERMINATION, proposedText: 'Either party may terminate this Agreement on thirty days notice.', ...span(TERMINATION) },
+                { id: 'redline_2', title: 'Unlimited liability', status: 'rejected', originalText: LIABILITY, proposedText: 'Liability is capped.', ...span(LIABILITY) }
+            ],
+            skipped: []
+        },
+        metadata: { document: { name: 'msa.docx' }, extraction: { text } }
+    }
+}
+
+function readBlob(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader()
+        reader.onload = () => resolve(Buffer.from(reader.result))
+        reader.onerror = () => reject(reader.error)
+        reader.readAsArrayBuffer(blob)
+    })
+}
+
+afterEach(() => {
+    cleanup()
+    vi.restoreAllMocks()
+})
+
+describe('annotateDocx', () => {
+    it('should anchor a comment thread on each clause and track the redline changes', async () => {
+        const source = await buildContract()
+        const output = await annotateDocx(source, await analysisFor(source), { date: new Date('2026-03-02T10:00:00Z') })
+
+        expect(output).toMatchObject({ comments: 2, changes: 1 })
+        expect(output.skipped).toEqual([{ type: 'comment', title: 'Missing governing law clause', reason: 'The risk is not tied to clause text in the document' }])
+
+        const buffer = await readBlob(output.blob)
+        const zip = await JSZip.loadAsync(buffer)
+        const documentXml = await zip.file('word/document.xml').async('string')
+        const commentsXml = await zip.file('word/comments.xml').async('string')
+        const extendedXml = await zip.file('word/commentsExtended.xml').async('string')
+
+        // Main comment with the severity, then the recommendation as a reply in the same thread
+        expect(commentsXml).toContain('[High Risk] One-sided termination right')
+        expect(commentsXml).toContain('Recommendation: Make termination mutual')
+        expect(commentsXml).toContain('w:author="ClearClause AI" w:date="2026-03-02T10:00:00Z"')
+        expect(extendedXml.match(/w15:paraIdParent=/g)).toHaveLength(2)
+        for (const id of [0, 1, 2, 3]) {
+            expect(documentXml).toContain(`<w:commentRangeStart w:id="${id}"/>`)
+            expect(documentXml).toContain(`<w:commentReference w:id="${id}"/>`)
+        }
+
+        // Both runs are deleted whole, keeping their formatting; the new wording takes the formatting of the first
+        expect(documentXml).toMatch(/<w:del [^>]*w:author="ClearClause AI"[^>]*><w:r><w:delText xml:space="preserve">The <\/w:delText><\/w:r><w:r><w:rPr><w:i\/><\/w:rPr><w:delText xml:space="preserve">Supplier<\/w:delText><\/w:r><\/w:del>/)
+        expect(documentXml).toMatch(/<w:ins [^>]*><w:r><w:t xml:space="preserve">Either party<\/w:t><\/w:r><\/w:ins>/)
+        expect(documentXml).not.toContain('Liability is capped.')
+
+        expect(await zip.file('[Content_Types].xml').async('string')).toContain('/word/comments.xml')
+        expect(await zip.file('word/_rels/document.xml.rels').async('string')).toMatch(/Id="rId2"[^>]*Target="comments.xml"/)
+
+        // With the changes applied, the document reads as the proposed wording
+        const { text } = await new DocumentTextExtractor().extract({ buffer, filename: 'reviewed.docx' })
+        expect(text).toContain('Either party may terminate this Agreement on thirty days notice.')
+        expect(text).toContain(LIABILITY)
+    })
+
+    it('should add to existing comments and skip text it cannot find', async () => {
+        const source = await buildContract({ withComments: true })
+        const result = await analysisFor(source)
+        result.clauses[1] = { ...result.clauses[1], text: 'Liability is limited to the fees paid.', startPosition: undefined, endPosition: undefined }
+        result.redlines.redlines[0] = { ...result.redlines.redlines[0], originalText: 'Text that is not in the contract.' }
+
+        const output = await annotateDocx(source, result)
+        expect(output).toMatchObject({ comments: 1, changes: 0 })
+        expect(output.skipped.map(item => item.reason)).toEqual([
+            'The clause text was not found in the document',
+            'The risk is not tied to clause text in the document',
+            'The original wording was not found in the document'
+        ])
+
+        const commentsXml = await (await JSZip.loadAsync(await readBlob(output.blob))).file('word/comments.xml').async('string')
+        expect(commentsXml).toContain('Existing note')
+        expect(commentsXml).toContain('<w:comment w:id="5"')
+        expect(commentsXml).toContain('xmlns:w14=')
+    })
+
+    it('should reject files that are not Word documents', async () => {
+        await expect(annotateDocx(Buffer.from('plain text'), { clauses: [], risks: [] })).rejects.toThrow('not a Word document')
+        expect(isDocxFile({ name: 'MSA.DOCX', type: '' })).toBe(true)
+        expect(isDocxFile({ name: 'msa.pdf', type: 'application/pdf' })).toBe(false)
+        expect(reviewedFileName('msa.docx')).toBe('msa (reviewed).docx')
+    })
+})
+
+describe('ReportExport', () => {
+    it('should annotate the uploaded DOCX when the analysis came from one', async () => {
+        const source = await buildContract()
+        const result = await analysisFor(source)
+        const { createObjectURL, revokeObjectURL } = URL
+        URL.createObjectURL = vi.fn(() => 'blob:reviewed')
+        URL.revokeObjectURL = vi.fn()
+        const downloads = []
+        vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+            downloads.push(this.download)
+        })
+
+        const sourceFile = new Blob([source], { type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' })
+        sourceFile.name = 'msa.docx'
+        render(React.createElement(ReportExport, { result, sourceFile }))
+        fireEvent.click(screen.getByText('Word with comments'))
+
+        expect(await screen.findByText(/Added 2 comments and 1 tracked change/)).toHaveTextContent('1 item could not be placed')
+        expect(downloads).toEqual(['msa (reviewed).docx'])
+
+        Object.assign(URL, { createObjectURL, revokeObjectURL })
+    })
+})
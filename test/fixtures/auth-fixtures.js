@@ -0,0 +1,62 @@
+/**
+ * Auth fixtures
+ * Throwaway account stores and signed-in users for the auth, access control, sharing and OTP tests
+ */
+
+import { mkdtempSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import path from 'path'
+import { AuthService } from '../../functions/auth/AuthService.js'
+import { UserStore } from '../../functions/auth/UserStore.js'
+import { SessionTokens } from '../../functions/auth/SessionTokens.js'
+import { MemoryMailer } from '../../functions/auth/Mailer.js'
+
+let directories = []
+
+/**
+ * A new empty directory, removed by removeTemporaryDirectories()
+ */
+export function temporaryDirectory(prefix = 'auth-') {
+    const directory = mkdtempSync(path.join(tmpdir(), prefix))
+    directories.push(directory)
+    return directory
+}
+
+export function removeTemporaryDirectories() {
+    directories.forEach(directory => rmSync(directory, { recursive: true, force: true }))
+    directories = []
+}
+
+/**
+ * An auth service with its own account store and a mailer that keeps messages in memory
+ */
+export function createAuthService(options = {}) {
+    return new AuthService({
+        store: new UserStore({ directory: temporaryDirectory() }),
+        tokens: new SessionTokens({ secret: 'test-secret' }),
+        mailer: new MemoryMailer(),
+        required: true,
+        ...options
+    })
+}
+
+/**
+ * The token from the last verification email sent to the address
+ */
+export function verificationToken(mailer, email) {
+    return /verify=([a-f0-9]+)/.exec(mailer.lastMessageTo(email).text)[1]
+}
+
+/**
+ * Sign up, verify and sign in; resolves with the user and request headers carrying their token
+ * With invitedBy (an earlier signIn result) the account is first invited to that user's workspace
+ */
+export async function signIn(service, email, { invitedBy = null, role, company = 'Acme' } = {}) {
+    if (invitedBy) {
+        await service.invite(invitedBy.user, { email, role })
+    }
+    await service.signup({ email, password: 'long enough', name: email.split('@')[0], company })
+    await service.verifyEmail(verificationToken(service.mailer, email))
+    const session = await service.login({ email, password: 'long enough' })
+    return { user: session.user, headers: { authorization: `Bearer ${session.accessToken}` } }
+}
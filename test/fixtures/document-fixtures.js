@@ -0,0 +1,55 @@
+/**
+ * Document fixture builders
+ * Generates small PDF and DOCX files in memory for extraction tests
+ */
+
+import JSZip from 'jszip'
+
+/**
+ * Build a minimal PDF with one line of Helvetica text per page
+ */
+export function buildPdf(pages) {
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pages.map((_, i) => `${4 + i * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+    ]
+
+    pages.forEach((text, i) => {
+        const stream = `BT /F1 12 Tf 72 720 Td (${text}) Tj ET`
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${5 + i * 2} 0 R >>`)
+        objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`)
+    })
+
+    let pdf = '%PDF-1.4\n'
+    const offsets = objects.map((object, i) => {
+        const offset = pdf.length
+        pdf += `${i + 1} 0 obj\n${object}\nendobj\n`
+        return offset
+    })
+
+    const xrefOffset = pdf.length
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`
+
+    return Buffer.from(pdf, 'latin1')
+}
+
+/**
+ * Build a minimal DOCX; each inner array is a page of paragraphs
+ */
+export async function buildDocx(pages) {
+    const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    const paragraph = text => `<w:p><w:r><w:t xml:space="preserve">${escape(text)}</w:t></w:r></w:p>`
+    const pageBreak = '<w:p><w:r><w:br w:type="page"/></w:r></w:p>'
+
+    const body = pages.map(paragraphs => paragraphs.map(paragraph).join('')).join(pageBreak)
+
+    const zip = new JSZip()
+    zip.file('[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>')
+    zip.file('_rels/.rels', '<?xml version="1.0" encoding="UTF-8"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>')
+    zip.file('word/document.xml', `<?xml version="1.0" encoding="UTF-8"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${body}</w:body></w:document>`)
+
+    return zip.generateAsync({ type: 'nodebuffer' })
+}
@@ -0,0 +1,181 @@
+/**
+ * Unit tests for sharing saved analyses inside a workspace
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import { render, screen, fireEvent, cleanup, waitFor } from '@testing-library/react'
+import React from 'react'
+import { AnalysisHistory } from '../functions/history/AnalysisHistory.js'
+import { HistorySharing, accessFor } from '../functions/history/HistorySharing.js'
+import { UserStore } from '../functions/auth/UserStore.js'
+import { MemoryMailer } from '../functions/auth/Mailer.js'
+import { ownerOf } from '../functions/auth/roles.js'
+import { authService, analysisHistory } from '../functions/process.js'
+import { handler as apiV1 } from '../functions/api/v1.js'
+import SharingPanel from '../src/components/history/SharingPanel.jsx'
+import { createAuthService, removeTemporaryDirectories, signIn, temporaryDirectory } from './fixtures/auth-fixtures.js'
+
+function saveAnalysis(history, owner) {
+    return history.save({
+        kind: 'analysis',
+        document: { name: 'nda.pdf' },
+        response: { analysis: { clauses: [], risks: [] } },
+        owner: ownerOf(owner)
+    })
+}
+
+afterEach(() => {
+    cleanup()
+    removeTemporaryDirectories()
+    vi.unstubAllGlobals()
+})
+
+describe('HistorySharing', () => {
+    async function setup() {
+        const auth = createAuthService({ appUrl: 'https://clearclause.test', adminEmails: ['owner@acme.test'] })
+        const history = new AnalysisHistory({ directory: temporaryDirectory() })
+        const sharing = new HistorySharing({ history, auth })
+        const ownerSession = await signIn(auth, 'owner@acme.test')
+        const manager = (await signIn(auth, 'manager@acme.test', { invitedBy: ownerSession, role: 'contract-manager' })).user
+        // Signs up with the owner's company name but was never invited
+        const outsider = (await signIn(auth, 'outsider@other.test')).user
+        return { auth, history, sharing, ownerSession, owner: ownerSession.user, manager, outsider }
+    }
+
+    it('should share with teammates at view or comment level', async () => {
+        const { sharing, owner, manager, outsider, history } = await setup()
+        const { id } = await saveAnalysis(history, owner)
+
+        expect(await sharing.getEntry(manager, id)).toBeNull()
+        await sharing.share(owner, id, { email: 'MANAGER@acme.test', access: 'view' })
+
+        expect((await sharing.getEntry(manager, id)).access).toBe('view')
+        await expect(sharing.addComment(manager, id, 'Looks fine')).rejects.toMatchObject({ statusCode: 403 })
+        await expect(sharing.share(manager, id, { email: 'owner@acme.test', access: 'view' })).rejects.toMatchObject({ statusCode: 403 })
+        await expect(sharing.share(owner, id, { email: 'outsider@other.test', access: 'view' })).rejects.toMatchObject({ statusCode: 404 })
+        expect(await sharing.getEntry(outsider, id)).toBeNull()
+
+        await sharing.share(owner, id, { email: 'manager@acme.test', access: 'comment' })
+        const comment = await sharing.addComment(manager, id, '  Check clause 4  ')
+        const entry = await sharing.getEntry(owner, id)
+
+        expect(comment).toMatchObject({ name: 'manager', text: 'Check clause 4' })
+        expect(entry.sharing.members).toHaveLength(1)
+        expect(entry.comments.map(item => item.text)).toEqual(['Check clause 4'])
+
+        const { items } = await history.list({}, { visible: sharing.visibleTo(manager, 'shared') })
+        expect(items.map(item => item.id)).toEqual([id])
+        expect(items[0].commentCount).toBe(1)
+        expect((await history.list({}, { visible: sharing.visibleTo(manager, 'mine') })).items).toEqual([])
+
+        await sharing.unshare(owner, id, manager.id)
+        expect(accessFor(manager, await history.get(id))).toBeNull()
+    })
+
+    it('should open share links for teammates only and stop after revoking', async () => {
+        const { sharing, owner, manager, outsider, history } = await setup()
+        const { id } = await saveAnalysis(history, owner)
+
+        const { link } = await sharing.createLink(owner, id, { access: 'comment' })
+        const token = decodeURIComponent(new URL(link.url).searchParams.get('share'))
+
+        expect(link.url).toMatch(/^https:\/\/clearclause\.test\/clearclause\?share=/)
+        await expect(sharing.openLink(outsider, token)).rejects.toMatchObject({ statusCode: 404 })
+        await expect(sharing.openLink(manager, `${id}.wrong`)).rejects.toMatchObject({ statusCode: 404 })
+
+        const opened = await sharing.openLink(manager, token)
+        expect(opened.access).toBe('comment')
+        expect(opened.sharing.link).toBeNull()
+
+        await sharing.revokeLink(owner, id)
+        await expect(sharing.openLink(manager, token)).rejects.toMatchObject({ statusCode: 404 })
+        expect(await sharing.getEntry(manager, id)).toBeNull()
+    })
+
+    it('should keep direct shares but drop link access when the link is replaced', async () => {
+        const { auth, sharing, ownerSession, owner, manager, history } = await setup()
+        const reviewer = (await signIn(auth, 'reviewer@acme.test', { invitedBy: ownerSession, role: 'contract-manager' })).user
+        const { id } = await saveAnalysis(history, owner)
+        await sharing.share(owner, id, { email: 'manager@acme.test', access: 'view' })
+
+        const first = await sharing.createLink(owner, id, { access: 'comment' })
+        const firstToken = decodeURIComponent(new URL(first.link.url).searchParams.get('share'))
+        expect((await sharing.openLink(manager, firstToken)).access).toBe('view')
+        expect((await sharing.openLink(reviewer, firstToken)).access).toBe('comment')
+
+        const second = await sharing.createLink(owner, id, { access: 'view' })
+        expect(second.members.map(member => member.userId)).toEqual([manager.id])
+        expect(await sharing.getEntry(reviewer, id)).toBeNull()
+        await expect(sharing.openLink(reviewer, firstToken)).rejects.toMatchObject({ statusCode: 404 })
+    })
+})
+
+describe('Sharing API', () => {
+    const originalStore = authService.store
+    const originalAdminEmails = authService.adminEmails
+
+    afterEach(() => {
+        authService.required = false
+        authService.store = originalStore
+        authService.adminEmails = originalAdminEmails
+    })
+
+    it('should share, list shared entries and accept comments through /api/v1', async () => {
+        authService.required = true
+        authService.store = new UserStore({ directory: temporaryDirectory() })
+        authService.mailer = new MemoryMailer()
+        authService.adminEmails = ['owner@acme.test']
+        const owner = await signIn(authService, 'owner@acme.test')
+        const teammate = await signIn(authService, 'teammate@acme.test', { invitedBy: owner })
+        const { id } = await saveAnalysis(analysisHistory, owner.user)
+
+        const shared = await apiV1({ method: 'POST', path: `/history/${id}/shares`, headers: owner.headers, body: { email: 'teammate@acme.test', access: 'comment' } })
+        expect(shared.statusCode).toBe(200)
+        expect((await apiV1({ method: 'POST', path: `/history/${id}/shares`, headers: owner.headers, body: { email: 'x', access: 'edit' } })).statusCode).toBe(400)
+
+        const list = JSON.parse((await apiV1({ method: 'GET', path: '/history', headers: teammate.headers, query: { scope: 'shared' } })).body)
+        expect(list.items.map(item => item.id)).toContain(id)
+
+        const comment = await apiV1({ method: 'POST', path: `/history/${id}/comments`, headers: teammate.headers, body: { text: 'Agreed' } })
+        expect(comment.statusCode).toBe(201)
+        expect((await apiV1({ method: 'POST', path: `/history/${id}/comments`, headers: teammate.headers, body: { text: '   ' } })).statusCode).toBe(400)
+
+        const link = JSON.parse((await apiV1({ method: 'POST', path: `/history/${id}/link`, headers: owner.headers, body: { access: 'view' } })).body)
+        const token = new URL(link.sharing.link.url).searchParams.get('share')
+        const opened = await apiV1({ method: 'GET', path: `/shared/${encodeURIComponent(token)}`, headers: teammate.headers })
+        expect(JSON.parse(opened.body).comments.map(item => item.text)).toEqual(['Agreed'])
+    })
+})
+
+describe('SharingPanel', () => {
+    function jsonResponse(status, body) {
+        return new Response(JSON.stringify(body), { status })
+    }
+
+    it('should share an entry by email and show the teammate', async () => {
+        const requests = []
+        vi.stubGlobal('fetch', vi.fn(async (url, options = {}) => {
+            requests.push({ url, method: options.method || 'GET', body: options.body && JSON.parse(options.body) })
+            if (options.method === 'POST') {
+                return jsonResponse(200, { sharing: { members: [{ userId: 'u2', name: 'Bea', email: 'bea@acme.test', access: 'comment' }], link: null } })
+            }
+            return jsonResponse(200, {
+                id: 'entry-1',
+                access: 'owner',
+                owner: { userId: 'u1', name: 'Ana', company: 'Acme' },
+                sharing: { members: [], link: null },
+                comments: []
+            })
+        }))
+
+        render(React.createElement(SharingPanel, { entryId: 'entry-1', workspace: 'Acme' }))
+
+        fireEvent.change(await screen.findByLabelText('Teammate email'), { target: { value: 'bea@acme.test' } })
+        fireEvent.change(screen.getByLabelText('Access level'), { target: { value: 'comment' } })
+        fireEvent.click(screen.getByText('Share'))
+
+        expect(await screen.findByText('Bea')).toBeInTheDocument()
+        expect(requests[1]).toEqual({ url: '/api/v1/history/entry-1/shares', method: 'POST', body: { email: 'bea@acme.test', access: 'comment' } })
+        expect(screen.getByLabelText('Comment')).toBeInTheDocument()
+    })
+})
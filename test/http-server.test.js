@@ -0,0 +1,155 @@
+// @vitest-environment node
+/**
+ * Unit tests for the standalone HTTP server
+ */
+
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest'
+import { startServer } from '../functions/server.js'
+
+describe('Standalone server', () => {
+    let running
+    let baseUrl
+
+    beforeAll(async () => {
+        running = await startServer({ port: 0, host: '127.0.0.1', maxBodyBytes: 4096, handleSignals: false })
+        baseUrl = `http://127.0.0.1:${running.server.address().port}`
+    })
+
+    afterAll(async () => {
+        await running.close()
+    })
+
+    it('should answer the health check', async () => {
+        const response = await fetch(`${baseUrl}/health`)
+        const body = await response.json()
+
+        expect(response.status).toBe(200)
+        expect(body.status).toBe('ok')
+    })
+
+    it('should answer CORS preflight requests', async () => {
+        const response = await fetch(`${baseUrl}/api/process`, { method: 'OPTIONS' })
+
+        expect(response.status).toBe(204)
+        expect(response.headers.get('access-control-allow-methods')).toContain('DELETE')
+    })
+
+    it('should pass query strings and every method to the handler', async () => {
+        const get = await (await fetch(`${baseUrl}/api/process?document=nda`)).json()
+        const remove = await fetch(`${baseUrl}/api/process?id=42`, { method: 'DELETE' })
+        const put = await fetch(`${baseUrl}/api/process`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: 'draft' })
+        })
+
+        expect(get.query).toEqual({ document: 'nda' })
+        expect((await remove.json()).deleted).toEqual({ id: '42' })
+        expect((await put.json()).updated).toEqual({ name: 'draft' })
+    })
+
+    it('should analyze documents posted as JSON', async () => {
+        const response = await fetch(`${baseUrl}/api/process`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                action: 'analyze',
+                documentText: '1. Payment\nCustomer shall pay all invoices within 30 days.\n\n2. Governing Law\nThis Agreement is governed by the laws of Ohio.'
+            })
+        })
+        const body = await response.json()
+
+        expect(response.status).toBe(200)
+        expect(body.analysis.clauses.length).toBeGreaterThan(0)
+    })
+
+    it('should stream analysis events', async () => {
+        const response = await fetch(`${baseUrl}/api/process/stream`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ action: 'analyze' })
+        })
+        const text = await response.text()
+
+        expect(response.headers.get('content-type')).toBe('text/event-stream')
+        expect(text).toContain('event: error')
+    })
+
+    it('should reject oversized and malformed bodies', async () => {
+        const large = await fetch(`${baseUrl}/api/process`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ documentText: 'x'.repeat(5000) })
+        })
+        const malformed = await fetch(`${baseUrl}/api/process`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: '{"action":'
+        })
+
+        expect(large.status).toBe(413)
+        expect(malformed.status).toBe(400)
+    })
+
+    it('should return 404 for unknown paths', async () => {
+        const response = await fetch(`${baseUrl}/api/unknown`)
+        expect(response.status).toBe(404)
+    })
+})
+
+describe('Graceful shutdown', () => {
+    it('should finish in-flight requests before closing', async () => {
+        const running = await startServer({ port: 0, host: '127.0.0.1', handleSignals: false })
+        const baseUrl = `http://127.0.0.1:${running.server.address().port}`
+
+        const inFlight = fetch(`${baseUrl}/api/process`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ test: 'hello backend' })
+        })
+        // Let the request reach the server before closing
+        await new Promise(resolve => setTimeout(resolve, 50))
+        const closed = running.close()
+
+        expect((await inFlight).status).toBe(200)
+        await closed
+        expect(running.server.listening).toBe(false)
+    })
+})
+
+describe('Startup configuration', () => {
+    afterEach(() => {
+        vi.unstubAllEnvs()
+        vi.resetModules()
+    })
+
+    // Fresh modules, so process.js builds its services under the stubbed environment
+    async function startInProduction(env) {
+        vi.stubEnv('NODE_ENV', 'production')
+        vi.stubEnv('VITE_AUTH_SECRET', 'production-secret')
+        Object.entries(env).forEach(([name, value]) => vi.stubEnv(name, value))
+        vi.resetModules()
+        const { startServer: start } = await import('../functions/server.js')
+        return start({ port: 0, host: '127.0.0.1', handleSignals: false })
+    }
+
+    it('should refuse to start in production without a mailer that delivers', async () => {
+        await expect(startInProduction({ VITE_MAILER: '', VITE_OTP_TRANSPORT: 'webhook', VITE_OTP_WEBHOOK_URL: 'https://sms.example/send' }))
+            .rejects.toThrow(/VITE_MAILER must be webhook/)
+    })
+
+    it('should refuse to start in production without an OTP transport that delivers', async () => {
+        await expect(startInProduction({ VITE_MAILER: 'webhook', VITE_MAILER_WEBHOOK_URL: 'https://mail.example/send', VITE_OTP_TRANSPORT: 'console' }))
+            .rejects.toThrow(/VITE_OTP_TRANSPORT must be webhook/)
+    })
+
+    it('should refuse to start in production without a session secret', async () => {
+        await expect(startInProduction({
+            VITE_AUTH_SECRET: '',
+            VITE_MAILER: 'webhook',
+            VITE_MAILER_WEBHOOK_URL: 'https://mail.example/send',
+            VITE_OTP_TRANSPORT: 'webhook',
+            VITE_OTP_WEBHOOK_URL: 'https://sms.example/send'
+        })).rejects.toThrow(/VITE_AUTH_SECRET must be set/)
+    })
+})
@@ -0,0 +1,202 @@
+/**
+ * Unit tests for the asynchronous analysis job queue
+ */
+
+import { describe, it, expect, afterEach } from 'vitest'
+import { mkdtempSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import path from 'path'
+import { JobQueue, JOB_STATUS } from '../functions/jobs/JobQueue.js'
+import { MemoryJobStore, FileJobStore } from '../functions/jobs/JobStore.js'
+import { handler, jobQueue, providerRegistry, analysisHistory } from '../functions/process.js'
+
+function deferred() {
+    let resolve
+    const promise = new Promise(done => { resolve = done })
+    return { promise, resolve }
+}
+
+describe('JobQueue', () => {
+    it('should run at most the configured number of jobs at once', async () => {
+        const queue = new JobQueue({ store: new MemoryJobStore(), concurrency: 2 })
+        let running = 0
+        let peak = 0
+        const worker = async (payload) => {
+            running++
+            peak = Math.max(peak, running)
+            await new Promise(resolve => setTimeout(resolve, 20))
+            running--
+            return { value: payload.value }
+        }
+
+        const jobs = await Promise.all([1, 2, 3, 4, 5].map(value => queue.submit('analyze', { value }, worker)))
+        const finished = await Promise.all(jobs.map(job => queue.wait(job.id)))
+
+        expect(peak).toBe(2)
+        expect(finished.map(job => job.status)).toEqual(Array(5).fill(JOB_STATUS.COMPLETED))
+        expect(finished.map(job => job.result.value)).toEqual([1, 2, 3, 4, 5])
+    })
+
+    it('should record progress and failures', async () => {
+        const queue = new JobQueue({ store: new MemoryJobStore() })
+        const job = await queue.submit('analyze', {}, async (payload, { onEvent }) => {
+            onEvent('stage', { stage: 'model', status: 'started' })
+            throw new Error('Model unavailable')
+        })
+
+        const finished = await queue.wait(job.id)
+
+        expect(finished.status).toBe(JOB_STATUS.FAILED)
+        expect(finished.error.message).toBe('Model unavailable')
+        expect(finished.progress).toEqual({ stage: 'model', status: 'started' })
+    })
+
+    it('should skip queued jobs and discard running results after cancellation', async () => {
+        const queue = new JobQueue({ store: new MemoryJobStore(), concurrency: 1 })
+        const gate = deferred()
+        let signal = null
+        let secondRan = false
+
+        const first = await queue.submit('analyze', {}, async (payload, context) => {
+            signal = context.signal
+            await gate.promise
+            return { done: true }
+        })
+        const second = await queue.submit('analyze', {}, async () => {
+            secondRan = true
+        })
+
+        expect((await queue.cancel(second.id)).status).toBe(JOB_STATUS.CANCELLED)
+        await new Promise(resolve => setTimeout(resolve, 10))
+        expect((await queue.cancel(first.id)).status).toBe(JOB_STATUS.CANCELLED)
+        expect(signal.aborted).toBe(true)
+
+        gate.resolve()
+        const [firstDone, secondDone] = await Promise.all([queue.wait(first.id), queue.wait(second.id)])
+
+        expect(firstDone.status).toBe(JOB_STATUS.CANCELLED)
+        expect(firstDone.result).toBeNull()
+        expect(secondDone.status).toBe(JOB_STATUS.CANCELLED)
+        expect(secondRan).toBe(false)
+    })
+
+    it('should remove finished jobs past their time to live', async () => {
+        const store = new MemoryJobStore()
+        const queue = new JobQueue({ store, ttlMs: 1000 })
+        await store.save({ id: 'old', status: JOB_STATUS.COMPLETED, completedAt: new Date(Date.now() - 5000).toISOString() })
+
+        await queue.submit('analyze', {}, async () => ({}))
+
+        expect(await store.get('old')).toBeNull()
+    })
+})
+
+describe('FileJobStore', () => {
+    let directory
+
+    afterEach(() => {
+        rmSync(directory, { recursive: true, force: true })
+    })
+
+    it('should persist jobs and fail the ones interrupted by a restart', async () => {
+        directory = mkdtempSync(path.join(tmpdir(), 'jobs-'))
+        const store = new FileJobStore({ directory })
+        await store.save({ id: 'interrupted', status: JOB_STATUS.RUNNING, createdAt: new Date().toISOString() })
+
+        const queue = new JobQueue({ store: new FileJobStore({ directory }) })
+        const job = await queue.submit('analyze', {}, async () => ({ ok: true }))
+        await queue.wait(job.id)
+
+        expect((await store.get(job.id)).result).toEqual({ ok: true })
+        expect((await store.get('interrupted')).status).toBe(JOB_STATUS.FAILED)
+        expect(await store.get('../escape')).toBeNull()
+        expect(await store.list()).toHaveLength(2)
+    })
+})
+
+describe('Job endpoints', () => {
+    const documentText = '1. Payment\nCustomer shall pay all invoices within 30 days.\n\n2. Governing Law\nThis Agreement is governed by the laws of Ohio.'
+
+    it('should accept an async analysis and return its result when polled', async () => {
+        const submitted = await handler({
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: { action: 'analyze', async: true, documentText }
+        })
+        const { jobId, status } = JSON.parse(submitted.body)
+
+        expect(submitted.statusCode).toBe(202)
+        expect(status).toBe('queued')
+
+        let job
+        for (let attempt = 0; attempt < 100; attempt++) {
+            job = JSON.parse((await handler({ method: 'GET', headers: {}, query: { jobId } })).body)
+            if (job.status === 'completed' || job.status === 'failed') break
+            await new Promise(resolve => setTimeout(resolve, 50))
+        }
+
+        expect(job.status).toBe('completed')
+        expect(job.result.analysis.clauses.length).toBeGreaterThan(0)
+        expect(job.progress).toMatchObject({ stage: 'parsing' })
+    })
+
+    it('should stop a cancelled analysis without trying other providers or saving it to history', async () => {
+        const originalChain = providerRegistry.chain
+        const calls = []
+        providerRegistry.register('slow', () => ({
+            analyzeDocument: (text, documentType, { signal }) => new Promise(resolve => {
+                calls.push(signal)
+                signal.addEventListener('abort', () => resolve({ success: false, error: 'This operation was aborted' }))
+            }),
+            getModelInfo: () => ({ provider: 'Slow', model: 'slow-1' })
+        }))
+        providerRegistry.setChain(['slow', 'rules'])
+
+        try {
+            const before = (await analysisHistory.list()).total
+            const submitted = await handler({
+                method: 'POST',
+                headers: { 'content-type': 'application/json' },
+                body: { action: 'analyze', async: true, bypassCache: true, documentText }
+            })
+            const { jobId } = JSON.parse(submitted.body)
+
+            for (let attempt = 0; attempt < 100 && calls.length === 0; attempt++) {
+                await new Promise(resolve => setTimeout(resolve, 20))
+            }
+            expect(calls).toHaveLength(1)
+
+            const cancelled = await handler({ method: 'DELETE', headers: {}, query: { jobId } })
+            expect(cancelled.statusCode).toBe(200)
+            expect(calls[0].aborted).toBe(true)
+
+            await jobQueue.wait(jobId)
+            const polled = await handler({ method: 'GET', headers: {}, query: { jobId } })
+            expect(JSON.parse(polled.body).status).toBe('cancelled')
+            expect(calls).toHaveLength(1)
+            expect((await analysisHistory.list()).total).toBe(before)
+        } finally {
+            providerRegistry.chain = originalChain
+        }
+    })
+
+    it('should fail async jobs with the validation error and report unknown jobs', async () => {
+        const submitted = await handler({ method: 'POST', headers: {}, body: { action: 'analyze', async: 'true' } })
+        const { jobId } = JSON.parse(submitted.body)
+
+        let job
+        for (let attempt = 0; attempt < 100; attempt++) {
+            job = JSON.parse((await handler({ method: 'GET', headers: {}, query: { jobId } })).body)
+            if (job.status !== 'queued' && job.status !== 'running') break
+            await new Promise(resolve => setTimeout(resolve, 20))
+        }
+
+        expect(job.status).toBe('failed')
+        expect(job.error.statusCode).toBe(400)
+
+        const missing = await handler({ method: 'DELETE', headers: {}, query: { jobId: 'missing' } })
+        expect(missing.statusCode).toBe(404)
+        const finished = await handler({ method: 'DELETE', headers: {}, query: { jobId } })
+        expect(finished.statusCode).toBe(409)
+    })
+})
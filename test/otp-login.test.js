@@ -0,0 +1,259 @@
+/**
+ * Unit tests for one-time sign-in codes
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import { render, screen, fireEvent, cleanup, waitFor } from '@testing-library/react'
+import React from 'react'
+import { readFileSync } from 'fs'
+import path from 'path'
+import { OtpService } from '../functions/auth/OtpService.js'
+import { ConsoleOtpTransport, FileOtpTransport, MemoryOtpTransport, WebhookOtpTransport, createOtpTransport } from '../functions/auth/OtpTransport.js'
+import { MemoryMailer } from '../functions/auth/Mailer.js'
+import { authService } from '../functions/process.js'
+import { handler as apiV1 } from '../functions/api/v1.js'
+import OTPLogin from '../src/components/auth/OTPLogin.jsx'
+import { createAuthService, removeTemporaryDirectories, temporaryDirectory } from './fixtures/auth-fixtures.js'
+
+const contact = 'ana@example.com'
+
+function createOtpService(options = {}) {
+    let now = 1_000_000
+    const service = new OtpService({
+        transport: new MemoryOtpTransport(),
+        ttlMs: 5 * 60 * 1000,
+        resendIntervalMs: 60 * 1000,
+        maxSendsPerHour: 3,
+        maxAttempts: 3,
+        lockoutMs: 15 * 60 * 1000,
+        now: () => now,
+        ...options
+    })
+    return { service, advance: (ms) => { now += ms } }
+}
+
+afterEach(() => {
+    cleanup()
+    removeTemporaryDirectories()
+    vi.unstubAllGlobals()
+    vi.unstubAllEnvs()
+    localStorage.clear()
+})
+
+describe('OtpService', () => {
+    it('should accept a code once and reject it after expiry', async () => {
+        const { service, advance } = createOtpService()
+
+        const delivery = await service.issue({ channel: 'email', contact })
+        const code = service.transport.lastCodeFor(contact)
+
+        expect(code).toMatch(/^\d{6}$/)
+        expect(delivery).toMatchObject({ attemptsRemaining: 3 })
+        expect(await service.verify({ channel: 'email', contact, code })).toBe(true)
+        await expect(service.verify({ channel: 'email', contact, code })).rejects.toMatchObject({ statusCode: 400 })
+
+        advance(60 * 1000)
+        await service.issue({ channel: 'email', contact })
+        advance(5 * 60 * 1000)
+        await expect(service.verify({ channel: 'email', contact, code: service.transport.lastCodeFor(contact) })).rejects.toMatchObject({ statusCode: 400 })
+    })
+
+    it('should enforce the resend interval and the hourly cap', async () => {
+        const { service, advance } = createOtpService()
+
+        await service.issue({ channel: 'email', contact })
+        await expect(service.issue({ channel: 'email', contact })).rejects.toMatchObject({ statusCode: 429, details: { retryAfter: 60 } })
+
+        advance(60 * 1000)
+        await service.issue({ channel: 'email', contact })
+        advance(60 * 1000)
+        await service.issue({ channel: 'email', contact })
+        advance(60 * 1000)
+        await expect(service.issue({ channel: 'email', contact })).rejects.toMatchObject({ statusCode: 429 })
+
+        advance(60 * 60 * 1000)
+        await expect(service.issue({ channel: 'email', contact })).resolves.toBeTruthy()
+    })
+
+    it('should lock the contact out after too many wrong codes', async () => {
+        const { service, advance } = createOtpService()
+        await service.issue({ channel: 'phone', contact: '+15551234567' })
+        const code = service.transport.lastCodeFor('+15551234567')
+        const wrong = code === '000000' ? '111111' : '000000'
+
+        await expect(service.verify({ channel: 'phone', contact: '+15551234567', code: wrong })).rejects.toMatchObject({ statusCode: 401, details: { attemptsRemaining: 2 } })
+        await expect(service.verify({ channel: 'phone', contact: '+15551234567', code: wrong })).rejects.toMatchObject({ details: { attemptsRemaining: 1 } })
+        await expect(service.verify({ channel: 'phone', contact: '+15551234567', code: wrong })).rejects.toMatchObject({ statusCode: 429 })
+        await expect(service.verify({ channel: 'phone', contact: '+15551234567', code })).rejects.toMatchObject({ statusCode: 429 })
+        await expect(service.issue({ channel: 'phone', contact: '+15551234567' })).rejects.toMatchObject({ statusCode: 429 })
+
+        advance(15 * 60 * 1000)
+        await expect(service.issue({ channel: 'phone', contact: '+15551234567' })).resolves.toBeTruthy()
+    })
+
+    it('should count wrong codes across new codes until one is right', async () => {
+        const { service, advance } = createOtpService()
+        const wrongFor = (code) => code === '000000' ? '111111' : '000000'
+
+        await service.issue({ channel: 'email', contact })
+        await expect(service.verify({ channel: 'email', contact, code: wrongFor(service.transport.lastCodeFor(contact)) })).rejects.toMatchObject({ details: { attemptsRemaining: 2 } })
+        advance(60 * 1000)
+        expect(await service.issue({ channel: 'email', contact })).toMatchObject({ attemptsRemaining: 2 })
+        await expect(service.verify({ channel: 'email', contact, code: wrongFor(service.transport.lastCodeFor(contact)) })).rejects.toMatchObject({ details: { attemptsRemaining: 1 } })
+        expect(await service.verify({ channel: 'email', contact, code: service.transport.lastCodeFor(contact) })).toBe(true)
+
+        advance(60 * 1000)
+        expect(await service.issue({ channel: 'email', contact })).toMatchObject({ attemptsRemaining: 3 })
+    })
+
+    it('should store a code without sending it when delivery is off', async () => {
+        const { service, advance } = createOtpService()
+
+        expect(await service.issue({ channel: 'email', contact, deliver: false })).toMatchObject({ attemptsRemaining: 3 })
+        expect(service.transport.messages).toHaveLength(0)
+        await expect(service.issue({ channel: 'email', contact, deliver: false })).rejects.toMatchObject({ statusCode: 429 })
+        await expect(service.verify({ channel: 'email', contact, code: '000000' })).rejects.toMatchObject({ statusCode: 401 })
+
+        advance(60 * 1000)
+        await service.issue({ channel: 'email', contact })
+        expect(service.transport.messages).toHaveLength(1)
+    })
+
+    it('should write codes to the outbox file with the file transport', async () => {
+        const file = path.join(temporaryDirectory(), 'outbox.jsonl')
+        const { service } = createOtpService({ transport: new FileOtpTransport({ file }) })
+
+        await service.issue({ channel: 'email', contact })
+        const [message] = readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line))
+
+        expect(message).toMatchObject({ channel: 'email', to: contact })
+        expect(message.text).toContain(message.code)
+    })
+})
+
+describe('createOtpTransport', () => {
+    it('should default to the console outside production and require a delivering transport in production', () => {
+        vi.stubEnv('VITE_OTP_TRANSPORT', '')
+        expect(createOtpTransport()).toBeInstanceOf(ConsoleOtpTransport)
+
+        vi.stubEnv('NODE_ENV', 'production')
+        expect(() => createOtpTransport()).toThrow('VITE_OTP_TRANSPORT must be webhook in production')
+        expect(() => createOtpTransport('file')).toThrow('file does not deliver codes')
+        expect(createOtpTransport('webhook', { url: 'https://sms.example.com/send' })).toBeInstanceOf(WebhookOtpTransport)
+    })
+})
+
+describe('AuthService OTP sign-in', () => {
+    it('should sign in by email and verify the address', async () => {
+        const service = createAuthService({ otp: createOtpService().service })
+        await service.signup({ email: 'Ana@Example.com', password: 'long enough', name: 'Ana' })
+
+        const delivery = await service.requestOtp({ channel: 'email', contact: 'ANA@example.com' })
+        const session = await service.loginWithOtp({ channel: 'email', contact: 'ana@example.com', code: service.otp.transport.lastCodeFor(contact) })
+
+        expect(delivery.sentTo).toBe('a•••@example.com')
+        expect(session.user.verified).toBe(true)
+        expect(await service.authenticate({ authorization: `Bearer ${session.accessToken}` })).toBeTruthy()
+    })
+
+    it('should sign in by phone for verified accounts', async () => {
+        const service = createAuthService({ otp: createOtpService().service })
+        const user = await service.signup({ email: contact, password: 'long enough', name: 'Ana', phone: '+1 (555) 123-4567' })
+        await service.store.updateUser(user.id, { verified: true })
+
+        const delivery = await service.requestOtp({ channel: 'phone', contact: '+1 555-123-4567' })
+        const session = await service.loginWithOtp({ channel: 'phone', contact: '+15551234567', code: service.otp.transport.lastCodeFor('+15551234567') })
+
+        expect(delivery.sentTo).toBe('••••••••4567')
+        expect(session.user.phone).toBe('+15551234567')
+    })
+
+    it('should answer unknown contacts like known ones without sending a code', async () => {
+        const service = createAuthService({ otp: createOtpService().service })
+        await service.signup({ email: contact, password: 'long enough', name: 'Ana' })
+
+        const known = await service.requestOtp({ channel: 'email', contact })
+        const unknown = await service.requestOtp({ channel: 'phone', contact: '+1 555-000-0000' })
+
+        expect(Object.keys(unknown)).toEqual(Object.keys(known))
+        expect(unknown).toMatchObject({ channel: 'phone', sentTo: '••••••••0000', attemptsRemaining: 3 })
+        expect(service.otp.transport.messages.map(message => message.to)).toEqual([contact])
+        await expect(service.requestOtp({ channel: 'phone', contact: '+15550000000' })).rejects.toMatchObject({ statusCode: 429 })
+        await expect(service.loginWithOtp({ channel: 'phone', contact: '+15550000000', code: '000000' })).rejects.toMatchObject({ statusCode: 401, details: { attemptsRemaining: 2 } })
+    })
+})
+
+describe('OTP routes', () => {
+    it('should issue codes, sign in with them and report rate limits with Retry-After', async () => {
+        const transport = new MemoryOtpTransport()
+        authService.mailer = new MemoryMailer()
+        authService.otp.transport = transport
+        const email = `otp-${Date.now()}@example.com`
+        await apiV1({ method: 'POST', path: '/auth/signup', headers: {}, body: { email, password: 'long enough', name: 'Ana' } })
+
+        const issued = await apiV1({ method: 'POST', path: '/auth/otp', headers: {}, body: { channel: 'email', contact: email } })
+        const limited = await apiV1({ method: 'POST', path: '/auth/otp', headers: {}, body: { channel: 'email', contact: email } })
+        const invalid = await apiV1({ method: 'POST', path: '/auth/otp/verify', headers: {}, body: { channel: 'email', contact: email, code: '12ab' } })
+        const verified = await apiV1({ method: 'POST', path: '/auth/otp/verify', headers: {}, body: { channel: 'email', contact: email, code: transport.lastCodeFor(email) } })
+
+        expect(issued.statusCode).toBe(202)
+        expect(JSON.parse(issued.body).resendAvailableAt).toBeTruthy()
+        expect(limited.statusCode).toBe(429)
+        expect(Number(limited.headers['Retry-After'])).toBeGreaterThan(0)
+        expect(invalid.statusCode).toBe(400)
+        expect(verified.statusCode).toBe(200)
+        expect(JSON.parse(verified.body).accessToken).toBeTruthy()
+    })
+
+    it('should give the same reply for contacts without an account and reject malformed ones', async () => {
+        authService.otp.transport = new MemoryOtpTransport()
+
+        const unknown = await apiV1({ method: 'POST', path: '/auth/otp', headers: {}, body: { channel: 'email', contact: `nobody-${Date.now()}@example.com` } })
+        const malformed = await apiV1({ method: 'POST', path: '/auth/otp', headers: {}, body: { channel: 'email', contact: 'not a contact' } })
+
+        expect(unknown.statusCode).toBe(202)
+        expect(JSON.parse(unknown.body).resendAvailableAt).toBeTruthy()
+        expect(authService.otp.transport.messages).toHaveLength(0)
+        expect(malformed.statusCode).toBe(400)
+    })
+})
+
+describe('OTPLogin', () => {
+    function jsonResponse(status, body) {
+        return new Response(JSON.stringify(body), { status })
+    }
+
+    it('should show the server countdown and the attempts left after a wrong code', async () => {
+        const requests = []
+        vi.stubGlobal('fetch', vi.fn(async (url, options) => {
+            requests.push({ url, body: JSON.parse(options.body) })
+            if (url === '/api/v1/auth/otp') {
+                return jsonResponse(202, {
+                    channel: 'email',
+                    sentTo: 'a•••@example.com',
+                    expiresAt: new Date(Date.now() + 300000).toISOString(),
+                    resendAvailableAt: new Date(Date.now() + 90000).toISOString(),
+                    attemptsRemaining: 5
+                })
+            }
+            return jsonResponse(401, { error: 'Unauthorized', message: 'Incorrect code', details: { attemptsRemaining: 4 } })
+        }))
+
+        render(React.createElement(OTPLogin, { onLogin: () => {}, onBack: () => {} }))
+        fireEvent.click(screen.getByText('Email Address'))
+        fireEvent.change(screen.getByPlaceholderText('your@email.com'), { target: { value: contact } })
+        fireEvent.click(screen.getByText(/Send OTP/))
+
+        expect(await screen.findByText(/We sent a 6-digit code to a•••@example.com/)).toBeInTheDocument()
+        expect(screen.getByText(/Resend code in 1:(29|30)/)).toBeInTheDocument()
+        expect(screen.getByText(/Code expires in [45]:\d\d/)).toBeInTheDocument()
+
+        '123456'.split('').forEach((digit, index) => {
+            fireEvent.change(document.getElementById(`otp-${index}`), { target: { value: digit } })
+        })
+        fireEvent.click(screen.getByText(/Verify & Continue/))
+
+        await waitFor(() => expect(screen.getByRole('alert')).toHaveTextContent('Incorrect code. 4 attempts left.'))
+        expect(requests[1]).toEqual({ url: '/api/v1/auth/otp/verify', body: { channel: 'email', contact, code: '123456' } })
+    })
+})
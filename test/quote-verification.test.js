@@ -0,0 +1,116 @@
+/**
+ * Unit tests for the quote verification (hallucination guard) pass
+ */
+
+import { describe, it, expect } from 'vitest'
+import { QuoteVerifier } from '../functions/ai/QuoteVerifier.js'
+import { OpenAICompatibleClient } from '../functions/ai/providers/OpenAICompatibleClient.js'
+
+const document = `1. Fees
+Customer shall pay all invoices within thirty (30) days of receipt.
+
+2. Termination
+Either party may terminate this Agreement on ninety (90) days written notice.
+`
+
+function modelAnalysis() {
+    return {
+        summary: { documentType: 'Service Agreement', totalClausesIdentified: 3 },
+        clauses: [
+            { id: 'clause_1', title: 'Fees', content: 'Customer shall pay all invoices within thirty (30) days of receipt.' },
+            { id: 'clause_2', title: 'Termination', content: 'Either party may terminate this Agreement on ninety (90) days written notice.' },
+            { id: 'clause_3', title: 'Exclusivity', content: 'Customer shall purchase all consulting services exclusively from Provider for five years.' }
+        ],
+        risks: [
+            { id: 'risk_1', title: 'Exclusivity', clauseReference: 'clause_3', supportingText: '' },
+            { id: 'risk_2', title: 'Penalty', clauseReference: 'clause_1', supportingText: 'a penalty of 10% applies to every late invoice' },
+            { id: 'risk_3', title: 'Notice', clauseReference: 'clause_2', supportingText: 'terminate this Agreement on ninety (90) days written notice' }
+        ],
+        keyTerms: [],
+        recommendations: [{ priority: 'high', action: 'Remove exclusivity', affectedClauses: ['clause_1', 'clause_3'] }],
+        qualityMetrics: { clauseDetectionConfidence: 90, analysisCompleteness: 80, potentialMissedClauses: [] }
+    }
+}
+
+describe('QuoteVerifier', () => {
+    it('should flag unverifiable quotes and record a verification block', () => {
+        const analysis = modelAnalysis()
+        const result = new QuoteVerifier({ mode: 'flag', threshold: 0.7 }).verify(analysis, document)
+
+        expect(result.clauses).toHaveLength(3)
+        expect(result.clauses.map(clause => clause.sourceAnchor.verified)).toEqual([true, true, false])
+        expect(result.qualityMetrics.verification).toMatchObject({
+            mode: 'flag',
+            threshold: 0.7,
+            clausesChecked: 3,
+            clausesVerified: 2,
+            risksChecked: 2,
+            risksVerified: 1,
+            verificationRate: 0.6,
+            dropped: 0
+        })
+        expect(result.qualityMetrics.verification.unverified.map(item => `${item.type}:${item.title}`)).toEqual(['clause:Exclusivity', 'risk:Penalty'])
+        expect(result.qualityMetrics.clauseDetectionConfidence).toBe(54)
+        expect(analysis.qualityMetrics.verification).toBeUndefined()
+    })
+
+    it('should drop unverifiable items and risks that only pointed at them', () => {
+        const result = new QuoteVerifier({ mode: 'drop', threshold: 0.7 }).verify(modelAnalysis(), document)
+
+        expect(result.clauses.map(clause => clause.id)).toEqual(['clause_1', 'clause_2'])
+        expect(result.risks.map(risk => risk.id)).toEqual(['risk_3'])
+        expect(result.summary.totalClausesIdentified).toBe(2)
+        expect(result.recommendations[0].affectedClauses).toEqual(['clause_1'])
+        expect(result.qualityMetrics.verification.dropped).toBe(3)
+    })
+
+    it('should apply the configured similarity threshold', () => {
+        const paraphrased = {
+            ...modelAnalysis(),
+            clauses: [{ id: 'clause_1', content: 'Customer shall pay invoices within thirty (30) days of receipt.' }],
+            risks: []
+        }
+
+        const lenient = new QuoteVerifier({ threshold: 0.6 }).verify(paraphrased, document)
+        const strict = new QuoteVerifier({ threshold: 0.95 }).verify(paraphrased, document)
+
+        expect(lenient.clauses[0].sourceAnchor).toMatchObject({ verified: true, method: 'fuzzy' })
+        expect(strict.clauses[0].sourceAnchor.verified).toBe(false)
+    })
+
+    it('should leave the analysis untouched when turned off', () => {
+        const analysis = modelAnalysis()
+        expect(new QuoteVerifier({ mode: 'off' }).verify(analysis, document)).toBe(analysis)
+        expect(() => new QuoteVerifier({ mode: 'strict' })).toThrow(/Invalid quote verification mode/)
+    })
+
+    it('should combine verification blocks from document chunks', () => {
+        const merged = QuoteVerifier.merge([
+            { mode: 'flag', threshold: 0.7, clausesChecked: 3, clausesVerified: 3, risksChecked: 1, risksVerified: 1, dropped: 0, unverified: [] },
+            undefined,
+            { mode: 'flag', threshold: 0.7, clausesChecked: 2, clausesVerified: 1, risksChecked: 0, risksVerified: 0, dropped: 0, unverified: [{ type: 'clause' }] }
+        ])
+
+        expect(merged).toMatchObject({ clausesChecked: 5, clausesVerified: 4, verificationRate: 0.83, unverified: [{ type: 'clause' }] })
+    })
+})
+
+describe('Provider parsing pipeline', () => {
+    it('should verify quotes and lower confidence for hallucinated content', async () => {
+        const analysis = modelAnalysis()
+        const respond = content => async () => ({
+            ok: true,
+            status: 200,
+            json: async () => ({ choices: [{ message: { content: JSON.stringify(content) } }] })
+        })
+
+        const honest = { ...analysis, clauses: analysis.clauses.slice(0, 2), risks: [analysis.risks[2]] }
+        const verified = await new OpenAICompatibleClient({ apiKey: 'sk-test', fetcher: respond(honest) }).analyzeDocument(document, 'Service Agreement')
+        const client = new OpenAICompatibleClient({ apiKey: 'sk-test', fetcher: respond(analysis) })
+        const hallucinated = await client.analyzeDocument(document, 'Service Agreement')
+
+        expect(verified.analysis.qualityMetrics.verification.verificationRate).toBe(1)
+        expect(hallucinated.analysis.qualityMetrics.verification.verificationRate).toBe(0.6)
+        expect(hallucinated.confidence).toBe(Math.round(client.calculateAnalysisConfidence(analysis) * 0.6))
+    })
+})
@@ -0,0 +1,190 @@
+/**
+ * Unit tests for suggested redlines
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import { render, screen, fireEvent, cleanup, within } from '@testing-library/react'
+import React from 'react'
+import { RedlineGenerator } from '../functions/ai/RedlineGenerator.js'
+import { ProviderRegistry } from '../functions/ai/ProviderRegistry.js'
+import { handler, providerRegistry } from '../functions/process.js'
+import { handler as apiV1 } from '../functions/api/v1.js'
+import { diffWords } from '../src/utils/wordDiff.js'
+import RedlinesPanel from '../src/components/analysis/RedlinesPanel.jsx'
+
+const clauses = [
+    { id: 'clause_1', title: 'Termination', content: 'The Supplier may terminate this Agreement at any time.', startPosition: 0, endPosition: 54 },
+    { id: 'clause_2', title: 'Liability', content: 'Liability is unlimited. Each party bears its own costs.', startPosition: 55, endPosition: 110 },
+    { id: 'clause_3', title: 'Payment', content: 'Fees are payable within 30 days.', startPosition: 111, endPosition: 143 }
+]
+
+const risks = [
+    { id: 'risk_1', severity: 'high', title: 'One-sided termination right', recommendation: 'Make termination mutual', clauseReference: 'clause_1', ruleId: 'one-sided-termination' },
+    { id: 'risk_2', severity: 'critical', title: 'Unlimited liability', recommendation: 'Add a cap', clauseReference: 'clause_2' },
+    { id: 'risk_3', severity: 'low', title: 'Extended payment period', clauseReference: 'clause_3' },
+    { id: 'risk_4', severity: 'medium', title: 'Missing governing law clause', clauseReference: null }
+]
+
+function fakeProvider(reply) {
+    return () => ({
+        generateJson: vi.fn(async () => reply),
+        getModelInfo: () => ({ provider: 'Fake', model: 'fake-1' })
+    })
+}
+
+afterEach(() => {
+    cleanup()
+    vi.unstubAllGlobals()
+})
+
+describe('RedlineGenerator', () => {
+    it('should fall back to standard language for medium and higher risks when no provider can draft', async () => {
+        const generator = new RedlineGenerator({ registry: new ProviderRegistry({ chain: ['rules'] }) })
+        const result = await generator.generate({ clauses, risks })
+
+        expect(result.provider).toBe('rules')
+        expect(result.attempts).toEqual([{ provider: 'rules', success: false, error: 'Rule-based does not support text generation' }])
+        expect(result.redlines.map(redline => redline.riskId)).toEqual(['risk_1', 'risk_2'])
+        expect(result.redlines[0]).toMatchObject({
+            clauseId: 'clause_1',
+            originalText: clauses[0].content,
+            proposedText: 'Either party may terminate this Agreement at any time upon thirty (30) days\' prior written notice.',
+            startPosition: 0,
+            endPosition: 54,
+            source: 'rules',
+            status: 'pending'
+        })
+        expect(result.redlines[1].proposedText).toMatch(/^Except for liability arising from fraud.*Each party bears its own costs\.$/)
+        expect(result.skipped).toEqual([{ riskId: 'risk_4', title: 'Missing governing law clause', reason: 'The risk is not tied to clause text in the document' }])
+    })
+
+    it('should use the model draft and fill gaps in its reply with fallback language', async () => {
+        const registry = new ProviderRegistry({
+            chain: ['fake'],
+            factories: {
+                fake: fakeProvider({
+                    redlines: [
+                        { riskId: 'risk_2', proposedText: 'Each party\'s liability is capped at the fees paid.', rationale: 'Caps exposure.' },
+                        { riskId: 'risk_1', proposedText: clauses[0].content },
+                        { riskId: 'risk_9', proposedText: 'Not requested' }
+                    ]
+                })
+            }
+        })
+        const result = await new RedlineGenerator({ registry }).generate({ clauses, risks })
+
+        expect(result).toMatchObject({ provider: 'fake', model: 'fake-1' })
+        expect(result.redlines.map(redline => [redline.riskId, redline.source])).toEqual([['risk_1', 'rules'], ['risk_2', 'ai']])
+        expect(result.redlines[1]).toMatchObject({ proposedText: 'Each party\'s liability is capped at the fees paid.', rationale: 'Caps exposure.' })
+    })
+
+    it('should accept clauses and risks shaped for the UI', async () => {
+        const uiClauses = clauses.map(({ content, ...clause }) => ({ ...clause, text: content }))
+        const uiRisks = [{ level: 'medium', title: 'Sole discretion language', startPosition: 10 }]
+        const result = await new RedlineGenerator().generate({
+            clauses: [...uiClauses, { id: 'clause_4', title: 'Approvals', text: 'Approval is at the sole discretion of the Supplier.' }],
+            risks: [...uiRisks, { level: 'medium', title: 'Sole discretion language', clauseReference: 'clause_4' }]
+        })
+
+        expect(result.skipped.map(item => item.riskId)).toEqual(['risk_1'])
+        expect(result.redlines[0]).toMatchObject({ riskId: 'risk_2', proposedText: 'Approval is at the reasonable and good-faith discretion of the Supplier.' })
+    })
+})
+
+describe('diffWords', () => {
+    it('should mark replaced words and keep unchanged text', () => {
+        expect(diffWords('The Supplier may terminate at any time.', 'Either party may terminate at any time upon notice.')).toEqual([
+            { type: 'delete', text: 'The Supplier' },
+            { type: 'insert', text: 'Either party' },
+            { type: 'equal', text: ' may terminate at any ' },
+            { type: 'delete', text: 'time.' },
+            { type: 'insert', text: 'time upon notice.' }
+        ])
+    })
+
+    it('should handle identical and empty texts', () => {
+        expect(diffWords('Same text', 'Same text')).toEqual([{ type: 'equal', text: 'Same text' }])
+        expect(diffWords('', 'New clause')).toEqual([{ type: 'insert', text: 'New clause' }])
+    })
+})
+
+describe('Redline API', () => {
+    const originalChain = providerRegistry.chain
+
+    afterEach(() => {
+        providerRegistry.chain = originalChain
+    })
+
+    it('should draft redlines through the redline action and /api/v1/redlines', async () => {
+        providerRegistry.setChain(['rules'])
+
+        const response = await handler({ method: 'POST', headers: { 'content-type': 'application/json' }, body: { action: 'redline', analysis: { clauses, risks } }, query: {} })
+        const body = JSON.parse(response.body)
+        expect(response.statusCode).toBe(200)
+        expect(body.redlines).toHaveLength(2)
+        expect(body.generatedAt).toBeTruthy()
+
+        const missing = await handler({ method: 'POST', headers: { 'content-type': 'application/json' }, body: { action: 'redline' }, query: {} })
+        expect(missing.statusCode).toBe(400)
+
+        const v1 = await apiV1({ method: 'POST', path: '/redlines', body: { analysis: { clauses, risks: [risks[1]] } } })
+        expect(v1.statusCode).toBe(200)
+        expect(JSON.parse(v1.body).redlines[0].riskId).toBe('risk_2')
+        expect((await apiV1({ method: 'POST', path: '/redlines', body: { analysis: { clauses } } })).statusCode).toBe(400)
+    })
+})
+
+describe('RedlinesPanel', () => {
+    const uiRisks = [{ level: 'high', title: 'One-sided termination right', clauseReference: 'clause_1' }]
+
+    it('should request redlines, show the word diff and record accept and reject decisions', async () => {
+        const requests = []
+        vi.stubGlobal('fetch', vi.fn(async (url, options = {}) => {
+            requests.push({ url, body: JSON.parse(options.body) })
+            return new Response(JSON.stringify({
+                redlines: [
+                    { id: 'redline_1', riskId: 'risk_1', clauseTitle: 'Termination', title: 'One-sided termination right', severity: 'high', originalText: 'The Supplier may terminate.', proposedText: 'Either party may terminate.', rationale: 'Makes it mutual.', source: 'rules', status: 'pending' },
+                    { id: 'redline_2', riskId: 'risk_2', clauseTitle: 'Liability', title: 'Unlimited liability', severity: 'critical', originalText: 'Liability is unlimited.', proposedText: 'Liability is capped.', rationale: 'Caps exposure.', source: 'ai', status: 'pending' }
+                ],
+                skipped: []
+            }), { status: 200 })
+        }))
+        const onChange = vi.fn()
+
+        const { rerender } = render(React.createElement(RedlinesPanel, { clauses, risks: uiRisks, redlines: null, onChange }))
+        expect(screen.getByText(/the 1 medium-or-higher risk in this analysis/)).toBeInTheDocument()
+        fireEvent.click(screen.getByText('Suggest redlines'))
+
+        await vi.waitFor(() => expect(onChange).toHaveBeenCalled())
+        expect(requests[0]).toMatchObject({ url: '/api/process', body: { action: 'redline', analysis: { risks: uiRisks } } })
+
+        const suggestions = onChange.mock.calls[0][0]
+        rerender(React.createElement(RedlinesPanel, { clauses, risks: uiRisks, redlines: suggestions, onChange }))
+
+        const termination = screen.getByRole('region', { name: 'Redline for One-sided termination right' })
+        expect(within(termination).getByText('The Supplier').tagName).toBe('DEL')
+        expect(within(termination).getByText('Either party').tagName).toBe('INS')
+        expect(within(termination).getByText('💡 Makes it mutual.')).toBeInTheDocument()
+
+        fireEvent.click(within(termination).getByText('✓ Accept'))
+        const decided = onChange.mock.calls[1][0]
+        expect(decided.redlines.map(redline => redline.status)).toEqual(['accepted', 'pending'])
+
+        rerender(React.createElement(RedlinesPanel, { clauses, risks: uiRisks, redlines: decided, onChange }))
+        expect(screen.getByText('1 accepted • 0 rejected • 1 pending')).toBeInTheDocument()
+        expect(within(termination).getByText('✓ Accept')).toHaveAttribute('aria-pressed', 'true')
+    })
+
+    it('should keep decisions itself without onChange and hide generation when the role cannot run analyses', () => {
+        const redlines = {
+            redlines: [{ id: 'redline_1', riskId: 'risk_1', title: 'Unlimited liability', severity: 'critical', originalText: 'a', proposedText: 'b', rationale: 'r', source: 'ai', status: 'pending' }],
+            skipped: [{ riskId: 'risk_4', title: 'Missing governing law clause', reason: 'The risk is not tied to clause text in the document' }]
+        }
+        render(React.createElement(RedlinesPanel, { clauses, risks: uiRisks, redlines, canGenerate: false }))
+
+        fireEvent.click(screen.getByText('✕ Reject'))
+        expect(screen.getByText('0 accepted • 1 rejected • 0 pending')).toBeInTheDocument()
+        expect(screen.queryByText('Regenerate')).toBeNull()
+        expect(screen.getByText(/Missing governing law clause: The risk is not tied/)).toBeInTheDocument()
+    })
+})
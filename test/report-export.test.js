@@ -0,0 +1,165 @@
+/**
+ * Unit tests for analysis report export and reopening saved reports
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import { render, screen, fireEvent, cleanup } from '@testing-library/react'
+import React from 'react'
+import JSZip from 'jszip'
+import { buildReport, toMarkdown, toJson, parseReport, toPdf, toDocx, exportReport, REPORT_FORMAT } from '../src/utils/reportExport.js'
+import { wrapText } from '../src/utils/pdfDocument.js'
+import { DocumentTextExtractor } from '../functions/extraction/DocumentTextExtractor.js'
+import ReportExport from '../src/components/analysis/ReportExport.jsx'
+import OpenReport from '../src/components/history/OpenReport.jsx'
+
+const result = {
+    summary: { title: 'Master Services Agreement', totalClauses: 2, riskScore: 7.5, keyFindings: ['2 risks detected and assessed'] },
+    clauses: [
+        { id: 'clause_1', title: 'Termination', text: 'The Supplier may terminate at any time.', category: 'termination', confidence: 92.4, riskLevel: 'high' },
+        { id: 'clause_2', title: 'Fees | Payment', text: 'Fees are payable within 30 days.', category: 'payment', confidence: 88, riskLevel: 'low' }
+    ],
+    risks: [
+        { id: 'risk_2', level: 'low', title: 'Extended payment period', recommendation: 'Shorten to 15 days', clauseReference: 'clause_2' },
+        { id: 'risk_1', level: 'high', title: 'One-sided termination right', description: 'Only the Supplier can terminate.', recommendation: 'Make termination mutual', clauseReference: 'clause_1' }
+    ],
+    recommendations: [],
+    redlines: {
+        redlines: [{ id: 'redline_1', title: 'One-sided termination right', clauseTitle: 'Termination', status: 'accepted', originalText: 'The Supplier may terminate at any time.', proposedText: 'Either party may terminate on notice.' }],
+        skipped: []
+    },
+    metadata: {
+        document: { name: 'Acme MSA.pdf' },
+        processedAt: '2026-03-02T10:00:00.000Z',
+        model: 'gemini-1.5-pro',
+        processingDetails: { provider: 'gemini' },
+        usingRealAI: true,
+        confidence: 93,
+        historyId: 'hist_42',
+        extraction: { method: 'pdf-parse', text: 'The Supplier may terminate at any time.' }
+    }
+}
+
+function readBlob(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader()
+        reader.onload = () => resolve(Buffer.from(reader.result))
+        reader.onerror = () => reject(reader.error)
+        reader.readAsArrayBuffer(blob)
+    })
+}
+
+afterEach(() => {
+    cleanup()
+    vi.restoreAllMocks()
+})
+
+describe('buildReport', () => {
+    it('should order risks by severity, break them down and derive recommendations from the risks', () => {
+        const report = buildReport(result)
+
+        expect(report.risks.map(risk => risk.title)).toEqual(['One-sided termination right', 'Extended payment period'])
+        expect(report.riskBreakdown.map(row => [row.level, row.count, row.percent])).toEqual([
+            ['critical', 0, 0], ['high', 1, 50], ['medium', 0, 0], ['low', 1, 50]
+        ])
+        expect(report.recommendations[0]).toEqual({ priority: 'high', action: 'Make termination mutual', rationale: 'One-sided termination right', clauses: ['Termination'] })
+        expect(Object.fromEntries(report.provenance)).toMatchObject({
+            Document: 'Acme MSA.pdf',
+            Model: 'gemini-1.5-pro',
+            Provider: 'gemini',
+            Analysis: 'AI model',
+            'Text extraction': 'pdf-parse',
+            'Saved analysis': 'hist_42'
+        })
+    })
+
+    it('should prefer the model recommendations and name their clauses', () => {
+        const report = buildReport({ ...result, recommendations: [{ priority: 'high', action: 'Renegotiate termination', rationale: 'Balance', affectedClauses: ['clause_1', 'clause_9'] }] })
+        expect(report.recommendations).toEqual([{ priority: 'high', action: 'Renegotiate termination', rationale: 'Balance', clauses: ['Termination', 'clause_9'] }])
+    })
+})
+
+describe('Report formats', () => {
+    it('should write every section to Markdown', () => {
+        const markdown = toMarkdown(result)
+
+        expect(markdown).toMatch(/^# Master Services Agreement\n/)
+        expect(markdown).toContain('- **Risk score:** 7.5/10')
+        expect(markdown).toContain('| High Risk | 1 | 50% |')
+        expect(markdown).toContain('- **[High] One-sided termination right** (Termination)')
+        expect(markdown).toContain('| Fees \\| Payment | payment | Low | 88% |')
+        expect(markdown).toContain('1. **[High]** Make termination mutual')
+        expect(markdown).toContain('### One-sided termination right (Accepted)')
+        expect(markdown).toContain('| Saved analysis | hist_42 |')
+    })
+
+    it('should reopen a JSON export and reject files that are not reports', () => {
+        const reopened = parseReport(toJson(result))
+        expect(reopened).toEqual(result)
+
+        expect(() => parseReport('not json')).toThrow('not valid JSON')
+        expect(() => parseReport(JSON.stringify({ summary: {} }))).toThrow('not a ClearClause report')
+        expect(() => parseReport(JSON.stringify({ format: REPORT_FORMAT, version: 99, result }))).toThrow('newer version')
+        expect(() => parseReport(JSON.stringify({ format: REPORT_FORMAT, version: 1, result: { summary: {} } }))).toThrow('missing its analysis')
+    })
+
+    it('should produce a PDF and a Word document that extract back to the report text', async () => {
+        const extractor = new DocumentTextExtractor()
+
+        const pdf = await readBlob(toPdf(result))
+        expect(pdf.subarray(0, 8).toString()).toBe('%PDF-1.4')
+        const pdfText = (await extractor.extract({ buffer: pdf, filename: 'report.pdf' })).text
+        expect(pdfText).toContain('Master Services Agreement')
+        expect(pdfText).toContain('One-sided termination right')
+        expect(pdfText).toContain('Make termination mutual')
+
+        const docx = await readBlob(await toDocx(result))
+        const zip = await JSZip.loadAsync(docx)
+        expect(await zip.file('docProps/core.xml').async('string')).toContain('<dc:title>Master Services Agreement</dc:title>')
+        const docxText = (await extractor.extract({ buffer: docx, filename: 'report.docx' })).text
+        expect(docxText).toContain('Risk breakdown')
+        expect(docxText).toContain('Fees | Payment')
+        expect(docxText).toContain('Either party may terminate on notice.')
+    })
+
+    it('should wrap long PDF lines and name files after the document', async () => {
+        const lines = wrapText('word '.repeat(60), 200, 10)
+        expect(lines.length).toBeGreaterThan(1)
+        expect(lines.every(line => line.length < 60)).toBe(true)
+
+        expect((await exportReport(result, 'markdown')).filename).toBe('acme-msa-analysis.md')
+        expect((await exportReport({ ...result, metadata: {} }, 'json')).filename).toBe('master-services-agreement-analysis.json')
+        await expect(exportReport(result, 'rtf')).rejects.toThrow('Unsupported export format')
+    })
+})
+
+describe('Report UI', () => {
+    it('should download the chosen format', async () => {
+        const { createObjectURL, revokeObjectURL } = URL
+        URL.createObjectURL = vi.fn(() => 'blob:report')
+        URL.revokeObjectURL = vi.fn()
+        const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+            expect(this.download).toBe('acme-msa-analysis.md')
+        })
+
+        render(React.createElement(ReportExport, { result }))
+        fireEvent.click(screen.getByText('Markdown'))
+
+        await vi.waitFor(() => expect(click).toHaveBeenCalled())
+        expect(URL.createObjectURL.mock.calls[0][0].type).toBe('text/markdown')
+        await vi.waitFor(() => expect(screen.getByText('Markdown')).not.toBeDisabled())
+
+        Object.assign(URL, { createObjectURL, revokeObjectURL })
+    })
+
+    it('should open a saved JSON report and explain files it cannot open', async () => {
+        const onOpen = vi.fn()
+        render(React.createElement(OpenReport, { onOpen }))
+        const input = screen.getByLabelText('Saved report file')
+
+        fireEvent.change(input, { target: { files: [{ name: 'acme.json', text: async () => toJson(result) }] } })
+        await vi.waitFor(() => expect(onOpen).toHaveBeenCalledWith(result))
+
+        fireEvent.change(input, { target: { files: [{ name: 'notes.json', text: async () => '{}' }] } })
+        expect(await screen.findByRole('alert')).toHaveTextContent('notes.json: The file is not a ClearClause report')
+    })
+})
@@ -0,0 +1,138 @@
+/**
+ * Unit tests for the deterministic offline rule-based analyzer
+ */
+
+import { describe, it, expect } from 'vitest'
+import { RuleBasedAnalyzer } from '../functions/ai/RuleBasedAnalyzer.js'
+import { ResponseNormalizer } from '../api/normalizers/ResponseNormalizer.js'
+import { handler } from '../functions/process.js'
+
+const contract = `SERVICES AGREEMENT
+
+This Services Agreement (the "Agreement") is entered into as of March 1, 2024 between Acme Corporation and Beta Consulting LLC.
+
+1. Definitions
+"Services" means the consulting services described in Exhibit A.
+
+2. Payment Terms
+Customer shall pay each invoice within 90 days of receipt. Late payments accrue interest at 2% per month.
+
+3. Term and Termination
+This Agreement shall automatically renew for successive one-year terms. Customer may terminate this Agreement at any time for convenience on 10 days' written notice.
+
+4. Confidentiality
+Each party shall keep the other party's confidential information secret and shall not disclose it. These obligations survive in perpetuity.
+
+5. Limitation of Liability
+Neither party shall be liable for indirect or consequential damages, including lost profits.
+
+6. Indemnification
+Provider shall indemnify, defend and hold harmless Customer from any and all claims arising from the Services.
+
+7. Governing Law
+This Agreement shall be governed by the laws of the State of Delaware.
+`
+
+describe('RuleBasedAnalyzer.segmentSections', () => {
+    it('should split on sequential numbered headings only', () => {
+        const analyzer = new RuleBasedAnalyzer()
+        const sections = analyzer.segmentSections(contract)
+
+        expect(sections.map(section => section.number)).toEqual([1, 2, 3, 4, 5, 6, 7])
+        expect(sections.map(section => section.heading)).toContain('Term and Termination')
+        expect(sections.every(section => contract.substring(section.startOffset, section.endOffset) === section.text)).toBe(true)
+    })
+
+    it('should fall back to capitalised headings when sections are not numbered', () => {
+        const analyzer = new RuleBasedAnalyzer()
+        const sections = analyzer.segmentSections('PAYMENT\nFees are due within 30 days.\n\nGOVERNING LAW\nThe laws of England apply.\n')
+
+        expect(sections.map(section => section.heading)).toEqual(['Payment', 'Governing Law'])
+    })
+})
+
+describe('RuleBasedAnalyzer.analyze', () => {
+    const analyzer = new RuleBasedAnalyzer()
+    const analysis = analyzer.analyze(contract, 'Service Agreement')
+    const categories = analysis.clauses.map(clause => clause.category)
+
+    it('should classify sections into supported clause categories', () => {
+        const supported = new ResponseNormalizer().getSupportedClauseTypes()
+
+        expect(categories).toEqual([
+            'general',
+            'payment_terms',
+            'termination_clause',
+            'confidentiality_agreement',
+            'liability_limitation',
+            'indemnification',
+            'governing_law'
+        ])
+        categories.forEach(category => expect([...supported, 'general']).toContain(category))
+        expect(analysis.clauses[1]).toMatchObject({ id: 'clause_2', title: 'Payment Terms', sourceLocation: 'Section 2' })
+        expect(analysis.clauses[1].explanation).toContain('heading "Payment Terms"')
+    })
+
+    it('should flag risks with the rule and supporting text that triggered them', () => {
+        const byRule = Object.fromEntries(analysis.risks.map(risk => [risk.ruleId, risk]))
+
+        expect(byRule['high-late-fee']).toMatchObject({ severity: 'medium', clauseReference: 'clause_2' })
+        expect(byRule['high-late-fee'].supportingText).toBe('Late payments accrue interest at 2% per month.')
+        expect(byRule['extended-payment-terms'].clauseReference).toBe('clause_2')
+        expect(byRule['one-sided-termination'].severity).toBe('high')
+        expect(byRule['short-notice-period']).toBeDefined()
+        expect(byRule['automatic-renewal']).toBeDefined()
+        expect(byRule['uncapped-liability'].clauseReference).toBe('clause_5')
+        expect(byRule['broad-indemnity'].supportingText).toContain('any and all claims')
+        expect(byRule['perpetual-obligation'].severity).toBe('low')
+        expect(analysis.clauses[2].riskLevel).toBe('high')
+    })
+
+    it('should not flag mutual terms as one-sided', () => {
+        const result = analyzer.analyze('1. Termination\nEither party may terminate this Agreement at any time for convenience on 60 days written notice.\n\n2. Governing Law\nThis Agreement is governed by the laws of New York.')
+
+        expect(result.risks.map(risk => risk.ruleId)).not.toContain('one-sided-termination')
+        expect(result.risks.map(risk => risk.ruleId)).not.toContain('short-notice-period')
+    })
+
+    it('should report missing core clauses', () => {
+        const missing = analysis.risks.filter(risk => risk.ruleId === 'missing-core-clause')
+
+        expect(missing.map(risk => risk.title)).toEqual(['Missing dispute resolution clause'])
+        expect(analysis.qualityMetrics.potentialMissedClauses).toEqual(['Dispute Resolution'])
+        expect(analysis.summary.completenessScore).toBe(75)
+    })
+
+    it('should extract the summary and defined terms from the text', () => {
+        expect(analysis.summary).toMatchObject({
+            documentType: 'Service Agreement',
+            mainParties: ['Acme Corporation', 'Beta Consulting LLC'],
+            effectiveDate: '2024-03-01',
+            totalClausesIdentified: 7
+        })
+        expect(analysis.keyTerms.map(term => term.term)).toEqual(['Services', 'Agreement'])
+        expect(analysis.recommendations[0].priority).toBe('high')
+    })
+
+    it('should produce identical output for identical input', () => {
+        expect(new RuleBasedAnalyzer().analyze(contract, 'Service Agreement')).toEqual(analysis)
+    })
+})
+
+describe('Offline analysis fallback', () => {
+    it('should fall back to rule-based analysis when no AI provider is available', async () => {
+        const response = await handler({
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: { action: 'analyze', documentText: contract }
+        })
+        const body = JSON.parse(response.body)
+
+        expect(response.statusCode).toBe(200)
+        expect(body.usingRealAI).toBe(false)
+        expect(body.model).toBe('rule-based-v1')
+        expect(body.processingDetails.source).toBe('rule-based')
+        expect(body.analysis.clauses.length).toBe(7)
+        expect(body.errorDetails).toBeTruthy()
+    })
+})
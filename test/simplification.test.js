@@ -0,0 +1,206 @@
+/**
+ * Unit tests for plain-English clause rewrites and readability metrics
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import { render, screen, fireEvent, cleanup } from '@testing-library/react'
+import React from 'react'
+import { ReadabilityAnalyzer } from '../functions/ai/ReadabilityAnalyzer.js'
+import { ClauseSimplifier } from '../functions/ai/ClauseSimplifier.js'
+import { ProviderRegistry } from '../functions/ai/ProviderRegistry.js'
+import { handler, providerRegistry } from '../functions/process.js'
+import { handler as apiV1 } from '../functions/api/v1.js'
+import CompareTab from '../src/components/analysis/CompareTab.jsx'
+
+const INDEMNITY = 'Notwithstanding anything to the contrary herein, the Supplier shall indemnify the Customer in the event that the Supplier breaches its obligations hereunder, provided that the Customer shall notify the Supplier within thirty (30) days of becoming aware of any such claim and shall cooperate with the Supplier in the defense thereof.'
+
+const clauses = [
+    { id: 'clause_1', title: 'Indemnity', content: INDEMNITY, startPosition: 0, endPosition: INDEMNITY.length },
+    { id: 'clause_2', title: 'Payment', content: 'The Customer shall remit payment within fifteen (15) days. Late payments shall accrue interest; the Supplier may suspend the services upon notice.' },
+    { id: 'clause_3', title: 'Heading only', content: '  ' }
+]
+
+function fakeProvider(reply) {
+    return () => ({
+        generateJson: vi.fn(async () => reply),
+        getModelInfo: () => ({ provider: 'Fake', model: 'fake-1' })
+    })
+}
+
+afterEach(() => {
+    cleanup()
+    vi.unstubAllGlobals()
+})
+
+describe('ReadabilityAnalyzer', () => {
+    const analyzer = new ReadabilityAnalyzer()
+
+    it('should split sentences without breaking on common abbreviations', () => {
+        expect(analyzer.splitSentences('Fees are due per Sec. 4. See e.g. the schedule. Done!\nNext line')).toEqual([
+            'Fees are due per Sec. 4.',
+            'See e.g. the schedule.',
+            'Done!',
+            'Next line'
+        ])
+    })
+
+    it('should measure Flesch-Kincaid grade and sentence length', () => {
+        expect(analyzer.countSyllables('agreement')).toBe(3)
+        expect(analyzer.countSyllables('fees')).toBe(1)
+        expect(analyzer.measure('The cat sat. The dog ran.')).toMatchObject({ words: 6, sentences: 2, averageSentenceLength: 3, longestSentence: 3, fleschKincaidGrade: 0 })
+        expect(analyzer.measure(INDEMNITY).fleschKincaidGrade).toBeGreaterThan(20)
+        expect(analyzer.measure('')).toMatchObject({ words: 0, fleschKincaidGrade: 0 })
+    })
+})
+
+describe('ClauseSimplifier', () => {
+    it('should fall back to plain-language substitutions when no provider can rewrite', async () => {
+        const simplifier = new ClauseSimplifier({ registry: new ProviderRegistry({ chain: ['rules'] }) })
+        const result = await simplifier.simplify({ clauses, level: 'layperson' })
+
+        expect(result).toMatchObject({ level: 'layperson', provider: 'rules', model: null })
+        expect(result.skipped).toEqual([{ clauseId: 'clause_3', title: 'Heading only', reason: 'The clause has no text to rewrite' }])
+        expect(result.clauses[0]).toMatchObject({
+            clauseId: 'clause_1',
+            source: 'rules',
+            startPosition: 0,
+            simplifiedText: 'The Supplier must indemnify the Customer if the Supplier breaches its obligations under this agreement. However, the Customer must notify the Supplier within 30 days of becoming aware of any such claim and must cooperate with the Supplier in the defense of it.'
+        })
+        expect(result.clauses[1].simplifiedText).toBe('The Customer must pay within 15 days. Late payments must accrue interest; the Supplier may suspend the services on notice.')
+        expect(result.clauses[0].after.fleschKincaidGrade).toBeLessThan(result.clauses[0].before.fleschKincaidGrade)
+        expect(result.summary.after.longestSentence).toBeLessThan(result.summary.before.longestSentence)
+    })
+
+    it('should use simpler words for grade 8 and keep only the opening sentences for executives', async () => {
+        const simplifier = new ClauseSimplifier()
+        const grade8 = await simplifier.simplify({ clauses: clauses.slice(0, 1), level: 'grade-8' })
+        expect(grade8.clauses[0].simplifiedText).toMatch(/^The Supplier must pay back the Customer if the Supplier breaks its duties/)
+
+        const long = 'The Supplier must deliver the goods. The Customer must inspect them. The Customer must pay for them.'
+        const executive = await simplifier.simplify({ clauses: [{ id: 'clause_1', title: 'Delivery', text: long }], level: 'executive' })
+        expect(executive.clauses[0].simplifiedText).toBe('The Supplier must deliver the goods. The Customer must inspect them.')
+
+        await expect(simplifier.simplify({ clauses, level: 'lawyer' })).rejects.toThrow('Unknown reading level: lawyer')
+    })
+
+    it('should use the model rewrites and fill gaps in its reply with substitutions', async () => {
+        const registry = new ProviderRegistry({
+            chain: ['fake'],
+            factories: {
+                fake: fakeProvider({
+                    clauses: [
+                        { clauseId: 'clause_1', simplifiedText: 'If the Supplier breaks its promises, it pays the Customer\'s losses. The Customer must tell the Supplier about a claim within 30 days.' },
+                        { clauseId: 'clause_9', simplifiedText: 'Not requested' }
+                    ]
+                })
+            }
+        })
+        const result = await new ClauseSimplifier({ registry }).simplify({ clauses, level: 'grade-8', documentType: 'Supply Agreement' })
+
+        expect(result).toMatchObject({ provider: 'fake', model: 'fake-1' })
+        expect(result.clauses.map(clause => [clause.clauseId, clause.source])).toEqual([['clause_1', 'ai'], ['clause_2', 'rules']])
+        expect(result.clauses[0].after.longestSentence).toBe(12)
+    })
+})
+
+describe('Simplification API', () => {
+    const originalChain = providerRegistry.chain
+
+    afterEach(() => {
+        providerRegistry.chain = originalChain
+    })
+
+    it('should rewrite clauses through the simplify action and /api/v1/simplifications', async () => {
+        providerRegistry.setChain(['rules'])
+
+        const response = await handler({ method: 'POST', headers: { 'content-type': 'application/json' }, body: { action: 'simplify', level: 'executive', analysis: { clauses } }, query: {} })
+        const body = JSON.parse(response.body)
+        expect(response.statusCode).toBe(200)
+        expect(body).toMatchObject({ level: 'executive', provider: 'rules' })
+        expect(body.clauses).toHaveLength(2)
+        expect(body.generatedAt).toBeTruthy()
+
+        const missing = await handler({ method: 'POST', headers: { 'content-type': 'application/json' }, body: { action: 'simplify' }, query: {} })
+        expect(missing.statusCode).toBe(400)
+        const unknown = await handler({ method: 'POST', headers: { 'content-type': 'application/json' }, body: { action: 'simplify', level: 'lawyer', analysis: { clauses } }, query: {} })
+        expect(unknown.statusCode).toBe(400)
+
+        const v1 = await apiV1({ method: 'POST', path: '/simplifications', body: { analysis: { clauses: clauses.slice(1) } } })
+        expect(v1.statusCode).toBe(200)
+        expect(JSON.parse(v1.body)).toMatchObject({ level: 'layperson', clauses: [{ clauseId: 'clause_2' }] })
+        expect((await apiV1({ method: 'POST', path: '/simplifications', body: { analysis: { clauses }, level: 'lawyer' } })).statusCode).toBe(400)
+    })
+})
+
+describe('CompareTab', () => {
+    const metrics = (grade, average, longest) => ({ fleschKincaidGrade: grade, averageSentenceLength: average, longestSentence: longest })
+    const uiClauses = clauses.map(({ content, ...clause }) => ({ ...clause, text: content }))
+
+    function simplification(level) {
+        return {
+            level,
+            clauses: [
+                { clauseId: 'clause_1', title: 'Indemnity', originalText: INDEMNITY, simplifiedText: 'The Supplier pays the Customer\'s losses.', source: 'ai', before: metrics(24.7, 52, 52), after: metrics(6.1, 6, 6) },
+                { clauseId: 'clause_2', title: 'Payment', originalText: 'The Customer shall remit payment.', simplifiedText: 'The Customer must pay.', source: 'rules', before: metrics(9.2, 5, 5), after: metrics(2.3, 4, 4) }
+            ],
+            skipped: [{ clauseId: 'clause_3', title: 'Heading only', reason: 'The clause has no text to rewrite' }],
+            summary: { before: metrics(22.4, 28.5, 52), after: metrics(4.8, 5, 6) },
+            provider: 'fake',
+            model: 'fake-1'
+        }
+    }
+
+    it('should request a rewrite at the chosen level and page through the clauses side by side', async () => {
+        const requests = []
+        vi.stubGlobal('fetch', vi.fn(async (url, options = {}) => {
+            const body = JSON.parse(options.body)
+            requests.push({ url, body })
+            return new Response(JSON.stringify(simplification(body.level)), { status: 200 })
+        }))
+        const onChange = vi.fn()
+
+        const { rerender } = render(React.createElement(CompareTab, { clauses: uiClauses, documentType: 'Supply Agreement', onChange }))
+        expect(screen.getByText(/Rewrite the 3 clauses at the Layperson reading level/)).toBeInTheDocument()
+
+        fireEvent.click(screen.getByText('Grade 8'))
+        expect(screen.getByText('Grade 8')).toHaveAttribute('aria-pressed', 'true')
+        fireEvent.click(screen.getByText('Rewrite in plain English'))
+
+        await vi.waitFor(() => expect(onChange).toHaveBeenCalled())
+        expect(requests[0]).toMatchObject({ url: '/api/process', body: { action: 'simplify', level: 'grade-8', documentType: 'Supply Agreement', analysis: { clauses: uiClauses } } })
+
+        const simplifications = onChange.mock.calls[0][0]
+        expect(Object.keys(simplifications)).toEqual(['grade-8'])
+        rerender(React.createElement(CompareTab, { clauses: uiClauses, simplifications, onChange }))
+
+        expect(screen.getByText(/Clause 1 of 2/)).toHaveTextContent('Indemnity')
+        expect(screen.getByText('"The Supplier pays the Customer\'s losses."')).toBeInTheDocument()
+        expect(screen.getByLabelText('Original readability')).toHaveTextContent('Grade level: 24.7')
+        expect(screen.getByLabelText('Simplified readability')).toHaveTextContent('Longest: 6 words')
+        expect(screen.getByText('Grade level 22.4 → 4.8')).toBeInTheDocument()
+        expect(screen.getByText('← Previous')).toBeDisabled()
+
+        fireEvent.click(screen.getByText('Next →'))
+        expect(screen.getByText(/Clause 2 of 2/)).toHaveTextContent('Payment')
+        expect(screen.getByText('"The Customer must pay."')).toBeInTheDocument()
+        expect(screen.getByText('Plain-language substitutions')).toBeInTheDocument()
+        expect(screen.getByText('Next →')).toBeDisabled()
+        expect(screen.getByText('Not rewritten: Heading only')).toBeInTheDocument()
+
+        // Another level has not been rewritten yet
+        fireEvent.click(screen.getByText('Executive'))
+        expect(screen.getByText(/at the Executive reading level/)).toBeInTheDocument()
+    })
+
+    it('should show request errors and hide rewriting when the role cannot run analyses', async () => {
+        vi.stubGlobal('fetch', vi.fn(async () => new Response(JSON.stringify({ message: 'Simplification Failed' }), { status: 500 })))
+        render(React.createElement(CompareTab, { clauses: uiClauses }))
+        fireEvent.click(screen.getByText('Rewrite in plain English'))
+        expect(await screen.findByRole('alert')).toHaveTextContent('Simplification Failed')
+
+        cleanup()
+        render(React.createElement(CompareTab, { clauses: uiClauses, simplifications: { layperson: simplification('layperson') }, canGenerate: false }))
+        expect(screen.getByText(/Clause 1 of 2/)).toBeInTheDocument()
+        expect(screen.queryByText('Rewrite again')).toBeNull()
+    })
+})
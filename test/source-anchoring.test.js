@@ -0,0 +1,94 @@
+/**
+ * Unit tests for anchoring analysis quotes to character offsets in the source text
+ */
+
+import { describe, it, expect } from 'vitest'
+import { SourceAnchor } from '../functions/ai/SourceAnchor.js'
+import { handler } from '../functions/process.js'
+
+const source = `MASTER SERVICES AGREEMENT
+
+1. Payment Terms
+The Customer shall pay all undisputed invoices within thirty (30) days of receipt.
+Late payments accrue interest at 1.5% per month.
+
+2. Limitation of Liability
+In no event shall either party’s aggregate liability exceed the fees paid
+in the twelve (12) months preceding the claim.
+`
+
+describe('SourceAnchor.locate', () => {
+    const anchor = new SourceAnchor()
+
+    it('should find exact quotes regardless of case, whitespace and quote style', () => {
+        const quote = 'in no event shall either party\'s aggregate liability exceed the fees paid in the twelve (12) months'
+        const match = anchor.locate(quote, source)
+
+        expect(match).toMatchObject({ verified: true, method: 'exact', score: 1 })
+        expect(source.substring(match.start, match.end)).toBe('In no event shall either party’s aggregate liability exceed the fees paid\nin the twelve (12) months')
+    })
+
+    it('should span quotes shortened with an ellipsis', () => {
+        const match = anchor.locate('The Customer shall pay all undisputed invoices ... interest at 1.5% per month', source)
+
+        expect(match).toMatchObject({ verified: true, method: 'fragments' })
+        expect(source.substring(match.start, match.end)).toMatch(/^The Customer shall pay.*1\.5% per month$/s)
+    })
+
+    it('should match lightly paraphrased quotes fuzzily', () => {
+        const match = anchor.locate('The Customer shall pay all invoices within thirty (30) days of receipt. Late payments accrue interest at 1.5% per month.', source)
+
+        expect(match.verified).toBe(true)
+        expect(match.method).toBe('fuzzy')
+        expect(match.score).toBeGreaterThanOrEqual(0.6)
+        expect(source.substring(match.start, match.end)).toMatch(/^The Customer shall pay.*per month$/s)
+    })
+
+    it('should not verify text that is not in the document', () => {
+        const match = anchor.locate('The Provider may assign this Agreement to any affiliate without consent.', source)
+
+        expect(match).toMatchObject({ verified: false, method: 'none' })
+        expect(match.start).toBeUndefined()
+    })
+})
+
+describe('SourceAnchor.anchorAnalysis', () => {
+    it('should add offsets to clauses and risks and flag unlocated quotes', () => {
+        const analysis = {
+            clauses: [
+                { id: 'clause_1', content: 'Late payments accrue interest at 1.5% per month.' },
+                { id: 'clause_2', content: 'Either party may terminate on ninety days written notice to the other.' }
+            ],
+            risks: [
+                { id: 'risk_1', clauseReference: 'clause_1', supportingText: '' },
+                { id: 'risk_2', clauseReference: 'clause_2', supportingText: 'terminate on ninety days written notice' }
+            ]
+        }
+
+        const anchored = new SourceAnchor().anchorAnalysis(analysis, source)
+        const [payment, termination] = anchored.clauses
+
+        expect(source.substring(payment.startPosition, payment.endPosition)).toBe(analysis.clauses[0].content)
+        expect(payment.sourceAnchor).toEqual({ verified: true, method: 'exact', score: 1 })
+        expect(termination).toMatchObject({ startPosition: null, endPosition: null, sourceAnchor: { verified: false } })
+        expect(anchored.risks[0]).toMatchObject({ startPosition: payment.startPosition, sourceAnchor: { verified: true, method: 'clause' } })
+        expect(anchored.risks[1].sourceAnchor.verified).toBe(false)
+    })
+})
+
+describe('Analysis response anchoring', () => {
+    it('should return verified offsets into the submitted text', async () => {
+        const response = await handler({
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: { action: 'analyze', documentText: source }
+        })
+        const { analysis } = JSON.parse(response.body)
+
+        expect(analysis.clauses.length).toBeGreaterThan(0)
+        analysis.clauses.forEach(clause => {
+            expect(clause.sourceAnchor.verified).toBe(true)
+            expect(source.substring(clause.startPosition, clause.endPosition)).toBe(clause.content)
+        })
+    })
+})
@@ -0,0 +1,126 @@
+/**
+ * Unit tests for XLSX/XLS/CSV spreadsheet parsing
+ */
+
+import { describe, it, expect } from 'vitest'
+import * as XLSX from 'xlsx'
+import { SpreadsheetParser, SPREADSHEET_DOCUMENT_TYPE } from '../functions/extraction/SpreadsheetParser.js'
+import { GeminiPromptFormatter } from '../functions/ai/GeminiPromptFormatter.js'
+import { handler } from '../functions/process.js'
+
+function buildWorkbook(sheets, bookType = 'xlsx') {
+    const workbook = XLSX.utils.book_new()
+    Object.entries(sheets).forEach(([name, rows]) => {
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), name)
+    })
+    return XLSX.write(workbook, { type: 'buffer', bookType })
+}
+
+describe('SpreadsheetParser', () => {
+    const parser = new SpreadsheetParser()
+
+    it('should render each sheet with its name, headers and labelled rows', () => {
+        const buffer = buildWorkbook({
+            'Rate Card': [
+                ['Service', 'Unit Rate', 'Minimum Monthly Volume'],
+                ['Tier 1 Support', '120', '1000'],
+                ['Hosting', '0.05', '']
+            ],
+            'SLA': [
+                ['Metric', 'Target', 'Service Credit'],
+                ['Uptime', '99.9%', '5%']
+            ]
+        })
+
+        const result = parser.parse({ buffer, filename: 'rates.xlsx' })
+
+        expect(result.method).toBe('xlsx')
+        expect(result.sheets.map(s => s.name)).toEqual(['Rate Card', 'SLA'])
+        expect(result.sheets[0].headers).toEqual(['Service', 'Unit Rate', 'Minimum Monthly Volume'])
+        expect(result.sheets[0].rowCount).toBe(2)
+        expect(result.text).toContain('=== Sheet: Rate Card ===')
+        expect(result.text).toContain('Columns: Service | Unit Rate | Minimum Monthly Volume')
+        expect(result.text).toContain('Row 1: Service: Tier 1 Support; Unit Rate: 120; Minimum Monthly Volume: 1000')
+        expect(result.text).toContain('Row 2: Service: Hosting; Unit Rate: 0.05')
+        expect(result.text).toContain('Row 1: Metric: Uptime; Target: 99.9%; Service Credit: 5%')
+    })
+
+    it('should record sheet offsets as pages', () => {
+        const buffer = buildWorkbook({ A: [['Term', 'Value'], ['Fee', '10']], B: [['Term', 'Value'], ['Cap', '20']] })
+
+        const result = parser.parse({ buffer, filename: 'terms.xlsx' })
+
+        expect(result.pageCount).toBe(2)
+        expect(result.pages[1].sheetName).toBe('B')
+        expect(result.text.substring(result.pages[1].startOffset, result.pages[1].endOffset)).toContain('Cap')
+    })
+
+    it('should skip a title row above the real header', () => {
+        const buffer = buildWorkbook({
+            Pricing: [
+                ['2025 Rate Card'],
+                ['Item', 'Price', 'Currency'],
+                ['Licence', '500', 'USD']
+            ]
+        })
+
+        const [sheet] = parser.parse({ buffer, filename: 'pricing.xlsx' }).sheets
+
+        expect(sheet.headers).toEqual(['Item', 'Price', 'Currency'])
+    })
+
+    it('should parse legacy XLS and CSV input', () => {
+        const xls = buildWorkbook({ Volumes: [['Year', 'Committed Units'], ['2025', '10000']] }, 'biff8')
+        expect(parser.parse({ buffer: xls, filename: 'volumes.xls' }).text).toContain('Year: 2025; Committed Units: 10000')
+
+        const csv = Buffer.from('Service,Rate\n"Support, premium",150\n')
+        expect(parser.parse({ buffer: csv, filename: 'rates.csv' }).text).toContain('Service: Support, premium; Rate: 150')
+    })
+
+    it('should cap rows per sheet and note omitted rows', () => {
+        const limited = new SpreadsheetParser({ maxRowsPerSheet: 2 })
+        const rows = [['Item', 'Qty'], ...Array.from({ length: 5 }, (_, i) => [`Item ${i}`, String(i)])]
+
+        const result = limited.parse({ buffer: buildWorkbook({ Orders: rows }), filename: 'orders.xlsx' })
+
+        expect(result.sheets[0].truncated).toBe(true)
+        expect(result.text).toContain('[3 additional rows omitted]')
+    })
+
+    it('should provide spreadsheet-specific prompt instructions', () => {
+        const instructions = new GeminiPromptFormatter().getDocumentTypeInstructions(SPREADSHEET_DOCUMENT_TYPE)
+
+        expect(instructions).toContain('Volume commitments')
+    })
+})
+
+describe('Analyze action with spreadsheets', () => {
+    it('should analyze parsed workbook text instead of a placeholder banner', async () => {
+        const buffer = buildWorkbook({ 'Rate Card': [['Service', 'Rate'], ['Support', '120']] })
+
+        const response = await handler({
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: { action: 'analyze', fileData: buffer.toString('base64'), filename: 'rates.xlsx' },
+            query: {}
+        })
+
+        expect(response.statusCode).toBe(200)
+        const body = JSON.parse(response.body)
+        expect(body.extraction.method).toBe('xlsx')
+        expect(body.extraction.sheets[0].name).toBe('Rate Card')
+        expect(body.extraction.text).not.toContain('[Excel Document')
+    })
+
+    it('should parse CSV sent as document text', async () => {
+        const response = await handler({
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: { action: 'analyze', documentText: 'Metric,Target\nUptime,99.5%', filename: 'sla.csv' },
+            query: {}
+        })
+
+        expect(response.statusCode).toBe(200)
+        expect(JSON.parse(response.body).extraction.text).toContain('Metric: Uptime; Target: 99.5%')
+    })
+})
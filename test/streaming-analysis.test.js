@@ -0,0 +1,134 @@
+/**
+ * Unit tests for streaming analysis progress over Server-Sent Events
+ */
+
+import { describe, it, expect } from 'vitest'
+import { StreamingClauseParser } from '../functions/ai/StreamingClauseParser.js'
+import { GeminiClient } from '../functions/ai/GeminiClient.js'
+import { formatServerSentEvent } from '../functions/serverSentEvents.js'
+import { streamHandler } from '../functions/process.js'
+import { parseServerSentEvent, readServerSentEvents } from '../src/utils/serverSentEvents.js'
+
+const clauses = [
+    { id: 'clause_1', title: 'Payment {net 30}', content: 'Pay within "30" days ]' },
+    { id: 'clause_2', title: 'Termination', content: 'Either party may terminate.', keyTerms: ['terminate', 'notice'] }
+]
+const responseJson = JSON.stringify({
+    summary: { documentType: 'Service Agreement', totalClausesIdentified: 2 },
+    clauses,
+    risks: [],
+    keyTerms: [],
+    recommendations: [],
+    qualityMetrics: {}
+})
+
+function splitEvery(text, size) {
+    const parts = []
+    for (let i = 0; i < text.length; i += size) {
+        parts.push(text.substring(i, i + size))
+    }
+    return parts
+}
+
+describe('StreamingClauseParser', () => {
+    it('should emit each clause once its object is complete', () => {
+        const parser = new StreamingClauseParser()
+        const emitted = []
+
+        splitEvery(responseJson, 7).forEach(part => {
+            emitted.push(...parser.push(part).map(clause => ({ clause, seen: parser.buffer.length })))
+        })
+
+        expect(emitted.map(item => item.clause)).toEqual(clauses)
+        // The first clause is available before the response is complete
+        expect(emitted[0].seen).toBeLessThan(responseJson.length)
+        expect(parser.done).toBe(true)
+    })
+
+    it('should ignore input until the clauses array starts', () => {
+        const parser = new StreamingClauseParser()
+        expect(parser.push('{"summary": {"note": "{not a clause}"}, ')).toEqual([])
+        expect(parser.push('"clauses": [{"id": "clause_1"}')).toEqual([{ id: 'clause_1' }])
+    })
+})
+
+describe('GeminiClient streaming', () => {
+    it('should stream partial clauses and still return the full analysis', async () => {
+        const client = new GeminiClient('test-key', 'gemini-test')
+        const parts = splitEvery(responseJson, 25)
+        client.model = {
+            generateContentStream: async () => ({
+                stream: (async function* () {
+                    for (const part of parts) yield { text: () => part }
+                })(),
+                response: Promise.resolve({ text: () => responseJson, usageMetadata: { totalTokenCount: 42 } })
+            })
+        }
+
+        const partial = []
+        const result = await client.analyzeDocument('Pay within "30" days ]. Either party may terminate.', 'Service Agreement', {
+            onPartial: clause => partial.push(clause.id)
+        })
+
+        expect(partial).toEqual(['clause_1', 'clause_2'])
+        expect(result.success).toBe(true)
+        expect(result.analysis.clauses).toHaveLength(2)
+        expect(result.tokenUsage.totalTokens).toBe(42)
+    })
+})
+
+describe('Server-Sent Events', () => {
+    it('should round-trip events through the wire format', async () => {
+        const wire = formatServerSentEvent('stage', { stage: 'model', status: 'started' }) +
+            formatServerSentEvent('clause', { clause: { id: 'clause_1', title: 'Line\nbreak' } })
+        const bytes = new TextEncoder().encode(wire)
+        const pieces = [bytes.slice(0, 10), bytes.slice(10, 47), bytes.slice(47)]
+        const response = {
+            body: {
+                getReader: () => ({
+                    read: async () => (pieces.length ? { done: false, value: pieces.shift() } : { done: true })
+                })
+            }
+        }
+
+        const events = []
+        await readServerSentEvents(response, (event, data) => events.push({ event, data }))
+
+        expect(events).toEqual([
+            { event: 'stage', data: { stage: 'model', status: 'started' } },
+            { event: 'clause', data: { clause: { id: 'clause_1', title: 'Line\nbreak' } } }
+        ])
+        expect(parseServerSentEvent(': keep-alive')).toBeNull()
+    })
+})
+
+describe('streamHandler', () => {
+    it('should report each stage and finish with the analysis result', async () => {
+        const events = []
+        await streamHandler({
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: {
+                action: 'analyze',
+                documentText: '1. Payment\nCustomer shall pay all invoices within 30 days.\n\n2. Governing Law\nThis Agreement is governed by the laws of Ohio.'
+            }
+        }, (event, data) => events.push({ event, data }))
+
+        const stages = events.filter(item => item.event === 'stage').map(item => `${item.data.stage}:${item.data.status}`)
+        const last = events.at(-1)
+
+        expect(stages[0]).toBe('extraction:started')
+        expect(stages).toContain('extraction:completed')
+        expect(stages).toContain('model:started')
+        expect(stages.slice(-2)).toEqual(['parsing:started', 'parsing:completed'])
+        expect(last.event).toBe('result')
+        expect(last.data.analysis.clauses.length).toBeGreaterThan(0)
+    })
+
+    it('should send an error event for invalid requests', async () => {
+        const events = []
+        await streamHandler({ method: 'POST', headers: {}, body: { action: 'analyze' } }, (event, data) => events.push({ event, data }))
+
+        expect(events.at(-1)).toMatchObject({ event: 'error', data: { statusCode: 400 } })
+    })
+})
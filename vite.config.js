@@ -6,49 +6,16 @@ const apiPlugin = () => {
     return {
         name: 'api-handler',
         configureServer(server) {
-            server.middlewares.use('/api/process', async (req, res, next) => {
-                if (req.method === 'POST' || req.method === 'GET') {
-                    try {
-                        // Import the serverless function
-                        const { handler } = await import('./functions/process.js');
-
-                        let body = '';
-                        req.on('data', chunk => {
-                            body += chunk.toString();
-                        });
-
-                        req.on('end', async () => {
-                            try {
-                                const parsedBody = body ? JSON.parse(body) : {};
-                                const response = await handler({
-                                    method: req.method,
-                                    headers: req.headers,
-                                    body: parsedBody,
-                                    query: req.query || {}
-                                });
-
-                                // Set headers
-                                Object.entries(response.headers).forEach(([key, value]) => {
-                                    res.setHeader(key, value);
-                                });
-
-                                res.statusCode = response.statusCode;
-                                res.end(response.body);
-                            } catch (error) {
-                                console.error('API handler error:', error);
-                                res.statusCode = 500;
-                                res.setHeader('Content-Type', 'application/json');
-                                res.end(JSON.stringify({ error: 'Internal Server Error' }));
-                            }
-                        });
-                    } catch (error) {
-                        console.error('API import error:', error);
-                        res.statusCode = 500;
-                        res.setHeader('Content-Type', 'application/json');
-                        res.end(JSON.stringify({ error: 'Internal Server Error' }));
-                    }
-                } else {
-                    next();
+            // Same routing as the standalone server (functions/server.js); other paths fall through to Vite
+            server.middlewares.use(async (req, res, next) => {
+                try {
+                    const { createRequestListener } = await import('./functions/server.js');
+                    await createRequestListener()(req, res, next);
+                } catch (error) {
+                    console.error('API import error:', error);
+                    res.statusCode = 500;
+                    res.setHeader('Content-Type', 'application/json');
+                    res.end(JSON.stringify({ error: 'Internal Server Error' }));
                 }
             });
         }